@@ -3,6 +3,11 @@ const mongoose = require("mongoose");
 const logger = require("./src/utils/logger");
 const config = require("./src/config/config");
 const { initializePaymentJobs } = require("./src/jobs/paymentJobs");
+const { initializeOfferJobs } = require("./src/jobs/offerJobs");
+const { initializeAuctionJobs } = require("./src/jobs/auctionJobs");
+const { initializeWebhookJobs } = require("./src/jobs/webhookJobs");
+const { initializeSavedSearchJobs } = require("./src/jobs/savedSearchJobs");
+const { initializeAnalyticsJobs } = require("./src/jobs/analyticsJobs");
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (err) => {
@@ -42,6 +47,46 @@ const startServer = async () => {
       // Continue server startup even if jobs fail
     }
 
+    // Initialize offer expiry jobs
+    try {
+      await initializeOfferJobs();
+      logger.info("Offer jobs initialized");
+    } catch (error) {
+      logger.error("Offer jobs initialization failed:", error);
+    }
+
+    // Initialize auction close/fallback jobs
+    try {
+      await initializeAuctionJobs();
+      logger.info("Auction jobs initialized");
+    } catch (error) {
+      logger.error("Auction jobs initialization failed:", error);
+    }
+
+    // Initialize webhook retry jobs
+    try {
+      await initializeWebhookJobs();
+      logger.info("Webhook jobs initialized");
+    } catch (error) {
+      logger.error("Webhook jobs initialization failed:", error);
+    }
+
+    // Initialize saved search digest jobs
+    try {
+      await initializeSavedSearchJobs();
+      logger.info("Saved search jobs initialized");
+    } catch (error) {
+      logger.error("Saved search jobs initialization failed:", error);
+    }
+
+    // Initialize recommendation and trending jobs
+    try {
+      await initializeAnalyticsJobs();
+      logger.info("Analytics jobs initialized");
+    } catch (error) {
+      logger.error("Analytics jobs initialization failed:", error);
+    }
+
     // Start server ONLY ONCE after MongoDB connection
     server = app.listen(PORT, () => {
       logger.info(`Server running in ${config.nodeEnv} mode on port ${PORT}`);
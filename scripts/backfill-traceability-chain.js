@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const config = require("../src/config/config");
+
+// Import models
+const TraceabilityRecord = require("../src/models/TraceabilityRecord");
+
+// Chain every artwork's traceability records: sequence, previousHash and recordHash.
+// Each edition unit has its own chain next to the artwork's.
+// Chains whose records are all hashed already are skipped unless --force is passed,
+// so running it again does not re-seal a chain that has been tampered with.
+// Usage: node scripts/backfill-traceability-chain.js [--dry-run] [--force]
+const backfillTraceabilityChain = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  const force = process.argv.includes("--force");
+
+  try {
+    // Connect to database
+    await mongoose.connect(config.mongodb.uri);
+    console.log("Connected to MongoDB for migration");
+
+    console.log(
+      `Starting traceability chain backfill${dryRun ? " (dry run)" : ""}...`
+    );
+
+    const artworkIds = await TraceabilityRecord.distinct("artworkId");
+    console.log(`Found ${artworkIds.length} artworks with traceability records`);
+
+    let chainedChains = 0;
+    let skippedChains = 0;
+    let updatedRecords = 0;
+
+    // The artwork's own chain plus one per edition unit
+    const chains = [];
+    for (const artworkId of artworkIds) {
+      const editionUnitIds = await TraceabilityRecord.distinct("editionUnit", {
+        artworkId,
+      });
+      [null, ...editionUnitIds].forEach((editionUnitId) =>
+        chains.push(TraceabilityRecord.chainFilter(artworkId, editionUnitId))
+      );
+    }
+
+    for (const chainFilter of chains) {
+      const records = await TraceabilityRecord.find(chainFilter)
+        .sort({ timestamp: 1, createdAt: 1, _id: 1 })
+        .lean();
+
+      if (records.length === 0) {
+        continue;
+      }
+
+      const alreadyChained = records.every(
+        (record) => record.recordHash && record.sequence !== undefined
+      );
+
+      if (alreadyChained && !force) {
+        skippedChains++;
+        continue;
+      }
+
+      // Rebuild the chain in chronological order
+      let previousHash = null;
+      const updates = records.map((record, index) => {
+        const chained = { ...record, sequence: index, previousHash };
+        chained.recordHash = TraceabilityRecord.computeRecordHash(chained);
+        previousHash = chained.recordHash;
+
+        return {
+          updateOne: {
+            filter: { _id: record._id },
+            update: {
+              $set: {
+                sequence: chained.sequence,
+                previousHash: chained.previousHash,
+                recordHash: chained.recordHash,
+              },
+            },
+          },
+        };
+      });
+
+      if (!dryRun) {
+        // Clear old positions first so the unique chain position index
+        // does not trip while records move
+        await TraceabilityRecord.updateMany(chainFilter, {
+          $unset: { sequence: "" },
+        });
+        await TraceabilityRecord.bulkWrite(updates);
+      }
+
+      chainedChains++;
+      updatedRecords += updates.length;
+
+      // Progress indicator
+      if (chainedChains % 100 === 0) {
+        console.log(`Chained ${chainedChains} chains...`);
+      }
+    }
+
+    if (!dryRun) {
+      // Build the unique chain position index now that sequences are set,
+      // dropping the older (artworkId, sequence) index that edition chains
+      // would violate
+      await TraceabilityRecord.syncIndexes();
+    }
+
+    console.log(`Migration completed successfully!`);
+    console.log(`- Chains rebuilt: ${chainedChains}`);
+    console.log(`- Chains already hashed (skipped): ${skippedChains}`);
+    console.log(`- Records updated: ${updatedRecords}`);
+  } catch (error) {
+    console.error("Migration failed:", error);
+    process.exit(1);
+  } finally {
+    // Close database connection
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(0);
+  }
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  backfillTraceabilityChain();
+}
+
+module.exports = backfillTraceabilityChain;
@@ -15,8 +15,9 @@ module.exports = {
 
   jwt: {
     secret: process.env.JWT_SECRET || "your-jwt-secret",
-    expiresIn: process.env.JWT_EXPIRES_IN || "90d",
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
     refreshSecret: process.env.JWT_REFRESH_SECRET || "your-refresh-secret",
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d",
   },
 
   stripe: {
@@ -26,6 +27,44 @@ module.exports = {
     listingFee: 100, // €1 in cents
   },
 
+  offers: {
+    responseWindowHours: parseInt(process.env.OFFER_RESPONSE_HOURS, 10) || 48,
+    paymentWindowHours: parseInt(process.env.OFFER_PAYMENT_HOURS, 10) || 24,
+  },
+
+  auctions: {
+    paymentWindowHours: parseInt(process.env.AUCTION_PAYMENT_HOURS, 10) || 48,
+  },
+
+  transfers: {
+    // Days the recipient has to accept an ownership transfer
+    acceptWindowDays: parseInt(process.env.TRANSFER_ACCEPT_DAYS, 10) || 14,
+    // Declared value (euros) from which a transfer needs admin review
+    reviewThreshold:
+      parseFloat(process.env.TRANSFER_REVIEW_THRESHOLD) || 10000,
+  },
+
+  refunds: {
+    // Days after a purchase during which the buyer can ask for a refund
+    requestWindowDays: parseInt(process.env.REFUND_REQUEST_DAYS, 10) || 14,
+  },
+
+  views: {
+    // Days artwork view events are kept
+    retentionDays: parseInt(process.env.VIEW_RETENTION_DAYS, 10) || 90,
+    // HMAC key for the IP / user agent fingerprint of anonymous viewers
+    fingerprintSecret:
+      process.env.VIEW_FINGERPRINT_SECRET || "your-view-fingerprint-secret",
+  },
+
+  royalties: {
+    // Share of a resale price paid to the original artist, unless the artwork sets its own
+    defaultPercentage: isNaN(parseFloat(process.env.RESALE_ROYALTY_PERCENT))
+      ? 5
+      : parseFloat(process.env.RESALE_ROYALTY_PERCENT),
+    maxPercentage: 20,
+  },
+
   cloudinary: {
     cloudName: process.env.CLOUDINARY_CLOUD_NAME,
     apiKey: process.env.CLOUDINARY_API_KEY,
@@ -43,5 +82,24 @@ module.exports = {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
     rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 15,
     rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100,
+    encryptionKey: process.env.ENCRYPTION_KEY || "your-encryption-key",
+  },
+
+  certificates: {
+    // Ed25519 private key (PEM) used to sign ownership certificates
+    signingKey: process.env.CERTIFICATE_SIGNING_KEY,
+    keyId: process.env.CERTIFICATE_KEY_ID || "platform-ed25519-1",
+    // Public verification endpoint encoded in the certificate QR code
+    verifyBaseUrl:
+      process.env.CERTIFICATE_VERIFY_BASE_URL ||
+      "http://localhost:5000/api/traceability/certificates",
+  },
+
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || "3rd Hand Art Marketplace",
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m",
+    // Codes tried against one challenge before the user must log in again
+    maxChallengeAttempts: 5,
+    backupCodeCount: 10,
   },
 };
@@ -1 +1,14 @@
-// Socket.io configuration
\ No newline at end of file
+// Socket.io configuration
+// Holds the Socket.io server instance so services and jobs can push events
+let ioInstance = null;
+
+const setIO = (io) => {
+  ioInstance = io;
+};
+
+const getIO = () => ioInstance;
+
+module.exports = {
+  setIO,
+  getIO,
+};
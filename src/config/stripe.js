@@ -23,6 +23,8 @@ const paymentConfig = {
   },
   successUrl: `${config.frontendUrl}/payment/success`,
   cancelUrl: `${config.frontendUrl}/payment/cancel`,
+  connectRefreshUrl: `${config.frontendUrl}/dashboard/payouts?onboarding=refresh`,
+  connectReturnUrl: `${config.frontendUrl}/dashboard/payouts?onboarding=complete`,
   webhookEndpointSecret: config.stripe.webhookSecret,
 };
 
@@ -3,6 +3,12 @@ const Artwork = require("../models/Artwork");
 const Transaction = require("../models/Transaction");
 const Message = require("../models/Message");
 const adminService = require("../services/adminService");
+const refundService = require("../services/refundService");
+const transferService = require("../services/transferService");
+const webhookService = require("../services/webhookService");
+const reviewService = require("../services/reviewService");
+const artistVerificationService = require("../services/artistVerificationService");
+const auditService = require("../services/auditService");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 
@@ -133,6 +139,8 @@ const getAllUsers = async (req, res, next) => {
       limit = 20,
       role,
       isVerified,
+      isInspector,
+      status,
       search,
       sort = "-createdAt",
     } = req.query;
@@ -148,6 +156,14 @@ const getAllUsers = async (req, res, next) => {
       filter.isVerified = isVerified === "true";
     }
 
+    if (isInspector !== undefined) {
+      filter.isInspector = isInspector === "true";
+    }
+
+    if (status) {
+      filter["moderation.status"] = status;
+    }
+
     if (search) {
       filter.$or = [
         { username: { $regex: search, $options: "i" } },
@@ -195,6 +211,175 @@ const getAllUsers = async (req, res, next) => {
   }
 };
 
+// Designate or revoke a condition report inspector
+const setInspector = async (req, res, next) => {
+  try {
+    const user = await adminService.setInspector(
+      req.params.id,
+      req.body.isInspector,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: user.isInspector
+        ? "User designated as inspector"
+        : "Inspector designation revoked",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in setInspector controller: ${error.message}`);
+  }
+};
+
+// Suspend a user until a given date
+const suspendUser = async (req, res, next) => {
+  try {
+    const user = await adminService.suspendUser(req.params.id, req.user.id, {
+      until: req.body.until,
+      reason: req.body.reason,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "User suspended",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in suspendUser controller: ${error.message}`);
+  }
+};
+
+// Ban a user
+const banUser = async (req, res, next) => {
+  try {
+    const user = await adminService.banUser(
+      req.params.id,
+      req.user.id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "User banned",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in banUser controller: ${error.message}`);
+  }
+};
+
+// Lift a suspension or ban
+const reinstateUser = async (req, res, next) => {
+  try {
+    const user = await adminService.reinstateUser(
+      req.params.id,
+      req.user.id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "User reinstated",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in reinstateUser controller: ${error.message}`);
+  }
+};
+
+// Promote a buyer to artist
+const promoteUserToArtist = async (req, res, next) => {
+  try {
+    const user = await adminService.promoteToArtist(
+      req.params.id,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "User promoted to artist",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in promoteUserToArtist controller: ${error.message}`);
+  }
+};
+
+// Require a user to reset their password
+const forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = await adminService.forcePasswordReset(
+      req.params.id,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Password reset required and reset link sent",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in forcePasswordReset controller: ${error.message}`);
+  }
+};
+
+// Sign a user out of every device
+const revokeUserSessions = async (req, res, next) => {
+  try {
+    const result = await adminService.revokeUserSessions(
+      req.params.id,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: `${result.revoked} sessions revoked`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in revokeUserSessions controller: ${error.message}`);
+  }
+};
+
+// Browse the admin audit log
+const getAuditLog = async (req, res, next) => {
+  try {
+    const result = await auditService.getAuditLog(req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.entries.length,
+      data: {
+        entries: result.entries,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getAuditLog controller: ${error.message}`);
+  }
+};
+
 // Get all artworks for admin (including all statuses)
 const getAllArtworks = async (req, res, next) => {
   try {
@@ -280,7 +465,7 @@ const getAllTransactions = async (req, res, next) => {
     // Build filter
     const filter = {};
 
-    if (type && ["listing_fee", "sale"].includes(type)) {
+    if (type && ["listing_fee", "sale", "royalty"].includes(type)) {
       filter.transactionType = type;
     }
 
@@ -704,6 +889,375 @@ const getTraceabilityOverview = async (req, res, next) => {
   }
 };
 
+// Get refund requests
+const getRefundRequests = async (req, res, next) => {
+  try {
+    const result = await refundService.getRefundRequests(req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.refundRequests.length,
+      data: {
+        refundRequests: result.refundRequests,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getRefundRequests controller: ${error.message}`);
+  }
+};
+
+// Approve a refund request and refund the buyer
+const approveRefundRequest = async (req, res, next) => {
+  try {
+    const result = await refundService.approveRefundRequest(
+      req.params.id,
+      req.user.id,
+      req.body.adminNote
+    );
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Refund approved. Ownership will be returned to the seller once Stripe confirms the refund.",
+      data: {
+        refundRequest: result.refundRequest,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in approveRefundRequest controller: ${error.message}`);
+  }
+};
+
+// Reject a refund request
+const rejectRefundRequest = async (req, res, next) => {
+  try {
+    const refundRequest = await refundService.rejectRefundRequest(
+      req.params.id,
+      req.user.id,
+      req.body.adminNote
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Refund request rejected",
+      data: {
+        refundRequest,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in rejectRefundRequest controller: ${error.message}`);
+  }
+};
+
+// Get ownership transfers (defaults to those waiting for review)
+const getOwnershipTransfers = async (req, res, next) => {
+  try {
+    const result = await transferService.getTransfers(req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.transfers.length,
+      data: {
+        transfers: result.transfers,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getOwnershipTransfers controller: ${error.message}`);
+  }
+};
+
+// Approve an ownership transfer and move the artwork to the recipient
+const approveOwnershipTransfer = async (req, res, next) => {
+  try {
+    const transfer = await transferService.approveTransfer(
+      req.params.id,
+      req.user.id,
+      req.body.adminNote
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Transfer approved and completed",
+      data: {
+        transfer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in approveOwnershipTransfer controller: ${error.message}`
+    );
+  }
+};
+
+// Reject an ownership transfer
+const rejectOwnershipTransfer = async (req, res, next) => {
+  try {
+    const transfer = await transferService.rejectTransfer(
+      req.params.id,
+      req.user.id,
+      req.body.adminNote
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Transfer rejected",
+      data: {
+        transfer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in rejectOwnershipTransfer controller: ${error.message}`
+    );
+  }
+};
+
+// Refund a sale directly
+const refundTransaction = async (req, res, next) => {
+  try {
+    const transaction = await refundService.refundTransaction(
+      req.params.id,
+      req.user.id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Refund initiated. Ownership will be returned to the seller once Stripe confirms the refund.",
+      data: {
+        transaction,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in refundTransaction controller: ${error.message}`);
+  }
+};
+
+// Get Stripe webhook event log
+const getWebhookEvents = async (req, res, next) => {
+  try {
+    const result = await webhookService.getEvents(req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.events.length,
+      data: {
+        events: result.events,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getWebhookEvents controller: ${error.message}`);
+  }
+};
+
+// Replay a failed Stripe webhook event
+const replayWebhookEvent = async (req, res, next) => {
+  try {
+    const event = await webhookService.replayEvent(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message:
+        event.status === "processed"
+          ? "Webhook event replayed successfully"
+          : "Webhook event replay failed",
+      data: {
+        event,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in replayWebhookEvent controller: ${error.message}`);
+  }
+};
+
+// Get reviews for moderation
+const getReviews = async (req, res, next) => {
+  try {
+    const result = await reviewService.getReviews(req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.reviews.length,
+      data: {
+        reviews: result.reviews,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getReviews controller: ${error.message}`);
+  }
+};
+
+// Hide a review (it no longer counts towards the artist's rating)
+const hideReview = async (req, res, next) => {
+  try {
+    const review = await reviewService.hideReview(
+      req.params.id,
+      req.user.id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Review hidden",
+      data: {
+        review,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in hideReview controller: ${error.message}`);
+  }
+};
+
+// Publish a hidden review again
+const restoreReview = async (req, res, next) => {
+  try {
+    const review = await reviewService.restoreReview(
+      req.params.id,
+      req.user.id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Review restored",
+      data: {
+        review,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in restoreReview controller: ${error.message}`);
+  }
+};
+
+// Get the artist verification queue
+const getArtistVerifications = async (req, res, next) => {
+  try {
+    const result = await artistVerificationService.getApplications(req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.applications.length,
+      data: {
+        applications: result.applications,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in getArtistVerifications controller: ${error.message}`
+    );
+  }
+};
+
+// Get one verification application with its documents
+const getArtistVerification = async (req, res, next) => {
+  try {
+    const application = await artistVerificationService.getApplication(
+      req.params.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        application,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getArtistVerification controller: ${error.message}`);
+  }
+};
+
+// Approve a verification application and grant the badge
+const approveArtistVerification = async (req, res, next) => {
+  try {
+    const application = await artistVerificationService.approveApplication(
+      req.params.id,
+      req.user.id,
+      req.body.note
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Artist verified",
+      data: {
+        application,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in approveArtistVerification controller: ${error.message}`
+    );
+  }
+};
+
+// Reject a verification application
+const rejectArtistVerification = async (req, res, next) => {
+  try {
+    const application = await artistVerificationService.rejectApplication(
+      req.params.id,
+      req.user.id,
+      req.body.note
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Verification application rejected",
+      data: {
+        application,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in rejectArtistVerification controller: ${error.message}`
+    );
+  }
+};
+
+// Ask the artist for more evidence
+const requestArtistVerificationInfo = async (req, res, next) => {
+  try {
+    const application = await artistVerificationService.requestMoreInfo(
+      req.params.id,
+      req.user.id,
+      req.body.note
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "More information requested from the artist",
+      data: {
+        application,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in requestArtistVerificationInfo controller: ${error.message}`
+    );
+  }
+};
+
 module.exports = {
   approveArtwork,
   rejectArtwork,
@@ -712,6 +1266,14 @@ module.exports = {
   getUserStats,
   getPlatformOverview,
   getAllUsers,
+  setInspector,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  promoteUserToArtist,
+  forcePasswordReset,
+  revokeUserSessions,
+  getAuditLog,
   getAllArtworks,
   getAllTransactions,
   getMessageAnalytics,
@@ -720,4 +1282,21 @@ module.exports = {
   adminDeleteMessage,
   getConversationDetails,
   getTraceabilityOverview,
+  getRefundRequests,
+  approveRefundRequest,
+  rejectRefundRequest,
+  refundTransaction,
+  getOwnershipTransfers,
+  approveOwnershipTransfer,
+  rejectOwnershipTransfer,
+  getWebhookEvents,
+  replayWebhookEvent,
+  getReviews,
+  hideReview,
+  restoreReview,
+  getArtistVerifications,
+  getArtistVerification,
+  approveArtistVerification,
+  rejectArtistVerification,
+  requestArtistVerificationInfo,
 };
@@ -49,6 +49,21 @@ const getTopSellingCategories = async (req, res, next) => {
   }
 };
 
+// Get resale royalty analytics
+const getRoyaltyAnalytics = async (req, res, next) => {
+  try {
+    const result = await analyticsService.getRoyaltyAnalytics(req.query);
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getRoyaltyAnalytics controller: ${error.message}`);
+  }
+};
+
 // Generate comprehensive analytics report
 const generateAnalyticsReport = async (req, res, next) => {
   try {
@@ -70,5 +85,6 @@ module.exports = {
   getTopSellingArtists,
   getTopSellingArtworks,
   getTopSellingCategories,
+  getRoyaltyAnalytics,
   generateAnalyticsReport,
 };
@@ -2,6 +2,9 @@ const mongoose = require("mongoose");
 const User = require("../models/User");
 const Artwork = require("../models/Artwork");
 const ArtistProfile = require("../models/ArtistProfile");
+const Transaction = require("../models/Transaction");
+const artistProfileService = require("../services/artistProfileService");
+const artistVerificationService = require("../services/artistVerificationService");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 
@@ -17,7 +20,9 @@ const getCompleteArtistProfile = async (req, res, next) => {
       isVerified: true,
       // ✅ REMOVED: role restriction - allow both artists and buyers who own artworks
     })
-      .select("username profile engagementStats createdAt lastActive role")
+      .select(
+        "username profile engagementStats createdAt lastActive role privacy"
+      )
       .lean();
 
     if (!user) {
@@ -42,12 +47,19 @@ const getCompleteArtistProfile = async (req, res, next) => {
       userProfile = await ArtistProfile.findOne({
         userId: userId,
       })
-        .select("bio website socialLinks specialties verified rating")
+        .select(
+          "slug bio website socialLinks specialties verified rating portfolioImages featuredArtwork"
+        )
+        .populate({
+          path: "featuredArtwork",
+          select: "title images price medium",
+          match: { currentOwner: userId, status: "approved" },
+        })
         .lean();
     }
 
     // ✅ Step 3: Get artwork statistics and artworks based on user type
-    let artworkStats, artworksResponse;
+    let artworkStats, artworksResponse, royaltyStats;
 
     if (user.role === "artist") {
       const artistObjectId = new mongoose.Types.ObjectId(userId);
@@ -165,6 +177,24 @@ const getCompleteArtistProfile = async (req, res, next) => {
         aggregationSold: artworkStats[0]?.soldArtworks || 0,
       });
 
+      // Resale royalties earned on the secondary market
+      royaltyStats = await Transaction.aggregate([
+        {
+          $match: {
+            seller: artistObjectId,
+            transactionType: "royalty",
+            status: "completed",
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            totalEarned: { $sum: "$amount" },
+            resales: { $sum: 1 },
+          },
+        },
+      ]);
+
       // ✅ FIXED: Proper artwork response structure for artists
       artworksResponse = {
         forSale: forSaleArtworks,
@@ -278,6 +308,16 @@ const getCompleteArtistProfile = async (req, res, next) => {
           total: artworkStats[0]?.totalArtworks || 0,
         },
       };
+
+      // Collectors can keep their collection private
+      if (user.privacy?.hideCollection && currentUserId !== userId) {
+        artworksResponse = {
+          collection: [],
+          popular: [],
+          counts: { collection: 0, total: 0 },
+          collectionHidden: true,
+        };
+      }
     }
 
     // ✅ Step 4: Check engagement context for current user
@@ -395,6 +435,9 @@ const getCompleteArtistProfile = async (req, res, next) => {
               website: userProfile.website || "",
               socialLinks: userProfile.socialLinks || {},
               specialties: userProfile.specialties || [],
+              slug: userProfile.slug,
+              portfolioImages: userProfile.portfolioImages || [],
+              featuredArtwork: userProfile.featuredArtwork || null,
               verified: userProfile.verified || false,
               rating: userProfile.rating || { average: 0, count: 0 },
             }
@@ -415,6 +458,10 @@ const getCompleteArtistProfile = async (req, res, next) => {
           soldArtworks: baseStats.soldArtworks,
           availableArtworks: baseStats.availableArtworks,
           salesRate: salesRate,
+          resaleRoyalties: {
+            totalEarned: (royaltyStats[0]?.totalEarned || 0) / 100, // Convert cents to euros
+            resales: royaltyStats[0]?.resales || 0,
+          },
         }),
 
         // Collector-specific stats
@@ -453,9 +500,10 @@ const getCompleteArtistProfile = async (req, res, next) => {
             ? "High"
             : "Building",
         memberSince: new Date(user.createdAt).getFullYear(),
-        lastSeenStatus: user.lastActive
-          ? getLastSeenStatus(user.lastActive)
-          : "Unknown",
+        lastSeenStatus:
+          user.lastActive && !user.privacy?.hideOnlineStatus
+            ? getLastSeenStatus(user.lastActive)
+            : "Unknown",
         profileType:
           user.role === "artist" ? "Creator Profile" : "Collector Profile",
       },
@@ -473,6 +521,212 @@ const getCompleteArtistProfile = async (req, res, next) => {
   }
 };
 
+// Get the current artist's profile
+const getMyProfile = async (req, res, next) => {
+  try {
+    const profile = await artistProfileService.getMyProfile(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        profile,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getMyProfile controller: ${error.message}`);
+  }
+};
+
+// Create or update the current artist's profile
+const updateMyProfile = async (req, res, next) => {
+  try {
+    const profile = await artistProfileService.upsertProfile(
+      req.user.id,
+      req.body
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Artist profile updated",
+      data: {
+        profile,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in updateMyProfile controller: ${error.message}`);
+  }
+};
+
+// Add uploaded images to the portfolio
+const addPortfolioImages = async (req, res, next) => {
+  try {
+    const portfolioImages = await artistProfileService.addPortfolioImages(
+      req.user.id,
+      req.body.images
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Portfolio images added",
+      data: {
+        portfolioImages,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in addPortfolioImages controller: ${error.message}`);
+  }
+};
+
+// Reorder the portfolio
+const reorderPortfolioImages = async (req, res, next) => {
+  try {
+    const portfolioImages = await artistProfileService.reorderPortfolioImages(
+      req.user.id,
+      req.body.images
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Portfolio reordered",
+      data: {
+        portfolioImages,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in reorderPortfolioImages controller: ${error.message}`
+    );
+  }
+};
+
+// Remove an image from the portfolio
+const removePortfolioImage = async (req, res, next) => {
+  try {
+    const portfolioImages = await artistProfileService.removePortfolioImage(
+      req.user.id,
+      req.body.image
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Portfolio image removed",
+      data: {
+        portfolioImages,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in removePortfolioImage controller: ${error.message}`);
+  }
+};
+
+// Pick (or clear) the featured artwork
+const setFeaturedArtwork = async (req, res, next) => {
+  try {
+    const featuredArtwork = await artistProfileService.setFeaturedArtwork(
+      req.user.id,
+      req.body.artworkId
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Featured artwork updated",
+      data: {
+        featuredArtwork,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in setFeaturedArtwork controller: ${error.message}`);
+  }
+};
+
+// Claim a vanity slug
+const claimSlug = async (req, res, next) => {
+  try {
+    const slug = await artistProfileService.claimSlug(
+      req.user.id,
+      req.body.slug
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Profile URL updated",
+      data: {
+        slug,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in claimSlug controller: ${error.message}`);
+  }
+};
+
+// Get the current artist's verification status and latest application
+const getMyVerification = async (req, res, next) => {
+  try {
+    const verification = await artistVerificationService.getMyApplication(
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: verification,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getMyVerification controller: ${error.message}`);
+  }
+};
+
+// Apply for the verified artist badge
+const submitVerification = async (req, res, next) => {
+  try {
+    const application = await artistVerificationService.submitApplication(
+      req.user.id,
+      req.body
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Verification application submitted",
+      data: {
+        application,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in submitVerification controller: ${error.message}`);
+  }
+};
+
+// Send the information an admin asked for
+const provideVerificationInfo = async (req, res, next) => {
+  try {
+    const application = await artistVerificationService.provideMoreInfo(
+      req.user.id,
+      req.body
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Information sent for review",
+      data: {
+        application,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in provideVerificationInfo controller: ${error.message}`
+    );
+  }
+};
+
 // Helper function to check if user can have a public profile
 const checkPublicProfileEligibility = async (userId, userRole) => {
   // Artists always have public profiles
@@ -506,4 +760,14 @@ const getLastSeenStatus = (lastActive) => {
 
 module.exports = {
   getCompleteArtistProfile,
+  getMyProfile,
+  updateMyProfile,
+  addPortfolioImages,
+  reorderPortfolioImages,
+  removePortfolioImage,
+  setFeaturedArtwork,
+  claimSlug,
+  getMyVerification,
+  submitVerification,
+  provideVerificationInfo,
 };
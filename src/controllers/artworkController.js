@@ -35,6 +35,7 @@ const getArtworks = async (req, res, next) => {
       results: result.artworks.length,
       data: {
         artworks: result.artworks,
+        facets: result.facets,
         pagination: result.pagination,
       },
     });
@@ -54,15 +55,18 @@ const getArtworkById = async (req, res, next) => {
       userId
     );
 
-    // Record view if user is viewing
-    if (userId) {
-      const engagementService = require("../services/engagementService");
+    // Record the view (signed-in or anonymous)
+    const engagementService = require("../services/engagementService");
 
-      // Don't await this to avoid slowing down the response
-      engagementService
-        .recordArtworkView(req.params.id, userId)
-        .catch(() => {});
-    }
+    // Don't await this to avoid slowing down the response
+    engagementService
+      .recordArtworkView(req.params.id, {
+        userId,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        referrer: req.get("referer"),
+      })
+      .catch(() => {});
 
     res.status(200).json({
       status: "success",
@@ -233,6 +237,7 @@ const searchArtworks = async (req, res, next) => {
       results: result.artworks.length,
       data: {
         artworks: result.artworks,
+        facets: result.facets,
         pagination: result.pagination,
       },
     });
@@ -0,0 +1,102 @@
+const auctionService = require("../services/auctionService");
+const logger = require("../utils/logger");
+
+// Get auction state and latest bids
+const getAuction = async (req, res, next) => {
+  try {
+    const result = await auctionService.getAuction(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get auction controller: ${error.message}`);
+  }
+};
+
+// Get bid history of an auction
+const getBids = async (req, res, next) => {
+  try {
+    const result = await auctionService.getBids(req.params.id, req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.bids.length,
+      data: {
+        bids: result.bids,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get bids controller: ${error.message}`);
+  }
+};
+
+// Place a bid
+const placeBid = async (req, res, next) => {
+  try {
+    const result = await auctionService.placeBid(
+      req.params.id,
+      req.user.id,
+      req.body.amount
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Bid placed successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in place bid controller: ${error.message}`);
+  }
+};
+
+// Get bids placed by the current user
+const getMyBids = async (req, res, next) => {
+  try {
+    const result = await auctionService.getMyBids(req.user.id, req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.bids.length,
+      data: {
+        bids: result.bids,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get my bids controller: ${error.message}`);
+  }
+};
+
+// Create a checkout session for the winning bidder
+const createWinnerCheckout = async (req, res, next) => {
+  try {
+    const result = await auctionService.createWinnerCheckout(
+      req.params.id,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Purchase session created successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in auction checkout controller: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getAuction,
+  getBids,
+  placeBid,
+  getMyBids,
+  createWinnerCheckout,
+};
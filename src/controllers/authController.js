@@ -1,7 +1,14 @@
 const authService = require("../services/authService");
+const twoFactorService = require("../services/twoFactorService");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 
+// Device details stored with a session
+const getSessionMeta = (req) => ({
+  userAgent: req.get("user-agent"),
+  ipAddress: req.ip,
+});
+
 const register = async (req, res, next) => {
   try {
     const result = await authService.register(req.body);
@@ -23,7 +30,11 @@ const verifyOTP = async (req, res, next) => {
   try {
     const { email, otp } = req.body;
 
-    const result = await authService.verifyOTP(email, otp);
+    const result = await authService.verifyOTP(
+      email,
+      otp,
+      getSessionMeta(req)
+    );
 
     res.status(200).json({
       status: "success",
@@ -60,7 +71,22 @@ const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    const result = await authService.login(email, password);
+    const result = await authService.login(
+      email,
+      password,
+      getSessionMeta(req)
+    );
+
+    if (result.twoFactorRequired) {
+      return res.status(200).json({
+        status: "success",
+        message: result.message,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: result.challengeToken,
+        },
+      });
+    }
 
     res.status(200).json({
       status: "success",
@@ -77,18 +103,215 @@ const login = async (req, res, next) => {
   }
 };
 
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const result = await authService.verifyTwoFactorLogin(
+      challengeToken,
+      code,
+      getSessionMeta(req)
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        user: result.user,
+        ...(result.backupCodesRemaining !== undefined && {
+          backupCodesRemaining: result.backupCodesRemaining,
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in verifyTwoFactorLogin controller: ${error.message}`);
+  }
+};
+
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const twoFactor = await twoFactorService.getStatus(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        twoFactor,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getTwoFactorStatus controller: ${error.message}`);
+  }
+};
+
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.setup(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+      data: {
+        secret: result.secret,
+        otpauthUrl: result.otpauthUrl,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in setupTwoFactor controller: ${error.message}`);
+  }
+};
+
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.enable(
+      req.user.id,
+      req.body.code,
+      getSessionMeta(req)
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+      data: {
+        backupCodes: result.backupCodes,
+        token: result.token,
+        refreshToken: result.refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in enableTwoFactor controller: ${error.message}`);
+  }
+};
+
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const result = await twoFactorService.disable(req.user.id, password, code);
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in disableTwoFactor controller: ${error.message}`);
+  }
+};
+
+const regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.regenerateBackupCodes(
+      req.user.id,
+      req.body.code
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+      data: {
+        backupCodes: result.backupCodes,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in regenerateBackupCodes controller: ${error.message}`
+    );
+  }
+};
+
+const refreshToken = async (req, res, next) => {
+  try {
+    const result = await authService.refreshTokens(
+      req.body.refreshToken,
+      getSessionMeta(req)
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in refreshToken controller: ${error.message}`);
+  }
+};
+
 const logout = async (req, res, next) => {
   try {
-    // In a more complex implementation, we might invalidate the token
-    // For now, we'll just send a success response
-    // The frontend should remove the token from storage
+    const result = await authService.logout(req.user.id, req.authSessionId);
 
     res.status(200).json({
       status: "success",
-      message: "Logged out successfully",
+      message: result.message,
     });
   } catch (error) {
     next(error);
+    logger.error(`Error in logout controller: ${error.message}`);
+  }
+};
+
+const logoutAll = async (req, res, next) => {
+  try {
+    const result = await authService.logoutAll(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+      data: {
+        revokedCount: result.revokedCount,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in logoutAll controller: ${error.message}`);
+  }
+};
+
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await authService.getSessions(
+      req.user.id,
+      req.authSessionId
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: sessions.length,
+      data: {
+        sessions,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getSessions controller: ${error.message}`);
+  }
+};
+
+const revokeSession = async (req, res, next) => {
+  try {
+    const result = await authService.revokeSession(
+      req.user.id,
+      req.params.sessionId
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in revokeSession controller: ${error.message}`);
   }
 };
 
@@ -113,7 +336,11 @@ const resetPassword = async (req, res, next) => {
     const { token } = req.params;
     const { password } = req.body;
 
-    const result = await authService.resetPassword(token, password);
+    const result = await authService.resetPassword(
+      token,
+      password,
+      getSessionMeta(req)
+    );
 
     res.status(200).json({
       status: "success",
@@ -169,7 +396,8 @@ const updatePassword = async (req, res, next) => {
     const result = await authService.updatePassword(
       req.user.id,
       currentPassword,
-      newPassword
+      newPassword,
+      getSessionMeta(req)
     );
 
     res.status(200).json({
@@ -191,10 +419,20 @@ module.exports = {
   verifyOTP,
   resendOTP,
   login,
+  verifyTwoFactorLogin,
+  refreshToken,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
   forgotPassword,
   resetPassword,
   getMe,
   updateProfile,
   updatePassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
 };
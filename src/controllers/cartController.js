@@ -0,0 +1,97 @@
+const cartService = require("../services/cartService");
+const logger = require("../utils/logger");
+
+// Get current user's cart
+const getCart = async (req, res, next) => {
+  try {
+    const cart = await cartService.getCart(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        cart,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get cart controller: ${error.message}`);
+  }
+};
+
+// Add artwork to cart
+const addItem = async (req, res, next) => {
+  try {
+    const cart = await cartService.addItem(req.user.id, req.body.artworkId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Artwork added to cart",
+      data: {
+        cart,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in add cart item controller: ${error.message}`);
+  }
+};
+
+// Remove artwork from cart
+const removeItem = async (req, res, next) => {
+  try {
+    const cart = await cartService.removeItem(
+      req.user.id,
+      req.params.artworkId
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Artwork removed from cart",
+      data: {
+        cart,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in remove cart item controller: ${error.message}`);
+  }
+};
+
+// Clear cart
+const clearCart = async (req, res, next) => {
+  try {
+    const result = await cartService.clearCart(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in clear cart controller: ${error.message}`);
+  }
+};
+
+// Create a checkout session for all artworks in the cart
+const checkout = async (req, res, next) => {
+  try {
+    const result = await cartService.checkout(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Purchase session created successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in cart checkout controller: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getCart,
+  addItem,
+  removeItem,
+  clearCart,
+  checkout,
+};
@@ -0,0 +1,74 @@
+const conditionReportService = require("../services/conditionReportService");
+const logger = require("../utils/logger");
+
+// File a condition report on an artwork
+const createConditionReport = async (req, res, next) => {
+  try {
+    const report = await conditionReportService.createReport(
+      req.params.id,
+      req.user.id,
+      req.body
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Condition report filed",
+      data: {
+        report,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in create condition report controller: ${error.message}`
+    );
+  }
+};
+
+// Get condition reports of an artwork
+const getConditionReports = async (req, res, next) => {
+  try {
+    const result = await conditionReportService.getArtworkReports(
+      req.params.id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: result.reports.length,
+      data: {
+        reports: result.reports,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get condition reports controller: ${error.message}`);
+  }
+};
+
+// Get a single condition report
+const getConditionReport = async (req, res, next) => {
+  try {
+    const report = await conditionReportService.getReport(
+      req.params.id,
+      req.params.reportId
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        report,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get condition report controller: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createConditionReport,
+  getConditionReports,
+  getConditionReport,
+};
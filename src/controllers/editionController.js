@@ -0,0 +1,48 @@
+const editionService = require("../services/editionService");
+const logger = require("../utils/logger");
+
+// List the numbered units of an edition
+const getEditionUnits = async (req, res, next) => {
+  try {
+    const result = await editionService.getEditionUnits(
+      req.params.id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: result.units.length,
+      data: {
+        edition: result.edition,
+        units: result.units,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get edition units controller: ${error.message}`);
+  }
+};
+
+// Get one unit of an edition with its provenance
+const getEditionUnit = async (req, res, next) => {
+  try {
+    const result = await editionService.getEditionUnit(
+      req.params.id,
+      req.params.number
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get edition unit controller: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getEditionUnits,
+  getEditionUnit,
+};
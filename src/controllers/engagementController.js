@@ -1,4 +1,6 @@
 const engagementService = require("../services/engagementService");
+const recommendationService = require("../services/recommendationService");
+const feedService = require("../services/feedService");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 
@@ -90,16 +92,40 @@ const getUserFollowedArtists = async (req, res, next) => {
   }
 };
 
+// Get the feed of new works, price drops and sales from followed artists
+const getFollowingFeed = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const result = await feedService.getFeed(userId, req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.items.length,
+      data: {
+        feed: result.items,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getFollowingFeed controller: ${error.message}`);
+  }
+};
+
 // Get popular artworks
 const getPopularArtworks = async (req, res, next) => {
   try {
-    const { limit = 10 } = req.query;
-    const result = await engagementService.getPopularArtworks(parseInt(limit));
+    const { limit = 10, window } = req.query;
+    const result = await engagementService.getPopularArtworks(
+      parseInt(limit),
+      window
+    );
 
     res.status(200).json({
       status: "success",
       results: result.total,
       data: {
+        window: result.window,
         artworks: result.artworks,
       },
     });
@@ -112,13 +138,17 @@ const getPopularArtworks = async (req, res, next) => {
 // Get trending artists
 const getTrendingArtists = async (req, res, next) => {
   try {
-    const { limit = 10 } = req.query;
-    const result = await engagementService.getTrendingArtists(parseInt(limit));
+    const { limit = 10, window } = req.query;
+    const result = await engagementService.getTrendingArtists(
+      parseInt(limit),
+      window
+    );
 
     res.status(200).json({
       status: "success",
       results: result.total,
       data: {
+        window: result.window,
         artists: result.artists,
       },
     });
@@ -128,6 +158,31 @@ const getTrendingArtists = async (req, res, next) => {
   }
 };
 
+// Get personalized artwork recommendations
+const getRecommendations = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const result = await recommendationService.getRecommendations(
+      userId,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: result.artworks.length,
+      data: {
+        source: result.source,
+        computedAt: result.computedAt,
+        artworks: result.artworks,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getRecommendations controller: ${error.message}`);
+  }
+};
+
 // Get user engagement statistics
 const getUserEngagementStats = async (req, res, next) => {
   try {
@@ -148,20 +203,18 @@ const getUserEngagementStats = async (req, res, next) => {
   }
 };
 
-// Record artwork view (for view counting)
+// Record artwork view (for view counting, signed in or anonymous)
 const recordArtworkView = async (req, res, next) => {
   try {
     const { artworkId } = req.params;
-    const userId = req.user ? req.user.id : null;
 
-    if (!userId) {
-      return res.status(401).json({
-        status: "error",
-        message: "Authentication required to record views",
-      });
-    }
-
-    await engagementService.recordArtworkView(artworkId, userId);
+    // Single-page apps send document.referrer, the header is the fallback
+    await engagementService.recordArtworkView(artworkId, {
+      userId: req.user ? req.user.id : null,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      referrer: req.body?.referrer || req.get("referer"),
+    });
 
     res.status(200).json({
       status: "success",
@@ -173,13 +226,40 @@ const recordArtworkView = async (req, res, next) => {
   }
 };
 
+// Get daily views, likes and purchases of one of the artist's artworks
+const getArtworkAnalytics = async (req, res, next) => {
+  try {
+    const { artworkId } = req.params;
+    const userId = req.user.id;
+
+    const result = await engagementService.getArtworkAnalytics(
+      artworkId,
+      userId,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        analytics: result,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getArtworkAnalytics controller: ${error.message}`);
+  }
+};
+
 module.exports = {
   toggleArtworkLike,
   toggleArtistFollow,
   getUserLikedArtworks,
   getUserFollowedArtists,
+  getFollowingFeed,
   getPopularArtworks,
   getTrendingArtists,
+  getRecommendations,
   getUserEngagementStats,
   recordArtworkView,
+  getArtworkAnalytics,
 };
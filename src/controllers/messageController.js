@@ -122,8 +122,7 @@ const getConversationMessages = async (req, res, next) => {
           id: otherUser._id,
           name: otherUser.name,
           role: otherUser.role,
-          isOnline: otherUser.isOnline || false,
-          lastSeen: otherUser.lastSeen,
+          ...User.getVisiblePresence(otherUser),
         },
       },
     });
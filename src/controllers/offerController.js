@@ -0,0 +1,187 @@
+const offerService = require("../services/offerService");
+const logger = require("../utils/logger");
+
+// Make an offer on an artwork
+const makeOffer = async (req, res, next) => {
+  try {
+    const offer = await offerService.makeOffer(req.params.id, req.user.id, {
+      amount: req.body.amount,
+      message: req.body.message,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Offer sent to the owner",
+      data: {
+        offer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in make offer controller: ${error.message}`);
+  }
+};
+
+// Get offers on an artwork
+const getArtworkOffers = async (req, res, next) => {
+  try {
+    const result = await offerService.getArtworkOffers(
+      req.params.id,
+      req.user.id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: result.offers.length,
+      data: {
+        offers: result.offers,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get artwork offers controller: ${error.message}`);
+  }
+};
+
+// Get offers made or received by the current user
+const getMyOffers = async (req, res, next) => {
+  try {
+    const result = await offerService.getMyOffers(req.user.id, req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.offers.length,
+      data: {
+        offers: result.offers,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get my offers controller: ${error.message}`);
+  }
+};
+
+// Counter an offer with a new amount
+const counterOffer = async (req, res, next) => {
+  try {
+    const offer = await offerService.counterOffer(
+      req.params.id,
+      req.params.offerId,
+      req.user.id,
+      { amount: req.body.amount, message: req.body.message }
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Counter-offer sent",
+      data: {
+        offer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in counter offer controller: ${error.message}`);
+  }
+};
+
+// Accept an offer
+const acceptOffer = async (req, res, next) => {
+  try {
+    const offer = await offerService.acceptOffer(
+      req.params.id,
+      req.params.offerId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Offer accepted. The artwork is reserved for the buyer until payment is due.",
+      data: {
+        offer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in accept offer controller: ${error.message}`);
+  }
+};
+
+// Decline an offer
+const declineOffer = async (req, res, next) => {
+  try {
+    const offer = await offerService.declineOffer(
+      req.params.id,
+      req.params.offerId,
+      req.user.id,
+      req.body.message
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Offer declined",
+      data: {
+        offer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in decline offer controller: ${error.message}`);
+  }
+};
+
+// Withdraw an offer
+const withdrawOffer = async (req, res, next) => {
+  try {
+    const offer = await offerService.withdrawOffer(
+      req.params.id,
+      req.params.offerId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Offer withdrawn",
+      data: {
+        offer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in withdraw offer controller: ${error.message}`);
+  }
+};
+
+// Create a checkout session for an accepted offer
+const checkoutOffer = async (req, res, next) => {
+  try {
+    const result = await offerService.checkoutOffer(
+      req.params.id,
+      req.params.offerId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Purchase session created successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in checkout offer controller: ${error.message}`);
+  }
+};
+
+module.exports = {
+  makeOffer,
+  getArtworkOffers,
+  getMyOffers,
+  counterOffer,
+  acceptOffer,
+  declineOffer,
+  withdrawOffer,
+  checkoutOffer,
+};
@@ -1,5 +1,8 @@
-const Transaction = require("../models/Transaction");
 const paymentService = require("../services/paymentService");
+const payoutService = require("../services/payoutService");
+const refundService = require("../services/refundService");
+const webhookService = require("../services/webhookService");
+const { addWebhookRetryJob } = require("../jobs/webhookJobs");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 
@@ -62,22 +65,19 @@ const handleWebhook = async (req, res, next) => {
       paymentConfig.webhookEndpointSecret
     );
 
-    logger.info(`Stripe webhook received: ${event.type}`);
-
-    switch (event.type) {
-      case "payment_intent.succeeded":
-        await paymentService.handlePaymentSuccess(event.data.object);
-        break;
-      case "payment_intent.payment_failed":
-        logger.warn(`Payment failed: ${event.data.object.id}`);
-        // Update transaction status to failed
-        await Transaction.updateOne(
-          { paymentIntent: event.data.object.id },
-          { status: "failed" }
-        );
-        break;
-      default:
-        logger.info(`Unhandled webhook event: ${event.type}`);
+    logger.info(`Stripe webhook received: ${event.type} (${event.id})`);
+
+    // Stripe redelivers events; each one is handled only once
+    const webhookEvent = await webhookService.recordEvent(event);
+    if (!webhookEvent) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    try {
+      await webhookService.processEvent(event.id);
+    } catch (processingError) {
+      // Retried from our queue instead of relying on Stripe redelivery
+      await addWebhookRetryJob(event.id);
     }
 
     res.status(200).json({ received: true });
@@ -143,6 +143,132 @@ const getPaymentStats = async (req, res, next) => {
   }
 };
 
+// Start (or resume) Stripe Connect onboarding
+const createConnectOnboarding = async (req, res, next) => {
+  try {
+    const link = await payoutService.createOnboardingLink(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        url: link.url,
+        expiresAt: link.expiresAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Stripe Connect account status
+const getConnectStatus = async (req, res, next) => {
+  try {
+    const connect = await payoutService.getConnectStatus(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        connect,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a login link to the Stripe Express dashboard
+const createConnectDashboardLink = async (req, res, next) => {
+  try {
+    const link = await payoutService.createDashboardLink(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        url: link.url,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get payout ledger
+const getPayouts = async (req, res, next) => {
+  try {
+    const result = await payoutService.getPayouts(req.user.id, req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.payouts.length,
+      data: {
+        payouts: result.payouts,
+        balance: result.balance,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get pending and settled payout balance
+const getPayoutBalance = async (req, res, next) => {
+  try {
+    const balance = await payoutService.getBalance(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        balance,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ask for a refund of a purchase
+const requestRefund = async (req, res, next) => {
+  try {
+    const refundRequest = await refundService.requestRefund(
+      req.params.id,
+      req.user.id,
+      req.body.reason
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Refund request submitted. Our team will review it shortly.",
+      data: {
+        refundRequest,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the user's refund requests
+const getMyRefundRequests = async (req, res, next) => {
+  try {
+    const result = await refundService.getMyRefundRequests(
+      req.user.id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: result.refundRequests.length,
+      data: {
+        refundRequests: result.refundRequests,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   // TEMPORARILY DISABLED: Listing fee requirement
   // createListingSession,
@@ -151,4 +277,11 @@ module.exports = {
   getPaymentHistory,
   getTransaction,
   getPaymentStats,
+  createConnectOnboarding,
+  getConnectStatus,
+  createConnectDashboardLink,
+  getPayouts,
+  getPayoutBalance,
+  requestRefund,
+  getMyRefundRequests,
 };
@@ -0,0 +1,137 @@
+const reviewService = require("../services/reviewService");
+const logger = require("../utils/logger");
+
+// Review a completed purchase
+const createReview = async (req, res, next) => {
+  try {
+    const review = await reviewService.createReview(req.user.id, req.body);
+
+    res.status(201).json({
+      status: "success",
+      message: "Review published",
+      data: {
+        review,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in createReview controller: ${error.message}`);
+  }
+};
+
+// Edit own review
+const updateReview = async (req, res, next) => {
+  try {
+    const review = await reviewService.updateReview(
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Review updated",
+      data: {
+        review,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in updateReview controller: ${error.message}`);
+  }
+};
+
+// Artist replies to a review of their work
+const replyToReview = async (req, res, next) => {
+  try {
+    const review = await reviewService.replyToReview(
+      req.user.id,
+      req.params.id,
+      req.body.text
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Reply saved",
+      data: {
+        review,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in replyToReview controller: ${error.message}`);
+  }
+};
+
+// Published reviews and rating summary of an artist
+const getArtistReviews = async (req, res, next) => {
+  try {
+    const result = await reviewService.getArtistReviews(
+      req.params.artistId,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: result.reviews.length,
+      data: {
+        rating: result.rating,
+        reviews: result.reviews,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getArtistReviews controller: ${error.message}`);
+  }
+};
+
+// Published reviews of an artwork
+const getArtworkReviews = async (req, res, next) => {
+  try {
+    const result = await reviewService.getArtworkReviews(
+      req.params.artworkId,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: result.reviews.length,
+      data: {
+        reviews: result.reviews,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getArtworkReviews controller: ${error.message}`);
+  }
+};
+
+// Reviews written by the current user
+const getMyReviews = async (req, res, next) => {
+  try {
+    const result = await reviewService.getMyReviews(req.user.id, req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.reviews.length,
+      data: {
+        reviews: result.reviews,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getMyReviews controller: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createReview,
+  updateReview,
+  replyToReview,
+  getArtistReviews,
+  getArtworkReviews,
+  getMyReviews,
+};
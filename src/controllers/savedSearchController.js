@@ -0,0 +1,131 @@
+const savedSearchService = require("../services/savedSearchService");
+const logger = require("../utils/logger");
+
+// Save a search
+const createSavedSearch = async (req, res, next) => {
+  try {
+    const search = await savedSearchService.createSavedSearch(
+      req.user.id,
+      req.body
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Search saved",
+      data: {
+        search,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in create saved search controller: ${error.message}`);
+  }
+};
+
+// Get current user's saved searches
+const getMySavedSearches = async (req, res, next) => {
+  try {
+    const result = await savedSearchService.getMySavedSearches(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      results: result.searches.length,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get saved searches controller: ${error.message}`);
+  }
+};
+
+// Update a saved search
+const updateSavedSearch = async (req, res, next) => {
+  try {
+    const search = await savedSearchService.updateSavedSearch(
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Saved search updated",
+      data: {
+        search,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in update saved search controller: ${error.message}`);
+  }
+};
+
+// Delete a saved search
+const deleteSavedSearch = async (req, res, next) => {
+  try {
+    await savedSearchService.deleteSavedSearch(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Saved search deleted",
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in delete saved search controller: ${error.message}`);
+  }
+};
+
+// Run a saved search
+const runSavedSearch = async (req, res, next) => {
+  try {
+    const result = await savedSearchService.runSavedSearch(
+      req.user.id,
+      req.params.id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: result.artworks.length,
+      data: {
+        search: result.search,
+        artworks: result.artworks,
+        facets: result.facets,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in run saved search controller: ${error.message}`);
+  }
+};
+
+// Set how often saved search alerts are sent
+const setAlertFrequency = async (req, res, next) => {
+  try {
+    const alerts = await savedSearchService.setAlertFrequency(
+      req.user.id,
+      req.body.frequency
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Alert frequency updated",
+      data: {
+        alerts,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in set alert frequency controller: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createSavedSearch,
+  getMySavedSearches,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearch,
+  setAlertFrequency,
+};
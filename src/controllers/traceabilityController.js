@@ -1,4 +1,5 @@
 const traceabilityService = require("../services/traceabilityService");
+const certificateService = require("../services/certificateService");
 const logger = require("../utils/logger");
 
 // Get artwork ownership history
@@ -20,6 +21,25 @@ const getArtworkHistory = async (req, res, next) => {
   }
 };
 
+// Verify the provenance chain of an artwork
+const verifyChainIntegrity = async (req, res, next) => {
+  try {
+    const { artworkId } = req.params;
+
+    const integrity = await traceabilityService.verifyChainIntegrity(artworkId);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        integrity,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in verifyChainIntegrity controller: ${error.message}`);
+  }
+};
+
 // Generate ownership certificate
 const generateOwnershipCertificate = async (req, res, next) => {
   try {
@@ -28,7 +48,8 @@ const generateOwnershipCertificate = async (req, res, next) => {
 
     const certificate = await traceabilityService.generateOwnershipCertificate(
       artworkId,
-      userId
+      userId,
+      req.query.unit
     );
 
     res.status(200).json({
@@ -46,6 +67,70 @@ const generateOwnershipCertificate = async (req, res, next) => {
   }
 };
 
+// Download the signed ownership certificate as a PDF
+const downloadCertificatePdf = async (req, res, next) => {
+  try {
+    const { artworkId } = req.params;
+    const userId = req.user.id;
+
+    const pdf = await certificateService.generateCertificatePdf(
+      artworkId,
+      userId,
+      req.query.unit
+    );
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${pdf.filename}"`,
+      "Content-Length": pdf.buffer.length,
+    });
+    res.status(200).send(pdf.buffer);
+  } catch (error) {
+    next(error);
+    logger.error(`Error in downloadCertificatePdf controller: ${error.message}`);
+  }
+};
+
+// Verify a signed certificate (public)
+const verifyCertificate = async (req, res, next) => {
+  try {
+    const { certificateId } = req.params;
+
+    const verification = await certificateService.verifyCertificate(
+      certificateId
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        verification,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in verifyCertificate controller: ${error.message}`);
+  }
+};
+
+// Get the public key that signs certificates
+const getCertificatePublicKey = async (req, res, next) => {
+  try {
+    const publicKey = certificateService.getPublicKey();
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        publicKey,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in getCertificatePublicKey controller: ${error.message}`
+    );
+  }
+};
+
 // Verify artwork ownership
 const verifyOwnership = async (req, res, next) => {
   try {
@@ -139,7 +224,11 @@ const searchTraceabilityRecords = async (req, res, next) => {
 
 module.exports = {
   getArtworkHistory,
+  verifyChainIntegrity,
   generateOwnershipCertificate,
+  downloadCertificatePdf,
+  verifyCertificate,
+  getCertificatePublicKey,
   verifyOwnership,
   getTraceabilityStats,
   getUserOwnershipHistory,
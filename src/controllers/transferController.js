@@ -0,0 +1,145 @@
+const transferService = require("../services/transferService");
+const logger = require("../utils/logger");
+
+// Start an ownership transfer to another user
+const createTransfer = async (req, res, next) => {
+  try {
+    const transfer = await transferService.createTransfer(
+      req.params.id,
+      req.user.id,
+      req.body
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Transfer sent. The recipient has to accept it.",
+      data: {
+        transfer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in create transfer controller: ${error.message}`);
+  }
+};
+
+// Get transfers of an artwork the user is a party to
+const getArtworkTransfers = async (req, res, next) => {
+  try {
+    const result = await transferService.getArtworkTransfers(
+      req.params.id,
+      req.user.id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: result.transfers.length,
+      data: {
+        transfers: result.transfers,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get artwork transfers controller: ${error.message}`);
+  }
+};
+
+// Get transfers started or received by the current user
+const getMyTransfers = async (req, res, next) => {
+  try {
+    const result = await transferService.getMyTransfers(req.user.id, req.query);
+
+    res.status(200).json({
+      status: "success",
+      results: result.transfers.length,
+      data: {
+        transfers: result.transfers,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in get my transfers controller: ${error.message}`);
+  }
+};
+
+// Accept a transfer
+const acceptTransfer = async (req, res, next) => {
+  try {
+    const transfer = await transferService.acceptTransfer(
+      req.params.id,
+      req.params.transferId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message:
+        transfer.status === "completed"
+          ? "Transfer accepted. You are now the owner of this artwork."
+          : "Transfer accepted. It will complete once an admin has reviewed it.",
+      data: {
+        transfer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in accept transfer controller: ${error.message}`);
+  }
+};
+
+// Decline a transfer
+const declineTransfer = async (req, res, next) => {
+  try {
+    const transfer = await transferService.declineTransfer(
+      req.params.id,
+      req.params.transferId,
+      req.user.id,
+      req.body.note
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Transfer declined",
+      data: {
+        transfer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in decline transfer controller: ${error.message}`);
+  }
+};
+
+// Cancel a transfer
+const cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await transferService.cancelTransfer(
+      req.params.id,
+      req.params.transferId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Transfer cancelled",
+      data: {
+        transfer,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in cancel transfer controller: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createTransfer,
+  getArtworkTransfers,
+  getMyTransfers,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer,
+};
@@ -0,0 +1,179 @@
+const userService = require("../services/userService");
+const logger = require("../utils/logger");
+
+// Get a user's public profile
+const getUserProfile = async (req, res, next) => {
+  try {
+    const result = await userService.getPublicProfile(
+      req.params.id,
+      req.user?.id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getUserProfile controller: ${error.message}`);
+  }
+};
+
+// Get the current user's account settings
+const getMySettings = async (req, res, next) => {
+  try {
+    const settings = await userService.getSettings(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        settings,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in getMySettings controller: ${error.message}`);
+  }
+};
+
+// Update which emails the user receives
+const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const preferences = await userService.updateNotificationPreferences(
+      req.user.id,
+      req.body
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Notification preferences updated",
+      data: preferences,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(
+      `Error in updateNotificationPreferences controller: ${error.message}`
+    );
+  }
+};
+
+// Update privacy toggles
+const updatePrivacySettings = async (req, res, next) => {
+  try {
+    const privacy = await userService.updatePrivacy(req.user.id, req.body);
+
+    res.status(200).json({
+      status: "success",
+      message: "Privacy settings updated",
+      data: {
+        privacy,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in updatePrivacySettings controller: ${error.message}`);
+  }
+};
+
+// Send a confirmation code to a new email address
+const requestEmailChange = async (req, res, next) => {
+  try {
+    const result = await userService.requestEmailChange(
+      req.user.id,
+      req.body.email,
+      req.body.password
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: result.message,
+      data: {
+        pendingEmail: result.pendingEmail,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in requestEmailChange controller: ${error.message}`);
+  }
+};
+
+// Confirm the new email address with its code
+const confirmEmailChange = async (req, res, next) => {
+  try {
+    const result = await userService.confirmEmailChange(
+      req.user.id,
+      req.body.otp,
+      req.authSessionId
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Email address updated",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in confirmEmailChange controller: ${error.message}`);
+  }
+};
+
+// Upload a new profile picture
+const updateAvatar = async (req, res, next) => {
+  try {
+    const avatar = await userService.updateAvatar(req.user.id, req.body.avatar);
+
+    res.status(200).json({
+      status: "success",
+      message: "Profile picture updated",
+      data: {
+        avatar,
+      },
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in updateAvatar controller: ${error.message}`);
+  }
+};
+
+// Remove the profile picture
+const removeAvatar = async (req, res, next) => {
+  try {
+    await userService.removeAvatar(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Profile picture removed",
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in removeAvatar controller: ${error.message}`);
+  }
+};
+
+// Delete the current user's account
+const deleteMyAccount = async (req, res, next) => {
+  try {
+    await userService.deleteAccount(req.user.id, req.body.password);
+
+    res.status(200).json({
+      status: "success",
+      message: "Your account has been deleted",
+    });
+  } catch (error) {
+    next(error);
+    logger.error(`Error in deleteMyAccount controller: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getUserProfile,
+  getMySettings,
+  updateNotificationPreferences,
+  updatePrivacySettings,
+  requestEmailChange,
+  confirmEmailChange,
+  updateAvatar,
+  removeAvatar,
+  deleteMyAccount,
+};
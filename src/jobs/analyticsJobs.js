@@ -1 +1,87 @@
-// Analytics generation
\ No newline at end of file
+// Analytics generation
+const Queue = require("bull");
+const config = require("../config/config");
+const recommendationService = require("../services/recommendationService");
+const trendingService = require("../services/trendingService");
+const logger = require("../utils/logger");
+
+// create analytics queue
+const analyticsQueue = new Queue("analytics processing", {
+  redis: {
+    port: config.redis.port || 6379,
+    host: config.redis.host || "localhost",
+  },
+});
+
+// Precompute the recommendation lists of active users
+analyticsQueue.process("compute-recommendations", async (job) => {
+  try {
+    logger.info("Starting recommendation job");
+    return await recommendationService.computeAllRecommendations();
+  } catch (error) {
+    logger.error("Recommendation job failed:", error);
+    throw error;
+  }
+});
+
+// Recalculate the time-decayed trending scores
+analyticsQueue.process("compute-trending", async (job) => {
+  try {
+    logger.info("Starting trending score job");
+    return await trendingService.computeTrendingScores();
+  } catch (error) {
+    logger.error("Trending score job failed:", error);
+    throw error;
+  }
+});
+
+// Schedule recommendations every 6 hours
+const addRecommendationJob = () => {
+  return analyticsQueue.add(
+    "compute-recommendations",
+    {},
+    {
+      repeat: { cron: "0 */6 * * *" }, // Every 6 hours
+      attempts: 3,
+    }
+  );
+};
+
+// Schedule trending scores every hour
+const addTrendingJob = () => {
+  return analyticsQueue.add(
+    "compute-trending",
+    {},
+    {
+      repeat: { cron: "5 * * * *" }, // Every hour
+      attempts: 3,
+    }
+  );
+};
+
+// Initialize analytics jobs
+const initializeAnalyticsJobs = async () => {
+  try {
+    await addRecommendationJob();
+    await addTrendingJob();
+    logger.info("Recommendation and trending jobs initialized");
+  } catch (error) {
+    logger.error("Failed to initialize analytics jobs:", error);
+  }
+};
+
+// Error handling
+analyticsQueue.on("failed", (job, err) => {
+  logger.error(`Analytics job ${job.id} failed:`, err);
+});
+
+analyticsQueue.on("completed", (job, result) => {
+  logger.info(`Analytics job ${job.id} completed:`, result);
+});
+
+module.exports = {
+  analyticsQueue,
+  addRecommendationJob,
+  addTrendingJob,
+  initializeAnalyticsJobs,
+};
@@ -0,0 +1,96 @@
+const Queue = require("bull");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// create auction queue
+const auctionQueue = new Queue("auction processing", {
+  redis: {
+    port: config.redis.port || 6379,
+    host: config.redis.host || "localhost",
+  },
+});
+
+// Required lazily: auctionService schedules jobs from this module
+const getAuctionService = () => require("../services/auctionService");
+
+// Close a single auction at its end time
+auctionQueue.process("close-auction", async (job) => {
+  const { artworkId } = job.data;
+
+  try {
+    logger.info(`Closing auction for artwork: ${artworkId}`);
+    return await getAuctionService().closeAuction(artworkId);
+  } catch (error) {
+    logger.error(`Failed to close auction ${artworkId}:`, error);
+    throw error;
+  }
+});
+
+// Sweep for overdue auctions and winners who did not pay in time
+auctionQueue.process("process-due-auctions", async (job) => {
+  try {
+    return await getAuctionService().processDueAuctions();
+  } catch (error) {
+    logger.error("Auction sweep job failed:", error);
+    throw error;
+  }
+});
+
+// Add job functions
+const addAuctionCloseJob = (artworkId, endTime) => {
+  const closeAt = new Date(endTime).getTime();
+
+  return auctionQueue.add(
+    "close-auction",
+    { artworkId: artworkId.toString() },
+    {
+      // One job per end time; anti-sniping extensions schedule a new one
+      jobId: `close-auction-${artworkId}-${closeAt}`,
+      delay: Math.max(0, closeAt - Date.now()),
+      attempts: 3,
+      backoff: {
+        type: "exponential",
+        delay: 5000,
+      },
+      removeOnComplete: true,
+    }
+  );
+};
+
+// Schedule sweep every minute
+const addAuctionSweepJob = () => {
+  return auctionQueue.add(
+    "process-due-auctions",
+    {},
+    {
+      repeat: { cron: "* * * * *" }, // Every minute
+      attempts: 3,
+    }
+  );
+};
+
+// Initialize auction jobs
+const initializeAuctionJobs = async () => {
+  try {
+    await addAuctionSweepJob();
+    logger.info("Auction sweep jobs initialized");
+  } catch (error) {
+    logger.error("Failed to initialize auction jobs:", error);
+  }
+};
+
+// Error handling
+auctionQueue.on("failed", (job, err) => {
+  logger.error(`Auction job ${job.id} failed:`, err);
+});
+
+auctionQueue.on("completed", (job, result) => {
+  logger.info(`Auction job ${job.id} completed:`, result);
+});
+
+module.exports = {
+  auctionQueue,
+  addAuctionCloseJob,
+  addAuctionSweepJob,
+  initializeAuctionJobs,
+};
@@ -6,7 +6,13 @@ const Artwork = require("../models/Artwork");
 const Message = require("../models/Message");
 const Transaction = require("../models/Transaction");
 const TraceabilityRecord = require("../models/TraceabilityRecord");
+const EditionUnit = require("../models/EditionUnit");
 const ListingPayment = require("../models/ListingPayment");
+const SavedSearch = require("../models/SavedSearch");
+const FeedItem = require("../models/FeedItem");
+const ArtworkActivity = require("../models/ArtworkActivity");
+const ArtworkView = require("../models/ArtworkView");
+const Session = require("../models/Session");
 const { deleteCloudinaryImage } = require("../middleware/upload");
 const artworkCacheService = require("../services/artworkCacheService");
 const logger = require("../utils/logger");
@@ -43,8 +49,23 @@ cleanupQueue.process("cleanup-artwork", async (job) => {
 
     job.progress(40);
 
-    // Delete related traceability records
-    await TraceabilityRecord.deleteMany({ artworkId });
+    // Delete related traceability records and edition units, unless a unit
+    // is held by another collector whose provenance must survive
+    const heldByOthers = await EditionUnit.exists({
+      artwork: artworkId,
+      currentOwner: { $ne: userId },
+    });
+    if (heldByOthers) {
+      logger.warn(
+        `Keeping provenance of artwork ${artworkId}: units are held by other users`
+      );
+    } else {
+      await TraceabilityRecord.deleteMany({ artworkId });
+      await EditionUnit.deleteMany({ artwork: artworkId });
+    }
+    await FeedItem.deleteMany({ artwork: artworkId });
+    await ArtworkActivity.deleteMany({ artwork: artworkId });
+    await ArtworkView.deleteMany({ artwork: artworkId });
 
     job.progress(60);
 
@@ -77,14 +98,27 @@ cleanupQueue.process("cleanup-user", async (job) => {
     job.progress(10);
 
     if (userRole === "artist") {
-      // Get all artworks by this artist
-      const artworks = await Artwork.find({ artist: userId });
+      // Only artworks the artist still owns; sold ones belong to collectors
+      const artworks = await Artwork.find({
+        artist: userId,
+        currentOwner: userId,
+      });
 
       job.progress(30);
 
-      // Delete all artist's artworks and their related data
       for (const artwork of artworks) {
-        // Add artwork cleanup job for each artwork
+        // An edition with sold units stays listed for its collectors
+        if (
+          artwork.isEdition &&
+          (await EditionUnit.exists({
+            artwork: artwork._id,
+            $or: [{ status: "sold" }, { currentOwner: { $ne: userId } }],
+          }))
+        ) {
+          continue;
+        }
+
+        await Artwork.deleteOne({ _id: artwork._id });
         await addArtworkCleanupJob(artwork._id, artwork.images, userId);
       }
 
@@ -100,6 +134,27 @@ cleanupQueue.process("cleanup-user", async (job) => {
       $or: [{ sender: userId }, { receiver: userId }],
     });
 
+    // Delete user's saved searches, feed and sessions
+    await SavedSearch.deleteMany({ user: userId });
+    await FeedItem.deleteMany({ user: userId });
+    await Session.deleteMany({ user: userId });
+
+    // Remove the user from other users' follow lists
+    await User.updateMany(
+      { followedArtists: userId },
+      {
+        $pull: { followedArtists: userId },
+        $inc: { "engagementStats.totalFollowing": -1 },
+      }
+    );
+    await User.updateMany(
+      { followers: userId },
+      {
+        $pull: { followers: userId },
+        $inc: { "engagementStats.totalFollowers": -1 },
+      }
+    );
+
     job.progress(80);
 
     // Delete user's transactions (keep for record-keeping, just anonymize)
@@ -150,6 +205,12 @@ cleanupQueue.process("cleanup-expired-sessions", async (job) => {
       }
     );
 
+    // Clean up expired email change codes
+    await User.updateMany(
+      { "emailChange.expiresAt": { $lt: Date.now() } },
+      { $unset: { emailChange: 1 } }
+    );
+
     job.progress(80);
 
     // Clean up old unverified users (older than 7 days)
@@ -0,0 +1,64 @@
+const Queue = require("bull");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// create feed queue
+const feedQueue = new Queue("following feed", {
+  redis: {
+    port: config.redis.port || 6379,
+    host: config.redis.host || "localhost",
+  },
+});
+
+// Required lazily: artwork, admin and payment services schedule jobs from
+// this module
+const getFeedService = () => require("../services/feedService");
+
+// Copy an artist's event into the feeds of their followers
+feedQueue.process("fan-out", async (job) => {
+  const { type, artworkId } = job.data;
+
+  try {
+    logger.info(`Fanning out ${type} event for artwork: ${artworkId}`);
+    return await getFeedService().fanOut(job.data);
+  } catch (error) {
+    logger.error(`Feed fan-out failed for ${artworkId}:`, error);
+    throw error;
+  }
+});
+
+// Add job functions. The event key is fixed here, so retries of the job
+// reuse it.
+const addFeedFanOutJob = (type, artworkId, data = {}) => {
+  return feedQueue.add(
+    "fan-out",
+    {
+      type,
+      artworkId: artworkId.toString(),
+      data,
+      eventKey: `${type}:${artworkId}:${Date.now()}`,
+    },
+    {
+      attempts: 3,
+      backoff: {
+        type: "exponential",
+        delay: 5000,
+      },
+      removeOnComplete: true,
+    }
+  );
+};
+
+// Error handling
+feedQueue.on("failed", (job, err) => {
+  logger.error(`Feed job ${job.id} failed:`, err);
+});
+
+feedQueue.on("completed", (job, result) => {
+  logger.info(`Feed job ${job.id} completed:`, result);
+});
+
+module.exports = {
+  feedQueue,
+  addFeedFanOutJob,
+};
@@ -0,0 +1,60 @@
+const Queue = require("bull");
+const config = require("../config/config");
+const offerService = require("../services/offerService");
+const logger = require("../utils/logger");
+
+// create offer queue
+const offerQueue = new Queue("offer processing", {
+  redis: {
+    port: config.redis.port || 6379,
+    host: config.redis.host || "localhost",
+  },
+});
+
+// Expire offers whose response or payment window has passed
+offerQueue.process("expire-offers", async (job) => {
+  try {
+    logger.info("Starting offer expiry job");
+    return await offerService.expireOffers();
+  } catch (error) {
+    logger.error("Offer expiry job failed:", error);
+    throw error;
+  }
+});
+
+// Schedule expiry every 5 minutes
+const addOfferExpiryJob = () => {
+  return offerQueue.add(
+    "expire-offers",
+    {},
+    {
+      repeat: { cron: "*/5 * * * *" }, // Every 5 minutes
+      attempts: 3,
+    }
+  );
+};
+
+// Initialize offer jobs
+const initializeOfferJobs = async () => {
+  try {
+    await addOfferExpiryJob();
+    logger.info("Offer expiry jobs initialized");
+  } catch (error) {
+    logger.error("Failed to initialize offer jobs:", error);
+  }
+};
+
+// Error handling
+offerQueue.on("failed", (job, err) => {
+  logger.error(`Offer job ${job.id} failed:`, err);
+});
+
+offerQueue.on("completed", (job, result) => {
+  logger.info(`Offer job ${job.id} completed:`, result);
+});
+
+module.exports = {
+  offerQueue,
+  addOfferExpiryJob,
+  initializeOfferJobs,
+};
@@ -26,7 +26,7 @@ paymentQueue.process("send-payment-confirmation", async (job) => {
     const transaction = await Transaction.findById(transactionId)
       .populate("artwork", "title images")
       .populate("buyer", "email username")
-      .populate("seller", "email username");
+      .populate("seller", "email username notificationPreferences");
 
     if (!transaction) {
       throw new Error("Transaction not found");
@@ -49,13 +49,15 @@ paymentQueue.process("send-payment-confirmation", async (job) => {
         transaction.amount / 100
       );
 
-      // Send sale notification to seller
-      await emailService.sendSaleNotification(
-        transaction.seller.email,
-        transaction.seller.username,
-        transaction.artwork.title,
-        transaction.amount / 100
-      );
+      // Send sale notification to seller, unless they turned it off
+      if (transaction.seller.notificationPreferences?.email?.sales !== false) {
+        await emailService.sendSaleNotification(
+          transaction.seller.email,
+          transaction.seller.username,
+          transaction.artwork.title,
+          transaction.amount / 100
+        );
+      }
     }
 
     logger.info(
@@ -217,6 +219,16 @@ paymentQueue.process("cleanup-expired-transactions", async (job) => {
   }
 });
 
+// Transfer a seller's share of a sale to their connected account
+paymentQueue.process("process-seller-payout", async (job) => {
+  const { payoutId } = job.data;
+
+  // Required lazily: payoutService enqueues jobs from this module
+  const payoutService = require("../services/payoutService");
+
+  return await payoutService.processPayout(payoutId);
+});
+
 // Add job functions
 const addPaymentConfirmationJob = (transactionId, type) => {
   return paymentQueue.add(
@@ -244,6 +256,20 @@ const addFailedPaymentJob = (paymentIntentId, reason) => {
   );
 };
 
+const addSellerPayoutJob = (payoutId) => {
+  return paymentQueue.add(
+    "process-seller-payout",
+    { payoutId },
+    {
+      attempts: 5,
+      backoff: {
+        type: "exponential",
+        delay: 60000,
+      },
+    }
+  );
+};
+
 // Schedule cleanup every 10 minutes
 const addTransactionCleanupJob = () => {
   return paymentQueue.add(
@@ -280,5 +306,6 @@ module.exports = {
   addPaymentConfirmationJob,
   addFailedPaymentJob,
   addTransactionCleanupJob,
+  addSellerPayoutJob,
   initializePaymentJobs,
 };
@@ -0,0 +1,91 @@
+const Queue = require("bull");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// create saved search queue
+const savedSearchQueue = new Queue("saved search alerts", {
+  redis: {
+    port: config.redis.port || 6379,
+    host: config.redis.host || "localhost",
+  },
+});
+
+// Required lazily: adminService schedules jobs from this module
+const getSavedSearchService = () => require("../services/savedSearchService");
+
+// Check a newly approved artwork against the saved searches
+savedSearchQueue.process("match-artwork", async (job) => {
+  const { artworkId } = job.data;
+
+  try {
+    logger.info(`Matching saved searches for artwork: ${artworkId}`);
+    return await getSavedSearchService().matchNewArtwork(artworkId);
+  } catch (error) {
+    logger.error(`Saved search matching failed for ${artworkId}:`, error);
+    throw error;
+  }
+});
+
+// Send the daily and weekly digests that are due
+savedSearchQueue.process("send-digests", async (job) => {
+  try {
+    return await getSavedSearchService().sendDueAlerts();
+  } catch (error) {
+    logger.error("Saved search digest job failed:", error);
+    throw error;
+  }
+});
+
+// Add job functions
+const addSavedSearchMatchJob = (artworkId) => {
+  return savedSearchQueue.add(
+    "match-artwork",
+    { artworkId: artworkId.toString() },
+    {
+      attempts: 3,
+      backoff: {
+        type: "exponential",
+        delay: 5000,
+      },
+      removeOnComplete: true,
+    }
+  );
+};
+
+// Schedule digests every hour, each user is sent theirs once it is due
+const addSavedSearchDigestJob = () => {
+  return savedSearchQueue.add(
+    "send-digests",
+    {},
+    {
+      repeat: { cron: "0 * * * *" }, // Every hour
+      attempts: 3,
+    }
+  );
+};
+
+// Initialize saved search jobs
+const initializeSavedSearchJobs = async () => {
+  try {
+    await addSavedSearchDigestJob();
+    logger.info("Saved search digest jobs initialized");
+  } catch (error) {
+    logger.error("Failed to initialize saved search jobs:", error);
+  }
+};
+
+// Error handling
+savedSearchQueue.on("failed", (job, err) => {
+  logger.error(`Saved search job ${job.id} failed:`, err);
+});
+
+savedSearchQueue.on("completed", (job, result) => {
+  logger.info(`Saved search job ${job.id} completed:`, result);
+});
+
+module.exports = {
+  savedSearchQueue,
+  addSavedSearchMatchJob,
+  addSavedSearchDigestJob,
+  initializeSavedSearchJobs,
+};
@@ -0,0 +1,92 @@
+const Queue = require("bull");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// create webhook queue
+const webhookQueue = new Queue("webhook processing", {
+  redis: {
+    port: config.redis.port || 6379,
+    host: config.redis.host || "localhost",
+  },
+});
+
+// Retry a webhook event whose processing failed
+webhookQueue.process("retry-webhook-event", async (job) => {
+  const { eventId } = job.data;
+
+  // Required lazily: the webhook service pulls in every payment service
+  const webhookService = require("../services/webhookService");
+
+  return await webhookService.processEvent(eventId);
+});
+
+// Requeue events never processed (e.g. the server stopped mid-request)
+webhookQueue.process("retry-stale-webhook-events", async (job) => {
+  try {
+    const webhookService = require("../services/webhookService");
+    const staleEvents = await webhookService.findStaleEvents();
+
+    for (const event of staleEvents) {
+      await addWebhookRetryJob(event.eventId);
+    }
+
+    return { requeued: staleEvents.length };
+  } catch (error) {
+    logger.error("Stale webhook sweep failed:", error);
+    throw error;
+  }
+});
+
+// Add job functions
+const addWebhookRetryJob = (eventId) => {
+  return webhookQueue.add(
+    "retry-webhook-event",
+    { eventId },
+    {
+      attempts: 5,
+      delay: 30000,
+      backoff: {
+        type: "exponential",
+        delay: 60000,
+      },
+    }
+  );
+};
+
+// Schedule stale event sweep every 15 minutes
+const addStaleWebhookSweepJob = () => {
+  return webhookQueue.add(
+    "retry-stale-webhook-events",
+    {},
+    {
+      repeat: { cron: "*/15 * * * *" }, // Every 15 minutes
+      attempts: 3,
+    }
+  );
+};
+
+// Initialize webhook jobs
+const initializeWebhookJobs = async () => {
+  try {
+    await addStaleWebhookSweepJob();
+    logger.info("Webhook retry jobs initialized");
+  } catch (error) {
+    logger.error("Failed to initialize webhook jobs:", error);
+  }
+};
+
+// Error handling
+webhookQueue.on("failed", (job, err) => {
+  logger.error(`Webhook job ${job.id} failed:`, err);
+});
+
+webhookQueue.on("completed", (job, result) => {
+  logger.info(`Webhook job ${job.id} completed:`, result);
+});
+
+module.exports = {
+  webhookQueue,
+  addWebhookRetryJob,
+  addStaleWebhookSweepJob,
+  initializeWebhookJobs,
+};
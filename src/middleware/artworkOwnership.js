@@ -28,6 +28,37 @@ const checkArtworkOwnership = async (req, res, next) => {
   }
 };
 
+// check if user can file a condition report (owner or designated inspector).
+// Runs before the photo upload so rejected requests upload nothing.
+const checkConditionReportAccess = async (req, res, next) => {
+  try {
+    const artwork = await Artwork.findById(req.params.id).select(
+      "currentOwner"
+    );
+
+    if (!artwork) {
+      return next(new AppError("Artwork not found", 404));
+    }
+
+    if (
+      artwork.currentOwner.toString() !== req.user.id &&
+      !req.user.isInspector
+    ) {
+      return next(
+        new AppError(
+          "Only the owner or an inspector can file a condition report",
+          403
+        )
+      );
+    }
+
+    req.artwork = artwork;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Check if artwork can be modified (not sold)
 const checkArtworkModifiable = (req, res, next) => {
   Transaction.findOne({
@@ -48,4 +79,5 @@ const checkArtworkModifiable = (req, res, next) => {
 module.exports = {
   checkArtworkOwnership,
   checkArtworkModifiable,
+  checkConditionReportAccess,
 };
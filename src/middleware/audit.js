@@ -0,0 +1,31 @@
+// Writes successful admin actions to the admin audit log
+
+const auditService = require("../services/auditService");
+
+// Record the action once the response has been sent successfully. The target
+// is the :id (or :messageId) route parameter; the request body is kept as
+// the details.
+const auditAdminAction = (action, targetType) => {
+  return (req, res, next) => {
+    res.on("finish", () => {
+      if (res.statusCode >= 400) return;
+
+      auditService.record({
+        adminId: req.user.id,
+        action,
+        targetType,
+        targetId: req.params.id || req.params.messageId,
+        reason: req.body?.reason || req.body?.note,
+        details: req.body,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditAdminAction,
+};
@@ -1,5 +1,6 @@
 const User = require("../models/User");
 const AppError = require("../utils/appError");
+const sessionService = require("../services/sessionService");
 const { verifyToken } = require("../utils/helpers");
 const logger = require("../utils/logger");
 
@@ -21,6 +22,16 @@ const protect = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
+    if (!decoded) {
+      return next(new AppError("Invalid token, Please log in again", 401));
+    }
+
+    // Tokens are only valid while their session has not been revoked
+    if (!(await sessionService.isSessionActive(decoded.sid, decoded.id))) {
+      return next(
+        new AppError("Your session has ended, Please log in again", 401)
+      );
+    }
 
     const currentUser = await User.findById(decoded.id).select("+password");
     if (!currentUser) {
@@ -35,7 +46,15 @@ const protect = async (req, res, next) => {
       );
     }
 
+    // Suspended or banned by an admin
+    const restriction = currentUser.getAccessRestriction();
+    if (restriction) {
+      return next(new AppError(restriction, 403));
+    }
+
     req.user = currentUser;
+    req.authSessionId = decoded.sid;
+    req.authTwoFactorVerified = !!decoded.mfa;
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -62,6 +81,35 @@ const restrictTo = (...roles) => {
   };
 };
 
+// Require a two-factor verified session for the given roles (use after restrictTo)
+const requireTwoFactor = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return next();
+    }
+
+    if (!req.user.twoFactor?.enabled) {
+      return next(
+        new AppError(
+          "Please enable two-factor authentication to access this resource",
+          403
+        )
+      );
+    }
+
+    if (!req.authTwoFactorVerified) {
+      return next(
+        new AppError(
+          "Please log in again with your two-factor authentication code",
+          401
+        )
+      );
+    }
+
+    next();
+  };
+};
+
 // Optional authentication - for routes that can be accessed by both authenticated and unauthenticated users
 const optionalAuth = async (req, res, next) => {
   try {
@@ -75,9 +123,21 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      const currentUser = await User.findById(decoded.id).select("+password");
-      if (currentUser && currentUser.isVerified) {
-        req.user = currentUser;
+      if (
+        decoded &&
+        (await sessionService.isSessionActive(decoded.sid, decoded.id))
+      ) {
+        const currentUser = await User.findById(decoded.id).select(
+          "+password"
+        );
+        if (
+          currentUser &&
+          currentUser.isVerified &&
+          !currentUser.getAccessRestriction()
+        ) {
+          req.user = currentUser;
+          req.authSessionId = decoded.sid;
+        }
       }
     }
     next();
@@ -100,6 +160,7 @@ const requireVerification = (req, res, next) => {
 module.exports = {
   protect,
   restrictTo,
+  requireTwoFactor,
   optionalAuth,
   requireVerification,
 };
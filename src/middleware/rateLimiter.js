@@ -1 +1,25 @@
-// Rate limiting configurations
\ No newline at end of file
+// Rate limiting configurations
+const rateLimit = require("express-rate-limit");
+const logger = require("../utils/logger");
+
+// Rate limiter for two-factor login codes, on top of the per-challenge
+// attempt limit in authService
+const twoFactorRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 code attempts per 15 minutes
+  message: {
+    status: "error",
+    message: "Too many verification attempts. Please try again later.",
+    retryAfter: "15 minutes",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip,
+  onLimitReached: (req, res, options) => {
+    logger.warn(`Two-factor rate limit exceeded for IP: ${req.ip}`);
+  },
+});
+
+module.exports = {
+  twoFactorRateLimit,
+};
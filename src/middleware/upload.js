@@ -26,9 +26,87 @@ const upload = multer({
   },
 });
 
+// Filter for verification documents: images or PDFs
+const documentFilter = (req, file, cb) => {
+  if (
+    file.mimetype.startsWith("image") ||
+    file.mimetype === "application/pdf"
+  ) {
+    cb(null, true);
+  } else {
+    cb(
+      new AppError("Please upload only images or PDF documents.", 400),
+      false
+    );
+  }
+};
+
+// Configure multer for verification documents
+const documentUpload = multer({
+  storage: multerStorage,
+  fileFilter: documentFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 8, // Identity and portfolio documents together
+  },
+});
+
 // Upload multiple images
 const uploadArtworkImages = upload.array("images", 5);
 
+// Condition report photos
+const uploadConditionPhotos = upload.array("photos", 5);
+
+// Artist portfolio images
+const uploadPortfolioImages = upload.array("images", 5);
+
+// Profile picture
+const uploadAvatar = upload.single("avatar");
+
+// Artist verification evidence
+const uploadVerificationDocuments = documentUpload.fields([
+  { name: "identityDocuments", maxCount: 3 },
+  { name: "portfolioDocuments", maxCount: 5 },
+]);
+
+// Resize, optimize and upload one image to a Cloudinary folder
+const uploadImage = async (buffer, folder, filename) => {
+  const optimizedImageBuffer = await sharp(buffer)
+    .resize(1200, 1200, {
+      fit: sharp.fit.inside,
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: 90 })
+    .toBuffer();
+
+  const result = await new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        {
+          folder,
+          public_id: filename,
+          resource_type: "auto",
+          transformation: [
+            { width: 1200, height: 1200, crop: "limit" },
+            { quality: "auto" },
+            { format: "auto" },
+          ],
+        },
+        (error, result) => {
+          if (error) {
+            logger.error("Cloudinary upload error:", error);
+            reject(new AppError("Image upload failed", 500));
+          } else {
+            resolve(result);
+          }
+        }
+      )
+      .end(optimizedImageBuffer);
+  });
+
+  return result.secure_url;
+};
+
 // Process and upload images to Cloudinary
 const processArtworkImages = async (req, res, next) => {
   if (!req.files || req.files.length === 0) {
@@ -36,51 +114,15 @@ const processArtworkImages = async (req, res, next) => {
   }
 
   try {
-    req.body.images = [];
-
-    // Process each image
-    await Promise.all(
-      req.files.map(async (file, index) => {
-        // Generate unique filename
-        const filename = `artwork-${req.user.id}-${Date.now()}-${index + 1}`;
-
-        // Resize and optimize image
-        const optimizedImageBuffer = await sharp(file.buffer)
-          .resize(1200, 1200, {
-            fit: sharp.fit.inside,
-            withoutEnlargement: true,
-          })
-          .jpeg({ quality: 90 })
-          .toBuffer();
-
-        // Upload to Cloudinary
-        const result = await new Promise((resolve, reject) => {
-          cloudinary.uploader
-            .upload_stream(
-              {
-                folder: "artwork",
-                public_id: filename,
-                resource_type: "auto",
-                transformation: [
-                  { width: 1200, height: 1200, crop: "limit" },
-                  { quality: "auto" },
-                  { format: "auto" },
-                ],
-              },
-              (error, result) => {
-                if (error) {
-                  logger.error("Cloudinary upload error:", error);
-                  reject(new AppError("Image upload failed", 500));
-                } else {
-                  resolve(result);
-                }
-              }
-            )
-            .end(optimizedImageBuffer);
-        });
-
-        req.body.images.push(result.secure_url);
-      })
+    // Keep the upload order
+    req.body.images = await Promise.all(
+      req.files.map((file, index) =>
+        uploadImage(
+          file.buffer,
+          "artwork",
+          `artwork-${req.user.id}-${Date.now()}-${index + 1}`
+        )
+      )
     );
 
     next();
@@ -90,11 +132,145 @@ const processArtworkImages = async (req, res, next) => {
   }
 };
 
-const deleteCloudinaryImage = async (imageUrl) => {
+// Process and upload condition report photos to Cloudinary
+const processConditionPhotos = async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError("Please upload at least one photo", 400));
+  }
+
+  try {
+    req.body.photos = await Promise.all(
+      req.files.map((file, index) =>
+        uploadImage(
+          file.buffer,
+          "condition-reports",
+          `condition-${req.params.id}-${Date.now()}-${index + 1}`
+        )
+      )
+    );
+
+    next();
+  } catch (error) {
+    logger.error("Condition photo processing error:", error);
+    next(new AppError("Image processing failed", 500));
+  }
+};
+
+// Process and upload artist portfolio images to Cloudinary
+const processPortfolioImages = async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError("Please upload at least one image", 400));
+  }
+
+  try {
+    req.body.images = await Promise.all(
+      req.files.map((file, index) =>
+        uploadImage(
+          file.buffer,
+          "portfolio",
+          `portfolio-${req.user.id}-${Date.now()}-${index + 1}`
+        )
+      )
+    );
+
+    next();
+  } catch (error) {
+    logger.error("Portfolio image processing error:", error);
+    next(new AppError("Image processing failed", 500));
+  }
+};
+
+// Process and upload a profile picture to Cloudinary
+const processAvatar = async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError("Please upload an image", 400));
+  }
+
+  try {
+    req.body.avatar = await uploadImage(
+      req.file.buffer,
+      "avatars",
+      `avatar-${req.user.id}-${Date.now()}`
+    );
+
+    next();
+  } catch (error) {
+    logger.error("Avatar processing error:", error);
+    next(new AppError("Image processing failed", 500));
+  }
+};
+
+// Upload one verification document as-is. Documents are stored as
+// authenticated assets, so they can only be opened through a signed URL.
+const uploadDocument = async (file, folder, filename) => {
+  const result = await new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        {
+          folder,
+          public_id: filename,
+          resource_type: "auto",
+          type: "authenticated",
+        },
+        (error, result) => {
+          if (error) {
+            logger.error("Cloudinary upload error:", error);
+            reject(new AppError("Document upload failed", 500));
+          } else {
+            resolve(result);
+          }
+        }
+      )
+      .end(file.buffer);
+  });
+
+  return {
+    publicId: result.public_id,
+    resourceType: result.resource_type,
+    format: result.format,
+    originalName: file.originalname,
+    uploadedAt: new Date(),
+  };
+};
+
+// Process and upload verification documents to Cloudinary. Both fields are
+// optional here; the service decides what an application needs.
+const processVerificationDocuments = async (req, res, next) => {
+  const files = req.files || {};
+
+  try {
+    for (const field of ["identityDocuments", "portfolioDocuments"]) {
+      req.body[field] = await Promise.all(
+        (files[field] || []).map((file, index) =>
+          uploadDocument(
+            file,
+            "artist-verification",
+            `${field}-${req.user.id}-${Date.now()}-${index + 1}`
+          )
+        )
+      );
+    }
+
+    next();
+  } catch (error) {
+    logger.error("Verification document processing error:", error);
+    next(new AppError("Document processing failed", 500));
+  }
+};
+
+// Short-lived signed URL for an authenticated document
+const getSignedDocumentUrl = (document, expiresInSeconds = 10 * 60) =>
+  cloudinary.utils.private_download_url(document.publicId, document.format, {
+    resource_type: document.resourceType,
+    type: "authenticated",
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  });
+
+const deleteCloudinaryImage = async (imageUrl, folder = "artwork") => {
   try {
     // Extract public_id from Cloudinary URL
     const publicId = imageUrl.split("/").pop().split(".")[0];
-    const fullPublicId = `artwork/${publicId}`;
+    const fullPublicId = `${folder}/${publicId}`;
 
     await cloudinary.uploader.destroy(fullPublicId);
     logger.info(`Image deleted from Cloudinary: ${fullPublicId}`);
@@ -106,5 +282,14 @@ const deleteCloudinaryImage = async (imageUrl) => {
 module.exports = {
   uploadArtworkImages,
   processArtworkImages,
+  uploadConditionPhotos,
+  processConditionPhotos,
+  uploadPortfolioImages,
+  processPortfolioImages,
+  uploadAvatar,
+  processAvatar,
+  uploadVerificationDocuments,
+  processVerificationDocuments,
+  getSignedDocumentUrl,
   deleteCloudinaryImage,
 };
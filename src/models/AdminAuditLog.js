@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// One admin action. Entries are written once and never changed or removed.
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // e.g. "user.suspend", "artwork.approve"
+    action: {
+      type: String,
+      required: true,
+    },
+    // Model of the affected document (User, Artwork, Transaction...)
+    targetType: {
+      type: String,
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    reason: String,
+    // Request body of the action (reason, duration, note...)
+    details: mongoose.Schema.Types.Mixed,
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ admin: 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Refuse any change to existing entries
+const refuseChange = function (next) {
+  next(new Error("Admin audit log entries cannot be changed or deleted"));
+};
+
+adminAuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+  "findOneAndRemove",
+].forEach((operation) => {
+  adminAuditLogSchema.pre(operation, refuseChange);
+});
+
+const AdminAuditLog = mongoose.model("AdminAuditLog", adminAuditLogSchema);
+
+module.exports = AdminAuditLog;
@@ -9,6 +9,20 @@ const artistProfileSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Vanity URL, resolved by GET /api/artists/:id like the user ID
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true,
+      minlength: 3,
+      maxlength: 40,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Slug can only contain lowercase letters, numbers and single hyphens",
+      ],
+    },
     bio: {
       type: String,
       trim: true,
@@ -23,15 +37,19 @@ const artistProfileSchema = new mongoose.Schema(
       instagram: String,
       pinterest: String,
     },
+    // Cloudinary URLs, in display order
     portfolioImages: [String],
     verified: {
       type: Boolean,
       default: false,
     },
+    // Set when an admin approves a verification application
+    verifiedAt: Date,
     totalSales: {
       type: Number,
       default: 0,
     },
+    // Published buyer reviews, maintained by reviewService
     rating: {
       average: {
         type: Number,
@@ -41,6 +59,11 @@ const artistProfileSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Sum of the ratings, so the average can be updated atomically
+      total: {
+        type: Number,
+        default: 0,
+      },
     },
     specialties: [String],
     joinedAt: {
@@ -66,6 +89,11 @@ artistProfileSchema.virtual("artworks", {
   localField: "userId",
 });
 
+artistProfileSchema.statics.MAX_PORTFOLIO_IMAGES = 20;
+
+// Slugs that would clash with routes under /api/artists
+artistProfileSchema.statics.RESERVED_SLUGS = ["me"];
+
 const ArtistProfile = mongoose.model("ArtistProfile", artistProfileSchema);
 
 module.exports = ArtistProfile;
\ No newline at end of file
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+
+// A document uploaded as evidence (stored as an authenticated Cloudinary
+// asset, see middleware/upload.js)
+const documentSchema = new mongoose.Schema(
+  {
+    publicId: {
+      type: String,
+      required: true,
+    },
+    resourceType: String,
+    format: String,
+    originalName: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// An artist's application for the verified badge, reviewed by admins
+const artistVerificationSchema = new mongoose.Schema(
+  {
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // info_requested: waiting for the artist to send more evidence
+    status: {
+      type: String,
+      enum: ["pending", "info_requested", "approved", "rejected"],
+      default: "pending",
+    },
+    statement: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    portfolioLinks: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    identityDocuments: [documentSchema],
+    portfolioDocuments: [documentSchema],
+    // What the admin asked for in the latest info request
+    requestedInfo: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    decisionNote: String,
+    // Audit trail of every submission and decision, only ever appended to
+    history: [
+      {
+        action: {
+          type: String,
+          enum: [
+            "submitted",
+            "info_provided",
+            "info_requested",
+            "approved",
+            "rejected",
+          ],
+          required: true,
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        // Status after the action
+        status: String,
+        note: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open application per artist
+artistVerificationSchema.index(
+  { artist: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ["pending", "info_requested"] } },
+  }
+);
+artistVerificationSchema.index({ artist: 1, createdAt: -1 });
+// Review queue, oldest first
+artistVerificationSchema.index({ status: 1, updatedAt: 1 });
+
+artistVerificationSchema.statics.OPEN_STATUSES = ["pending", "info_requested"];
+
+const ArtistVerification = mongoose.model(
+  "ArtistVerification",
+  artistVerificationSchema
+);
+
+module.exports = ArtistVerification;
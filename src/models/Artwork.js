@@ -1,4 +1,74 @@
 const mongoose = require("mongoose");
+const config = require("../config/config");
+const ArtworkActivity = require("./ArtworkActivity");
+
+// Auction settings and live state for artworks sold by auction
+const auctionSchema = new mongoose.Schema(
+  {
+    startTime: Date,
+    endTime: Date,
+    // Hidden from listings; bidders only see whether it has been met
+    reservePrice: {
+      type: Number,
+      min: [0, "Reserve price must be at least 0"],
+      select: false,
+    },
+    minimumIncrement: {
+      type: Number,
+      min: [1, "Minimum increment must be at least 1"],
+      default: 1,
+    },
+    // Bids in the last N minutes push the end time back by N minutes
+    antiSnipingMinutes: {
+      type: Number,
+      min: 0,
+      default: 5,
+    },
+    status: {
+      type: String,
+      // closing: the end time passed and a close job is picking the winner
+      enum: [
+        "open",
+        "closing",
+        "awaiting_payment",
+        "sold",
+        "unsold",
+        "cancelled",
+      ],
+      default: "open",
+    },
+    currentBid: Number,
+    currentBidder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    bidCount: {
+      type: Number,
+      default: 0,
+    },
+    extensionCount: {
+      type: Number,
+      default: 0,
+    },
+    // When a close job claimed the auction (status closing)
+    closingAt: Date,
+    closedAt: Date,
+    winner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    winningBid: Number,
+    paymentDeadline: Date,
+    // Winners who did not pay in time and are skipped on fallback
+    lapsedBidders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  { _id: false }
+);
 
 const artworkSchema = new mongoose.Schema(
   {
@@ -46,6 +116,27 @@ const artworkSchema = new mongoose.Schema(
       enum: ["pending", "approved", "rejected"],
       default: "pending",
     },
+
+    // Fixed price sale (price) or timed auction (price is the starting bid)
+    saleType: {
+      type: String,
+      enum: ["fixed_price", "auction"],
+      default: "fixed_price",
+    },
+    // Only set for auctions
+    auction: {
+      type: auctionSchema,
+      default: undefined,
+    },
+    // Resale royalty paid to the artist; the platform default applies when unset
+    royaltyPercentage: {
+      type: Number,
+      min: [0, "Royalty percentage must be at least 0"],
+      max: [
+        config.royalties.maxPercentage,
+        `Royalty percentage cannot exceed ${config.royalties.maxPercentage}`,
+      ],
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -105,9 +196,17 @@ const artworkSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Sold as numbered EditionUnit documents instead of a single work
+    isEdition: {
+      type: Boolean,
+      default: false,
+    },
     edition: {
+      // Legacy: number of a print stored as its own artwork
       number: Number,
       total: Number,
+      // Units not sold yet (editions only)
+      remaining: Number,
     },
     // Engagement metrics
     engagementStats: {
@@ -122,10 +221,28 @@ const artworkSchema = new mongoose.Schema(
       lastLikedAt: {
         type: Date,
       },
+      // All-time score: likes * 2 + views
       popularityScore: {
         type: Number,
         default: 0,
       },
+      // Time-decayed scores (0-100, relative to the artwork's medium),
+      // recalculated by the trending job
+      trending: {
+        last24h: {
+          type: Number,
+          default: 0,
+        },
+        last7d: {
+          type: Number,
+          default: 0,
+        },
+        last30d: {
+          type: Number,
+          default: 0,
+        },
+        updatedAt: Date,
+      },
     },
     // Users who liked this artwork (for quick lookup)
     likedBy: [
@@ -144,28 +261,48 @@ const artworkSchema = new mongoose.Schema(
 
 // Static method to increment view count
 artworkSchema.statics.incrementViewCount = async function (artworkId) {
+  // Pipeline update, so the score is computed from the stored counts
   const artwork = await this.findByIdAndUpdate(
     artworkId,
-    {
-      $inc: { "engagementStats.totalViews": 1 },
-      $set: {
-        "engagementStats.popularityScore": {
-          $add: [
-            { $multiply: ["$engagementStats.totalLikes", 2] },
-            { $add: ["$engagementStats.totalViews", 1] },
-          ],
+    [
+      {
+        $set: {
+          "engagementStats.totalViews": {
+            $add: [{ $ifNull: ["$engagementStats.totalViews", 0] }, 1],
+          },
         },
       },
-    },
+      {
+        $set: {
+          "engagementStats.popularityScore": {
+            $add: [
+              {
+                $multiply: [
+                  { $ifNull: ["$engagementStats.totalLikes", 0] },
+                  2,
+                ],
+              },
+              "$engagementStats.totalViews",
+            ],
+          },
+        },
+      },
+    ],
     { new: true }
   );
   return artwork;
 };
 
-// Static method to get popular artworks
-artworkSchema.statics.getPopularArtworks = function (limit = 10) {
+// Static method to get popular artworks (by trending score in a window)
+artworkSchema.statics.getPopularArtworks = function (
+  limit = 10,
+  window = ArtworkActivity.DEFAULT_WINDOW
+) {
+  const { field } = ArtworkActivity.WINDOWS[window];
+
   return this.find({ status: "approved" })
     .sort({
+      [`engagementStats.trending.${field}`]: -1,
       "engagementStats.popularityScore": -1,
       "engagementStats.totalLikes": -1,
     })
@@ -174,6 +311,11 @@ artworkSchema.statics.getPopularArtworks = function (limit = 10) {
     .populate("currentOwner", "username profile");
 };
 
+// Royalty percentage owed to the artist when this artwork is resold
+artworkSchema.methods.getRoyaltyPercentage = function () {
+  return this.royaltyPercentage ?? config.royalties.defaultPercentage;
+};
+
 // Instance method to check if user has liked this artwork
 artworkSchema.methods.isLikedByUser = function (userId) {
   return this.likedBy && this.likedBy.includes(userId);
@@ -183,11 +325,17 @@ artworkSchema.methods.isLikedByUser = function (userId) {
 artworkSchema.index({ title: "text", description: "text", tags: "text" });
 artworkSchema.index({ status: 1, createdAt: -1 });
 artworkSchema.index({ artist: 1, status: 1 });
+// Faceted search filters
+artworkSchema.index({ status: 1, medium: 1, year: 1 });
+artworkSchema.index({ saleType: 1, "auction.status": 1, "auction.endTime": 1 });
 
 // Index for engagement queries
 artworkSchema.index({ "engagementStats.totalLikes": -1 });
 artworkSchema.index({ "engagementStats.popularityScore": -1 });
 artworkSchema.index({ "engagementStats.totalViews": -1 });
+artworkSchema.index({ status: 1, "engagementStats.trending.last24h": -1 });
+artworkSchema.index({ status: 1, "engagementStats.trending.last7d": -1 });
+artworkSchema.index({ status: 1, "engagementStats.trending.last30d": -1 });
 artworkSchema.index({ likedBy: 1 });
 
 // Virtual for artwork traceability history
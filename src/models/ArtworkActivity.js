@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// Views, likes and sales of an artwork within one hour, the input of the
+// windowed trending scores
+const artworkActivitySchema = new mongoose.Schema({
+  artwork: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Artwork",
+    required: true,
+  },
+  // Start of the hour (UTC)
+  bucket: {
+    type: Date,
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+  // Likes minus unlikes
+  likes: {
+    type: Number,
+    default: 0,
+  },
+  sales: {
+    type: Number,
+    default: 0,
+  },
+});
+
+artworkActivitySchema.index({ artwork: 1, bucket: 1 }, { unique: true });
+
+// Buckets are kept a little longer than the longest window
+artworkActivitySchema.index(
+  { bucket: 1 },
+  { expireAfterSeconds: 31 * 24 * 60 * 60 }
+);
+
+// Trending windows: the query value, the field the score is stored in and
+// how fast activity inside the window loses weight
+artworkActivitySchema.statics.WINDOWS = {
+  "24h": { field: "last24h", hours: 24, halfLifeHours: 6 },
+  "7d": { field: "last7d", hours: 7 * 24, halfLifeHours: 2 * 24 },
+  "30d": { field: "last30d", hours: 30 * 24, halfLifeHours: 7 * 24 },
+};
+
+artworkActivitySchema.statics.DEFAULT_WINDOW = "7d";
+
+// Count activity in the current hour's bucket
+artworkActivitySchema.statics.record = function (artworkId, counts) {
+  const bucket = new Date();
+  bucket.setUTCMinutes(0, 0, 0);
+
+  return this.updateOne(
+    { artwork: artworkId, bucket },
+    { $inc: counts },
+    { upsert: true }
+  );
+};
+
+const ArtworkActivity = mongoose.model(
+  "ArtworkActivity",
+  artworkActivitySchema
+);
+
+module.exports = ArtworkActivity;
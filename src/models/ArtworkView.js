@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const config = require("../config/config");
+
+// One counted view of an artwork. Repeat views by the same viewer within
+// ArtworkView.DEDUPE_WINDOW_MS are not stored.
+const artworkViewSchema = new mongoose.Schema({
+  artwork: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Artwork",
+    required: true,
+  },
+  // Signed-in viewers only
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // "user:<id>", or "anon:<HMAC of IP and user agent>" for anonymous viewers
+  viewerKey: {
+    type: String,
+    required: true,
+  },
+  referrer: {
+    type: String,
+    maxlength: 500,
+  },
+  // Host of the referrer, used to group traffic sources
+  referrerHost: String,
+  viewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Dedupe lookups and per-artwork analytics
+artworkViewSchema.index({ artwork: 1, viewerKey: 1, viewedAt: -1 });
+artworkViewSchema.index({ artwork: 1, viewedAt: -1 });
+// A user's recent views, used by recommendations
+artworkViewSchema.index({ viewer: 1, viewedAt: -1 });
+
+// Remove view events after the retention period
+artworkViewSchema.index(
+  { viewedAt: 1 },
+  { expireAfterSeconds: config.views.retentionDays * 24 * 60 * 60 }
+);
+
+artworkViewSchema.statics.DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const ArtworkView = mongoose.model("ArtworkView", artworkViewSchema);
+
+module.exports = ArtworkView;
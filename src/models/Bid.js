@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const bidSchema = new mongoose.Schema(
+  {
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    bidder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Bid amount in euros (same unit as Artwork.price)
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Whether this bid pushed the auction end time back (anti-sniping)
+    extendedAuction: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bidSchema.index({ artwork: 1, amount: -1 });
+bidSchema.index({ bidder: 1, createdAt: -1 });
+
+const Bid = mongoose.model("Bid", bidSchema);
+
+module.exports = Bid;
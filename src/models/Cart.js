@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        artwork: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Artwork",
+          required: true,
+        },
+        // Price when added, so the cart can flag price changes
+        priceAtAdd: Number,
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cartSchema.index({ "items.artwork": 1 });
+
+// Maximum number of artworks in a single cart / checkout
+cartSchema.statics.MAX_ITEMS = 20;
+
+const Cart = mongoose.model("Cart", cartSchema);
+
+module.exports = Cart;
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// Signed ownership certificate. The payload is what the platform key signed,
+// so it must never be modified after issue.
+const certificateSchema = new mongoose.Schema(
+  {
+    certificateId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    // Set when the certificate is for one print of an edition
+    editionUnit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EditionUnit",
+      default: null,
+    },
+    holder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // recordHash of the last traceability record when the certificate was issued
+    chainHeadHash: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Base64 signature over the canonical JSON of the payload
+    signature: {
+      type: String,
+      required: true,
+    },
+    algorithm: {
+      type: String,
+      default: "Ed25519",
+    },
+    keyId: {
+      type: String,
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+certificateSchema.index({
+  artwork: 1,
+  editionUnit: 1,
+  holder: 1,
+  chainHeadHash: 1,
+});
+
+const Certificate = mongoose.model("Certificate", certificateSchema);
+
+module.exports = Certificate;
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// Dated record of an artwork's physical condition, filed by its owner or an
+// inspector and linked into the artwork's traceability chain
+const conditionReportSchema = new mongoose.Schema(
+  {
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Owner of the artwork when the report was filed
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reporterRole: {
+      type: String,
+      enum: ["owner", "inspector"],
+      required: true,
+    },
+    // When the artwork was examined (may be before the report was filed)
+    inspectionDate: {
+      type: Date,
+      required: [true, "Inspection date is required"],
+    },
+    grade: {
+      type: String,
+      enum: ["mint", "excellent", "very_good", "good", "fair", "poor"],
+      required: [true, "Condition grade is required"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Notes cannot exceed 2000 characters"],
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Location cannot exceed 200 characters"],
+    },
+    photos: {
+      type: [String],
+      validate: {
+        validator: (photos) => photos.length > 0,
+        message: "At least one photo is required",
+      },
+    },
+    traceabilityRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TraceabilityRecord",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conditionReportSchema.index({ artwork: 1, inspectionDate: -1 });
+conditionReportSchema.index({ reportedBy: 1, createdAt: -1 });
+
+const ConditionReport = mongoose.model(
+  "ConditionReport",
+  conditionReportSchema
+);
+
+module.exports = ConditionReport;
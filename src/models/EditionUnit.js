@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// One numbered print of an edition. The parent Artwork holds the listing
+// (title, images, price); each unit has its own owner, sale state and
+// provenance chain.
+const editionUnitSchema = new mongoose.Schema(
+  {
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    // Print number, 1 to edition.total
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    currentOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // reserved: held for a buyer while their checkout is open
+    status: {
+      type: String,
+      enum: ["available", "reserved", "sold"],
+      default: "available",
+    },
+    reservedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reservedUntil: Date,
+    ownershipHistory: [
+      {
+        owner: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        purchaseDate: Date,
+        price: Number,
+        transactionId: String,
+        fromOwner: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+    totalSales: {
+      type: Number,
+      default: 0,
+    },
+    lastSaleDate: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+editionUnitSchema.index({ artwork: 1, number: 1 }, { unique: true });
+editionUnitSchema.index({ artwork: 1, status: 1, number: 1 });
+editionUnitSchema.index({ currentOwner: 1 });
+
+// Largest edition the platform creates units for
+editionUnitSchema.statics.MAX_UNITS = 500;
+
+const EditionUnit = mongoose.model("EditionUnit", editionUnitSchema);
+
+module.exports = EditionUnit;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// An event from a followed artist, copied into each follower's feed when it
+// happens (fan-out on write)
+const feedItemSchema = new mongoose.Schema(
+  {
+    // The follower whose feed this is
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["new_artwork", "price_drop", "sale"],
+      required: true,
+    },
+    data: {
+      price: Number,
+      // price_drop only
+      previousPrice: Number,
+      // Sales of edition units
+      editionNumber: Number,
+    },
+    // Identifies the event, so a retried fan-out adds no duplicates
+    eventKey: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Feed pages, newest first
+feedItemSchema.index({ user: 1, createdAt: -1, _id: -1 });
+feedItemSchema.index({ user: 1, eventKey: 1 }, { unique: true });
+
+// Old feed items are removed
+feedItemSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+const FeedItem = mongoose.model("FeedItem", feedItemSchema);
+
+module.exports = FeedItem;
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+const offerSchema = new mongoose.Schema(
+  {
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Owner of the artwork when the offer was made
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Current amount on the table in euros (same unit as Artwork.price)
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "eur",
+    },
+    // pending: waiting for the seller, countered: waiting for the buyer
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "countered",
+        "accepted",
+        "declined",
+        "withdrawn",
+        "expired",
+        "completed",
+      ],
+      default: "pending",
+    },
+    history: [
+      {
+        action: {
+          type: String,
+          enum: [
+            "made",
+            "countered",
+            "accepted",
+            "declined",
+            "withdrawn",
+            "expired",
+            "completed",
+          ],
+          required: true,
+        },
+        amount: Number,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        message: {
+          type: String,
+          maxlength: 500,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Deadline for the other party to respond (or for the buyer to pay once accepted)
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: Date,
+    completedAt: Date,
+    paymentIntent: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+offerSchema.index({ artwork: 1, status: 1 });
+offerSchema.index({ buyer: 1, status: 1, createdAt: -1 });
+offerSchema.index({ seller: 1, status: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+// At most one accepted offer (reservation) per artwork, so concurrent accepts
+// of different offers cannot both win
+offerSchema.index(
+  { artwork: 1 },
+  { unique: true, partialFilterExpression: { status: "accepted" } }
+);
+
+// Offers that are still being negotiated
+offerSchema.statics.OPEN_STATUSES = ["pending", "countered"];
+
+offerSchema.methods.isExpired = function () {
+  return this.expiresAt && this.expiresAt <= new Date();
+};
+
+const Offer = mongoose.model("Offer", offerSchema);
+
+module.exports = Offer;
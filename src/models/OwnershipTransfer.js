@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+
+// Owner-initiated transfer of an artwork outside the checkout flow
+// (gift, inheritance, off-platform sale). The recipient must accept it.
+const ownershipTransferSchema = new mongoose.Schema(
+  {
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    // Owner of the artwork when the transfer was started
+    fromUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    toUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    transferType: {
+      type: String,
+      enum: ["gift", "inheritance", "private_sale", "other"],
+      required: true,
+    },
+    // Value declared by the owner in euros (same unit as Artwork.price)
+    declaredValue: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Message cannot exceed 500 characters"],
+    },
+    // Stored in the traceability record once the transfer completes
+    condition: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Condition notes cannot exceed 500 characters"],
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Location cannot exceed 200 characters"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+    },
+    // pending: waiting for the recipient, under_review: accepted, waiting for an admin
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "under_review",
+        // Claimed by an accept or approval that is moving the artwork
+        "completing",
+        "completed",
+        "declined",
+        "cancelled",
+        "rejected",
+        "expired",
+      ],
+      default: "pending",
+    },
+    requiresReview: {
+      type: Boolean,
+      default: false,
+    },
+    history: [
+      {
+        action: {
+          type: String,
+          enum: [
+            "created",
+            "accepted",
+            "declined",
+            "cancelled",
+            "approved",
+            "rejected",
+            "expired",
+            "completed",
+          ],
+          required: true,
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        note: {
+          type: String,
+          maxlength: 500,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Deadline for the recipient to accept
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    adminNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Admin note cannot exceed 500 characters"],
+    },
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ownershipTransferSchema.index({ artwork: 1, status: 1 });
+ownershipTransferSchema.index({ fromUser: 1, status: 1, createdAt: -1 });
+ownershipTransferSchema.index({ toUser: 1, status: 1, createdAt: -1 });
+ownershipTransferSchema.index({ status: 1, createdAt: -1 });
+
+// Transfers that still block the artwork from changing hands another way
+ownershipTransferSchema.statics.OPEN_STATUSES = [
+  "pending",
+  "under_review",
+  "completing",
+];
+
+ownershipTransferSchema.methods.isExpired = function () {
+  return (
+    this.status === "pending" && this.expiresAt && this.expiresAt <= new Date()
+  );
+};
+
+const OwnershipTransfer = mongoose.model(
+  "OwnershipTransfer",
+  ownershipTransferSchema
+);
+
+module.exports = OwnershipTransfer;
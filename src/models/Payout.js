@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// Payout ledger: one entry per seller share of a completed sale
+const payoutSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+      unique: true,
+    },
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    // Seller's share in cents
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "eur",
+    },
+    // pending: owed to the seller, settled: transferred to their Stripe account,
+    // held: frozen while the buyer disputes the charge, cancelled: sale refunded before transfer
+    status: {
+      type: String,
+      enum: ["pending", "settled", "failed", "held", "reversed", "cancelled"],
+      default: "pending",
+    },
+    transferGroup: String,
+    // Charge the transfer is funded from
+    sourceCharge: String,
+    stripeTransferId: String,
+    settledAt: Date,
+    reversedAt: Date,
+    failureReason: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payoutSchema.index({ seller: 1, status: 1, createdAt: -1 });
+payoutSchema.index({ stripeTransferId: 1 }, { sparse: true });
+
+const Payout = mongoose.model("Payout", payoutSchema);
+
+module.exports = Payout;
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// Buyer request to refund a completed purchase, reviewed by an admin
+const refundRequestSchema = new mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+    },
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Amount to refund in cents (same unit as Transaction.amount)
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      required: [true, "Refund reason is required"],
+      trim: true,
+      maxlength: [1000, "Refund reason cannot exceed 1000 characters"],
+    },
+    // approved: refund sent to Stripe, refunded: confirmed by the webhook
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "refunded"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    adminNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Admin note cannot exceed 500 characters"],
+    },
+    refundedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refundRequestSchema.index({ transaction: 1, status: 1 });
+refundRequestSchema.index({ buyer: 1, createdAt: -1 });
+refundRequestSchema.index({ status: 1, createdAt: -1 });
+
+const RefundRequest = mongoose.model("RefundRequest", refundRequestSchema);
+
+module.exports = RefundRequest;
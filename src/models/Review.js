@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+// A buyer's rating and review of a purchase, counted in the artist's rating
+// while published
+const reviewSchema = new mongoose.Schema(
+  {
+    // The completed sale being reviewed (one review per purchase)
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+      unique: true,
+    },
+    artwork: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artwork",
+      required: true,
+    },
+    editionUnit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EditionUnit",
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [1, "Rating must be between 1 and 5"],
+      max: [5, "Rating must be between 1 and 5"],
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 120,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    // hidden: removed by an admin, withdrawn: the purchase was refunded
+    status: {
+      type: String,
+      enum: ["published", "hidden", "withdrawn"],
+      default: "published",
+    },
+    reply: {
+      text: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+      },
+      repliedAt: Date,
+    },
+    moderation: {
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: String,
+      moderatedAt: Date,
+    },
+    editedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reviewSchema.index({ artist: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ artwork: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ reviewer: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+const Review = mongoose.model("Review", reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// A buyer's artwork search (text + facet filters), re-run against every
+// newly approved artwork to alert them of matches
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    // Text searched with $text, same as /api/artwork/search?q=
+    query: {
+      type: String,
+      trim: true,
+    },
+    // Same filters as the artwork list and search endpoints
+    filters: {
+      minPrice: Number,
+      maxPrice: Number,
+      tags: {
+        type: [String],
+        default: undefined,
+      },
+      artist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      medium: {
+        type: [String],
+        default: undefined,
+      },
+      minYear: Number,
+      maxYear: Number,
+      minWidth: Number,
+      maxWidth: Number,
+      minHeight: Number,
+      maxHeight: Number,
+      dimensionUnit: {
+        type: String,
+        enum: ["cm", "in"],
+      },
+      isOriginal: Boolean,
+      isEdition: Boolean,
+      available: Boolean,
+      artistVerified: Boolean,
+    },
+    alertsEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Matches waiting for the user's next daily or weekly digest
+    pendingMatches: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Artwork",
+      },
+    ],
+    matchCount: {
+      type: Number,
+      default: 0,
+    },
+    lastMatchedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1 });
+
+// Maximum number of saved searches per user
+savedSearchSchema.statics.MAX_PER_USER = 20;
+
+const SavedSearch = mongoose.model("SavedSearch", savedSearchSchema);
+
+module.exports = SavedSearch;
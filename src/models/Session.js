@@ -0,0 +1,73 @@
+// Server-side login sessions (one per device / refresh token family)
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false, // Never return the token hash in normal queries
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ipAddress: String,
+    twoFactorVerified: {
+      type: Boolean,
+      default: false,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "revoked_by_user",
+        "reuse_detected",
+        "password_change",
+        "two_factor_change",
+        "email_change",
+        "account_deleted",
+        "revoked_by_admin",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove sessions from the collection once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Index for listing a user's active sessions
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Recently active users, used by the recommendation job
+sessionSchema.index({ lastUsedAt: -1 });
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
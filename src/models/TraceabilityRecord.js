@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 
 const traceabilityRecordSchema = new mongoose.Schema(
@@ -17,9 +18,15 @@ const traceabilityRecordSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Set for records of a single edition print, which has its own chain
+    editionUnit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EditionUnit",
+    },
     transactionType: {
       type: String,
-      enum: ["created", "sold", "transferred"],
+      // condition_report records do not change the owner
+      enum: ["created", "sold", "transferred", "condition_report"],
       required: true,
     },
     timestamp: {
@@ -39,7 +46,35 @@ const traceabilityRecordSchema = new mongoose.Schema(
       certificate: Object,
       paymentIntent: String,
       saleDate: Date,
+      isResale: Boolean,
+      originalArtist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      transferNumber: Number,
+      conditionReport: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ConditionReport",
+      },
+      // Owner-initiated transfers (gift, inheritance, private sale)
+      transferType: String,
+      ownershipTransfer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "OwnershipTransfer",
+      },
+      // Compensating records (refunds, lost disputes)
+      reason: String,
+      reversedTransaction: String,
+    },
+    // Position of the record in its provenance chain (0 = first)
+    sequence: Number,
+    // recordHash of the previous record of the same artwork (null for the first)
+    previousHash: {
+      type: String,
+      default: null,
     },
+    // SHA-256 over the canonical contents of this record, including previousHash
+    recordHash: String,
   },
   {
     timestamps: true,
@@ -49,14 +84,101 @@ const traceabilityRecordSchema = new mongoose.Schema(
 // Index for faster searches
 traceabilityRecordSchema.index({ artworkId: 1, timestamp: 1 });
 traceabilityRecordSchema.index({ fromUserId: 1, toUserId: 1 });
+// One record per chain position, so concurrent appends cannot fork the chain.
+// Each edition unit has its own chain next to the artwork's.
+traceabilityRecordSchema.index(
+  { artworkId: 1, editionUnit: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+// Stable JSON-ready form: sorted keys, ids and dates as strings, empty values dropped
+const canonicalize = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === "object") {
+    const result = {};
+    Object.keys(value)
+      .sort()
+      .forEach((key) => {
+        const canonical = canonicalize(value[key]);
+        if (canonical !== undefined) {
+          result[key] = canonical;
+        }
+      });
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+  return value === null ? undefined : value;
+};
+
+// Filter selecting one provenance chain: the artwork's own, or an edition unit's
+traceabilityRecordSchema.statics.chainFilter = function (
+  artworkId,
+  editionUnitId = null
+) {
+  return { artworkId, editionUnit: editionUnitId };
+};
+
+// Static method to generate a unique transaction reference
+traceabilityRecordSchema.statics.generateTransactionHash = function () {
+  return `tr-${Date.now()}-${crypto.randomBytes(8).toString("hex")}`;
+};
+
+// SHA-256 over the fields that make up a provenance entry
+traceabilityRecordSchema.statics.computeRecordHash = function (record) {
+  const contents = canonicalize({
+    artworkId: record.artworkId,
+    editionUnit: record.editionUnit,
+    sequence: record.sequence,
+    fromUserId: record.fromUserId,
+    toUserId: record.toUserId,
+    transactionType: record.transactionType,
+    timestamp: record.timestamp,
+    transactionHash: record.transactionHash,
+    additionalData: record.additionalData,
+    previousHash: record.previousHash,
+  });
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(contents))
+    .digest("hex");
+};
+
+// Append a record to the end of its chain (optionally within a session)
+traceabilityRecordSchema.statics.appendRecord = async function (
+  data,
+  session = null
+) {
+  const lastRecord = await this.findOne({
+    ...this.chainFilter(data.artworkId, data.editionUnit || null),
+    sequence: { $exists: true },
+  })
+    .sort({ sequence: -1 })
+    .select("sequence recordHash")
+    .session(session)
+    .lean();
+
+  const record = new this({
+    ...data,
+    transactionHash: data.transactionHash || this.generateTransactionHash(),
+    timestamp: data.timestamp || new Date(),
+    sequence: lastRecord ? lastRecord.sequence + 1 : 0,
+    previousHash: lastRecord ? lastRecord.recordHash : null,
+  });
+
+  // Hash what is actually stored (after schema casting)
+  record.recordHash = this.computeRecordHash(record.toObject());
+
+  await record.save({ session });
 
-// Static method to generate a unique transaction hash
-traceabilityRecordSchema.statics.generateTransactionHash = function (data) {
-  // In a real application, you might use a cryptographic function
-  // For now, just create a simple unique hash based on timestamp and ids
-  const timestamp = Date.now().toString();
-  const random = Math.random().toString().substring(2, 8);
-  return `tr-${timestamp}-${random}`;
+  return record;
 };
 
 const TraceabilityRecord = mongoose.model(
@@ -6,7 +6,7 @@ const transactionSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: function () {
-        return this.transactionType === "sale";
+        return ["sale", "royalty"].includes(this.transactionType);
       },
     },
     seller: {
@@ -19,6 +19,11 @@ const transactionSchema = new mongoose.Schema(
       ref: "Artwork",
       required: true,
     },
+    // Print sold when the artwork is an edition
+    editionUnit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EditionUnit",
+    },
     amount: {
       type: Number,
       required: true,
@@ -34,7 +39,7 @@ const transactionSchema = new mongoose.Schema(
     },
     transactionType: {
       type: String,
-      enum: ["listing_fee", "sale"],
+      enum: ["listing_fee", "sale", "royalty"],
       required: true,
     },
     timestamp: {
@@ -62,6 +67,38 @@ const transactionSchema = new mongoose.Schema(
       artist_amount: Number,
       stripe_payment_method: String,
       stripe_receipt_url: String,
+      offer_id: String,
+      // Groups the transactions of a multi-artwork (cart) checkout
+      checkout_id: String,
+      edition_number: Number,
+      // Resale royalty split out of a sale (in euros)
+      original_artist: String,
+      royalty_percentage: Number,
+      royalty_amount: Number,
+      // Royalty transactions point back to the resale they were paid from
+      sale_transaction: String,
+    },
+    // Set when a refund is sent to Stripe; status becomes "refunded" once confirmed
+    refund: {
+      stripeRefundId: String,
+      amount: Number,
+      reason: String,
+      initiatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      initiatedAt: Date,
+      refundedAt: Date,
+      // False when the artwork had already changed hands again
+      ownershipRestored: Boolean,
+    },
+    dispute: {
+      stripeDisputeId: String,
+      status: String,
+      reason: String,
+      amount: Number,
+      openedAt: Date,
+      closedAt: Date,
     },
   },
   {
@@ -72,6 +109,9 @@ const transactionSchema = new mongoose.Schema(
 // Index for faster searches
 transactionSchema.index({ buyer: 1, seller: 1, artwork: 1, status: 1 });
 transactionSchema.index({ artwork: 1, status: 1, expiresAt: 1 });
+transactionSchema.index({ "metadata.checkout_id": 1 });
+transactionSchema.index({ editionUnit: 1, status: 1 });
+transactionSchema.index({ transactionType: 1, seller: 1, status: 1 });
 
 const Transaction = mongoose.model("Transaction", transactionSchema);
 
@@ -37,6 +37,7 @@ const userSchema = new mongoose.Schema(
     profile: {
       bio: String,
       website: String,
+      avatar: String,
       socialLinks: {
         facebook: String,
         twitter: String,
@@ -47,6 +48,89 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Set by admins; suspended accounts are let back in once suspendedUntil
+    // has passed
+    moderation: {
+      status: {
+        type: String,
+        enum: ["active", "suspended", "banned"],
+        default: "active",
+      },
+      reason: String,
+      suspendedUntil: Date,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      updatedAt: Date,
+    },
+    // Set when an admin forces a password reset; login is refused until the
+    // password is reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    // Designated by an admin to file condition reports on any artwork
+    isInspector: {
+      type: Boolean,
+      default: false,
+    },
+    // How often saved search matches are sent (instant or as a digest)
+    savedSearchAlerts: {
+      frequency: {
+        type: String,
+        enum: ["instant", "daily", "weekly"],
+        default: "instant",
+      },
+      lastDigestAt: Date,
+    },
+    // Optional emails the user can turn off (account and payment emails
+    // are always sent)
+    notificationPreferences: {
+      email: {
+        sales: {
+          type: Boolean,
+          default: true,
+        },
+        transfers: {
+          type: Boolean,
+          default: true,
+        },
+        savedSearches: {
+          type: Boolean,
+          default: true,
+        },
+      },
+    },
+    privacy: {
+      // Keep owned artworks off the public profile
+      hideCollection: {
+        type: Boolean,
+        default: false,
+      },
+      // Appear offline to other users
+      hideOnlineStatus: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // New address awaiting confirmation with the code sent to it
+    emailChange: {
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        select: false,
+      },
+      otpHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+        select: false,
+      },
+    },
     verificationOTP: {
       type: String,
       select: false,
@@ -71,10 +155,68 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false, // Encrypted TOTP secret
+      },
+      pendingSecret: {
+        type: String,
+        select: false, // Encrypted secret awaiting first code confirmation
+      },
+      backupCodes: {
+        type: [String],
+        select: false, // Hashed one-time backup codes
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false, // Last accepted time step, prevents code replay
+      },
+      // Login challenge (jti) the attempt counter below belongs to
+      challengeId: {
+        type: String,
+        select: false,
+      },
+      challengeAttempts: {
+        type: Number,
+        select: false,
+      },
+    },
     stripeCustomerId: {
       type: String,
       select: false, // Don't return in normal queries for security
     },
+    // Stripe Connect (Express) account used to pay out sales
+    stripeConnect: {
+      accountId: {
+        type: String,
+        select: false,
+      },
+      status: {
+        type: String,
+        enum: ["not_started", "pending", "restricted", "active"],
+        default: "not_started",
+      },
+      chargesEnabled: {
+        type: Boolean,
+        default: false,
+      },
+      payoutsEnabled: {
+        type: Boolean,
+        default: false,
+      },
+      detailsSubmitted: {
+        type: Boolean,
+        default: false,
+      },
+      requirementsDue: [String],
+      updatedAt: Date,
+    },
     isOnline: {
       type: Boolean,
       default: false,
@@ -124,6 +266,23 @@ const userSchema = new mongoose.Schema(
         type: Date,
         default: Date.now,
       },
+      // Artists: sum of their artworks' trending scores per window,
+      // recalculated by the trending job
+      trending: {
+        last24h: {
+          type: Number,
+          default: 0,
+        },
+        last7d: {
+          type: Number,
+          default: 0,
+        },
+        last30d: {
+          type: Number,
+          default: 0,
+        },
+        updatedAt: Date,
+      },
     },
     messageStats: {
       totalSent: {
@@ -203,6 +362,29 @@ userSchema.statics.updateOnlineStatus = function (userId, isOnline) {
   });
 };
 
+// Why the account may not be used right now (suspended or banned), or null
+userSchema.methods.getAccessRestriction = function () {
+  const { status, suspendedUntil } = this.moderation || {};
+
+  if (status === "banned") {
+    return "This account has been banned";
+  }
+
+  if (status === "suspended" && suspendedUntil > new Date()) {
+    return `This account is suspended until ${suspendedUntil.toISOString()}`;
+  }
+
+  return null;
+};
+
+// Online status as other users may see it
+userSchema.statics.getVisiblePresence = function (user) {
+  if (user?.privacy?.hideOnlineStatus) {
+    return { isOnline: false, lastSeen: null };
+  }
+  return { isOnline: user?.isOnline || false, lastSeen: user?.lastSeen };
+};
+
 // Instance method to check if user has liked an artwork
 userSchema.methods.hasLikedArtwork = function (artworkId) {
   return this.likedArtworks && this.likedArtworks.includes(artworkId);
@@ -348,6 +530,12 @@ userSchema.index({ followers: 1 });
 userSchema.index({ "engagementStats.totalFollowers": -1 });
 userSchema.index({ "engagementStats.lastActivityAt": -1 });
 
+// Index for admin moderation filters
+userSchema.index({ "moderation.status": 1 });
+
+// Index for Stripe Connect webhook lookups
+userSchema.index({ "stripeConnect.accountId": 1 }, { sparse: true });
+
 // Virtual property to get all artworks by this user (if artist)
 userSchema.virtual("artworks", {
   ref: "Artwork",
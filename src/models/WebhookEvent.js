@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Stripe webhook deliveries, keyed by Stripe event id so redeliveries are ignored
+const webhookEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    // Full Stripe event, kept so failed events can be replayed
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["received", "processing", "processed", "failed"],
+      default: "received",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Redeliveries of this event from Stripe
+    duplicateDeliveries: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    processedAt: Date,
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    replayedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEventSchema.index({ status: 1, updatedAt: 1 });
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -1,6 +1,11 @@
 const express = require("express");
 const adminController = require("../controllers/adminController");
-const { protect, restrictTo } = require("../middleware/auth");
+const {
+  protect,
+  restrictTo,
+  requireTwoFactor,
+} = require("../middleware/auth");
+const { auditAdminAction } = require("../middleware/audit");
 const {
   validateArtworkId,
   validateRejectArtwork,
@@ -8,13 +13,33 @@ const {
   validateUsersQuery,
   validateArtworksQuery,
   validateTransactionsQuery,
+  validateRefundRequestsQuery,
+  validateRefundReview,
+  validateRefundTransaction,
+  validateInspectorUpdate,
+  validateUserId,
+  validateUserSuspension,
+  validateUserBan,
+  validateUserReinstatement,
+  validateAuditLogQuery,
+  validateTransfersQuery,
+  validateTransferReview,
+  validateWebhookEventsQuery,
+  validateWebhookEventId,
+  validateReviewsQuery,
+  validateReviewModeration,
+  validateArtistVerificationsQuery,
+  validateArtistVerificationId,
+  validateArtistVerificationApproval,
+  validateArtistVerificationDecision,
 } = require("../validators/adminValidator");
 
 const router = express.Router();
 
-// All admin routes requires authentication and admin role
+// All admin routes requires authentication, admin role and two-factor authentication
 router.use(protect);
 router.use(restrictTo("admin"));
+router.use(requireTwoFactor("admin"));
 
 // Dashboard overview
 router.get("/overview", adminController.getPlatformOverview);
@@ -29,12 +54,14 @@ router.get(
 router.patch(
   "/artworks/:id/approve",
   validateArtworkId,
+  auditAdminAction("artwork.approve", "Artwork"),
   adminController.approveArtwork
 );
 
 router.patch(
   "/artworks/:id/reject",
   validateRejectArtwork,
+  auditAdminAction("artwork.reject", "Artwork"),
   adminController.rejectArtwork
 );
 
@@ -47,6 +74,60 @@ router.get("/stats/users", adminController.getUserStats);
 // User management routes
 router.get("/users", validateUsersQuery, adminController.getAllUsers);
 
+// Designate or revoke condition report inspectors
+router.patch(
+  "/users/:id/inspector",
+  validateInspectorUpdate,
+  auditAdminAction("user.inspector", "User"),
+  adminController.setInspector
+);
+
+// Account moderation
+router.patch(
+  "/users/:id/suspend",
+  validateUserSuspension,
+  auditAdminAction("user.suspend", "User"),
+  adminController.suspendUser
+);
+
+router.patch(
+  "/users/:id/ban",
+  validateUserBan,
+  auditAdminAction("user.ban", "User"),
+  adminController.banUser
+);
+
+router.patch(
+  "/users/:id/reinstate",
+  validateUserReinstatement,
+  auditAdminAction("user.reinstate", "User"),
+  adminController.reinstateUser
+);
+
+router.patch(
+  "/users/:id/promote-artist",
+  validateUserId,
+  auditAdminAction("user.promote_artist", "User"),
+  adminController.promoteUserToArtist
+);
+
+router.post(
+  "/users/:id/force-password-reset",
+  validateUserId,
+  auditAdminAction("user.force_password_reset", "User"),
+  adminController.forcePasswordReset
+);
+
+router.post(
+  "/users/:id/revoke-sessions",
+  validateUserId,
+  auditAdminAction("user.revoke_sessions", "User"),
+  adminController.revokeUserSessions
+);
+
+// Admin audit log (read only)
+router.get("/audit", validateAuditLogQuery, adminController.getAuditLog);
+
 // Transaction management routes
 router.get(
   "/transactions",
@@ -54,14 +135,136 @@ router.get(
   adminController.getAllTransactions
 );
 
+router.post(
+  "/transactions/:id/refund",
+  validateRefundTransaction,
+  auditAdminAction("transaction.refund", "Transaction"),
+  adminController.refundTransaction
+);
+
+// Refund requests
+router.get(
+  "/refund-requests",
+  validateRefundRequestsQuery,
+  adminController.getRefundRequests
+);
+
+router.patch(
+  "/refund-requests/:id/approve",
+  validateRefundReview,
+  auditAdminAction("refund_request.approve", "RefundRequest"),
+  adminController.approveRefundRequest
+);
+
+router.patch(
+  "/refund-requests/:id/reject",
+  validateRefundReview,
+  auditAdminAction("refund_request.reject", "RefundRequest"),
+  adminController.rejectRefundRequest
+);
+
+// Ownership transfers above the review threshold
+router.get(
+  "/transfers",
+  validateTransfersQuery,
+  adminController.getOwnershipTransfers
+);
+
+router.patch(
+  "/transfers/:id/approve",
+  validateTransferReview,
+  auditAdminAction("transfer.approve", "OwnershipTransfer"),
+  adminController.approveOwnershipTransfer
+);
+
+router.patch(
+  "/transfers/:id/reject",
+  validateTransferReview,
+  auditAdminAction("transfer.reject", "OwnershipTransfer"),
+  adminController.rejectOwnershipTransfer
+);
+
+// Review moderation
+router.get("/reviews", validateReviewsQuery, adminController.getReviews);
+
+router.patch(
+  "/reviews/:id/hide",
+  validateReviewModeration,
+  auditAdminAction("review.hide", "Review"),
+  adminController.hideReview
+);
+
+router.patch(
+  "/reviews/:id/restore",
+  validateReviewModeration,
+  auditAdminAction("review.restore", "Review"),
+  adminController.restoreReview
+);
+
+// Artist verification applications
+router.get(
+  "/artist-verifications",
+  validateArtistVerificationsQuery,
+  adminController.getArtistVerifications
+);
+
+router.get(
+  "/artist-verifications/:id",
+  validateArtistVerificationId,
+  adminController.getArtistVerification
+);
+
+router.patch(
+  "/artist-verifications/:id/approve",
+  validateArtistVerificationApproval,
+  auditAdminAction("artist_verification.approve", "ArtistVerification"),
+  adminController.approveArtistVerification
+);
+
+router.patch(
+  "/artist-verifications/:id/reject",
+  validateArtistVerificationDecision,
+  auditAdminAction("artist_verification.reject", "ArtistVerification"),
+  adminController.rejectArtistVerification
+);
+
+router.patch(
+  "/artist-verifications/:id/request-info",
+  validateArtistVerificationDecision,
+  auditAdminAction("artist_verification.request_info", "ArtistVerification"),
+  adminController.requestArtistVerificationInfo
+);
+
+// Stripe webhook event log
+router.get(
+  "/webhook-events",
+  validateWebhookEventsQuery,
+  adminController.getWebhookEvents
+);
+
+router.post(
+  "/webhook-events/:id/replay",
+  validateWebhookEventId,
+  auditAdminAction("webhook_event.replay", "WebhookEvent"),
+  adminController.replayWebhookEvent
+);
+
 router.get("/messages/analytics", adminController.getMessageAnalytics);
 router.get("/messages", adminController.getAllMessages);
 router.get(
   "/messages/conversation/:conversationId",
   adminController.getConversationDetails
 );
-router.patch("/messages/:messageId/flag", adminController.toggleMessageFlag);
-router.delete("/messages/:messageId", adminController.adminDeleteMessage);
+router.patch(
+  "/messages/:messageId/flag",
+  auditAdminAction("message.flag", "Message"),
+  adminController.toggleMessageFlag
+);
+router.delete(
+  "/messages/:messageId",
+  auditAdminAction("message.delete", "Message"),
+  adminController.adminDeleteMessage
+);
 
 // Traceability overview
 router.get("/traceability/overview", adminController.getTraceabilityOverview);
@@ -1,6 +1,10 @@
 const express = require("express");
 const analyticsController = require("../controllers/analyticsController");
-const { protect, restrictTo } = require("../middleware/auth");
+const {
+  protect,
+  restrictTo,
+  requireTwoFactor,
+} = require("../middleware/auth");
 const {
   validateAnalyticsQuery,
   validateReportQuery,
@@ -8,9 +12,10 @@ const {
 
 const router = express.Router();
 
-// All analytics routes require authentication and admin role
+// All analytics routes require authentication, admin role and two-factor authentication
 router.use(protect);
 router.use(restrictTo("admin"));
+router.use(requireTwoFactor("admin"));
 
 // Top selling artists
 router.get(
@@ -33,6 +38,13 @@ router.get(
   analyticsController.getTopSellingCategories
 );
 
+// Resale royalties paid to artists
+router.get(
+  "/royalties",
+  validateAnalyticsQuery,
+  analyticsController.getRoyaltyAnalytics
+);
+
 // Comprehensive analytics report
 router.get(
   "/report",
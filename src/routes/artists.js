@@ -1,10 +1,110 @@
 const express = require("express");
 const artistController = require("../controllers/artistController");
-const { optionalAuth } = require("../middleware/auth");
-const { validateArtistId } = require("../validators/artistValidator");
+const { protect, restrictTo, optionalAuth } = require("../middleware/auth");
+const {
+  uploadPortfolioImages,
+  processPortfolioImages,
+  uploadVerificationDocuments,
+  processVerificationDocuments,
+} = require("../middleware/upload");
+const {
+  validateArtistId,
+  validateArtistProfile,
+  validatePortfolioOrder,
+  validatePortfolioImage,
+  validateFeaturedArtwork,
+  validateSlug,
+  validateVerificationApplication,
+  validateVerificationInfo,
+} = require("../validators/artistValidator");
 
 const router = express.Router();
 
+// Profile of the current artist
+router.get(
+  "/me",
+  protect,
+  restrictTo("artist"),
+  artistController.getMyProfile
+);
+
+router.put(
+  "/me",
+  protect,
+  restrictTo("artist"),
+  validateArtistProfile,
+  artistController.updateMyProfile
+);
+
+router.post(
+  "/me/portfolio",
+  protect,
+  restrictTo("artist"),
+  uploadPortfolioImages,
+  processPortfolioImages,
+  artistController.addPortfolioImages
+);
+
+router.patch(
+  "/me/portfolio/order",
+  protect,
+  restrictTo("artist"),
+  validatePortfolioOrder,
+  artistController.reorderPortfolioImages
+);
+
+router.delete(
+  "/me/portfolio",
+  protect,
+  restrictTo("artist"),
+  validatePortfolioImage,
+  artistController.removePortfolioImage
+);
+
+router.put(
+  "/me/featured-artwork",
+  protect,
+  restrictTo("artist"),
+  validateFeaturedArtwork,
+  artistController.setFeaturedArtwork
+);
+
+router.put(
+  "/me/slug",
+  protect,
+  restrictTo("artist"),
+  validateSlug,
+  artistController.claimSlug
+);
+
+// Verification of the current artist
+router.get(
+  "/me/verification",
+  protect,
+  restrictTo("artist"),
+  artistController.getMyVerification
+);
+
+router.post(
+  "/me/verification",
+  protect,
+  restrictTo("artist"),
+  uploadVerificationDocuments,
+  validateVerificationApplication,
+  processVerificationDocuments,
+  artistController.submitVerification
+);
+
+router.post(
+  "/me/verification/info",
+  protect,
+  restrictTo("artist"),
+  uploadVerificationDocuments,
+  validateVerificationInfo,
+  processVerificationDocuments,
+  artistController.provideVerificationInfo
+);
+
 // Get complete artist profile
 router.get(
   "/:id",
@@ -1,5 +1,13 @@
 const express = require("express");
 const artworkController = require("../controllers/artworkController");
+const offerController = require("../controllers/offerController");
+const auctionController = require("../controllers/auctionController");
+const transferController = require("../controllers/transferController");
+const offerRoutes = require("./offers");
+const transferRoutes = require("./transfers");
+const auctionRoutes = require("./auctions");
+const conditionReportRoutes = require("./conditionReports");
+const editionRoutes = require("./editions");
 const { protect, restrictTo, optionalAuth } = require("../middleware/auth");
 const {
   uploadArtworkImages,
@@ -15,6 +23,9 @@ const {
   validateArtworkQuery,
   validateArtworkId,
 } = require("../validators/artworkValidator");
+const { validateOfferQuery } = require("../validators/offerValidator");
+const { validateBidQuery } = require("../validators/auctionValidator");
+const { validateTransferQuery } = require("../validators/transferValidator");
 
 const router = express.Router();
 
@@ -28,6 +39,15 @@ router.get(
   artworkController.getArtworkById
 );
 
+// Auction state, bid history and bidding
+router.use("/:id/auction", auctionRoutes);
+
+// Condition reports (public list, owner or inspector can file)
+router.use("/:id/condition-reports", conditionReportRoutes);
+
+// Numbered units of an edition and their provenance
+router.use("/:id/editions", editionRoutes);
+
 // Public route with optional authentication
 router.get(
   "/artist/:id",
@@ -55,6 +75,25 @@ router.get(
   artworkController.getMyArtworks
 );
 
+// Offers made (role=buyer) or received (role=seller) by the current user
+router.get("/my/offers", validateOfferQuery, offerController.getMyOffers);
+
+// Bids placed by the current user
+router.get("/my/bids", validateBidQuery, auctionController.getMyBids);
+
+// Ownership transfers started (role=sender) or received (role=recipient)
+router.get(
+  "/my/transfers",
+  validateTransferQuery,
+  transferController.getMyTransfers
+);
+
+// Offer negotiation routes
+router.use("/:id/offers", offerRoutes);
+
+// Owner-initiated ownership transfers (gift, inheritance, private sale)
+router.use("/:id/transfers", transferRoutes);
+
 // TEMPORARILY DISABLED: Listing fee requirement
 // route for unpaid artworks
 // router.get(
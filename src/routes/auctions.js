@@ -0,0 +1,31 @@
+const express = require("express");
+const auctionController = require("../controllers/auctionController");
+const { protect } = require("../middleware/auth");
+const {
+  validatePlaceBid,
+  validateBidQuery,
+} = require("../validators/auctionValidator");
+const { validateArtworkId } = require("../validators/artworkValidator");
+
+// Mounted under /api/artwork/:id/auction
+const router = express.Router({ mergeParams: true });
+
+// Public routes
+router.get("/", validateArtworkId, auctionController.getAuction);
+router.get(
+  "/bids",
+  validateArtworkId,
+  validateBidQuery,
+  auctionController.getBids
+);
+
+// Protected routes
+router.post("/bids", protect, validatePlaceBid, auctionController.placeBid);
+router.post(
+  "/checkout",
+  protect,
+  validateArtworkId,
+  auctionController.createWinnerCheckout
+);
+
+module.exports = router;
@@ -8,8 +8,14 @@ const {
   validateResetPassword,
   validateUpdatePassword,
   validateUpdateProfile,
+  validateRefreshToken,
+  validateSessionId,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
 } = require("../validators/authValidator");
 const { protect } = require("../middleware/auth");
+const { twoFactorRateLimit } = require("../middleware/rateLimiter");
 
 const router = express.Router();
 
@@ -18,6 +24,13 @@ router.post("/register", validateRegister, authController.register);
 router.post("/verify-otp", validateOTPVerification, authController.verifyOTP);
 router.post("/resend-otp", validateForgotPassword, authController.resendOTP); // using same validation as forgot password
 router.post("/login", validateLogin, authController.login);
+router.post(
+  "/2fa/verify",
+  twoFactorRateLimit,
+  validateTwoFactorLogin,
+  authController.verifyTwoFactorLogin
+);
+router.post("/refresh", validateRefreshToken, authController.refreshToken);
 router.post(
   "/forgot-password",
   validateForgotPassword,
@@ -33,6 +46,13 @@ router.post(
 router.use(protect); // Protect all routes below this middleware
 
 router.post("/logout", authController.logout);
+router.post("/logout-all", authController.logoutAll);
+router.get("/sessions", authController.getSessions);
+router.delete(
+  "/sessions/:sessionId",
+  validateSessionId,
+  authController.revokeSession
+);
 router.get("/me", authController.getMe);
 router.patch(
   "/update-profile",
@@ -45,4 +65,23 @@ router.patch(
   authController.updatePassword
 );
 
+// Two-factor authentication management
+router.get("/2fa", authController.getTwoFactorStatus);
+router.post("/2fa/setup", authController.setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  validateTwoFactorCode,
+  authController.enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  validateDisableTwoFactor,
+  authController.disableTwoFactor
+);
+router.post(
+  "/2fa/backup-codes",
+  validateTwoFactorCode,
+  authController.regenerateBackupCodes
+);
+
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const cartController = require("../controllers/cartController");
+const { protect } = require("../middleware/auth");
+const {
+  validateAddCartItem,
+  validateCartItemId,
+} = require("../validators/cartValidator");
+
+const router = express.Router();
+
+// All cart routes require authentication
+router.use(protect);
+
+router.get("/", cartController.getCart);
+router.delete("/", cartController.clearCart);
+router.post("/items", validateAddCartItem, cartController.addItem);
+router.delete(
+  "/items/:artworkId",
+  validateCartItemId,
+  cartController.removeItem
+);
+router.post("/checkout", cartController.checkout);
+
+module.exports = router;
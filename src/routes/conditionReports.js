@@ -0,0 +1,45 @@
+const express = require("express");
+const conditionReportController = require("../controllers/conditionReportController");
+const { protect } = require("../middleware/auth");
+const {
+  uploadConditionPhotos,
+  processConditionPhotos,
+} = require("../middleware/upload");
+const {
+  checkConditionReportAccess,
+} = require("../middleware/artworkOwnership");
+const {
+  validateCreateConditionReport,
+  validateConditionReportId,
+  validateConditionReportQuery,
+} = require("../validators/conditionReportValidator");
+const { validateArtworkId } = require("../validators/artworkValidator");
+
+// Mounted under /api/artwork/:id/condition-reports
+const router = express.Router({ mergeParams: true });
+
+// Public routes
+router.get(
+  "/",
+  validateConditionReportQuery,
+  conditionReportController.getConditionReports
+);
+router.get(
+  "/:reportId",
+  validateConditionReportId,
+  conditionReportController.getConditionReport
+);
+
+// Owner or inspector only
+router.post(
+  "/",
+  protect,
+  validateArtworkId,
+  checkConditionReportAccess,
+  uploadConditionPhotos,
+  processConditionPhotos,
+  validateCreateConditionReport,
+  conditionReportController.createConditionReport
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const editionController = require("../controllers/editionController");
+const {
+  validateEditionUnitsQuery,
+  validateEditionUnitNumber,
+} = require("../validators/editionValidator");
+
+// Mounted under /api/artwork/:id/editions
+const router = express.Router({ mergeParams: true });
+
+// Public routes
+router.get(
+  "/",
+  validateEditionUnitsQuery,
+  editionController.getEditionUnits
+);
+router.get(
+  "/:number",
+  validateEditionUnitNumber,
+  editionController.getEditionUnit
+);
+
+module.exports = router;
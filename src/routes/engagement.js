@@ -5,6 +5,9 @@ const {
   validateArtworkId,
   validateUserId,
   validateEngagementQuery,
+  validateFeedQuery,
+  validateArtworkView,
+  validateArtworkAnalyticsQuery,
 } = require("../validators/engagementValidator");
 
 const router = express.Router();
@@ -22,16 +25,26 @@ router.get(
   engagementController.getTrendingArtists
 );
 
-// Protected routes (authentication required)
-router.use(protect);
-
-// View counter
+// View counter (anonymous views are counted too)
 router.post(
   "/artwork/:artworkId/view",
+  optionalAuth,
   validateArtworkId,
+  validateArtworkView,
   engagementController.recordArtworkView
 );
 
+// Protected routes (authentication required)
+router.use(protect);
+
+// Per-artwork analytics for its artist
+router.get(
+  "/artwork/:artworkId/analytics",
+  validateArtworkId,
+  validateArtworkAnalyticsQuery,
+  engagementController.getArtworkAnalytics
+);
+
 // Artwork engagement routes
 router.post(
   "/artwork/:artworkId/like",
@@ -59,6 +72,19 @@ router.get(
   engagementController.getUserFollowedArtists
 );
 
+router.get(
+  "/my/feed",
+  validateFeedQuery,
+  engagementController.getFollowingFeed
+);
+
+// Personalized recommendations
+router.get(
+  "/recommendations",
+  validateEngagementQuery,
+  engagementController.getRecommendations
+);
+
 // User engagement statistics
 router.get("/my/stats", engagementController.getUserEngagementStats);
 
@@ -5,26 +5,32 @@ const router = express.Router();
 const authRoutes = require("./auth");
 const artworkRoutes = require("./artwork");
 const artistRoutes = require("./artists");
-// const userRoutes = require("./users");
+const userRoutes = require("./users");
 const paymentRoutes = require("./payments");
+const cartRoutes = require("./cart");
 const adminRoutes = require("./admin");
 const analyticsRoutes = require("./analytics");
 const messageRoutes = require("./messages");
 const traceabilityRoutes = require("./traceability");
 // const uploadRoutes = require("./upload");
 const engagementRoutes = require("./engagement");
+const savedSearchRoutes = require("./savedSearches");
+const reviewRoutes = require("./reviews");
 
 // Mount routes
 router.use("/auth", authRoutes);
 router.use("/artwork", artworkRoutes);
 router.use("/artists", artistRoutes);
-// router.use("/users", userRoutes);
+router.use("/users", userRoutes);
 router.use("/payments", paymentRoutes);
+router.use("/cart", cartRoutes);
 router.use("/admin", adminRoutes);
 router.use("/analytics", analyticsRoutes);
 router.use("/messages", messageRoutes);
 router.use("/traceability", traceabilityRoutes);
 // router.use("/upload", uploadRoutes);
 router.use("/engagement", engagementRoutes);
+router.use("/saved-searches", savedSearchRoutes);
+router.use("/reviews", reviewRoutes);
 
 module.exports = router;
@@ -0,0 +1,52 @@
+const express = require("express");
+const offerController = require("../controllers/offerController");
+const { protect } = require("../middleware/auth");
+const {
+  validateOfferAmount,
+  validateOfferAction,
+  validateOfferQuery,
+} = require("../validators/offerValidator");
+const { validateArtworkId } = require("../validators/artworkValidator");
+
+// Mounted under /api/artwork/:id/offers
+const router = express.Router({ mergeParams: true });
+
+// All offer routes require authentication
+router.use(protect);
+
+router.get(
+  "/",
+  validateArtworkId,
+  validateOfferQuery,
+  offerController.getArtworkOffers
+);
+router.post("/", validateOfferAmount, offerController.makeOffer);
+
+router.post(
+  "/:offerId/counter",
+  validateOfferAction,
+  validateOfferAmount,
+  offerController.counterOffer
+);
+router.post(
+  "/:offerId/accept",
+  validateOfferAction,
+  offerController.acceptOffer
+);
+router.post(
+  "/:offerId/decline",
+  validateOfferAction,
+  offerController.declineOffer
+);
+router.post(
+  "/:offerId/withdraw",
+  validateOfferAction,
+  offerController.withdrawOffer
+);
+router.post(
+  "/:offerId/checkout",
+  validateOfferAction,
+  offerController.checkoutOffer
+);
+
+module.exports = router;
@@ -6,6 +6,9 @@ const {
   validateCreatePurchaseSession,
   validatePaymentHistoryQuery,
   validateTransactionId,
+  validatePayoutQuery,
+  validateRefundRequest,
+  validateRefundRequestQuery,
 } = require("../validators/paymentValidator");
 
 const router = express.Router();
@@ -42,9 +45,40 @@ router.get(
   paymentController.getTransaction
 );
 
+// Refund requests
+router.post(
+  "/transaction/:id/refund-request",
+  validateRefundRequest,
+  paymentController.requestRefund
+);
+
+router.get(
+  "/refund-requests",
+  validateRefundRequestQuery,
+  paymentController.getMyRefundRequests
+);
+
 // Payment statistics
 router.get("/stats", paymentController.getPaymentStats);
 
+// Seller payouts (Stripe Connect)
+router.post(
+  "/connect/onboard",
+  restrictTo("artist", "buyer"),
+  paymentController.createConnectOnboarding
+);
+
+router.get("/connect/status", paymentController.getConnectStatus);
+
+router.post(
+  "/connect/dashboard-link",
+  paymentController.createConnectDashboardLink
+);
+
+router.get("/payouts", validatePayoutQuery, paymentController.getPayouts);
+
+router.get("/payouts/balance", paymentController.getPayoutBalance);
+
 module.exports = router;
 
 // Export webhook handler separately for direct mounting
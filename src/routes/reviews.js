@@ -0,0 +1,35 @@
+const express = require("express");
+const reviewController = require("../controllers/reviewController");
+const { protect } = require("../middleware/auth");
+const {
+  validateCreateReview,
+  validateUpdateReview,
+  validateReviewReply,
+  validateArtistReviewsQuery,
+  validateArtworkReviewsQuery,
+  validateReviewsQuery,
+} = require("../validators/reviewValidator");
+
+const router = express.Router();
+
+// Public routes
+router.get(
+  "/artists/:artistId",
+  validateArtistReviewsQuery,
+  reviewController.getArtistReviews
+);
+router.get(
+  "/artworks/:artworkId",
+  validateArtworkReviewsQuery,
+  reviewController.getArtworkReviews
+);
+
+// Protected routes (authentication required)
+router.use(protect);
+
+router.get("/my", validateReviewsQuery, reviewController.getMyReviews);
+router.post("/", validateCreateReview, reviewController.createReview);
+router.patch("/:id", validateUpdateReview, reviewController.updateReview);
+router.put("/:id/reply", validateReviewReply, reviewController.replyToReview);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require("express");
+const savedSearchController = require("../controllers/savedSearchController");
+const { protect } = require("../middleware/auth");
+const {
+  validateCreateSavedSearch,
+  validateUpdateSavedSearch,
+  validateSavedSearchId,
+  validateRunSavedSearch,
+  validateAlertFrequency,
+} = require("../validators/savedSearchValidator");
+
+const router = express.Router();
+
+// All saved search routes require authentication
+router.use(protect);
+
+router.get("/", savedSearchController.getMySavedSearches);
+router.post(
+  "/",
+  validateCreateSavedSearch,
+  savedSearchController.createSavedSearch
+);
+router.patch(
+  "/alerts",
+  validateAlertFrequency,
+  savedSearchController.setAlertFrequency
+);
+router.get(
+  "/:id/results",
+  validateRunSavedSearch,
+  savedSearchController.runSavedSearch
+);
+router.patch(
+  "/:id",
+  validateUpdateSavedSearch,
+  savedSearchController.updateSavedSearch
+);
+router.delete(
+  "/:id",
+  validateSavedSearchId,
+  savedSearchController.deleteSavedSearch
+);
+
+module.exports = router;
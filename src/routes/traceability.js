@@ -3,6 +3,8 @@ const traceabilityController = require("../controllers/traceabilityController");
 const { protect, restrictTo, optionalAuth } = require("../middleware/auth");
 const {
   validateArtworkId,
+  validateCertificateId,
+  validateCertificateRequest,
   validateOwnershipHistoryQuery,
   validateSearchQuery,
   validateVerifyOwnershipQuery,
@@ -17,6 +19,26 @@ router.get(
   traceabilityController.getArtworkHistory
 );
 
+// Verify the hash chain of an artwork's provenance (Public route)
+router.get(
+  "/artwork/:artworkId/integrity",
+  validateArtworkId,
+  traceabilityController.verifyChainIntegrity
+);
+
+// Public key that signs ownership certificates (Public route)
+router.get(
+  "/certificates/public-key",
+  traceabilityController.getCertificatePublicKey
+);
+
+// Verify a signed ownership certificate (Public route)
+router.get(
+  "/certificates/:certificateId/verify",
+  validateCertificateId,
+  traceabilityController.verifyCertificate
+);
+
 // Routes that work with optional authentication
 router.get(
   "/artwork/:artworkId/verify",
@@ -31,10 +53,17 @@ router.use(protect);
 // Generate ownership certificate (artwork owner only)
 router.get(
   "/artwork/:artworkId/certificate",
-  validateArtworkId,
+  validateCertificateRequest,
   traceabilityController.generateOwnershipCertificate
 );
 
+// Download ownership certificate as a signed PDF (artwork owner only)
+router.get(
+  "/artwork/:artworkId/certificate/pdf",
+  validateCertificateRequest,
+  traceabilityController.downloadCertificatePdf
+);
+
 // User's ownership history
 router.get(
   "/my/history",
@@ -0,0 +1,41 @@
+const express = require("express");
+const transferController = require("../controllers/transferController");
+const { protect } = require("../middleware/auth");
+const {
+  validateCreateTransfer,
+  validateTransferAction,
+  validateTransferQuery,
+} = require("../validators/transferValidator");
+const { validateArtworkId } = require("../validators/artworkValidator");
+
+// Mounted under /api/artwork/:id/transfers
+const router = express.Router({ mergeParams: true });
+
+// All transfer routes require authentication
+router.use(protect);
+
+router.get(
+  "/",
+  validateArtworkId,
+  validateTransferQuery,
+  transferController.getArtworkTransfers
+);
+router.post("/", validateCreateTransfer, transferController.createTransfer);
+
+router.post(
+  "/:transferId/accept",
+  validateTransferAction,
+  transferController.acceptTransfer
+);
+router.post(
+  "/:transferId/decline",
+  validateTransferAction,
+  transferController.declineTransfer
+);
+router.post(
+  "/:transferId/cancel",
+  validateTransferAction,
+  transferController.cancelTransfer
+);
+
+module.exports = router;
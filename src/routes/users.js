@@ -0,0 +1,75 @@
+const express = require("express");
+const userController = require("../controllers/userController");
+const { protect, optionalAuth } = require("../middleware/auth");
+const { uploadAvatar, processAvatar } = require("../middleware/upload");
+const {
+  validateUserProfile,
+  validateNotificationPreferences,
+  validatePrivacySettings,
+  validateEmailChange,
+  validateEmailChangeConfirmation,
+  validateAccountDeletion,
+} = require("../validators/userValidator");
+
+const router = express.Router();
+
+// Account settings of the current user
+router.get("/me/settings", protect, userController.getMySettings);
+
+router.patch(
+  "/me/settings/notifications",
+  protect,
+  validateNotificationPreferences,
+  userController.updateNotificationPreferences
+);
+
+router.patch(
+  "/me/settings/privacy",
+  protect,
+  validatePrivacySettings,
+  userController.updatePrivacySettings
+);
+
+// Email change, confirmed with a code sent to the new address
+router.post(
+  "/me/email",
+  protect,
+  validateEmailChange,
+  userController.requestEmailChange
+);
+
+router.post(
+  "/me/email/confirm",
+  protect,
+  validateEmailChangeConfirmation,
+  userController.confirmEmailChange
+);
+
+// Profile picture
+router.put(
+  "/me/avatar",
+  protect,
+  uploadAvatar,
+  processAvatar,
+  userController.updateAvatar
+);
+
+router.delete("/me/avatar", protect, userController.removeAvatar);
+
+// Delete own account
+router.delete(
+  "/me",
+  protect,
+  validateAccountDeletion,
+  userController.deleteMyAccount
+);
+
+// Public collector profile
+router.get(
+  "/:id",
+  optionalAuth,
+  validateUserProfile,
+  userController.getUserProfile
+);
+
+module.exports = router;
@@ -4,8 +4,16 @@ const User = require("../models/User");
 const Transaction = require("../models/Transaction");
 const ListingPayment = require("../models/ListingPayment");
 const Analytics = require("../models/Analytics");
+const ArtistProfile = require("../models/ArtistProfile");
 const emailService = require("./emailService");
+const authService = require("./authService");
+const sessionService = require("./sessionService");
+const onlineHandler = require("../sockets/onlineHandler");
+const { getIO } = require("../config/socket");
 const artworkCacheService = require("./artworkCacheService");
+const { addAuctionCloseJob } = require("../jobs/auctionJobs");
+const { addSavedSearchMatchJob } = require("../jobs/savedSearchJobs");
+const { addFeedFanOutJob } = require("../jobs/feedJobs");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 
@@ -47,6 +55,40 @@ class AdminService {
       artwork.approvedAt = new Date();
       await artwork.save();
 
+      // Close the auction at its end time (the sweep job is the fallback)
+      if (artwork.saleType === "auction" && artwork.auction) {
+        try {
+          await addAuctionCloseJob(artwork._id, artwork.auction.endTime);
+        } catch (error) {
+          logger.error(
+            `Failed to schedule auction close for artwork ${artworkId}:`,
+            error
+          );
+        }
+      }
+
+      // Alert buyers whose saved searches match the new artwork
+      try {
+        await addSavedSearchMatchJob(artwork._id);
+      } catch (error) {
+        logger.error(
+          `Failed to queue saved search matching for artwork ${artworkId}:`,
+          error
+        );
+      }
+
+      // Show the new artwork in the feeds of the artist's followers
+      try {
+        await addFeedFanOutJob("new_artwork", artwork._id, {
+          price: artwork.price,
+        });
+      } catch (error) {
+        logger.error(
+          `Failed to queue feed fan-out for artwork ${artworkId}:`,
+          error
+        );
+      }
+
       // Invalidate cache
       await artworkCacheService.invalidateArtworkCache(artworkId);
 
@@ -341,6 +383,210 @@ class AdminService {
     }
   }
 
+  // Designate or revoke a condition report inspector
+  async setInspector(userId, isInspector, adminId) {
+    try {
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { isInspector },
+        { new: true }
+      ).select("username email role isInspector");
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      logger.info(
+        `Inspector designation of user ${userId} set to ${isInspector} by admin ${adminId}`
+      );
+
+      return user;
+    } catch (error) {
+      logger.error(`Error updating inspector designation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Apply a moderation update to a non-admin account other than the
+  // admin's own
+  async updateModeratedUser(userId, adminId, update) {
+    if (userId === adminId) {
+      throw new AppError("You cannot moderate your own account", 400);
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, role: { $ne: "admin" } },
+      update,
+      { new: true, runValidators: true }
+    ).select("username email role moderation passwordResetRequired");
+
+    if (!user) {
+      throw new AppError("User not found or is an admin", 404);
+    }
+
+    return user;
+  }
+
+  // Sign the user out everywhere and drop their live socket connections
+  async endUserSessions(userId, reason) {
+    const revoked = await sessionService.revokeAllSessions(
+      userId,
+      "revoked_by_admin"
+    );
+
+    const io = getIO();
+    if (io) {
+      await onlineHandler.forceDisconnectUser(userId, io, reason);
+    }
+
+    return revoked;
+  }
+
+  // Block an account until the given date
+  async suspendUser(userId, adminId, { until, reason }) {
+    try {
+      const user = await this.updateModeratedUser(userId, adminId, {
+        moderation: {
+          status: "suspended",
+          reason,
+          suspendedUntil: until,
+          updatedBy: adminId,
+          updatedAt: new Date(),
+        },
+      });
+
+      await this.endUserSessions(userId, "Account suspended");
+
+      logger.info(
+        `User ${userId} suspended until ${until.toISOString()} by admin ${adminId}`
+      );
+
+      return user;
+    } catch (error) {
+      logger.error(`Error suspending user: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Block an account indefinitely
+  async banUser(userId, adminId, reason) {
+    try {
+      const user = await this.updateModeratedUser(userId, adminId, {
+        moderation: {
+          status: "banned",
+          reason,
+          updatedBy: adminId,
+          updatedAt: new Date(),
+        },
+      });
+
+      await this.endUserSessions(userId, "Account banned");
+
+      logger.info(`User ${userId} banned by admin ${adminId}`);
+
+      return user;
+    } catch (error) {
+      logger.error(`Error banning user: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Lift a suspension or ban
+  async reinstateUser(userId, adminId, reason) {
+    try {
+      const user = await this.updateModeratedUser(userId, adminId, {
+        moderation: {
+          status: "active",
+          reason,
+          updatedBy: adminId,
+          updatedAt: new Date(),
+        },
+      });
+
+      logger.info(`User ${userId} reinstated by admin ${adminId}`);
+
+      return user;
+    } catch (error) {
+      logger.error(`Error reinstating user: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Turn a buyer into an artist, with an empty artist profile
+  async promoteToArtist(userId, adminId) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { _id: userId, role: "buyer" },
+        { role: "artist" },
+        { new: true }
+      ).select("username email role");
+
+      if (!user) {
+        const exists = await User.exists({ _id: userId });
+        throw exists
+          ? new AppError("Only buyers can be promoted to artist", 400)
+          : new AppError("User not found", 404);
+      }
+
+      await ArtistProfile.updateOne(
+        { userId },
+        { $setOnInsert: { bio: "", verified: false } },
+        { upsert: true }
+      );
+
+      logger.info(`User ${userId} promoted to artist by admin ${adminId}`);
+
+      return user;
+    } catch (error) {
+      logger.error(`Error promoting user to artist: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Sign the user out and refuse logins until they reset their password
+  // with the link emailed to them
+  async forcePasswordReset(userId, adminId) {
+    try {
+      const user = await this.updateModeratedUser(userId, adminId, {
+        passwordResetRequired: true,
+      });
+
+      await this.endUserSessions(userId, "Password reset required");
+      await authService.forgotPassword(user.email);
+
+      logger.info(
+        `Password reset forced for user ${userId} by admin ${adminId}`
+      );
+
+      return user;
+    } catch (error) {
+      logger.error(`Error forcing password reset: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Sign the user out of every device
+  async revokeUserSessions(userId, adminId) {
+    try {
+      const user = await User.findById(userId).select("username");
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      const revoked = await this.endUserSessions(userId, "Signed out by admin");
+
+      logger.info(
+        `${revoked} sessions of user ${userId} revoked by admin ${adminId}`
+      );
+
+      return { revoked };
+    } catch (error) {
+      logger.error(`Error revoking user sessions: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Get user statistics for admin dashboard
   async getUserStats() {
     try {
@@ -1,4 +1,5 @@
 const Artwork = require("../models/Artwork");
+const Transaction = require("../models/Transaction");
 const logger = require("../utils/logger");
 
 class AnalyticsService {
@@ -274,11 +275,13 @@ class AnalyticsService {
     try {
       const { period = "month" } = query;
 
-      const [topArtists, topArtworks, topCategories] = await Promise.all([
-        this.getTopSellingArtists({ limit: 5, period }),
-        this.getTopSellingArtworks({ limit: 5, period }),
-        this.getTopSellingCategories({ limit: 5, period }),
-      ]);
+      const [topArtists, topArtworks, topCategories, royalties] =
+        await Promise.all([
+          this.getTopSellingArtists({ limit: 5, period }),
+          this.getTopSellingArtworks({ limit: 5, period }),
+          this.getTopSellingCategories({ limit: 5, period }),
+          this.getRoyaltyAnalytics({ limit: 5, period }),
+        ]);
 
       return {
         reportGenerated: new Date(),
@@ -286,6 +289,7 @@ class AnalyticsService {
         topArtists,
         topArtworks,
         topCategories,
+        royalties,
       };
     } catch (error) {
       logger.error("Error generating analytics report:", error);
@@ -293,6 +297,123 @@ class AnalyticsService {
     }
   }
 
+  // Resale royalties paid to original artists
+  async getRoyaltyAnalytics(query = {}) {
+    try {
+      const { limit = 10, period = "all" } = query;
+
+      // Build date filter
+      let dateFilter = {};
+      if (period !== "all") {
+        const now = new Date();
+        let startDate;
+
+        switch (period) {
+          case "week":
+            startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+            break;
+          case "month":
+            startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+            break;
+          case "year":
+            startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
+            break;
+          default:
+            startDate = null;
+        }
+
+        if (startDate) {
+          dateFilter.createdAt = { $gte: startDate };
+        }
+      }
+
+      const match = {
+        transactionType: "royalty",
+        status: "completed",
+        ...dateFilter,
+      };
+
+      const [summary, topArtists] = await Promise.all([
+        Transaction.aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: null,
+              totalRoyalties: { $sum: "$amount" },
+              royaltyCount: { $sum: 1 },
+              averageRoyalty: { $avg: "$amount" },
+              averagePercentage: { $avg: "$metadata.royalty_percentage" },
+              artists: { $addToSet: "$seller" },
+              artworks: { $addToSet: "$artwork" },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              // Amounts are stored in cents
+              totalRoyalties: { $divide: ["$totalRoyalties", 100] },
+              royaltyCount: 1,
+              averageRoyalty: {
+                $round: [{ $divide: ["$averageRoyalty", 100] }, 2],
+              },
+              averagePercentage: { $round: ["$averagePercentage", 2] },
+              uniqueArtists: { $size: "$artists" },
+              resoldArtworks: { $size: "$artworks" },
+            },
+          },
+        ]),
+        Transaction.aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: "$seller",
+              totalRoyalties: { $sum: "$amount" },
+              royaltyCount: { $sum: 1 },
+              lastRoyaltyDate: { $max: "$createdAt" },
+            },
+          },
+          { $sort: { totalRoyalties: -1 } },
+          { $limit: parseInt(limit) },
+          {
+            $lookup: {
+              from: "users",
+              localField: "_id",
+              foreignField: "_id",
+              as: "artistInfo",
+              pipeline: [{ $project: { username: 1, profile: 1 } }],
+            },
+          },
+          { $unwind: "$artistInfo" },
+          {
+            $project: {
+              artistId: "$_id",
+              artist: "$artistInfo",
+              totalRoyalties: { $divide: ["$totalRoyalties", 100] },
+              royaltyCount: 1,
+              lastRoyaltyDate: 1,
+            },
+          },
+        ]),
+      ]);
+
+      return {
+        period,
+        summary: summary[0] || {
+          totalRoyalties: 0,
+          royaltyCount: 0,
+          averageRoyalty: 0,
+          averagePercentage: 0,
+          uniqueArtists: 0,
+          resoldArtworks: 0,
+        },
+        topArtists,
+      };
+    } catch (error) {
+      logger.error("Error getting royalty analytics:", error);
+      throw error;
+    }
+  }
+
   // ✅ New method for ownership analytics
   async getOwnershipAnalytics(query = {}) {
     try {
@@ -0,0 +1,243 @@
+const ArtistProfile = require("../models/ArtistProfile");
+const Artwork = require("../models/Artwork");
+const { deleteCloudinaryImage } = require("../middleware/upload");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+// Fields the artist can edit directly
+const EDITABLE_FIELDS = ["bio", "website", "socialLinks", "specialties"];
+
+class ArtistProfileService {
+  // The artist's own profile, with the featured artwork while it is still
+  // theirs and approved
+  async getMyProfile(userId) {
+    try {
+      const profile = await ArtistProfile.findOne({ userId })
+        .populate({
+          path: "featuredArtwork",
+          select: "title images price medium",
+          match: { currentOwner: userId, status: "approved" },
+        })
+        .lean();
+
+      if (!profile) {
+        throw new AppError("Artist profile not found", 404);
+      }
+
+      return profile;
+    } catch (error) {
+      logger.error(`Error getting artist profile: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Create the profile or update the given fields
+  async upsertProfile(userId, data) {
+    try {
+      const update = {};
+      EDITABLE_FIELDS.forEach((field) => {
+        if (data[field] === undefined) return;
+
+        if (field === "socialLinks") {
+          // Only the networks sent are changed
+          Object.entries(data.socialLinks).forEach(([network, url]) => {
+            update[`socialLinks.${network}`] = url;
+          });
+        } else {
+          update[field] = data[field];
+        }
+      });
+
+      const profile = await ArtistProfile.findOneAndUpdate(
+        { userId },
+        { $set: update },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      logger.info(`Artist profile of ${userId} updated`);
+
+      return profile;
+    } catch (error) {
+      logger.error(`Error updating artist profile: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Append uploaded images to the portfolio, within the size limit
+  async addPortfolioImages(userId, images) {
+    try {
+      const max = ArtistProfile.MAX_PORTFOLIO_IMAGES;
+
+      // The size check and the push happen in one update, so parallel
+      // uploads cannot go over the limit
+      const profile = await ArtistProfile.findOneAndUpdate(
+        {
+          userId,
+          $expr: {
+            $lte: [
+              {
+                $add: [
+                  { $size: { $ifNull: ["$portfolioImages", []] } },
+                  images.length,
+                ],
+              },
+              max,
+            ],
+          },
+        },
+        { $push: { portfolioImages: { $each: images } } },
+        { new: true }
+      );
+
+      if (!profile) {
+        await Promise.all(
+          images.map((image) => deleteCloudinaryImage(image, "portfolio"))
+        );
+
+        const exists = await ArtistProfile.exists({ userId });
+        throw exists
+          ? new AppError(
+              `A portfolio can have at most ${max} images`,
+              400
+            )
+          : new AppError("Artist profile not found", 404);
+      }
+
+      return profile.portfolioImages;
+    } catch (error) {
+      logger.error(`Error adding portfolio images: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Put the portfolio in a new order; images must be exactly the current
+  // ones
+  async reorderPortfolioImages(userId, images) {
+    try {
+      if (new Set(images).size !== images.length) {
+        throw new AppError("Portfolio images cannot be repeated", 400);
+      }
+
+      // Fails if the portfolio changed since the client loaded it
+      const profile = await ArtistProfile.findOneAndUpdate(
+        {
+          userId,
+          portfolioImages: { $all: images, $size: images.length },
+        },
+        { $set: { portfolioImages: images } },
+        { new: true }
+      );
+
+      if (!profile) {
+        throw new AppError(
+          "The new order must contain exactly the current portfolio images",
+          400
+        );
+      }
+
+      return profile.portfolioImages;
+    } catch (error) {
+      logger.error(`Error reordering portfolio images: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Remove one image from the portfolio
+  async removePortfolioImage(userId, image) {
+    try {
+      const profile = await ArtistProfile.findOneAndUpdate(
+        { userId, portfolioImages: image },
+        { $pull: { portfolioImages: image } },
+        { new: true }
+      );
+
+      if (!profile) {
+        throw new AppError("Portfolio image not found", 404);
+      }
+
+      await deleteCloudinaryImage(image, "portfolio");
+
+      return profile.portfolioImages;
+    } catch (error) {
+      logger.error(`Error removing portfolio image: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Feature one of the artist's own approved artworks (null clears it)
+  async setFeaturedArtwork(userId, artworkId) {
+    try {
+      if (artworkId) {
+        const artwork = await Artwork.exists({
+          _id: artworkId,
+          currentOwner: userId,
+          status: "approved",
+        });
+
+        if (!artwork) {
+          throw new AppError(
+            "Only approved artworks you own can be featured",
+            400
+          );
+        }
+      }
+
+      const profile = await ArtistProfile.findOneAndUpdate(
+        { userId },
+        { featuredArtwork: artworkId || null },
+        { new: true }
+      ).populate("featuredArtwork", "title images price medium");
+
+      if (!profile) {
+        throw new AppError("Artist profile not found", 404);
+      }
+
+      return profile.featuredArtwork;
+    } catch (error) {
+      logger.error(`Error setting featured artwork: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Claim a vanity slug for the public profile URL
+  async claimSlug(userId, slug) {
+    try {
+      const normalized = slug.toLowerCase();
+
+      if (ArtistProfile.RESERVED_SLUGS.includes(normalized)) {
+        throw new AppError("This slug is not available", 409);
+      }
+
+      const profile = await ArtistProfile.findOneAndUpdate(
+        { userId },
+        { slug: normalized },
+        { new: true, runValidators: true }
+      );
+
+      if (!profile) {
+        throw new AppError("Artist profile not found", 404);
+      }
+
+      logger.info(`Artist ${userId} claimed slug ${normalized}`);
+
+      return profile.slug;
+    } catch (error) {
+      if (error.code === 11000) {
+        error = new AppError("This slug is already taken", 409);
+      }
+      logger.error(`Error claiming slug: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // User ID of the artist with this slug, or null
+  async resolveSlug(slug) {
+    const profile = await ArtistProfile.findOne({ slug: slug.toLowerCase() })
+      .select("userId")
+      .lean();
+
+    return profile ? profile.userId.toString() : null;
+  }
+}
+
+module.exports = new ArtistProfileService();
@@ -0,0 +1,364 @@
+const mongoose = require("mongoose");
+const ArtistVerification = require("../models/ArtistVerification");
+const ArtistProfile = require("../models/ArtistProfile");
+const artworkCacheService = require("./artworkCacheService");
+const emailService = require("./emailService");
+const { getSignedDocumentUrl } = require("../middleware/upload");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+class ArtistVerificationService {
+  // Artist applies for the verified badge
+  async submitApplication(artistId, data) {
+    try {
+      const {
+        statement,
+        portfolioLinks = [],
+        identityDocuments = [],
+        portfolioDocuments = [],
+      } = data;
+
+      const profile = await ArtistProfile.findOne({ userId: artistId })
+        .select("verified")
+        .lean();
+
+      if (profile?.verified) {
+        throw new AppError("Your profile is already verified", 400);
+      }
+
+      if (identityDocuments.length === 0) {
+        throw new AppError(
+          "Please upload at least one identity document",
+          400
+        );
+      }
+
+      if (portfolioDocuments.length === 0 && portfolioLinks.length === 0) {
+        throw new AppError(
+          "Please provide portfolio documents or portfolio links",
+          400
+        );
+      }
+
+      const application = await ArtistVerification.create({
+        artist: artistId,
+        statement,
+        portfolioLinks,
+        identityDocuments,
+        portfolioDocuments,
+        history: [{ action: "submitted", by: artistId, status: "pending" }],
+      });
+
+      logger.info(
+        `Verification application ${application._id} submitted by artist ${artistId}`
+      );
+
+      return application;
+    } catch (error) {
+      if (error.code === 11000) {
+        error = new AppError(
+          "You already have a verification application under review",
+          409
+        );
+      }
+      logger.error(`Error submitting verification: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Artist answers an info request with more evidence; the application goes
+  // back into the queue
+  async provideMoreInfo(artistId, data) {
+    try {
+      const {
+        note,
+        portfolioLinks = [],
+        identityDocuments = [],
+        portfolioDocuments = [],
+      } = data;
+
+      if (
+        !note &&
+        portfolioLinks.length === 0 &&
+        identityDocuments.length === 0 &&
+        portfolioDocuments.length === 0
+      ) {
+        throw new AppError("Please provide the requested information", 400);
+      }
+
+      const application = await ArtistVerification.findOneAndUpdate(
+        { artist: artistId, status: "info_requested" },
+        {
+          $set: { status: "pending" },
+          $push: {
+            portfolioLinks: { $each: portfolioLinks },
+            identityDocuments: { $each: identityDocuments },
+            portfolioDocuments: { $each: portfolioDocuments },
+            history: {
+              action: "info_provided",
+              by: artistId,
+              status: "pending",
+              note,
+              at: new Date(),
+            },
+          },
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!application) {
+        throw new AppError("No application is waiting for information", 404);
+      }
+
+      return application;
+    } catch (error) {
+      logger.error(`Error providing verification info: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // The artist's latest application and their current badge
+  async getMyApplication(artistId) {
+    try {
+      const [application, profile] = await Promise.all([
+        ArtistVerification.findOne({ artist: artistId })
+          .select("-history.by")
+          .sort({ createdAt: -1 })
+          .lean(),
+        ArtistProfile.findOne({ userId: artistId })
+          .select("verified verifiedAt")
+          .lean(),
+      ]);
+
+      return {
+        verified: profile?.verified || false,
+        verifiedAt: profile?.verifiedAt,
+        application,
+      };
+    } catch (error) {
+      logger.error(`Error getting verification application: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Review queue, oldest first (admin)
+  async getApplications(query = {}) {
+    try {
+      let { page = 1, limit = 20, status = "pending" } = query;
+      page = parseInt(page);
+      limit = parseInt(limit);
+      const skip = (page - 1) * limit;
+
+      const filter = { status };
+
+      const [applications, total] = await Promise.all([
+        ArtistVerification.find(filter)
+          .select("-identityDocuments -portfolioDocuments -history")
+          .populate("artist", "username email profile")
+          .populate("reviewedBy", "username")
+          .sort({ updatedAt: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        ArtistVerification.countDocuments(filter),
+      ]);
+
+      return {
+        applications,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting verification applications: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // One application with short-lived links to its documents (admin)
+  async getApplication(applicationId) {
+    try {
+      const application = await ArtistVerification.findById(applicationId)
+        .populate("artist", "username email profile createdAt")
+        .populate("reviewedBy", "username")
+        .populate("history.by", "username role")
+        .lean();
+
+      if (!application) {
+        throw new AppError("Verification application not found", 404);
+      }
+
+      const withUrl = (document) => ({
+        ...document,
+        url: getSignedDocumentUrl(document),
+      });
+
+      const previousApplications = await ArtistVerification.find({
+        artist: application.artist._id,
+        _id: { $ne: application._id },
+      })
+        .select("status decisionNote reviewedAt createdAt")
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return {
+        ...application,
+        identityDocuments: application.identityDocuments.map(withUrl),
+        portfolioDocuments: application.portfolioDocuments.map(withUrl),
+        previousApplications,
+      };
+    } catch (error) {
+      logger.error(`Error getting verification application: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Record an admin decision on an open application. The status guard makes
+  // concurrent decisions on the same application fail instead of overwrite.
+  async decide(
+    applicationId,
+    adminId,
+    { from, status, action, note },
+    session
+  ) {
+    const now = new Date();
+    const update = {
+      $set: {
+        status,
+        reviewedBy: adminId,
+        reviewedAt: now,
+        ...(action === "info_requested"
+          ? { requestedInfo: note }
+          : { decisionNote: note }),
+      },
+      $push: {
+        history: { action, by: adminId, status, note, at: now },
+      },
+    };
+
+    const application = await ArtistVerification.findOneAndUpdate(
+      { _id: applicationId, status: { $in: from } },
+      update,
+      { new: true, session }
+    ).populate("artist", "email username");
+
+    if (!application) {
+      throw new AppError(
+        "Verification application not found or already decided",
+        404
+      );
+    }
+
+    return application;
+  }
+
+  // Let the artist know about a decision
+  async notifyArtist(application, note) {
+    try {
+      await emailService.sendArtistVerificationUpdate(
+        application.artist.email,
+        application.artist.username,
+        application.status,
+        note
+      );
+    } catch (emailError) {
+      logger.error(`Failed to send verification email: ${emailError.message}`);
+    }
+  }
+
+  // Grant the verified badge (admin)
+  async approveApplication(applicationId, adminId, note) {
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const application = await this.decide(
+        applicationId,
+        adminId,
+        {
+          from: ArtistVerification.OPEN_STATUSES,
+          status: "approved",
+          action: "approved",
+          note,
+        },
+        session
+      );
+
+      await ArtistProfile.updateOne(
+        { userId: application.artist._id },
+        { verified: true, verifiedAt: application.reviewedAt },
+        { upsert: true, session }
+      );
+
+      await session.commitTransaction();
+
+      logger.info(
+        `Artist ${application.artist._id} verified by admin ${adminId}`
+      );
+
+      // The badge shows in artwork listings
+      await artworkCacheService.invalidateArtworkLists();
+      await this.notifyArtist(application, note);
+
+      return application;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      logger.error(`Error approving verification: ${error.message}`);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Turn an application down (admin)
+  async rejectApplication(applicationId, adminId, note) {
+    try {
+      const application = await this.decide(applicationId, adminId, {
+        from: ArtistVerification.OPEN_STATUSES,
+        status: "rejected",
+        action: "rejected",
+        note,
+      });
+
+      logger.info(
+        `Verification application ${applicationId} rejected by admin ${adminId}`
+      );
+
+      await this.notifyArtist(application, note);
+
+      return application;
+    } catch (error) {
+      logger.error(`Error rejecting verification: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Ask the artist for more evidence before deciding (admin)
+  async requestMoreInfo(applicationId, adminId, note) {
+    try {
+      const application = await this.decide(applicationId, adminId, {
+        from: ["pending"],
+        status: "info_requested",
+        action: "info_requested",
+        note,
+      });
+
+      await this.notifyArtist(application, note);
+
+      return application;
+    } catch (error) {
+      logger.error(`Error requesting verification info: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ArtistVerificationService();
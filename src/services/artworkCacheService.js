@@ -2,6 +2,28 @@ const Redis = require("redis");
 const config = require("../config/config");
 const logger = require("../utils/logger");
 
+// Query parameters that narrow an artwork list, in cache key order
+const LIST_FILTER_KEYS = [
+  "status",
+  "minPrice",
+  "maxPrice",
+  "tags",
+  "search",
+  "artist",
+  "medium",
+  "minYear",
+  "maxYear",
+  "minWidth",
+  "maxWidth",
+  "minHeight",
+  "maxHeight",
+  "dimensionUnit",
+  "isOriginal",
+  "isEdition",
+  "available",
+  "artistVerified",
+];
+
 class ArtworkCacheService {
   constructor() {
     this.redis = null;
@@ -109,19 +131,26 @@ class ArtworkCacheService {
     }
   }
 
-  // Generate cache key for artwork list to cache search results
+  // Invalidate every cached artwork list (e.g. when an artist's badge
+  // changes)
+  async invalidateArtworkLists() {
+    if (!this.isConnected) return;
+
+    try {
+      const matchingKeys = await this.redis.keys("artworks:*");
+      if (matchingKeys.length > 0) {
+        await this.redis.del(matchingKeys);
+      }
+    } catch (error) {
+      logger.error("Cache invalidation error:", error);
+    }
+  }
+
+  // Generate cache key for artwork list to cache search results.
+  // Filters are added in a fixed order with array values sorted, so the same
+  // combination always maps to the same key; false flags are kept.
   generateListCacheKey(query) {
-    const {
-      page = 1,
-      limit = 10,
-      sort = "-createdAt",
-      status,
-      minPrice,
-      maxPrice,
-      tags,
-      search,
-      artist,
-    } = query;
+    const { page = 1, limit = 10, sort = "-createdAt" } = query;
 
     const keyParts = [
       "artworks",
@@ -130,13 +159,16 @@ class ArtworkCacheService {
       `sort:${sort}`,
     ];
 
-    if (status) keyParts.push(`status:${status}`);
-    if (minPrice) keyParts.push(`minPrice:${minPrice}`);
-    if (maxPrice) keyParts.push(`maxPrice:${maxPrice}`);
-    if (tags)
-      keyParts.push(`tags:${Array.isArray(tags) ? tags.join(",") : tags}`);
-    if (search) keyParts.push(`search:${search}`);
-    if (artist) keyParts.push(`artist:${artist}`);
+    LIST_FILTER_KEYS.forEach((name) => {
+      const value = query[name];
+      if (value === undefined || value === null || value === "") return;
+
+      keyParts.push(
+        `${name}:${
+          Array.isArray(value) ? value.map(String).sort().join(",") : value
+        }`
+      );
+    });
 
     return keyParts.join(":");
   }
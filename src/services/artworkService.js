@@ -4,12 +4,21 @@ const User = require("../models/User");
 const ListingPayment = require("../models/ListingPayment");
 const Transaction = require("../models/Transaction");
 const TraceabilityRecord = require("../models/TraceabilityRecord");
+const EditionUnit = require("../models/EditionUnit");
 const artworkCacheService = require("./artworkCacheService");
+const auctionService = require("./auctionService");
+const editionService = require("./editionService");
 const { deleteCloudinaryImage } = require("../middleware/upload");
 const { addArtworkCleanupJob } = require("../jobs/cleanupJobs");
+const { addFeedFanOutJob } = require("../jobs/feedJobs");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 
+// Lower bounds of the price (EUR) and size (largest side, cm) facet ranges
+const FACET_PRICE_BOUNDARIES = [0, 100, 500, 1000, 5000, 10000];
+const FACET_SIZE_BOUNDARIES_CM = [0, 30, 60, 100, 200];
+const CM_PER_INCH = 2.54;
+
 class ArtworkService {
   async createArtwork(artistId, artworkData) {
     // Start a database session for transaction
@@ -19,6 +28,26 @@ class ArtworkService {
       // Start transaction
       session.startTransaction();
 
+      // Only the artist's auction settings are kept, never live auction state
+      if (artworkData.saleType === "auction") {
+        artworkData.auction = auctionService.buildAuctionSettings(
+          artworkData.auction,
+          Number(artworkData.price)
+        );
+      } else {
+        delete artworkData.auction;
+      }
+
+      // Editions are sold unit by unit, all of them still unsold at creation
+      if (artworkData.isEdition) {
+        artworkData.edition = {
+          total: Number(artworkData.edition.total),
+          remaining: Number(artworkData.edition.total),
+        };
+      } else if (artworkData.edition) {
+        delete artworkData.edition.remaining;
+      }
+
       // Create artwork with pending status
       const artwork = await Artwork.create(
         [
@@ -36,25 +65,25 @@ class ArtworkService {
         { session }
       );
 
-      // Create initial traceability record
-      const transactionHash = TraceabilityRecord.generateTransactionHash();
-      await TraceabilityRecord.create(
-        [
-          {
-            artworkId: artwork[0]._id,
-            fromUserId: artistId,
-            toUserId: artistId,
-            transactionType: "created",
-            transactionHash,
-            additionalData: {
-              price: artworkData.price,
-              condition: "new",
-            },
+      // Create initial traceability record (first link of the chain)
+      await TraceabilityRecord.appendRecord(
+        {
+          artworkId: artwork[0]._id,
+          fromUserId: artistId,
+          toUserId: artistId,
+          transactionType: "created",
+          additionalData: {
+            price: artworkData.price,
+            condition: "new",
           },
-        ],
-        { session }
+        },
+        session
       );
 
+      if (artwork[0].isEdition) {
+        await editionService.createUnits(artwork[0], session);
+      }
+
       // If we get here, both operations succeeded. Commit the transaction
       await session.commitTransaction();
 
@@ -90,7 +119,7 @@ class ArtworkService {
     }
   }
 
-  // Get all artworks with pagination and filtering
+  // Get all artworks with pagination, filtering and facet counts
   async getArtworks(query) {
     try {
       // generate cache key
@@ -104,17 +133,7 @@ class ArtworkService {
         return cachedResults;
       }
 
-      const {
-        page = 1,
-        limit = 10,
-        sort = "-createdAt",
-        status = "approved",
-        minPrice,
-        maxPrice,
-        tags,
-        search,
-        artist,
-      } = query;
+      const { status = "approved", search } = query;
 
       // Build filter object
       const filter = {
@@ -123,24 +142,6 @@ class ArtworkService {
         // listingFeeStatus: "paid"
       };
 
-      // Price Filter
-      if (minPrice || maxPrice) {
-        filter.price = {};
-        if (minPrice) filter.price.$gte = minPrice;
-        if (maxPrice) filter.price.$lte = maxPrice;
-      }
-
-      // Artist filtering
-      if (artist) {
-        filter.artist = artist;
-      }
-
-      // Tags Filter
-      if (tags) {
-        const tagArray = Array.isArray(tags) ? tags : [tags];
-        filter.tags = { $in: tagArray };
-      }
-
       // Text search
       if (search) {
         filter.$text = {
@@ -149,32 +150,7 @@ class ArtworkService {
         };
       }
 
-      // Calculate pagination
-      const skip = (page - 1) * limit;
-
-      // Execute query
-      const artworks = await Artwork.find(filter)
-        .populate("artist", "username profile")
-        .populate("currentOwner", "username profile")
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean();
-
-      // Get total count for pagination
-      const total = await Artwork.countDocuments(filter);
-
-      const result = {
-        artworks,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          totalPages: Math.ceil(total / limit),
-          hasNextPage: skip + limit < total,
-          hasPrevPage: page > 1,
-        },
-      };
+      const result = await this.runFacetedSearch(filter, query);
 
       await artworkCacheService.cacheArtworkList(cacheKey, result);
 
@@ -292,7 +268,9 @@ class ArtworkService {
   // Update Artwork
   async updateArtwork(artworkId, updateData, userId) {
     try {
-      const artwork = await Artwork.findById(artworkId);
+      const artwork = await Artwork.findById(artworkId).select(
+        "+auction.reservePrice"
+      );
 
       if (!artwork) {
         throw new AppError("Artwork not found", 404);
@@ -306,6 +284,35 @@ class ArtworkService {
         );
       }
 
+      // The size of an edition is fixed once its units exist
+      if (
+        (updateData.isEdition !== undefined &&
+          updateData.isEdition !== artwork.isEdition) ||
+        (artwork.isEdition &&
+          (updateData.edition !== undefined ||
+            updateData.saleType === "auction"))
+      ) {
+        throw new AppError(
+          "Edition settings cannot be changed after the artwork is created",
+          400
+        );
+      }
+
+      this.prepareSaleUpdate(artwork, updateData);
+
+      // Royalty terms are the artist's, and fixed once the artwork has sold
+      if (updateData.royaltyPercentage !== undefined) {
+        if (
+          artwork.artist.toString() !== userId ||
+          artwork.ownershipHistory.length > 0
+        ) {
+          throw new AppError(
+            "Royalty percentage can only be changed by the artist before the first sale",
+            403
+          );
+        }
+      }
+
       const updatedArtwork = await Artwork.findByIdAndUpdate(
         artworkId,
         updateData,
@@ -315,6 +322,25 @@ class ArtworkService {
       // Invalidate cache
       await artworkCacheService.invalidateArtworkCache(artworkId);
 
+      // Tell the artist's followers about price drops on listed artworks
+      if (
+        artwork.status === "approved" &&
+        updatedArtwork.saleType === "fixed_price" &&
+        updatedArtwork.price < artwork.price
+      ) {
+        try {
+          await addFeedFanOutJob("price_drop", artworkId, {
+            price: updatedArtwork.price,
+            previousPrice: artwork.price,
+          });
+        } catch (error) {
+          logger.error(
+            `Failed to queue feed fan-out for artwork ${artworkId}:`,
+            error
+          );
+        }
+      }
+
       logger.info(`Artwork updated: ${artworkId} by user: ${userId}`);
 
       return updatedArtwork;
@@ -324,6 +350,44 @@ class ArtworkService {
     }
   }
 
+  // Check price / sale mode changes against the auction state
+  prepareSaleUpdate(artwork, updateData) {
+    const changesSale =
+      updateData.price !== undefined ||
+      updateData.saleType !== undefined ||
+      updateData.auction !== undefined;
+
+    if (!changesSale) {
+      return;
+    }
+
+    const { auction } = artwork;
+    const auctionLocked =
+      artwork.saleType === "auction" &&
+      auction &&
+      (["closing", "awaiting_payment"].includes(auction.status) ||
+        (auction.status === "open" && auction.bidCount > 0));
+
+    if (auctionLocked) {
+      throw new AppError(
+        "Price and auction settings cannot be changed once bidding has started",
+        400
+      );
+    }
+
+    const saleType = updateData.saleType || artwork.saleType;
+
+    if (saleType === "auction") {
+      updateData.auction = auctionService.buildAuctionSettings(
+        updateData.auction || auction,
+        Number(updateData.price ?? artwork.price)
+      );
+    } else {
+      delete updateData.auction;
+      updateData.$unset = { auction: 1 };
+    }
+  }
+
   // delete artwork
   async deleteArtwork(artworkId, userId) {
     try {
@@ -354,6 +418,27 @@ class ArtworkService {
         );
       }
 
+      if (
+        artwork.auction &&
+        (["closing", "awaiting_payment"].includes(artwork.auction.status) ||
+          (artwork.auction.status === "open" && artwork.auction.bidCount > 0))
+      ) {
+        throw new AppError("Cannot delete artwork with active bids", 400);
+      }
+
+      if (
+        artwork.isEdition &&
+        (await EditionUnit.exists({
+          artwork: artworkId,
+          status: { $ne: "available" },
+        }))
+      ) {
+        throw new AppError(
+          "Cannot delete an edition once any of its units is sold or reserved",
+          400
+        );
+      }
+
       // Delete images from cloudinary
       //   await Promise.all(
       //     artwork.images.map((imageUrl) => deleteCloudinaryImage(imageUrl))
@@ -473,62 +558,336 @@ class ArtworkService {
   // Search artworks
   async searchArtworks(searchTerm, query = {}) {
     try {
-      const {
-        page = 1,
-        limit = 10,
-        sort = "-createdAt",
-        minPrice,
-        maxPrice,
-        tags,
-      } = query;
-
       // build filter object
       const filter = {
         status: "approved",
         $text: { $search: searchTerm },
       };
 
-      // Price filtering
-      if (minPrice || maxPrice) {
-        filter.price = {};
-        if (minPrice) filter.price.$gte = parseFloat(minPrice);
-        if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-      }
+      return await this.runFacetedSearch(filter, query);
+    } catch (error) {
+      logger.error("Error searching artworks:", error);
+      throw error;
+    }
+  }
+
+  // Filters on stored artwork fields. Aggregation does not cast like find(),
+  // so values are converted here.
+  buildFacetFilter(query) {
+    const {
+      minPrice,
+      maxPrice,
+      tags,
+      artist,
+      medium,
+      minYear,
+      maxYear,
+      isOriginal,
+      isEdition,
+    } = query;
+
+    const filter = {};
+
+    // Price Filter
+    if (minPrice || maxPrice) {
+      filter.price = {};
+      if (minPrice) filter.price.$gte = parseFloat(minPrice);
+      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+    }
 
-      // Tags filtering
-      if (tags) {
-        const tagArray = Array.isArray(tags) ? tags : [tags];
-        filter.tags = { $in: tagArray };
+    // Artist filtering
+    if (artist) {
+      filter.artist = new mongoose.Types.ObjectId(artist);
+    }
+
+    // Tags Filter
+    if (tags) {
+      const tagArray = Array.isArray(tags) ? tags : [tags];
+      filter.tags = { $in: tagArray };
+    }
+
+    if (medium) {
+      filter.medium = { $in: Array.isArray(medium) ? medium : [medium] };
+    }
+
+    if (minYear || maxYear) {
+      filter.year = {};
+      if (minYear) filter.year.$gte = parseInt(minYear);
+      if (maxYear) filter.year.$lte = parseInt(maxYear);
+    }
+
+    // Unset flags count as their schema defaults (original, not an edition)
+    if (isOriginal !== undefined) {
+      filter.isOriginal =
+        String(isOriginal) === "true" ? { $ne: false } : false;
+    }
+
+    if (isEdition !== undefined) {
+      filter.isEdition =
+        String(isEdition) === "true" ? true : { $ne: true };
+    }
+
+    return filter;
+  }
+
+  // Filters on the fields added by getFacetFieldsStages
+  buildComputedFacetFilter(query) {
+    const {
+      minWidth,
+      maxWidth,
+      minHeight,
+      maxHeight,
+      dimensionUnit = "cm",
+      available,
+      artistVerified,
+    } = query;
+
+    const filter = {};
+    const factor = dimensionUnit === "in" ? CM_PER_INCH : 1;
+
+    const addRange = (field, min, max) => {
+      if (min === undefined && max === undefined) {
+        return;
       }
+      filter[field] = {};
+      if (min !== undefined) filter[field].$gte = parseFloat(min) * factor;
+      if (max !== undefined) filter[field].$lte = parseFloat(max) * factor;
+    };
 
-      const skip = (page - 1) * limit;
+    addRange("_facet.widthCm", minWidth, maxWidth);
+    addRange("_facet.heightCm", minHeight, maxHeight);
 
-      const artworks = await Artwork.find(filter, {
-        score: { $meta: "textScore" },
-      })
-        .populate("artist", "username profile")
-        .sort({ score: { $meta: "textScore" }, ...this.parseSortString(sort) })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean();
+    if (available !== undefined) {
+      filter["_facet.isAvailable"] = String(available) === "true";
+    }
 
-      const total = await Artwork.countDocuments(filter);
+    if (artistVerified !== undefined) {
+      filter["_facet.artistVerified"] = String(artistVerified) === "true";
+    }
 
-      return {
-        artworks,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          totalPages: Math.ceil(total / limit),
-          hasNextPage: skip + limit < total,
-          hasPrevPage: page > 1,
+    return filter;
+  }
+
+  // Per-artwork values the facets group on: dimensions in cm, availability
+  // and the artist's verified status
+  getFacetFieldsStages() {
+    const toCm = (field) => ({
+      $cond: [
+        { $eq: ["$dimensions.unit", "in"] },
+        { $multiply: [`$dimensions.${field}`, CM_PER_INCH] },
+        `$dimensions.${field}`,
+      ],
+    });
+
+    return [
+      // The verified badge lives on the artist profile. User.isVerified only
+      // means the email address was confirmed, so it must not be used here.
+      {
+        $lookup: {
+          from: "artistprofiles",
+          localField: "artist",
+          foreignField: "userId",
+          as: "_facetArtist",
         },
-      };
-    } catch (error) {
-      logger.error("Error searching artworks:", error);
-      throw error;
-    }
+      },
+      {
+        $addFields: {
+          _facet: {
+            widthCm: toCm("width"),
+            heightCm: toCm("height"),
+            // Editions stay with the artist, so they are available while
+            // units remain
+            isAvailable: {
+              $cond: [
+                { $eq: ["$isEdition", true] },
+                { $gt: ["$edition.remaining", 0] },
+                { $eq: ["$artist", "$currentOwner"] },
+              ],
+            },
+            artistVerified: {
+              $eq: [
+                { $arrayElemAt: ["$_facetArtist.verified", 0] },
+                true,
+              ],
+            },
+          },
+        },
+      },
+      {
+        $addFields: {
+          "_facet.largestSideCm": {
+            $max: ["$_facet.widthCm", "$_facet.heightCm"],
+          },
+        },
+      },
+    ];
+  }
+
+  // Count the matching artworks per value of each facet
+  getFacetStages() {
+    const countBy = (groupBy) => [
+      { $group: { _id: groupBy, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ];
+
+    return {
+      medium: [
+        { $match: { medium: { $nin: [null, ""] } } },
+        { $group: { _id: "$medium", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 20 },
+      ],
+      price: [
+        {
+          $bucket: {
+            groupBy: "$price",
+            boundaries: FACET_PRICE_BOUNDARIES,
+            default: "above",
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+      size: [
+        { $match: { "_facet.largestSideCm": { $type: "number" } } },
+        {
+          $bucket: {
+            groupBy: "$_facet.largestSideCm",
+            boundaries: FACET_SIZE_BOUNDARIES_CM,
+            default: "above",
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+      decade: [
+        { $match: { year: { $type: "number" } } },
+        ...countBy({
+          $multiply: [{ $floor: { $divide: ["$year", 10] } }, 10],
+        }),
+      ],
+      isOriginal: countBy({ $ne: ["$isOriginal", false] }),
+      isEdition: countBy({ $eq: ["$isEdition", true] }),
+      available: countBy("$_facet.isAvailable"),
+      artistVerified: countBy("$_facet.artistVerified"),
+    };
+  }
+
+  // Shape the raw $facet output for the response
+  formatFacets(raw) {
+    const toRanges = (buckets, boundaries) =>
+      buckets.map((bucket) => {
+        if (bucket._id === "above") {
+          return {
+            min: boundaries[boundaries.length - 1],
+            max: null,
+            count: bucket.count,
+          };
+        }
+        const index = boundaries.indexOf(bucket._id);
+        return {
+          min: bucket._id,
+          max: boundaries[index + 1],
+          count: bucket.count,
+        };
+      });
+
+    const toBooleanCounts = (rows) => {
+      const counts = { true: 0, false: 0 };
+      rows.forEach((row) => {
+        counts[row._id ? "true" : "false"] += row.count;
+      });
+      return counts;
+    };
+
+    return {
+      medium: raw.medium.map((row) => ({ value: row._id, count: row.count })),
+      price: toRanges(raw.price, FACET_PRICE_BOUNDARIES),
+      // Largest side in cm
+      size: toRanges(raw.size, FACET_SIZE_BOUNDARIES_CM),
+      decade: raw.decade.map((row) => ({ value: row._id, count: row.count })),
+      isOriginal: toBooleanCounts(raw.isOriginal),
+      isEdition: toBooleanCounts(raw.isEdition),
+      available: toBooleanCounts(raw.available),
+      artistVerified: toBooleanCounts(raw.artistVerified),
+    };
+  }
+
+  // One page of artworks plus facet counts over every match, in a single
+  // aggregation. baseFilter must hold any $text clause, which has to run first.
+  async runFacetedSearch(baseFilter, query = {}) {
+    let { page = 1, limit = 10, sort = "-createdAt" } = query;
+    page = parseInt(page);
+    limit = parseInt(limit);
+    const skip = (page - 1) * limit;
+
+    // Most relevant first when searching by text
+    const isTextSearch = !!baseFilter.$text;
+    const sortStage = {
+      ...(isTextSearch && { score: -1 }),
+      ...this.parseSortString(sort),
+      _id: 1,
+    };
+
+    const [raw] = await Artwork.aggregate([
+      { $match: { ...baseFilter, ...this.buildFacetFilter(query) } },
+      ...(isTextSearch
+        ? [{ $addFields: { score: { $meta: "textScore" } } }]
+        : []),
+      ...this.getFacetFieldsStages(),
+      { $match: this.buildComputedFacetFilter(query) },
+      {
+        $facet: {
+          artworks: [
+            { $sort: sortStage },
+            { $skip: skip },
+            { $limit: limit },
+            // Verified artist badge
+            { $addFields: { artistVerified: "$_facet.artistVerified" } },
+            { $project: { _facet: 0, _facetArtist: 0 } },
+          ],
+          total: [{ $count: "count" }],
+          ...this.getFacetStages(),
+        },
+      },
+    ]);
+
+    const artworks = await Artwork.populate(raw.artworks, [
+      { path: "artist", select: "username profile" },
+      { path: "currentOwner", select: "username profile" },
+    ]);
+    const total = raw.total[0]?.count || 0;
+
+    return {
+      artworks,
+      facets: this.formatFacets(raw),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + limit < total,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  // Whether an approved artwork is among the results of a search (used to
+  // alert saved searches)
+  async matchesSearch(artworkId, searchTerm, filters = {}) {
+    const [match] = await Artwork.aggregate([
+      {
+        $match: {
+          _id: new mongoose.Types.ObjectId(artworkId),
+          status: "approved",
+          ...(searchTerm && { $text: { $search: searchTerm } }),
+          ...this.buildFacetFilter(filters),
+        },
+      },
+      ...this.getFacetFieldsStages(),
+      { $match: this.buildComputedFacetFilter(filters) },
+      { $project: { _id: 1 } },
+    ]);
+
+    return !!match;
   }
 
   // Helper method to parse sort string
@@ -0,0 +1,693 @@
+const mongoose = require("mongoose");
+const Artwork = require("../models/Artwork");
+const Bid = require("../models/Bid");
+const Transaction = require("../models/Transaction");
+const config = require("../config/config");
+const { getIO } = require("../config/socket");
+const auctionHandler = require("../sockets/auctionHandler");
+const onlineHandler = require("../sockets/onlineHandler");
+const artworkCacheService = require("./artworkCacheService");
+const emailService = require("./emailService");
+const { addAuctionCloseJob } = require("../jobs/auctionJobs");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const MAX_AUCTION_DAYS = 30;
+// A close still "closing" after this long was interrupted (crash or restart)
+// and may be claimed again
+const CLOSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+class AuctionService {
+  // Pick and check the auction settings an artist may set
+  buildAuctionSettings(input = {}, startingPrice) {
+    const now = new Date();
+    // Never start in the past so bids from an earlier listing stay out of this one
+    const startTime =
+      input.startTime && new Date(input.startTime) > now
+        ? new Date(input.startTime)
+        : now;
+    const endTime = new Date(input.endTime);
+
+    if (isNaN(endTime.getTime())) {
+      throw new AppError("Auction end time must be a valid date", 400);
+    }
+
+    if (endTime <= now || endTime <= startTime) {
+      throw new AppError(
+        "Auction end time must be in the future and after the start time",
+        400
+      );
+    }
+
+    if (endTime - startTime > MAX_AUCTION_DAYS * 24 * 60 * 60 * 1000) {
+      throw new AppError(
+        `Auctions cannot run longer than ${MAX_AUCTION_DAYS} days`,
+        400
+      );
+    }
+
+    const settings = { startTime, endTime, status: "open" };
+
+    if (input.reservePrice !== undefined && input.reservePrice !== "") {
+      settings.reservePrice = Number(input.reservePrice);
+
+      if (startingPrice !== undefined && settings.reservePrice < startingPrice) {
+        throw new AppError(
+          "Reserve price cannot be lower than the starting price",
+          400
+        );
+      }
+    }
+
+    if (input.minimumIncrement !== undefined) {
+      settings.minimumIncrement = Number(input.minimumIncrement);
+    }
+
+    if (input.antiSnipingMinutes !== undefined) {
+      settings.antiSnipingMinutes = Number(input.antiSnipingMinutes);
+    }
+
+    return settings;
+  }
+
+  // Lowest amount the next bid must reach
+  getMinimumNextBid(artwork) {
+    const { auction } = artwork;
+    return auction.currentBid
+      ? auction.currentBid + auction.minimumIncrement
+      : artwork.price;
+  }
+
+  // Public view of an auction (the reserve amount itself stays hidden)
+  formatAuction(artwork) {
+    const { auction } = artwork;
+
+    return {
+      artworkId: artwork._id,
+      status: auction.status,
+      startTime: auction.startTime,
+      endTime: auction.endTime,
+      startingPrice: artwork.price,
+      currentBid: auction.currentBid || null,
+      bidCount: auction.bidCount,
+      minimumIncrement: auction.minimumIncrement,
+      minimumNextBid: this.getMinimumNextBid(artwork),
+      hasReserve: auction.reservePrice !== undefined,
+      reserveMet:
+        auction.reservePrice === undefined ||
+        (auction.currentBid || 0) >= auction.reservePrice,
+      antiSnipingMinutes: auction.antiSnipingMinutes,
+      extensionCount: auction.extensionCount,
+      closedAt: auction.closedAt,
+      winningBid: auction.winningBid,
+      paymentDeadline: auction.paymentDeadline,
+    };
+  }
+
+  // Bids belonging to the current listing of an auction
+  getBidFilter(artwork) {
+    return {
+      artwork: artwork._id,
+      createdAt: { $gte: artwork.auction.startTime },
+    };
+  }
+
+  async findAuctionArtwork(artworkId) {
+    const artwork = await Artwork.findById(artworkId).select(
+      "+auction.reservePrice"
+    );
+
+    if (!artwork) {
+      throw new AppError("Artwork not found", 404);
+    }
+
+    if (artwork.saleType !== "auction" || !artwork.auction) {
+      throw new AppError("This artwork is not sold by auction", 400);
+    }
+
+    return artwork;
+  }
+
+  // Place a bid on a live auction
+  async placeBid(artworkId, bidderId, amount) {
+    const session = await mongoose.startSession();
+
+    try {
+      const artwork = await this.findAuctionArtwork(artworkId);
+      const { auction } = artwork;
+      const now = new Date();
+
+      if (artwork.status !== "approved" || auction.status !== "open") {
+        throw new AppError("This auction is not accepting bids", 400);
+      }
+
+      if (auction.startTime > now) {
+        throw new AppError("This auction has not started yet", 400);
+      }
+
+      if (auction.endTime <= now) {
+        throw new AppError("This auction has ended", 400);
+      }
+
+      if (artwork.currentOwner.toString() === bidderId) {
+        throw new AppError("You cannot bid on your own artwork", 400);
+      }
+
+      if (auction.currentBidder?.toString() === bidderId) {
+        throw new AppError("You are already the highest bidder", 400);
+      }
+
+      const minimumBid = this.getMinimumNextBid(artwork);
+      if (amount < minimumBid) {
+        throw new AppError(`Bid must be at least €${minimumBid}`, 400);
+      }
+
+      // Anti-sniping: a bid close to the end pushes the end time back
+      const snipingWindowMs = auction.antiSnipingMinutes * 60 * 1000;
+      const extended =
+        snipingWindowMs > 0 && auction.endTime - now < snipingWindowMs;
+      const endTime = extended
+        ? new Date(now.getTime() + snipingWindowMs)
+        : auction.endTime;
+
+      session.startTransaction();
+
+      // bidCount acts as a version so concurrent bids cannot both win
+      const updated = await Artwork.findOneAndUpdate(
+        {
+          _id: artworkId,
+          "auction.status": "open",
+          "auction.bidCount": auction.bidCount,
+          "auction.endTime": { $gt: now },
+        },
+        {
+          $set: {
+            "auction.currentBid": amount,
+            "auction.currentBidder": bidderId,
+            "auction.endTime": endTime,
+          },
+          $inc: {
+            "auction.bidCount": 1,
+            ...(extended && { "auction.extensionCount": 1 }),
+          },
+        },
+        { new: true, session }
+      ).select("+auction.reservePrice");
+
+      if (!updated) {
+        throw new AppError(
+          "Another bid was placed at the same time. Please refresh and try again.",
+          409
+        );
+      }
+
+      const [bid] = await Bid.create(
+        [
+          {
+            artwork: artworkId,
+            bidder: bidderId,
+            amount,
+            extendedAuction: extended,
+          },
+        ],
+        { session }
+      );
+
+      await session.commitTransaction();
+
+      await artworkCacheService.invalidateArtworkCache(artworkId);
+
+      const auctionState = this.formatAuction(updated);
+      const io = getIO();
+
+      if (io) {
+        auctionHandler.broadcast(
+          artworkId,
+          "auction_bid",
+          {
+            ...auctionState,
+            bid: { id: bid._id, amount, createdAt: bid.createdAt },
+            extended,
+          },
+          io
+        );
+
+        if (auction.currentBidder) {
+          onlineHandler.sendToUser(
+            auction.currentBidder.toString(),
+            "auction_outbid",
+            {
+              artworkId,
+              title: artwork.title,
+              currentBid: amount,
+              minimumNextBid: auctionState.minimumNextBid,
+              endTime,
+            },
+            io
+          );
+        }
+      }
+
+      logger.info(
+        `Bid of €${amount} placed on artwork ${artworkId} by ${bidderId}${
+          extended ? " (auction extended)" : ""
+        }`
+      );
+
+      return { bid, auction: auctionState };
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      logger.error(`Error placing bid: ${error.message}`);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Get current auction state with the latest bids
+  async getAuction(artworkId) {
+    try {
+      const artwork = await this.findAuctionArtwork(artworkId);
+
+      const recentBids = await Bid.find(this.getBidFilter(artwork))
+        .populate("bidder", "username")
+        .sort({ amount: -1 })
+        .limit(10)
+        .lean();
+
+      return { auction: this.formatAuction(artwork), recentBids };
+    } catch (error) {
+      logger.error(`Error getting auction: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Get paginated bid history of an auction
+  async getBids(artworkId, query = {}) {
+    try {
+      const artwork = await this.findAuctionArtwork(artworkId);
+      const filter = this.getBidFilter(artwork);
+
+      const page = parseInt(query.page) || 1;
+      const limit = parseInt(query.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const [bids, total] = await Promise.all([
+        Bid.find(filter)
+          .populate("bidder", "username")
+          .sort({ amount: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Bid.countDocuments(filter),
+      ]);
+
+      return {
+        bids,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting auction bids: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Get bids placed by the current user
+  async getMyBids(userId, query = {}) {
+    try {
+      const page = parseInt(query.page) || 1;
+      const limit = parseInt(query.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const [bids, total] = await Promise.all([
+        Bid.find({ bidder: userId })
+          .populate(
+            "artwork",
+            "title images price auction.status auction.endTime auction.currentBid auction.winner"
+          )
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Bid.countDocuments({ bidder: userId }),
+      ]);
+
+      return {
+        bids,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting user bids: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Highest remaining bid that meets the reserve, skipping lapsed winners
+  async findNextWinningBid(artwork) {
+    const { auction } = artwork;
+
+    return Bid.findOne({
+      ...this.getBidFilter(artwork),
+      bidder: { $nin: auction.lapsedBidders || [] },
+      ...(auction.reservePrice !== undefined && {
+        amount: { $gte: auction.reservePrice },
+      }),
+    }).sort({ amount: -1, createdAt: 1 });
+  }
+
+  // Close an auction once its end time has passed
+  async closeAuction(artworkId) {
+    let claimed = false;
+
+    try {
+      const now = new Date();
+
+      // Claim the close first: the scheduled job and the sweep can both get
+      // here, and only the caller that wins may pick the winner
+      const artwork = await Artwork.findOneAndUpdate(
+        {
+          _id: artworkId,
+          saleType: "auction",
+          $or: [
+            {
+              "auction.status": "open",
+              "auction.endTime": { $lte: now },
+            },
+            {
+              "auction.status": "closing",
+              "auction.closingAt": {
+                $lte: new Date(now.getTime() - CLOSING_TIMEOUT_MS),
+              },
+            },
+          ],
+        },
+        { "auction.status": "closing", "auction.closingAt": now },
+        { new: true }
+      )
+        .select("+auction.reservePrice")
+        .populate("currentOwner", "username email");
+
+      if (!artwork) {
+        const current = await Artwork.findById(artworkId)
+          .select("saleType auction.status auction.endTime")
+          .lean();
+
+        // Anti-sniping may have pushed the end back since the job was
+        // scheduled
+        if (
+          current?.saleType === "auction" &&
+          current.auction?.status === "open"
+        ) {
+          await addAuctionCloseJob(current._id, current.auction.endTime);
+          return { closed: false, endTime: current.auction.endTime };
+        }
+
+        return { closed: false };
+      }
+
+      claimed = true;
+
+      // Auctions on artworks that were never approved cannot sell
+      if (artwork.status !== "approved") {
+        artwork.auction.status = "cancelled";
+        artwork.auction.closedAt = new Date();
+        await artwork.save();
+        return { closed: true, status: "cancelled" };
+      }
+
+      artwork.auction.closedAt = new Date();
+
+      const winningBid = await this.findNextWinningBid(artwork);
+      if (!winningBid) {
+        return await this.markUnsold(artwork);
+      }
+
+      return await this.awardToBidder(artwork, winningBid);
+    } catch (error) {
+      // Reopen a close that failed halfway so a retry or the sweep can claim
+      // it again
+      if (claimed) {
+        await Artwork.updateOne(
+          { _id: artworkId, "auction.status": "closing" },
+          { "auction.status": "open" }
+        ).catch(() => {});
+      }
+      logger.error(`Error closing auction ${artworkId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async markUnsold(artwork) {
+    artwork.auction.status = "unsold";
+    artwork.auction.winner = undefined;
+    artwork.auction.winningBid = undefined;
+    artwork.auction.paymentDeadline = undefined;
+    await artwork.save();
+
+    await artworkCacheService.invalidateArtworkCache(artwork._id);
+
+    const io = getIO();
+    if (io) {
+      auctionHandler.broadcast(
+        artwork._id,
+        "auction_closed",
+        this.formatAuction(artwork),
+        io
+      );
+      onlineHandler.sendToUser(
+        (artwork.currentOwner._id || artwork.currentOwner).toString(),
+        "auction_unsold",
+        { artworkId: artwork._id, title: artwork.title },
+        io
+      );
+    }
+
+    logger.info(`Auction for artwork ${artwork._id} closed without a sale`);
+
+    return { closed: true, status: "unsold" };
+  }
+
+  // Make a bidder the winner and open a checkout for them
+  async awardToBidder(artwork, bid) {
+    const paymentDeadline = new Date(
+      Date.now() + config.auctions.paymentWindowHours * 60 * 60 * 1000
+    );
+
+    artwork.auction.status = "awaiting_payment";
+    artwork.auction.winner = bid.bidder;
+    artwork.auction.winningBid = bid.amount;
+    artwork.auction.paymentDeadline = paymentDeadline;
+    await artwork.save();
+
+    await artworkCacheService.invalidateArtworkCache(artwork._id);
+
+    let checkout = null;
+    try {
+      // Required lazily: paymentService reads auction state from the artwork
+      const paymentService = require("./paymentService");
+      checkout = await paymentService.createPurchasePaymentSession(
+        artwork._id,
+        bid.bidder.toString()
+      );
+    } catch (error) {
+      // The winner can still open a checkout from the auction page
+      logger.error(
+        `Failed to open checkout for auction ${artwork._id}: ${error.message}`
+      );
+    }
+
+    const io = getIO();
+    if (io) {
+      auctionHandler.broadcast(
+        artwork._id,
+        "auction_closed",
+        this.formatAuction(artwork),
+        io
+      );
+      onlineHandler.sendToUser(
+        bid.bidder.toString(),
+        "auction_won",
+        {
+          artworkId: artwork._id,
+          title: artwork.title,
+          amount: bid.amount,
+          paymentDeadline,
+          checkoutUrl: checkout?.sessionUrl,
+        },
+        io
+      );
+    }
+
+    try {
+      await bid.populate("bidder", "username email");
+      await emailService.sendAuctionWonNotification(
+        bid.bidder.email,
+        bid.bidder.username,
+        artwork.title,
+        bid.amount,
+        checkout?.sessionUrl,
+        paymentDeadline
+      );
+    } catch (error) {
+      logger.error(`Failed to send auction won email: ${error.message}`);
+    }
+
+    logger.info(
+      `Auction for artwork ${artwork._id} awarded to ${
+        bid.bidder._id || bid.bidder
+      } at €${bid.amount}`
+    );
+
+    return { closed: true, status: "awaiting_payment", winningBid: bid.amount };
+  }
+
+  // Pass unpaid auctions on to the next highest bidder
+  async handleLapsedPayment(artwork) {
+    const now = new Date();
+
+    // Leave the winner alone while a checkout is still in progress
+    const activeCheckout = await Transaction.exists({
+      artwork: artwork._id,
+      buyer: artwork.auction.winner,
+      status: "pending",
+      expiresAt: { $gt: now },
+    });
+
+    if (activeCheckout) {
+      return { lapsed: false };
+    }
+
+    const lapsedWinner = artwork.auction.winner;
+    artwork.auction.lapsedBidders.push(lapsedWinner);
+
+    const io = getIO();
+    if (io) {
+      onlineHandler.sendToUser(
+        lapsedWinner.toString(),
+        "auction_payment_lapsed",
+        { artworkId: artwork._id, title: artwork.title },
+        io
+      );
+    }
+
+    logger.warn(
+      `Winner ${lapsedWinner} did not pay for auction ${artwork._id} in time`
+    );
+
+    const nextBid = await this.findNextWinningBid(artwork);
+    if (!nextBid) {
+      await this.markUnsold(artwork);
+      return { lapsed: true, status: "unsold" };
+    }
+
+    await this.awardToBidder(artwork, nextBid);
+    return { lapsed: true, status: "awaiting_payment" };
+  }
+
+  // Close overdue auctions and handle lapsed payments (scheduled sweep)
+  async processDueAuctions() {
+    try {
+      const now = new Date();
+
+      // Auctions past their end, and closes interrupted before they finished
+      const dueAuctions = await Artwork.find({
+        saleType: "auction",
+        $or: [
+          { "auction.status": "open", "auction.endTime": { $lte: now } },
+          {
+            "auction.status": "closing",
+            "auction.closingAt": {
+              $lte: new Date(now.getTime() - CLOSING_TIMEOUT_MS),
+            },
+          },
+        ],
+      }).select("_id");
+
+      // One failing auction must not hold up the others
+      let closedCount = 0;
+      for (const { _id } of dueAuctions) {
+        try {
+          const result = await this.closeAuction(_id);
+          if (result.closed) {
+            closedCount++;
+          }
+        } catch (error) {
+          logger.error(
+            `Sweep could not close auction ${_id}: ${error.message}`
+          );
+        }
+      }
+
+      const lapsedAuctions = await Artwork.find({
+        saleType: "auction",
+        "auction.status": "awaiting_payment",
+        "auction.paymentDeadline": { $lte: now },
+      })
+        .select("+auction.reservePrice")
+        .populate("currentOwner", "username email");
+
+      let lapsedCount = 0;
+      for (const artwork of lapsedAuctions) {
+        try {
+          const result = await this.handleLapsedPayment(artwork);
+          if (result.lapsed) {
+            lapsedCount++;
+          }
+        } catch (error) {
+          logger.error(
+            `Sweep could not handle lapsed payment for auction ${artwork._id}: ${error.message}`
+          );
+        }
+      }
+
+      return { closed: closedCount, lapsed: lapsedCount };
+    } catch (error) {
+      logger.error(`Error processing due auctions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Open (or reopen) the checkout for the winning bidder
+  async createWinnerCheckout(artworkId, userId) {
+    try {
+      const artwork = await this.findAuctionArtwork(artworkId);
+
+      if (
+        artwork.auction.status !== "awaiting_payment" ||
+        artwork.auction.winner?.toString() !== userId
+      ) {
+        throw new AppError(
+          "Only the winning bidder can pay for this auction",
+          403
+        );
+      }
+
+      const paymentService = require("./paymentService");
+      return await paymentService.createPurchasePaymentSession(
+        artworkId,
+        userId
+      );
+    } catch (error) {
+      logger.error(`Error creating auction checkout: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuctionService();
@@ -0,0 +1,103 @@
+const AdminAuditLog = require("../models/AdminAuditLog");
+const logger = require("../utils/logger");
+
+class AuditService {
+  // Write an admin action to the audit log
+  async record({
+    adminId,
+    action,
+    targetType,
+    targetId,
+    reason,
+    details,
+    ipAddress,
+    userAgent,
+  }) {
+    try {
+      return await AdminAuditLog.create({
+        admin: adminId,
+        action,
+        targetType,
+        targetId,
+        reason,
+        details,
+        ipAddress,
+        userAgent,
+      });
+    } catch (error) {
+      // The action itself already happened, so don't fail the request
+      logger.error(
+        `Error recording admin action ${action} on ${targetType} ${targetId}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  // Browse the audit log, newest first
+  async getAuditLog(query = {}) {
+    try {
+      let {
+        page = 1,
+        limit = 50,
+        admin,
+        action,
+        targetType,
+        targetId,
+        from,
+        to,
+      } = query;
+      page = parseInt(page);
+      limit = parseInt(limit);
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+      if (admin) {
+        filter.admin = admin;
+      }
+      if (action) {
+        // "user" matches every user action, "user.ban" only bans
+        filter.action = action.includes(".")
+          ? action
+          : { $regex: `^${action}\\.` };
+      }
+      if (targetType) {
+        filter.targetType = targetType;
+      }
+      if (targetId) {
+        filter.targetId = targetId;
+      }
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const [entries, total] = await Promise.all([
+        AdminAuditLog.find(filter)
+          .populate("admin", "username email")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        AdminAuditLog.countDocuments(filter),
+      ]);
+
+      return {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting admin audit log: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -1,13 +1,16 @@
 const User = require("../models/User");
 const ArtistProfile = require("../models/ArtistProfile");
 const emailService = require("./emailService");
+const sessionService = require("./sessionService");
+const twoFactorService = require("./twoFactorService");
 const {
-  generateToken,
-  generateRefreshToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
   generateOTP,
   generatePasswordResetToken,
   hashPasswordResetToken,
 } = require("../utils/helpers");
+const config = require("../config/config");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 
@@ -55,7 +58,7 @@ class AuthService {
   }
 
   // Verify Otp service
-  async verifyOTP(email, otp) {
+  async verifyOTP(email, otp, meta = {}) {
     const user = await User.findOne({
       email,
       verificationOTP: otp,
@@ -75,9 +78,11 @@ class AuthService {
     // Send welcome email
     await emailService.sendWelcomeEmail(user.email, user.username, user.role);
 
-    // Generate Tokens
-    const token = generateToken({ id: user._id });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    // Start a session and generate tokens
+    const { token, refreshToken } = await sessionService.createSession(
+      user._id,
+      meta
+    );
 
     return {
       message: "Email verified successfully!",
@@ -122,7 +127,7 @@ class AuthService {
   }
 
   // login user service
-  async login(email, password) {
+  async login(email, password, meta = {}) {
     const user = await User.findOne({ email }).select("+password");
 
     if (!user || !(await user.comparePassword(password))) {
@@ -133,13 +138,125 @@ class AuthService {
       throw new AppError("Please verify your email before logging in", 401);
     }
 
+    // Second login step: exchange the challenge token and a code for a session
+    if (user.twoFactor?.enabled) {
+      return {
+        message: "Please enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user._id),
+      };
+    }
+
+    return this.completeLogin(user, meta);
+  }
+
+  // Verify two-factor code after password login
+  async verifyTwoFactorLogin(challengeToken, code, meta = {}) {
+    const decoded = verifyTwoFactorChallengeToken(challengeToken);
+    if (!decoded?.jti) {
+      throw new AppError(
+        "Your login attempt has expired, Please log in again",
+        401
+      );
+    }
+
+    const { maxChallengeAttempts } = config.twoFactor;
+
+    // Count the attempt before checking the code, in one update, so parallel
+    // guesses cannot get past the limit. A new challenge starts from zero.
+    const user = await User.findOneAndUpdate(
+      {
+        _id: decoded.id,
+        $or: [
+          { "twoFactor.challengeId": { $ne: decoded.jti } },
+          { "twoFactor.challengeAttempts": { $lt: maxChallengeAttempts } },
+        ],
+      },
+      [
+        {
+          $set: {
+            "twoFactor.challengeId": decoded.jti,
+            "twoFactor.challengeAttempts": {
+              $cond: [
+                { $eq: ["$twoFactor.challengeId", decoded.jti] },
+                { $add: ["$twoFactor.challengeAttempts", 1] },
+                1,
+              ],
+            },
+          },
+        },
+      ],
+      { new: true }
+    ).select(
+      "+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep"
+    );
+
+    if (!user) {
+      if (await User.exists({ _id: decoded.id })) {
+        logger.warn(
+          `Two-factor challenge for user ${decoded.id} locked after ${maxChallengeAttempts} attempts`
+        );
+        throw new AppError(
+          "Too many incorrect codes, Please log in again",
+          401
+        );
+      }
+      throw new AppError("Invalid login attempt, Please log in again", 401);
+    }
+
+    if (!user.isVerified || !user.twoFactor?.enabled) {
+      throw new AppError("Invalid login attempt, Please log in again", 401);
+    }
+
+    const verification = await twoFactorService.verifyUserCode(user, code);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $unset: {
+          "twoFactor.challengeId": 1,
+          "twoFactor.challengeAttempts": 1,
+        },
+      }
+    );
+
+    const result = await this.completeLogin(user, meta, {
+      twoFactorVerified: true,
+    });
+
+    return {
+      ...result,
+      ...(verification.method === "backup_code" && {
+        backupCodesRemaining: verification.backupCodesRemaining,
+      }),
+    };
+  }
+
+  // Finish a login: update activity and start a session
+  async completeLogin(user, meta = {}, sessionOptions = {}) {
+    // Suspended or banned by an admin
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      throw new AppError(restriction, 403);
+    }
+
+    if (user.passwordResetRequired) {
+      throw new AppError(
+        "Please reset your password using the link sent to your email",
+        403
+      );
+    }
+
     // Update last active state for a user
     user.lastActive = new Date();
     await user.save();
 
-    // Generate Tokens
-    const token = generateToken({ id: user._id });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    // Start a session and generate tokens
+    const { token, refreshToken } = await sessionService.createSession(
+      user._id,
+      meta,
+      sessionOptions
+    );
 
     return {
       message: "Login successful!",
@@ -156,6 +273,62 @@ class AuthService {
     };
   }
 
+  // Refresh tokens service (rotates the refresh token)
+  async refreshTokens(refreshToken, meta = {}) {
+    const { token, refreshToken: newRefreshToken } =
+      await sessionService.rotateRefreshToken(refreshToken, meta);
+
+    return {
+      message: "Token refreshed successfully!",
+      token,
+      refreshToken: newRefreshToken,
+    };
+  }
+
+  // Logout service (revokes the current session)
+  async logout(userId, sessionId) {
+    await sessionService.revokeSession(sessionId, userId, "logout");
+
+    return {
+      message: "Logged out successfully",
+    };
+  }
+
+  // Logout from all devices service
+  async logoutAll(userId) {
+    const revokedCount = await sessionService.revokeAllSessions(
+      userId,
+      "logout_all"
+    );
+
+    return {
+      message: "Logged out from all devices successfully",
+      revokedCount,
+    };
+  }
+
+  // Get active sessions service
+  async getSessions(userId, currentSessionId) {
+    return sessionService.getActiveSessions(userId, currentSessionId);
+  }
+
+  // Revoke a single session service
+  async revokeSession(userId, sessionId) {
+    const revoked = await sessionService.revokeSession(
+      sessionId,
+      userId,
+      "revoked_by_user"
+    );
+
+    if (!revoked) {
+      throw new AppError("Session not found or already ended", 404);
+    }
+
+    return {
+      message: "Session revoked successfully",
+    };
+  }
+
   // Forgot password service
   async forgotPassword(email) {
     const user = await User.findOne({ email });
@@ -195,7 +368,7 @@ class AuthService {
   }
 
   // Reset password service
-  async resetPassword(token, password) {
+  async resetPassword(token, password, meta = {}) {
     // get user based on token
     const hashedToken = hashPasswordResetToken(token);
     const user = await User.findOne({
@@ -211,11 +384,30 @@ class AuthService {
     user.password = password;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
     await user.save();
 
-    // Generate new tokens
-    const jwtToken = generateToken({ id: user._id });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    // Sign out every device that used the old password
+    await sessionService.revokeAllSessions(user._id, "password_change");
+
+    // A reset link only proves access to the inbox, so accounts with
+    // two-factor authentication have to log in again with their code
+    if (user.twoFactor?.enabled) {
+      return {
+        message: "Password reset successful! Please log in again.",
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          isVerified: user.isVerified,
+        },
+      };
+    }
+
+    // Start a new session and generate tokens
+    const { token: jwtToken, refreshToken } =
+      await sessionService.createSession(user._id, meta);
 
     return {
       message: "Password reset successful!",
@@ -271,7 +463,7 @@ class AuthService {
   }
 
   // Update password service
-  async updatePassword(userId, currentPassword, newPassword) {
+  async updatePassword(userId, currentPassword, newPassword, meta = {}) {
     const user = await User.findById(userId).select("+password");
 
     if (!user) {
@@ -287,9 +479,16 @@ class AuthService {
     user.password = newPassword;
     await user.save();
 
-    // Generate new tokens
-    const token = generateToken({ id: user._id });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    // Sign out every device that used the old password
+    await sessionService.revokeAllSessions(user._id, "password_change");
+
+    // Start a new session and generate tokens. Every live session of a
+    // two-factor account was verified with a code, so the new one is too.
+    const { token, refreshToken } = await sessionService.createSession(
+      user._id,
+      meta,
+      { twoFactorVerified: !!user.twoFactor?.enabled }
+    );
 
     return {
       message: "Password updated successfully!",
@@ -1 +1,74 @@
-// Redis caching operations
\ No newline at end of file
+// Redis caching operations
+const Redis = require("redis");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+class CacheService {
+  constructor() {
+    this.redis = null;
+    this.isConnected = false;
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      this.redis = Redis.createClient({
+        url: config.redis.url,
+      });
+
+      this.redis.on("error", (err) => {
+        logger.error("Redis error:", err);
+        this.isConnected = false;
+      });
+
+      this.redis.on("connect", () => {
+        logger.info("Redis connected for cache");
+        this.isConnected = true;
+      });
+
+      await this.redis.connect();
+    } catch (error) {
+      logger.error("Redis connection failed:", error);
+      this.isConnected = false;
+    }
+  }
+
+  // Store a JSON value with a TTL in seconds
+  async set(key, value, ttl) {
+    if (!this.isConnected) return false;
+
+    try {
+      await this.redis.setEx(key, ttl, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      logger.error("Cache set error:", error);
+      return false;
+    }
+  }
+
+  // Read a JSON value (null when missing or Redis is down)
+  async get(key) {
+    if (!this.isConnected) return null;
+
+    try {
+      const cached = await this.redis.get(key);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.error("Cache get error:", error);
+      return null;
+    }
+  }
+
+  // Remove a key
+  async del(key) {
+    if (!this.isConnected) return;
+
+    try {
+      await this.redis.del(key);
+    } catch (error) {
+      logger.error("Cache delete error:", error);
+    }
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,199 @@
+const Cart = require("../models/Cart");
+const Artwork = require("../models/Artwork");
+const paymentService = require("./paymentService");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+class CartService {
+  // Why an artwork cannot be bought right now, or null if it can
+  getUnavailableReason(artwork, userId) {
+    if (!artwork) {
+      return "Artwork not found";
+    }
+    if (artwork.status !== "approved") {
+      return "Artwork is no longer available";
+    }
+    if (artwork.saleType === "auction") {
+      return "Artwork is sold by auction";
+    }
+    const ownerId = artwork.currentOwner._id || artwork.currentOwner;
+    if (ownerId.toString() === userId) {
+      return "You already own this artwork";
+    }
+    return null;
+  }
+
+  // Get the user's cart with availability and totals per seller
+  async getCart(userId) {
+    try {
+      const cart = await Cart.findOne({ user: userId })
+        .populate({
+          path: "items.artwork",
+          select: "title images price status saleType currentOwner artist",
+          populate: [
+            { path: "artist", select: "username" },
+            { path: "currentOwner", select: "username" },
+          ],
+        })
+        .lean();
+
+      // Drop lines whose artwork has been deleted
+      const deletedItems = (cart?.items || []).filter((item) => !item.artwork);
+      if (deletedItems.length > 0) {
+        await Cart.updateOne(
+          { user: userId },
+          { $pull: { items: { _id: { $in: deletedItems.map((i) => i._id) } } } }
+        );
+      }
+
+      const sellers = {};
+      let total = 0;
+
+      const items = (cart?.items || [])
+        .filter((item) => item.artwork)
+        .map((item) => {
+          const unavailableReason = this.getUnavailableReason(
+            item.artwork,
+            userId
+          );
+
+          if (!unavailableReason) {
+            const seller = item.artwork.currentOwner;
+            const sellerId = seller._id.toString();
+
+            if (!sellers[sellerId]) {
+              sellers[sellerId] = {
+                seller: { id: seller._id, username: seller.username },
+                itemCount: 0,
+                subtotal: 0,
+              };
+            }
+            sellers[sellerId].itemCount += 1;
+            sellers[sellerId].subtotal += item.artwork.price;
+            total += item.artwork.price;
+          }
+
+          return {
+            artwork: item.artwork,
+            addedAt: item.addedAt,
+            priceAtAdd: item.priceAtAdd,
+            priceChanged: item.priceAtAdd !== item.artwork.price,
+            available: !unavailableReason,
+            unavailableReason,
+          };
+        });
+
+      return {
+        items,
+        itemCount: items.length,
+        sellers: Object.values(sellers),
+        total,
+        currency: "eur",
+      };
+    } catch (error) {
+      logger.error(`Error getting cart: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Add an artwork to the cart
+  async addItem(userId, artworkId) {
+    try {
+      const artwork = await Artwork.findById(artworkId).select(
+        "title price status saleType currentOwner"
+      );
+
+      const unavailableReason = this.getUnavailableReason(artwork, userId);
+      if (unavailableReason) {
+        throw new AppError(unavailableReason, artwork ? 400 : 404);
+      }
+
+      const cart = await Cart.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId } },
+        { upsert: true, new: true }
+      );
+
+      if (cart.items.some((item) => item.artwork.toString() === artworkId)) {
+        throw new AppError("Artwork is already in your cart", 400);
+      }
+
+      if (cart.items.length >= Cart.MAX_ITEMS) {
+        throw new AppError(
+          `Your cart can hold up to ${Cart.MAX_ITEMS} artworks`,
+          400
+        );
+      }
+
+      cart.items.push({ artwork: artworkId, priceAtAdd: artwork.price });
+      await cart.save();
+
+      logger.info(`Artwork ${artworkId} added to cart of user ${userId}`);
+
+      return await this.getCart(userId);
+    } catch (error) {
+      logger.error(`Error adding item to cart: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Remove an artwork from the cart
+  async removeItem(userId, artworkId) {
+    try {
+      const result = await Cart.updateOne(
+        { user: userId },
+        { $pull: { items: { artwork: artworkId } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new AppError("Artwork is not in your cart", 404);
+      }
+
+      return await this.getCart(userId);
+    } catch (error) {
+      logger.error(`Error removing item from cart: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Empty the cart
+  async clearCart(userId) {
+    try {
+      await Cart.updateOne({ user: userId }, { $set: { items: [] } });
+
+      return { message: "Cart cleared successfully" };
+    } catch (error) {
+      logger.error(`Error clearing cart: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Start one checkout session for every available artwork in the cart
+  async checkout(userId) {
+    try {
+      const cart = await this.getCart(userId);
+
+      const unavailable = cart.items.filter((item) => !item.available);
+      if (unavailable.length > 0) {
+        throw new AppError(
+          "Some artworks in your cart are no longer available. Please remove them before checkout.",
+          400
+        );
+      }
+
+      if (cart.items.length === 0) {
+        throw new AppError("Your cart is empty", 400);
+      }
+
+      return await paymentService.createCartPaymentSession(
+        userId,
+        cart.items.map((item) => item.artwork._id.toString())
+      );
+    } catch (error) {
+      logger.error(`Error during cart checkout: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CartService();
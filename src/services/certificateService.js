@@ -0,0 +1,460 @@
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const sharp = require("sharp");
+const config = require("../config/config");
+const Certificate = require("../models/Certificate");
+const Artwork = require("../models/Artwork");
+const EditionUnit = require("../models/EditionUnit");
+const TraceabilityRecord = require("../models/TraceabilityRecord");
+const traceabilityService = require("./traceabilityService");
+const {
+  ALGORITHM,
+  signPayload,
+  verifyPayload,
+  getPublicKey,
+} = require("../utils/certificateSigning");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const ISSUER = "3rd Hand Art Marketplace";
+
+class CertificateService {
+  // Public URL that verifies a certificate
+  getVerifyUrl(certificateId) {
+    return `${config.certificates.verifyBaseUrl}/${certificateId}/verify`;
+  }
+
+  // Sign a certificate for the current owner, of the artwork or of one
+  // edition unit. The same certificate is returned until the provenance chain
+  // or the signing key changes.
+  async issueCertificate(artwork, records, integrity, unit = null) {
+    try {
+      // An edition parent has no single owner, only its prints do
+      if (artwork.isEdition && !unit) {
+        throw new AppError(
+          "Certificates for editions are issued per print",
+          400
+        );
+      }
+
+      if (!integrity.valid || !integrity.headHash) {
+        throw new AppError(
+          "A certificate cannot be issued while the provenance chain fails verification",
+          409
+        );
+      }
+
+      const holder = unit ? unit.currentOwner : artwork.currentOwner;
+      const headRecord = records[records.length - 1];
+      const acquisitionRecord = records
+        .filter((record) => record.transactionType !== "condition_report")
+        .pop();
+
+      const existing = await Certificate.findOne({
+        artwork: artwork._id,
+        editionUnit: unit?._id || null,
+        holder: holder._id,
+        chainHeadHash: integrity.headHash,
+        keyId: config.certificates.keyId,
+      }).sort({ issuedAt: -1 });
+
+      if (existing) {
+        return existing;
+      }
+
+      const certificateId = `CERT-${crypto
+        .randomBytes(12)
+        .toString("hex")
+        .toUpperCase()}`;
+      const issuedAt = new Date();
+
+      // Plain strings only, so the payload still verifies after a database
+      // round trip
+      const payload = {
+        certificateId,
+        issuer: ISSUER,
+        issuedAt: issuedAt.toISOString(),
+        artwork: {
+          id: artwork._id.toString(),
+          title: artwork.title,
+          artistId: (artwork.artist?._id || artwork.artist).toString(),
+          artistName: artwork.artist?.username || null,
+        },
+        ...(unit && {
+          editionUnit: {
+            id: unit._id.toString(),
+            number: unit.number,
+          },
+        }),
+        holder: {
+          id: holder._id.toString(),
+          username: holder.username || null,
+        },
+        acquiredAt: acquisitionRecord?.timestamp
+          ? new Date(acquisitionRecord.timestamp).toISOString()
+          : null,
+        chain: {
+          length: records.length,
+          headSequence: headRecord.sequence,
+          headHash: integrity.headHash,
+        },
+      };
+
+      const certificate = await Certificate.create({
+        certificateId,
+        artwork: artwork._id,
+        editionUnit: unit?._id || null,
+        holder: holder._id,
+        chainHeadHash: integrity.headHash,
+        payload,
+        signature: signPayload(payload),
+        algorithm: ALGORITHM,
+        keyId: config.certificates.keyId,
+        issuedAt,
+      });
+
+      logger.info(
+        `Certificate ${certificateId} issued for artwork ${artwork._id} to user ${holder._id}`
+      );
+
+      return certificate;
+    } catch (error) {
+      logger.error(`Error issuing certificate: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Check a certificate's signature, that its holder still owns the artwork
+  // (or the edition unit) and that the signed chain head is still part of an
+  // intact chain
+  async verifyCertificate(certificateId) {
+    try {
+      const certificate = await Certificate.findOne({ certificateId }).lean();
+
+      if (!certificate) {
+        throw new AppError("Certificate not found", 404);
+      }
+
+      const { payload } = certificate;
+
+      const signatureValid =
+        certificate.keyId === config.certificates.keyId &&
+        payload.certificateId === certificateId &&
+        verifyPayload(payload, certificate.signature);
+
+      // Only trust what was signed from here on
+      const artwork = await Artwork.findById(payload.artwork.id)
+        .select("title currentOwner")
+        .lean();
+
+      // Edition certificates follow the unit, not the parent listing
+      const unit =
+        artwork && payload.editionUnit
+          ? await EditionUnit.findOne({
+              _id: payload.editionUnit.id,
+              artwork: artwork._id,
+            })
+              .select("number currentOwner")
+              .lean()
+          : null;
+      const held = payload.editionUnit ? unit : artwork;
+
+      const holderIsCurrentOwner =
+        !!held && held.currentOwner.toString() === payload.holder.id;
+
+      let chainValid = false;
+      let chainIssue = artwork ? "edition_unit_not_found" : "artwork_not_found";
+      if (held) {
+        const records = await TraceabilityRecord.find(
+          TraceabilityRecord.chainFilter(artwork._id, unit?._id || null)
+        )
+          .sort({ sequence: 1, timestamp: 1 })
+          .lean();
+
+        const integrity = traceabilityService.checkChain(held, records);
+        const signedHead = records[payload.chain.headSequence];
+
+        if (!integrity.valid) {
+          chainIssue = integrity.firstInvalidRecord.reason;
+        } else if (signedHead?.recordHash !== payload.chain.headHash) {
+          chainIssue = "signed_record_missing";
+        } else {
+          chainValid = true;
+          chainIssue = null;
+        }
+      }
+
+      const valid = signatureValid && holderIsCurrentOwner && chainValid;
+
+      if (!signatureValid) {
+        logger.warn(`Certificate ${certificateId} failed signature verification`);
+      }
+
+      return {
+        certificateId,
+        valid,
+        checks: {
+          signature: signatureValid,
+          holderIsCurrentOwner,
+          chainIntact: chainValid,
+          chainIssue,
+        },
+        certificate: payload,
+        signature: {
+          algorithm: certificate.algorithm,
+          keyId: certificate.keyId,
+          value: certificate.signature,
+        },
+        verifiedAt: new Date(),
+      };
+    } catch (error) {
+      logger.error(`Error verifying certificate: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Platform public key for offline verification
+  getPublicKey() {
+    return getPublicKey();
+  }
+
+  // Fetch the artwork image as PNG for the PDF. Missing images are skipped.
+  async loadArtworkImage(url) {
+    if (!url) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      // pdfkit only embeds JPEG and PNG
+      return await sharp(Buffer.from(await response.arrayBuffer()))
+        .resize(800, 800, { fit: "inside", withoutEnlargement: true })
+        .png()
+        .toBuffer();
+    } catch (error) {
+      logger.warn(`Could not load certificate image ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Provenance rows for the PDF, from the artwork's or the unit's chain
+  async getProvenanceRows(artworkId, editionUnitId = null) {
+    const records = await TraceabilityRecord.find(
+      TraceabilityRecord.chainFilter(artworkId, editionUnitId)
+    )
+      .populate("fromUserId", "username")
+      .populate("toUserId", "username")
+      .sort({ sequence: 1, timestamp: 1 })
+      .lean();
+
+    return records.map((record) => ({
+      sequence: record.sequence,
+      timestamp: record.timestamp,
+      transactionType: record.transactionType,
+      fromUser: record.fromUserId,
+      toUser: record.toUserId,
+      details: { price: record.additionalData?.price },
+    }));
+  }
+
+  // Render the owner's signed certificate as a PDF
+  async generateCertificatePdf(artworkId, userId, unitNumber = null) {
+    try {
+      const certificate =
+        await traceabilityService.generateOwnershipCertificate(
+          artworkId,
+          userId,
+          unitNumber
+        );
+      const ownershipChain = await this.getProvenanceRows(
+        artworkId,
+        certificate.editionUnit?.id || null
+      );
+
+      const verifyUrl = certificate.signature.verifyUrl;
+      const [image, qrCode] = await Promise.all([
+        this.loadArtworkImage(certificate.artwork.images?.[0]),
+        QRCode.toBuffer(verifyUrl, { margin: 1, width: 300 }),
+      ]);
+
+      const buffer = await this.renderPdf(
+        certificate,
+        ownershipChain,
+        image,
+        qrCode
+      );
+
+      return {
+        buffer,
+        filename: `${certificate.certificateId}.pdf`,
+        certificateId: certificate.certificateId,
+      };
+    } catch (error) {
+      logger.error(`Error generating certificate PDF: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Lay out the certificate document
+  renderPdf(certificate, ownershipChain, image, qrCode) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: "A4",
+        margin: 50,
+        info: {
+          Title: `Certificate of Ownership - ${certificate.artwork.title}`,
+          Author: ISSUER,
+        },
+      });
+
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const { artwork, editionUnit, currentOwner, ownership, signature } =
+        certificate;
+      const formatDate = (date) =>
+        date ? new Date(date).toISOString().slice(0, 10) : "-";
+      const pageWidth = doc.page.width - 100;
+
+      // Header
+      doc.fontSize(24).text("Certificate of Ownership", { align: "center" });
+      doc.fontSize(11).fillColor("#555555").text(ISSUER, { align: "center" });
+      doc.moveDown(0.5);
+      doc
+        .fontSize(9)
+        .text(`Certificate ${certificate.certificateId}`, { align: "center" });
+      doc.fillColor("#000000").moveDown();
+
+      if (image) {
+        doc.image(image, (doc.page.width - 220) / 2, doc.y, {
+          fit: [220, 220],
+          align: "center",
+        });
+        doc.y += 230;
+      }
+
+      // Artwork and owner
+      const dimensions = artwork.dimensions?.width
+        ? `${artwork.dimensions.width} x ${artwork.dimensions.height} ${
+            artwork.dimensions.unit || "cm"
+          }`
+        : "-";
+      const details = [
+        ["Title", artwork.title],
+        ...(editionUnit
+          ? [["Edition", `${editionUnit.number} of ${editionUnit.total}`]]
+          : []),
+        ["Artist", artwork.artist?.username || "-"],
+        ["Year", artwork.yearCreated || "-"],
+        ["Medium", artwork.medium || "-"],
+        ["Dimensions", dimensions],
+        ["Owner", currentOwner?.username || "-"],
+        ["Acquired", formatDate(ownership.acquiredOn)],
+      ];
+
+      doc.x = 50;
+      doc.fontSize(14).text("Artwork", { underline: true });
+      doc.moveDown(0.3).fontSize(10);
+      details.forEach(([label, value]) => {
+        doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+        doc.font("Helvetica").text(String(value));
+      });
+      doc.moveDown();
+
+      // Provenance table
+      const columns = [
+        { label: "#", width: 25 },
+        { label: "Date", width: 70 },
+        { label: "Event", width: 80 },
+        { label: "From", width: 110 },
+        { label: "To", width: 110 },
+        { label: "Price", width: pageWidth - 395 },
+      ];
+      const drawRow = (cells, bold = false) => {
+        if (doc.y > doc.page.height - 80) {
+          doc.addPage();
+        }
+        const y = doc.y;
+        let x = 50;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+        cells.forEach((cell, index) => {
+          doc.text(String(cell), x, y, {
+            width: columns[index].width - 5,
+            ellipsis: true,
+            lineBreak: false,
+          });
+          x += columns[index].width;
+        });
+        doc.x = 50;
+        doc.y = y + 15;
+      };
+
+      doc.fontSize(14).text("Provenance", { underline: true });
+      doc.moveDown(0.3);
+      drawRow(
+        columns.map((column) => column.label),
+        true
+      );
+      ownershipChain.forEach((entry, index) => {
+        drawRow([
+          (entry.sequence ?? index) + 1,
+          formatDate(entry.timestamp),
+          entry.transactionType,
+          entry.fromUser?.username || "-",
+          entry.toUser?.username || "-",
+          entry.details?.price !== undefined ? `€${entry.details.price}` : "-",
+        ]);
+      });
+      doc.moveDown();
+
+      // Signature block with QR code
+      if (doc.y > doc.page.height - 200) {
+        doc.addPage();
+      }
+      const blockTop = doc.y;
+      doc.image(qrCode, doc.page.width - 170, blockTop, { fit: [120, 120] });
+
+      doc.font("Helvetica").fontSize(14).text("Verification", 50, blockTop, {
+        underline: true,
+        width: pageWidth - 140,
+      });
+      doc.moveDown(0.3).fontSize(8);
+      doc.text(`Scan the QR code or visit: ${signature.verifyUrl}`, {
+        width: pageWidth - 140,
+      });
+      doc.moveDown(0.3);
+      doc.text(
+        `Signed with ${signature.algorithm} key "${signature.keyId}" on ${formatDate(
+          signature.issuedAt
+        )}.`,
+        { width: pageWidth - 140 }
+      );
+      doc.text(`Provenance chain head: ${signature.chainHeadHash}`, {
+        width: pageWidth - 140,
+      });
+      doc.moveDown(0.3);
+      doc.font("Courier").fontSize(7).text(signature.value, {
+        width: pageWidth - 140,
+      });
+
+      doc.x = 50;
+      doc.y = Math.max(doc.y, blockTop + 130);
+      doc
+        .font("Helvetica")
+        .fontSize(7)
+        .fillColor("#555555")
+        .text(certificate.legalDisclaimer, { width: pageWidth });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new CertificateService();
@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+const ConditionReport = require("../models/ConditionReport");
+const Artwork = require("../models/Artwork");
+const User = require("../models/User");
+const TraceabilityRecord = require("../models/TraceabilityRecord");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+class ConditionReportService {
+  // Owner or designated inspector files a condition report. The report is
+  // appended to the artwork's traceability chain without changing the owner.
+  async createReport(artworkId, userId, data) {
+    const session = await mongoose.startSession();
+
+    try {
+      const { inspectionDate, grade, notes, location, photos } = data;
+
+      const [artwork, reporter] = await Promise.all([
+        Artwork.findById(artworkId).select("title currentOwner"),
+        User.findById(userId).select("isInspector"),
+      ]);
+
+      if (!artwork) {
+        throw new AppError("Artwork not found", 404);
+      }
+
+      const isOwner = artwork.currentOwner.toString() === userId;
+      if (!isOwner && !reporter?.isInspector) {
+        throw new AppError(
+          "Only the owner or an inspector can file a condition report",
+          403
+        );
+      }
+
+      session.startTransaction();
+
+      const [report] = await ConditionReport.create(
+        [
+          {
+            artwork: artwork._id,
+            reportedBy: userId,
+            owner: artwork.currentOwner,
+            reporterRole: isOwner ? "owner" : "inspector",
+            inspectionDate,
+            grade,
+            notes,
+            location,
+            photos,
+          },
+        ],
+        { session }
+      );
+
+      const record = await TraceabilityRecord.appendRecord(
+        {
+          artworkId: artwork._id,
+          fromUserId: artwork.currentOwner,
+          toUserId: artwork.currentOwner,
+          transactionType: "condition_report",
+          additionalData: {
+            condition: grade,
+            location,
+            notes,
+            conditionReport: report._id,
+          },
+        },
+        session
+      );
+
+      report.traceabilityRecord = record._id;
+      await report.save({ session });
+
+      await session.commitTransaction();
+
+      logger.info(
+        `Condition report ${report._id} (${grade}) filed on artwork ${artworkId} by ${userId}`
+      );
+
+      return report;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      logger.error(`Error creating condition report: ${error.message}`);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Condition reports of an artwork, most recent inspection first
+  async getArtworkReports(artworkId, query = {}) {
+    try {
+      let { page = 1, limit = 10 } = query;
+      page = parseInt(page);
+      limit = parseInt(limit);
+      const skip = (page - 1) * limit;
+
+      const artworkExists = await Artwork.exists({ _id: artworkId });
+      if (!artworkExists) {
+        throw new AppError("Artwork not found", 404);
+      }
+
+      const filter = { artwork: artworkId };
+
+      const [reports, total] = await Promise.all([
+        ConditionReport.find(filter)
+          .populate("reportedBy", "username profile")
+          .populate("traceabilityRecord", "transactionHash recordHash sequence")
+          .sort({ inspectionDate: -1, createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        ConditionReport.countDocuments(filter),
+      ]);
+
+      return {
+        reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting condition reports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Single condition report of an artwork
+  async getReport(artworkId, reportId) {
+    try {
+      const report = await ConditionReport.findOne({
+        _id: reportId,
+        artwork: artworkId,
+      })
+        .populate("reportedBy", "username profile")
+        .populate("owner", "username profile")
+        .populate("traceabilityRecord", "transactionHash recordHash sequence")
+        .lean();
+
+      if (!report) {
+        throw new AppError("Condition report not found", 404);
+      }
+
+      return report;
+    } catch (error) {
+      logger.error(`Error getting condition report: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ConditionReportService();
@@ -0,0 +1,334 @@
+const EditionUnit = require("../models/EditionUnit");
+const Artwork = require("../models/Artwork");
+const Transaction = require("../models/Transaction");
+const TraceabilityRecord = require("../models/TraceabilityRecord");
+const traceabilityService = require("./traceabilityService");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+// Reservations are released a little after the Stripe session expires, so a
+// payment completed at the last second still finds its unit
+const RESERVATION_GRACE_MS = 5 * 60 * 1000;
+
+class EditionService {
+  // Create the numbered units of a new edition, each starting its own chain
+  // (within the artwork creation transaction)
+  async createUnits(artwork, session) {
+    const units = await EditionUnit.insertMany(
+      Array.from({ length: artwork.edition.total }, (_, index) => ({
+        artwork: artwork._id,
+        number: index + 1,
+        currentOwner: artwork.currentOwner,
+      })),
+      { session }
+    );
+
+    for (const unit of units) {
+      await TraceabilityRecord.appendRecord(
+        {
+          artworkId: artwork._id,
+          editionUnit: unit._id,
+          fromUserId: artwork.artist,
+          toUserId: artwork.artist,
+          transactionType: "created",
+          additionalData: {
+            price: artwork.price,
+            condition: "new",
+            notes: `Edition ${unit.number} of ${artwork.edition.total}`,
+          },
+        },
+        session
+      );
+    }
+
+    return units;
+  }
+
+  // Put units from abandoned checkouts back on sale and fail their transactions
+  async releaseExpiredReservations(artworkId, session) {
+    const now = new Date();
+
+    const expiredUnits = await EditionUnit.find({
+      artwork: artworkId,
+      status: "reserved",
+      reservedUntil: { $lt: new Date(now.getTime() - RESERVATION_GRACE_MS) },
+    })
+      .select("_id")
+      .session(session);
+
+    if (expiredUnits.length === 0) {
+      return;
+    }
+
+    const unitIds = expiredUnits.map((unit) => unit._id);
+
+    await Transaction.updateMany(
+      { editionUnit: { $in: unitIds }, status: "pending" },
+      {
+        status: "failed",
+        sessionExpired: true,
+        cleanedUpAt: now,
+        cleanupReason: "Session expired or abandoned",
+      }
+    ).session(session);
+
+    await EditionUnit.updateMany(
+      { _id: { $in: unitIds }, status: "reserved" },
+      {
+        status: "available",
+        $unset: { reservedBy: 1, reservedUntil: 1 },
+      }
+    ).session(session);
+  }
+
+  // Hold the lowest-numbered available unit for a buyer during checkout
+  // (within the checkout transaction)
+  async reserveUnit(artwork, buyerId, reservedUntil, session) {
+    await this.releaseExpiredReservations(artwork._id, session);
+
+    const unit = await EditionUnit.findOneAndUpdate(
+      { artwork: artwork._id, status: "available" },
+      { status: "reserved", reservedBy: buyerId, reservedUntil },
+      { sort: { number: 1 }, new: true, session }
+    );
+
+    if (!unit) {
+      throw new AppError(
+        `"${artwork.title}" is sold out. Units held in open checkouts may become available again shortly.`,
+        409
+      );
+    }
+
+    return unit;
+  }
+
+  // Move a paid unit to its buyer (within the sale transaction)
+  async completeUnitSale(sale, session) {
+    const { artworkId, editionUnitId, buyerId, sellerId, price, paymentIntentId } =
+      sale;
+
+    const unit = await EditionUnit.findOneAndUpdate(
+      {
+        _id: editionUnitId,
+        currentOwner: sellerId,
+        $or: [
+          { status: "reserved", reservedBy: buyerId },
+          // Released after the grace period but not taken by anyone else
+          { status: "available" },
+        ],
+      },
+      {
+        currentOwner: buyerId,
+        status: "sold",
+        lastSaleDate: new Date(),
+        $unset: { reservedBy: 1, reservedUntil: 1 },
+        $inc: { totalSales: 1 },
+        $push: {
+          ownershipHistory: {
+            owner: buyerId,
+            purchaseDate: new Date(),
+            price,
+            transactionId: paymentIntentId,
+            fromOwner: sellerId,
+          },
+        },
+      },
+      { new: true, session }
+    );
+
+    if (!unit) {
+      throw new AppError(
+        `Edition unit ${editionUnitId} is no longer available`,
+        409
+      );
+    }
+
+    // The edition itself does not change hands, only its counters
+    const artwork = await Artwork.findByIdAndUpdate(
+      artworkId,
+      {
+        lastSaleDate: new Date(),
+        $inc: { totalSales: 1, "edition.remaining": -1 },
+      },
+      { new: true, session }
+    );
+
+    if (!artwork) {
+      throw new AppError(`Artwork ${artworkId} not found`, 404);
+    }
+
+    await TraceabilityRecord.appendRecord(
+      {
+        artworkId,
+        editionUnit: unit._id,
+        fromUserId: sellerId,
+        toUserId: buyerId,
+        transactionType: "sold",
+        additionalData: {
+          price,
+          paymentIntent: paymentIntentId,
+          saleDate: new Date(),
+          isResale: artwork.artist.toString() !== sellerId.toString(),
+          originalArtist: artwork.artist,
+          transferNumber: unit.ownershipHistory.length,
+        },
+      },
+      session
+    );
+
+    logger.info(
+      `Edition unit ${unit.number} of artwork ${artworkId} sold to ${buyerId}`
+    );
+
+    return { artwork, unit };
+  }
+
+  // Return a refunded unit to its seller and put it back on sale (within the
+  // refund transaction). Returns null if the buyer no longer holds it.
+  async restoreUnit(transaction, session) {
+    const unit = await EditionUnit.findOneAndUpdate(
+      { _id: transaction.editionUnit, currentOwner: transaction.buyer },
+      {
+        currentOwner: transaction.seller,
+        status: "available",
+        $inc: { totalSales: -1 },
+        $pull: {
+          ownershipHistory: {
+            owner: transaction.buyer,
+            transactionId: transaction.paymentIntent,
+          },
+        },
+      },
+      { new: true, session }
+    );
+
+    if (!unit) {
+      return null;
+    }
+
+    await Artwork.updateOne(
+      { _id: transaction.artwork },
+      { $inc: { totalSales: -1, "edition.remaining": 1 } },
+      { session }
+    );
+
+    return unit;
+  }
+
+  // Load the edition artwork or fail
+  async getEditionArtwork(artworkId) {
+    const artwork = await Artwork.findById(artworkId)
+      .select("title isEdition edition status artist currentOwner")
+      .lean();
+
+    if (!artwork) {
+      throw new AppError("Artwork not found", 404);
+    }
+
+    if (!artwork.isEdition) {
+      throw new AppError("This artwork is not an edition", 400);
+    }
+
+    return artwork;
+  }
+
+  // Units of an edition with their sale state and owners
+  async getEditionUnits(artworkId, query = {}) {
+    try {
+      let { page = 1, limit = 50, status } = query;
+      page = parseInt(page);
+      limit = parseInt(limit);
+      const skip = (page - 1) * limit;
+
+      const artwork = await this.getEditionArtwork(artworkId);
+
+      const filter = { artwork: artworkId };
+      if (status) {
+        filter.status = status;
+      }
+
+      const [units, total] = await Promise.all([
+        EditionUnit.find(filter)
+          .select("number status currentOwner totalSales lastSaleDate")
+          .populate("currentOwner", "username profile")
+          .sort({ number: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        EditionUnit.countDocuments(filter),
+      ]);
+
+      return {
+        edition: {
+          total: artwork.edition.total,
+          remaining: artwork.edition.remaining,
+          sold: artwork.edition.total - artwork.edition.remaining,
+        },
+        units,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting edition units: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // One unit with its own provenance chain
+  async getEditionUnit(artworkId, number) {
+    try {
+      const artwork = await this.getEditionArtwork(artworkId);
+
+      const unit = await EditionUnit.findOne({ artwork: artworkId, number })
+        .populate("currentOwner", "username profile")
+        .populate("ownershipHistory.owner", "username profile")
+        .populate("ownershipHistory.fromOwner", "username profile")
+        .lean();
+
+      if (!unit) {
+        throw new AppError("Edition unit not found", 404);
+      }
+
+      const records = await TraceabilityRecord.find(
+        TraceabilityRecord.chainFilter(artworkId, unit._id)
+      )
+        .sort({ sequence: 1, timestamp: 1 })
+        .lean();
+
+      const integrity = traceabilityService.checkChain(unit, records);
+
+      return {
+        artwork: {
+          id: artwork._id,
+          title: artwork.title,
+          editionTotal: artwork.edition.total,
+        },
+        unit,
+        provenance: records.map((record) => ({
+          id: record._id,
+          transactionType: record.transactionType,
+          fromUser: record.fromUserId,
+          toUser: record.toUserId,
+          timestamp: record.timestamp,
+          transactionHash: record.transactionHash,
+          sequence: record.sequence,
+          previousHash: record.previousHash,
+          recordHash: record.recordHash,
+          price: record.additionalData?.price,
+        })),
+        integrity,
+      };
+    } catch (error) {
+      logger.error(`Error getting edition unit: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EditionService();
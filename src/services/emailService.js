@@ -83,6 +83,48 @@ class EmailService {
     });
   }
 
+  // Confirm a new email address with a code sent to it
+  async sendEmailChangeVerification(email, username, otp) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Confirm Your New Email Address</h2>
+        <p>Hello ${username},</p>
+        <p>You asked to use this address for your 3rd Hand account. Please confirm it with the code below:</p>
+        <div style="background-color: #f4f4f4; padding: 20px; text-align: center; margin: 20px 0;">
+          <h1 style="color: #007bff; font-size: 32px; margin: 0;">${otp}</h1>
+        </div>
+        <p>This code will expire in 10 minutes.</p>
+        <p>If you didn't request this change, please ignore this email.</p>
+        <p>Best regards,<br>3rd Hand Art Marketplace Team</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      email,
+      subject: "Confirm Your New Email - 3rd Hand Art Marketplace",
+      html,
+    });
+  }
+
+  // Tell the old address that the account email was changed
+  async sendEmailChangedNotice(email, username, newEmail) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Your Email Address Was Changed</h2>
+        <p>Hello ${username},</p>
+        <p>The email address of your 3rd Hand account was changed to <strong>${newEmail}</strong>.</p>
+        <p>If you didn't make this change, please contact our support team immediately.</p>
+        <p>Best regards,<br>3rd Hand Art Marketplace Team</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      email,
+      subject: "Email Address Changed - 3rd Hand Art Marketplace",
+      html,
+    });
+  }
+
   // Send welcome email after verification
   async sendWelcomeEmail(email, username, role) {
     const html = `
@@ -235,6 +277,217 @@ class EmailService {
     });
   }
 
+  // Send auction won notification with checkout link
+  async sendAuctionWonNotification(
+    email,
+    username,
+    artworkTitle,
+    amount,
+    checkoutUrl,
+    paymentDeadline
+  ) {
+    const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #28a745;">You Won the Auction!</h2>
+      <p>Hello ${username},</p>
+      <p>Congratulations! Your bid was the winning bid.</p>
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <h3 style="margin: 0 0 10px 0;">Auction Details:</h3>
+        <p><strong>Artwork:</strong> ${artworkTitle}</p>
+        <p><strong>Winning Bid:</strong> €${amount}</p>
+        <p><strong>Pay Before:</strong> ${new Date(
+          paymentDeadline
+        ).toLocaleString()}</p>
+      </div>
+      <p>If payment is not completed in time, the artwork will be offered to the next highest bidder.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${
+          checkoutUrl || `${config.frontendUrl}/dashboard/bids`
+        }" style="background-color: #28a745; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Complete Payment</a>
+      </div>
+      <p>Best regards,<br>Art Marketplace Team</p>
+    </div>
+  `;
+
+    await this.sendEmail({
+      email,
+      subject: "You Won the Auction! - 3rd Hand Art Marketplace",
+      html,
+    });
+  }
+
+  // Ask the recipient of an ownership transfer to accept it
+  async sendTransferRequestNotification(
+    email,
+    username,
+    senderName,
+    artworkTitle,
+    transferType,
+    expiresAt
+  ) {
+    const typeLabel = transferType.replace("_", " ");
+
+    const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #007bff;">An Artwork Is Being Transferred to You</h2>
+      <p>Hello ${username},</p>
+      <p>${senderName} wants to transfer ownership of an artwork to you.</p>
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <h3 style="margin: 0 0 10px 0;">Transfer Details:</h3>
+        <p><strong>Artwork:</strong> ${artworkTitle}</p>
+        <p><strong>Type:</strong> ${typeLabel}</p>
+        <p><strong>Accept Before:</strong> ${new Date(
+          expiresAt
+        ).toLocaleString()}</p>
+      </div>
+      <p>The artwork only becomes yours once you accept the transfer.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${
+          config.frontendUrl
+        }/dashboard/transfers" style="background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Review Transfer</a>
+      </div>
+      <p>Best regards,<br>Art Marketplace Team</p>
+    </div>
+  `;
+
+    await this.sendEmail({
+      email,
+      subject: "Artwork Transfer Request - 3rd Hand Art Marketplace",
+      html,
+    });
+  }
+
+  // Send refund confirmation to buyer
+  async sendRefundNotification(email, username, artworkTitle, amount) {
+    const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #007bff;">Your Refund Has Been Processed</h2>
+      <p>Hello ${username},</p>
+      <p>Your purchase has been refunded and the artwork has been returned to the seller.</p>
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <h3 style="margin: 0 0 10px 0;">Refund Details:</h3>
+        <p><strong>Artwork:</strong> ${artworkTitle}</p>
+        <p><strong>Amount Refunded:</strong> €${amount}</p>
+        <p><strong>Refund Date:</strong> ${new Date().toLocaleDateString()}</p>
+      </div>
+      <p>Depending on your bank, the refund may take 5-10 business days to appear on your statement.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${
+          config.frontendUrl
+        }/dashboard/purchases" style="background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">View Purchase History</a>
+      </div>
+      <p>Best regards,<br>Art Marketplace Team</p>
+    </div>
+  `;
+
+    await this.sendEmail({
+      email,
+      subject: "Refund Processed - 3rd Hand Art Marketplace",
+      html,
+    });
+  }
+
+  // Outcome of an artist verification application
+  async sendArtistVerificationUpdate(email, username, status, note) {
+    const content = {
+      approved: {
+        subject: "You Are Now a Verified Artist",
+        heading: "Your Verification Was Approved",
+        message:
+          "Your profile and artworks now carry the verified artist badge.",
+      },
+      rejected: {
+        subject: "Artist Verification Update",
+        heading: "Your Verification Was Not Approved",
+        message:
+          "After reviewing your application we were unable to verify your profile. You are welcome to apply again.",
+      },
+      info_requested: {
+        subject: "More Information Needed for Your Verification",
+        heading: "We Need a Little More Information",
+        message:
+          "To continue reviewing your application, please send the information below from your dashboard.",
+      },
+    }[status];
+
+    const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #007bff;">${content.heading}</h2>
+      <p>Hello ${username},</p>
+      <p>${content.message}</p>
+      ${
+        note
+          ? `<div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <p style="margin: 0;">${note}</p>
+      </div>`
+          : ""
+      }
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${
+          config.frontendUrl
+        }/dashboard/verification" style="background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">View Application</a>
+      </div>
+      <p>Best regards,<br>Art Marketplace Team</p>
+    </div>
+  `;
+
+    await this.sendEmail({
+      email,
+      subject: `${content.subject} - 3rd Hand Art Marketplace`,
+      html,
+    });
+  }
+
+  // New artworks matching the user's saved searches (instant or digest)
+  async sendSavedSearchAlert(email, username, matches, frequency) {
+    const artworkCount = matches.reduce(
+      (sum, match) => sum + match.artworks.length,
+      0
+    );
+    const intro =
+      frequency === "instant"
+        ? "A new artwork matches one of your saved searches."
+        : `Here is your ${frequency} digest of new artworks matching your saved searches.`;
+
+    const sections = matches
+      .map(
+        (match) => `
+        <h3 style="margin: 20px 0 10px 0;">${match.name}</h3>
+        ${match.artworks
+          .map(
+            (artwork) => `
+        <p><a href="${config.frontendUrl}/artwork/${artwork._id}">${artwork.title}</a> - €${artwork.price}</p>`
+          )
+          .join("")}`
+      )
+      .join("");
+
+    const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #007bff;">New Matches for Your Saved Searches</h2>
+      <p>Hello ${username},</p>
+      <p>${intro}</p>
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        ${sections}
+      </div>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${
+          config.frontendUrl
+        }/dashboard/saved-searches" style="background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Manage Saved Searches</a>
+      </div>
+      <p>Best regards,<br>Art Marketplace Team</p>
+    </div>
+  `;
+
+    await this.sendEmail({
+      email,
+      subject: `${artworkCount} New Match${
+        artworkCount === 1 ? "" : "es"
+      } for Your Saved Searches - 3rd Hand Art Marketplace`,
+      html,
+    });
+  }
+
   // Send payment failed notification
   async sendPaymentFailedNotification(
     email,
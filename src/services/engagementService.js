@@ -1,6 +1,12 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
+const config = require("../config/config");
 const User = require("../models/User");
 const Artwork = require("../models/Artwork");
+const ArtworkActivity = require("../models/ArtworkActivity");
+const ArtworkView = require("../models/ArtworkView");
+const Transaction = require("../models/Transaction");
+const trendingService = require("./trendingService");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 
@@ -74,6 +80,10 @@ class EngagementService {
       // Commit the transaction
       await session.commitTransaction();
 
+      await trendingService.recordActivity(artworkId, {
+        likes: userResult.action === "liked" ? 1 : -1,
+      });
+
       // Populate artwork artist info for response (outside transaction)
       const populatedArtwork = await Artwork.findById(artworkId)
         .populate("artist", "username profile")
@@ -244,14 +254,18 @@ class EngagementService {
     }
   }
 
-  // Get popular artworks
-  async getPopularArtworks(limit = 10) {
+  // Get popular artworks (trending in the window: 24h, 7d or 30d)
+  async getPopularArtworks(
+    limit = 10,
+    window = ArtworkActivity.DEFAULT_WINDOW
+  ) {
     try {
-      const artworks = await Artwork.getPopularArtworks(limit);
+      const artworks = await Artwork.getPopularArtworks(limit, window);
 
       return {
         artworks,
         total: artworks.length,
+        window,
       };
     } catch (error) {
       logger.error(`Error getting popular artworks: ${error.message}`);
@@ -259,14 +273,21 @@ class EngagementService {
     }
   }
 
-  // Get trending artists (by followers and recent activity)
-  async getTrendingArtists(limit = 10) {
+  // Get trending artists (by their artworks' trending scores in the window,
+  // then followers)
+  async getTrendingArtists(
+    limit = 10,
+    window = ArtworkActivity.DEFAULT_WINDOW
+  ) {
     try {
+      const { field } = ArtworkActivity.WINDOWS[window];
+
       const artists = await User.find({
         role: "artist",
         isVerified: true,
       })
         .sort({
+          [`engagementStats.trending.${field}`]: -1,
           "engagementStats.totalFollowers": -1,
           "engagementStats.lastActivityAt": -1,
         })
@@ -277,6 +298,7 @@ class EngagementService {
       return {
         artists,
         total: artists.length,
+        window,
       };
     } catch (error) {
       logger.error(`Error getting trending artists: ${error.message}`);
@@ -328,47 +350,219 @@ class EngagementService {
     }
   }
 
-  // Record artwork view (for analytics)
-  async recordArtworkView(artworkId, userId) {
+  // Identify a viewer: signed-in users by id, anonymous visitors by a keyed
+  // hash of their IP and user agent (neither is stored)
+  getViewerKey({ userId, ip, userAgent }) {
+    if (userId) {
+      return `user:${userId}`;
+    }
+
+    if (!ip) {
+      return null;
+    }
+
+    const fingerprint = crypto
+      .createHmac("sha256", config.views.fingerprintSecret)
+      .update(`${ip}|${userAgent || ""}`)
+      .digest("hex");
+
+    return `anon:${fingerprint}`;
+  }
+
+  // Record artwork view (for analytics). Signed-in and anonymous views are
+  // counted once per viewer per day.
+  async recordArtworkView(artworkId, viewer = {}) {
     try {
-      // Only count views for authenticated users. Skip anonymous views.
-      if (!userId) {
+      const viewerKey = this.getViewerKey(viewer);
+
+      if (!viewerKey) {
         return;
       }
 
-      // Check if user already viewed this artwork recently (last 24 hours)
-      const recentView = await Artwork.findOne({
-        _id: artworkId,
-        "viewHistory.userId": userId,
-        "viewHistory.viewedAt": {
-          $gte: new Date(Date.now() - 24 * 60 * 60 * 1000),
+      const recentView = await ArtworkView.exists({
+        artwork: artworkId,
+        viewerKey,
+        viewedAt: {
+          $gte: new Date(Date.now() - ArtworkView.DEDUPE_WINDOW_MS),
         },
       });
 
-      // Don't count duplicate views within 24 hours
+      // Don't count duplicate views within the dedupe window
       if (recentView) {
         return;
       }
 
-      // Increment view count
-      await Artwork.incrementViewCount(artworkId);
+      let referrerHost;
+      if (viewer.referrer) {
+        try {
+          referrerHost = new URL(viewer.referrer).host;
+        } catch (error) {
+          // Not a valid URL, only the raw referrer is kept
+        }
+      }
 
-      // Store view history for analytics
-      await Artwork.findByIdAndUpdate(artworkId, {
-        $push: {
-          viewHistory: {
-            userId,
-            viewedAt: new Date(),
-          },
-        },
+      await ArtworkView.create({
+        artwork: artworkId,
+        viewer: viewer.userId,
+        viewerKey,
+        referrer: viewer.referrer?.slice(0, 500),
+        referrerHost,
       });
 
-      logger.debug(`View recorded for artwork ${artworkId} by user ${userId}`);
+      // Increment view count
+      await Artwork.incrementViewCount(artworkId);
+      await trendingService.recordActivity(artworkId, { views: 1 });
+
+      logger.debug(`View recorded for artwork ${artworkId} by ${viewerKey}`);
     } catch (error) {
       logger.error(`Error recording artwork view: ${error.message}`);
       // Don't throw error for view tracking failures
     }
   }
+
+  // Daily unique views, likes and purchases of one of the artist's artworks,
+  // with the view to purchase conversion and top referrers
+  async getArtworkAnalytics(artworkId, userId, query = {}) {
+    try {
+      const days = parseInt(query.days || 30);
+
+      const artwork = await Artwork.findById(artworkId)
+        .select("title artist engagementStats")
+        .lean();
+
+      if (!artwork) {
+        throw new AppError("Artwork not found", 404);
+      }
+
+      if (artwork.artist.toString() !== userId) {
+        throw new AppError(
+          "Only the artist can view the analytics of this artwork",
+          403
+        );
+      }
+
+      const since = new Date();
+      since.setUTCHours(0, 0, 0, 0);
+      since.setUTCDate(since.getUTCDate() - (days - 1));
+
+      const artworkObjectId = new mongoose.Types.ObjectId(artworkId);
+      const matchViews = {
+        $match: { artwork: artworkObjectId, viewedAt: { $gte: since } },
+      };
+      const toDay = (field) => ({
+        $dateToString: { format: "%Y-%m-%d", date: field },
+      });
+
+      const [dailyViews, viewTotals, referrers, dailyLikes, dailySales] =
+        await Promise.all([
+          ArtworkView.aggregate([
+            matchViews,
+            {
+              $group: {
+                _id: toDay("$viewedAt"),
+                views: { $sum: 1 },
+                viewers: { $addToSet: "$viewerKey" },
+                anonymousViews: {
+                  $sum: { $cond: [{ $ifNull: ["$viewer", false] }, 0, 1] },
+                },
+              },
+            },
+          ]),
+          ArtworkView.aggregate([
+            matchViews,
+            { $group: { _id: "$viewerKey" } },
+            { $count: "uniqueViewers" },
+          ]),
+          ArtworkView.aggregate([
+            matchViews,
+            { $group: { _id: "$referrerHost", views: { $sum: 1 } } },
+            { $sort: { views: -1 } },
+            { $limit: 10 },
+          ]),
+          ArtworkActivity.aggregate([
+            { $match: { artwork: artworkObjectId, bucket: { $gte: since } } },
+            { $group: { _id: toDay("$bucket"), likes: { $sum: "$likes" } } },
+          ]),
+          Transaction.aggregate([
+            {
+              $match: {
+                artwork: artworkObjectId,
+                transactionType: "sale",
+                status: "completed",
+                createdAt: { $gte: since },
+              },
+            },
+            {
+              $group: {
+                _id: toDay("$createdAt"),
+                purchases: { $sum: 1 },
+                revenue: { $sum: "$amount" },
+              },
+            },
+          ]),
+        ]);
+
+      const byDay = (results) =>
+        new Map(results.map((result) => [result._id, result]));
+      const viewsByDay = byDay(dailyViews);
+      const likesByDay = byDay(dailyLikes);
+      const salesByDay = byDay(dailySales);
+
+      const daily = Array.from({ length: days }, (_, index) => {
+        const date = new Date(since);
+        date.setUTCDate(since.getUTCDate() + index);
+        const day = date.toISOString().slice(0, 10);
+
+        const views = viewsByDay.get(day);
+        const sales = salesByDay.get(day);
+        const uniqueViews = views ? views.viewers.length : 0;
+        const purchases = sales ? sales.purchases : 0;
+
+        return {
+          date: day,
+          views: views ? views.views : 0,
+          uniqueViews,
+          anonymousViews: views ? views.anonymousViews : 0,
+          likes: likesByDay.get(day)?.likes || 0,
+          purchases,
+          conversionRate: uniqueViews ? purchases / uniqueViews : 0,
+        };
+      });
+
+      const uniqueViewers = viewTotals[0]?.uniqueViewers || 0;
+      const totalPurchases = dailySales.reduce(
+        (sum, day) => sum + day.purchases,
+        0
+      );
+
+      return {
+        artwork: {
+          id: artwork._id,
+          title: artwork.title,
+          totalViews: artwork.engagementStats?.totalViews || 0,
+          totalLikes: artwork.engagementStats?.totalLikes || 0,
+        },
+        period: { days, since },
+        totals: {
+          views: daily.reduce((sum, day) => sum + day.views, 0),
+          uniqueViewers,
+          likes: daily.reduce((sum, day) => sum + day.likes, 0),
+          purchases: totalPurchases,
+          revenue:
+            dailySales.reduce((sum, day) => sum + day.revenue, 0) / 100,
+          conversionRate: uniqueViewers ? totalPurchases / uniqueViewers : 0,
+        },
+        referrers: referrers.map((referrer) => ({
+          host: referrer._id || "direct",
+          views: referrer.views,
+        })),
+        daily,
+      };
+    } catch (error) {
+      logger.error(`Error getting artwork analytics: ${error.message}`);
+      throw error;
+    }
+  }
 }
 
 module.exports = new EngagementService();
@@ -0,0 +1,135 @@
+const FeedItem = require("../models/FeedItem");
+const Artwork = require("../models/Artwork");
+const User = require("../models/User");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+// Followers written per bulk operation
+const FAN_OUT_BATCH_SIZE = 500;
+
+// Opaque cursor pointing after a feed item (newest first)
+const encodeCursor = (item) =>
+  Buffer.from(`${item.createdAt.toISOString()}_${item._id}`).toString(
+    "base64url"
+  );
+
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(cursor, "base64url")
+    .toString()
+    .split("_");
+  const date = new Date(createdAt);
+
+  if (Number.isNaN(date.getTime()) || !/^[a-f\d]{24}$/i.test(id || "")) {
+    throw new AppError("Invalid cursor", 400);
+  }
+
+  return { createdAt: date, id };
+};
+
+class FeedService {
+  // Add an artist's event (new artwork, price drop, sale) to the feed of each
+  // of their followers
+  async fanOut({ type, artworkId, data = {}, eventKey }) {
+    try {
+      const artwork = await Artwork.findById(artworkId)
+        .select("artist status")
+        .lean();
+
+      if (!artwork || artwork.status !== "approved") {
+        return { delivered: 0 };
+      }
+
+      const artist = await User.findById(artwork.artist)
+        .select("followers")
+        .lean();
+      const followers = artist?.followers || [];
+
+      let delivered = 0;
+      for (let i = 0; i < followers.length; i += FAN_OUT_BATCH_SIZE) {
+        const batch = followers.slice(i, i + FAN_OUT_BATCH_SIZE);
+
+        // Upserts keyed on the event, so a retried job adds nothing twice
+        const result = await FeedItem.bulkWrite(
+          batch.map((followerId) => ({
+            updateOne: {
+              filter: { user: followerId, eventKey },
+              update: {
+                $setOnInsert: {
+                  artist: artwork.artist,
+                  artwork: artwork._id,
+                  type,
+                  data,
+                },
+              },
+              upsert: true,
+            },
+          })),
+          { ordered: false }
+        );
+
+        delivered += result.upsertedCount;
+      }
+
+      return { delivered };
+    } catch (error) {
+      logger.error(`Error fanning out feed event: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // The user's feed from the artists they follow, newest first. Pages are
+  // fetched with the nextCursor of the previous page.
+  async getFeed(userId, query = {}) {
+    try {
+      let { cursor, limit = 20 } = query;
+      limit = parseInt(limit);
+
+      const user = await User.findById(userId)
+        .select("followedArtists")
+        .lean();
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      // Unfollowed artists drop out of the feed straight away
+      const filter = {
+        user: userId,
+        artist: { $in: user.followedArtists || [] },
+      };
+
+      if (cursor) {
+        const { createdAt, id } = decodeCursor(cursor);
+        filter.$or = [
+          { createdAt: { $lt: createdAt } },
+          { createdAt, _id: { $lt: id } },
+        ];
+      }
+
+      const items = await FeedItem.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate("artist", "username profile")
+        .populate("artwork", "title price images status isEdition edition")
+        .lean();
+
+      const hasNextPage = items.length > limit;
+      const page = items.slice(0, limit);
+
+      return {
+        // Artworks deleted since the event are skipped
+        items: page.filter((item) => item.artwork),
+        pagination: {
+          limit,
+          nextCursor: hasNextPage ? encodeCursor(page[page.length - 1]) : null,
+          hasNextPage,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting following feed: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new FeedService();
@@ -27,9 +27,19 @@ class MessageService {
       // Populate sender and receiver info
       await message.populate([
         { path: "sender", select: "username role" },
-        { path: "receiver", select: "username role isOnline lastSeen" },
+        {
+          path: "receiver",
+          select: "username role isOnline lastSeen privacy",
+        },
       ]);
 
+      const receiver = {
+        _id: message.receiver._id,
+        username: message.receiver.username,
+        role: message.receiver.role,
+        ...User.getVisiblePresence(message.receiver),
+      };
+
       // Update last message timestamp for both users
       await this.updateLastMessageTimestamp(conversationId);
 
@@ -40,14 +50,14 @@ class MessageService {
           id: message._id,
           content: message.content,
           sender: message.sender,
-          receiver: message.receiver,
+          receiver,
           timestamp: message.timestamp,
           read: message.read,
           conversationId: message.conversationId,
         },
         conversation: {
           conversationId,
-          otherUser: message.receiver,
+          otherUser: receiver,
         },
       };
     } catch (error) {
@@ -78,7 +88,10 @@ class MessageService {
           deleted: { $ne: true },
         })
           .sort({ timestamp: -1 })
-          .populate("sender receiver", "username role isOnline lastSeen")
+          .populate(
+            "sender receiver",
+            "username role isOnline lastSeen privacy"
+          )
           .lean();
 
         if (lastMessage) {
@@ -102,8 +115,7 @@ class MessageService {
               id: otherUserId._id,
               username: otherUserId.username,
               role: otherUserId.role,
-              isOnline: otherUserId.isOnline || false,
-              lastSeen: otherUserId.lastSeen,
+              ...User.getVisiblePresence(otherUserId),
             },
             lastMessage: {
               id: lastMessage._id,
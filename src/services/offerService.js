@@ -0,0 +1,506 @@
+const Offer = require("../models/Offer");
+const Artwork = require("../models/Artwork");
+const config = require("../config/config");
+const { getIO } = require("../config/socket");
+const onlineHandler = require("../sockets/onlineHandler");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class OfferService {
+  // Deadline for the other party to respond to the latest move
+  getResponseDeadline() {
+    return new Date(Date.now() + config.offers.responseWindowHours * HOUR_MS);
+  }
+
+  // Deadline for the buyer to pay an accepted offer
+  getPaymentDeadline() {
+    return new Date(Date.now() + config.offers.paymentWindowHours * HOUR_MS);
+  }
+
+  // Push an offer update to both parties if they are online
+  notifyParties(offer, action) {
+    const io = getIO();
+    if (!io) {
+      return;
+    }
+
+    const payload = {
+      offerId: offer._id.toString(),
+      artworkId: (offer.artwork._id || offer.artwork).toString(),
+      action,
+      status: offer.status,
+      amount: offer.amount,
+      currency: offer.currency,
+      expiresAt: offer.expiresAt,
+    };
+
+    [offer.buyer, offer.seller].forEach((user) => {
+      onlineHandler.sendToUser(
+        (user._id || user).toString(),
+        "offer_update",
+        payload,
+        io
+      );
+    });
+  }
+
+  // Load an offer on an artwork, expiring it if its deadline has passed
+  async findOffer(artworkId, offerId) {
+    const offer = await Offer.findOne({ _id: offerId, artwork: artworkId });
+
+    if (!offer) {
+      throw new AppError("Offer not found", 404);
+    }
+
+    if (
+      [...Offer.OPEN_STATUSES, "accepted"].includes(offer.status) &&
+      offer.isExpired()
+    ) {
+      await this.markExpired(offer);
+      throw new AppError("This offer has expired", 400);
+    }
+
+    return offer;
+  }
+
+  // The party expected to respond next: seller for pending, buyer for countered
+  getPartyToRespond(offer) {
+    return offer.status === "pending" ? offer.seller : offer.buyer;
+  }
+
+  // Ensure the user is the one whose turn it is and the artwork is still on offer
+  async assertCanRespond(offer, userId) {
+    if (!Offer.OPEN_STATUSES.includes(offer.status)) {
+      throw new AppError(`This offer is already ${offer.status}`, 400);
+    }
+
+    if (this.getPartyToRespond(offer).toString() !== userId) {
+      throw new AppError("It is not your turn to respond to this offer", 403);
+    }
+
+    const artwork = await Artwork.findById(offer.artwork).select(
+      "status currentOwner price"
+    );
+
+    if (
+      !artwork ||
+      artwork.status !== "approved" ||
+      artwork.currentOwner.toString() !== offer.seller.toString()
+    ) {
+      offer.status = "declined";
+      offer.history.push({
+        action: "declined",
+        amount: offer.amount,
+        message: "Artwork is no longer available",
+      });
+      await offer.save();
+      this.notifyParties(offer, "declined");
+
+      throw new AppError("This artwork is no longer available", 400);
+    }
+
+    return artwork;
+  }
+
+  // Make a new offer on an artwork
+  async makeOffer(artworkId, buyerId, { amount, message }) {
+    try {
+      const artwork = await Artwork.findById(artworkId).select(
+        "title status saleType price currentOwner isEdition"
+      );
+
+      if (!artwork) {
+        throw new AppError("Artwork not found", 404);
+      }
+
+      // Edition units are sold at the listed price
+      if (
+        artwork.status !== "approved" ||
+        artwork.saleType === "auction" ||
+        artwork.isEdition
+      ) {
+        throw new AppError("Artwork is not available for offers", 400);
+      }
+
+      if (artwork.currentOwner.toString() === buyerId) {
+        throw new AppError("You cannot make an offer on your own artwork", 400);
+      }
+
+      if (amount >= artwork.price) {
+        throw new AppError(
+          "Offer must be below the listed price. Purchase the artwork directly instead.",
+          400
+        );
+      }
+
+      const existingOffer = await Offer.findOne({
+        artwork: artworkId,
+        buyer: buyerId,
+        status: { $in: [...Offer.OPEN_STATUSES, "accepted"] },
+        expiresAt: { $gt: new Date() },
+      });
+
+      if (existingOffer) {
+        throw new AppError(
+          "You already have an active offer on this artwork",
+          409
+        );
+      }
+
+      const offer = await Offer.create({
+        artwork: artworkId,
+        buyer: buyerId,
+        seller: artwork.currentOwner,
+        amount,
+        status: "pending",
+        expiresAt: this.getResponseDeadline(),
+        history: [{ action: "made", amount, by: buyerId, message }],
+      });
+
+      this.notifyParties(offer, "made");
+
+      logger.info(
+        `Offer ${offer._id} of €${amount} made on artwork ${artworkId} by ${buyerId}`
+      );
+
+      return offer;
+    } catch (error) {
+      logger.error(`Error making offer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Counter the latest amount (seller counters a pending offer, buyer a counter-offer)
+  async counterOffer(artworkId, offerId, userId, { amount, message }) {
+    try {
+      const offer = await this.findOffer(artworkId, offerId);
+      const artwork = await this.assertCanRespond(offer, userId);
+
+      if (amount === offer.amount) {
+        throw new AppError("Counter-offer must change the amount", 400);
+      }
+
+      if (amount >= artwork.price) {
+        throw new AppError(
+          "Counter-offer must be below the listed price",
+          400
+        );
+      }
+
+      offer.amount = amount;
+      offer.status = offer.status === "pending" ? "countered" : "pending";
+      offer.expiresAt = this.getResponseDeadline();
+      offer.history.push({ action: "countered", amount, by: userId, message });
+      await offer.save();
+
+      this.notifyParties(offer, "countered");
+
+      logger.info(`Offer ${offerId} countered with €${amount} by ${userId}`);
+
+      return offer;
+    } catch (error) {
+      logger.error(`Error countering offer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Accept the amount currently on the table and reserve the artwork for the buyer
+  async acceptOffer(artworkId, offerId, userId) {
+    try {
+      const offer = await this.findOffer(artworkId, offerId);
+      await this.assertCanRespond(offer, userId);
+
+      // A reservation whose payment deadline passed no longer holds the
+      // artwork; expire it now so the unique index below lets this one in
+      const lapsedOffers = await Offer.find({
+        artwork: artworkId,
+        status: "accepted",
+        expiresAt: { $lte: new Date() },
+      });
+      for (const lapsedOffer of lapsedOffers) {
+        await this.markExpired(lapsedOffer);
+      }
+
+      // Status-guarded so a concurrent response to this offer fails instead
+      // of being overwritten. The unique index on accepted offers rejects a
+      // second accept on the same artwork.
+      const accepted = await Offer.findOneAndUpdate(
+        { _id: offer._id, status: offer.status },
+        {
+          status: "accepted",
+          acceptedAt: new Date(),
+          expiresAt: this.getPaymentDeadline(),
+          $push: {
+            history: { action: "accepted", amount: offer.amount, by: userId },
+          },
+        },
+        { new: true }
+      );
+
+      if (!accepted) {
+        throw new AppError(
+          "This offer changed in the meantime, please refresh",
+          409
+        );
+      }
+
+      this.notifyParties(accepted, "accepted");
+
+      logger.info(
+        `Offer ${offerId} accepted at €${accepted.amount} by ${userId}`
+      );
+
+      return accepted;
+    } catch (error) {
+      if (error.code === 11000) {
+        error = new AppError(
+          "Another offer on this artwork has already been accepted",
+          409
+        );
+      }
+      logger.error(`Error accepting offer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Decline the offer (only the party whose turn it is)
+  async declineOffer(artworkId, offerId, userId, message) {
+    try {
+      const offer = await this.findOffer(artworkId, offerId);
+
+      if (!Offer.OPEN_STATUSES.includes(offer.status)) {
+        throw new AppError(`This offer is already ${offer.status}`, 400);
+      }
+
+      if (this.getPartyToRespond(offer).toString() !== userId) {
+        throw new AppError("It is not your turn to respond to this offer", 403);
+      }
+
+      offer.status = "declined";
+      offer.history.push({
+        action: "declined",
+        amount: offer.amount,
+        by: userId,
+        message,
+      });
+      await offer.save();
+
+      this.notifyParties(offer, "declined");
+
+      logger.info(`Offer ${offerId} declined by ${userId}`);
+
+      return offer;
+    } catch (error) {
+      logger.error(`Error declining offer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Withdraw an open or accepted (unpaid) offer (buyer only)
+  async withdrawOffer(artworkId, offerId, userId) {
+    try {
+      const offer = await this.findOffer(artworkId, offerId);
+
+      if (offer.buyer.toString() !== userId) {
+        throw new AppError("Only the buyer can withdraw an offer", 403);
+      }
+
+      if (![...Offer.OPEN_STATUSES, "accepted"].includes(offer.status)) {
+        throw new AppError(`This offer is already ${offer.status}`, 400);
+      }
+
+      offer.status = "withdrawn";
+      offer.history.push({
+        action: "withdrawn",
+        amount: offer.amount,
+        by: userId,
+      });
+      await offer.save();
+
+      this.notifyParties(offer, "withdrawn");
+
+      logger.info(`Offer ${offerId} withdrawn by ${userId}`);
+
+      return offer;
+    } catch (error) {
+      logger.error(`Error withdrawing offer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Start checkout for an accepted offer at the agreed amount
+  async checkoutOffer(artworkId, offerId, buyerId) {
+    try {
+      const offer = await this.findOffer(artworkId, offerId);
+
+      if (offer.buyer.toString() !== buyerId) {
+        throw new AppError("This offer belongs to another buyer", 403);
+      }
+
+      if (offer.status !== "accepted") {
+        throw new AppError("Only accepted offers can be paid", 400);
+      }
+
+      // Required lazily: paymentService notifies this service on completed sales
+      const paymentService = require("./paymentService");
+      return await paymentService.createPurchasePaymentSession(
+        artworkId,
+        buyerId,
+        { offerId: offer._id.toString() }
+      );
+    } catch (error) {
+      logger.error(`Error starting offer checkout: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Get offers on an artwork: the owner sees all, others only their own
+  async getArtworkOffers(artworkId, userId, query = {}) {
+    try {
+      const { page = 1, limit = 10, status } = query;
+
+      const artwork = await Artwork.findById(artworkId).select("currentOwner");
+      if (!artwork) {
+        throw new AppError("Artwork not found", 404);
+      }
+
+      const filter = { artwork: artworkId };
+      if (artwork.currentOwner.toString() !== userId) {
+        filter.buyer = userId;
+      }
+      if (status) {
+        filter.status = status;
+      }
+
+      return await this.paginateOffers(filter, page, limit);
+    } catch (error) {
+      logger.error(`Error getting artwork offers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Get offers the user made (as buyer) or received (as seller)
+  async getMyOffers(userId, query = {}) {
+    try {
+      const { page = 1, limit = 10, status, role = "buyer" } = query;
+
+      const filter = role === "seller" ? { seller: userId } : { buyer: userId };
+      if (status) {
+        filter.status = status;
+      }
+
+      return await this.paginateOffers(filter, page, limit);
+    } catch (error) {
+      logger.error(`Error getting user offers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async paginateOffers(filter, page, limit) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+    const skip = (page - 1) * limit;
+
+    const [offers, total] = await Promise.all([
+      Offer.find(filter)
+        .populate("artwork", "title images price status")
+        .populate("buyer", "username profile")
+        .populate("seller", "username profile")
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Offer.countDocuments(filter),
+    ]);
+
+    return {
+      offers,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + limit < total,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  async markExpired(offer) {
+    offer.status = "expired";
+    offer.history.push({ action: "expired", amount: offer.amount });
+    await offer.save();
+
+    this.notifyParties(offer, "expired");
+  }
+
+  // Expire offers whose response or payment deadline has passed (scheduled job)
+  async expireOffers() {
+    try {
+      const offers = await Offer.find({
+        status: { $in: [...Offer.OPEN_STATUSES, "accepted"] },
+        expiresAt: { $lte: new Date() },
+      });
+
+      for (const offer of offers) {
+        await this.markExpired(offer);
+      }
+
+      if (offers.length > 0) {
+        logger.info(`Expired ${offers.length} offers`);
+      }
+
+      return { expired: offers.length };
+    } catch (error) {
+      logger.error(`Error expiring offers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Close negotiations once an artwork is sold (called after a completed sale
+  // or ownership transfer)
+  async handleArtworkSold(
+    artworkId,
+    offerId,
+    paymentIntentId,
+    reason = "Artwork was sold"
+  ) {
+    try {
+      if (offerId) {
+        const offer = await Offer.findOne({ _id: offerId, artwork: artworkId });
+
+        if (offer) {
+          offer.status = "completed";
+          offer.completedAt = new Date();
+          offer.paymentIntent = paymentIntentId;
+          offer.history.push({ action: "completed", amount: offer.amount });
+          await offer.save();
+          this.notifyParties(offer, "completed");
+        }
+      }
+
+      const remainingOffers = await Offer.find({
+        artwork: artworkId,
+        status: { $in: [...Offer.OPEN_STATUSES, "accepted"] },
+      });
+
+      for (const offer of remainingOffers) {
+        offer.status = "declined";
+        offer.history.push({
+          action: "declined",
+          amount: offer.amount,
+          message: reason,
+        });
+        await offer.save();
+        this.notifyParties(offer, "declined");
+      }
+    } catch (error) {
+      logger.error(`Error closing offers for sold artwork: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new OfferService();
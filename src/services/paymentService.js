@@ -8,12 +8,19 @@ const User = require("../models/User");
 const Transaction = require("../models/Transaction");
 const ListingPayment = require("../models/ListingPayment");
 const TraceabilityRecord = require("../models/TraceabilityRecord");
+const Offer = require("../models/Offer");
+const Cart = require("../models/Cart");
+const payoutService = require("./payoutService");
+const editionService = require("./editionService");
+const trendingService = require("./trendingService");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
 const {
   addPaymentConfirmationJob,
   addFailedPaymentJob,
+  addSellerPayoutJob,
 } = require("../jobs/paymentJobs");
+const { addFeedFanOutJob } = require("../jobs/feedJobs");
 const { default: mongoose } = require("mongoose");
 
 class PaymentService {
@@ -173,8 +180,175 @@ class PaymentService {
 
   */
 
+  // Work out what the buyer pays: listed price, accepted offer or winning bid
+  async resolveSaleTerms(artwork, buyerId, offerId, mongoSession) {
+    if (artwork.saleType === "auction") {
+      const { auction } = artwork;
+
+      if (offerId) {
+        throw new AppError("Offers are not available for auctions", 400);
+      }
+
+      if (
+        auction?.status !== "awaiting_payment" ||
+        auction.winner?.toString() !== buyerId
+      ) {
+        throw new AppError(
+          "Only the winning bidder can purchase this artwork",
+          403
+        );
+      }
+
+      const minutesLeft = Math.floor(
+        (auction.paymentDeadline - Date.now()) / 60 / 1000
+      );
+      if (minutesLeft <= 0) {
+        throw new AppError("The payment window for this auction has closed", 400);
+      }
+
+      // Stripe sessions last between 30 minutes and 24 hours
+      return {
+        salePrice: auction.winningBid,
+        checkoutMinutes: Math.min(24 * 60, Math.max(30, minutesLeft)),
+      };
+    }
+
+    // An accepted offer reserves the artwork for its buyer until payment is due
+    const acceptedOffer = await Offer.findOne({
+      artwork: artwork._id,
+      status: "accepted",
+      expiresAt: { $gt: new Date() },
+    }).session(mongoSession);
+
+    if (offerId) {
+      if (
+        !acceptedOffer ||
+        acceptedOffer._id.toString() !== offerId ||
+        acceptedOffer.buyer.toString() !== buyerId
+      ) {
+        throw new AppError("This offer is not available for checkout", 400);
+      }
+
+      if (
+        acceptedOffer.seller.toString() !== artwork.currentOwner._id.toString()
+      ) {
+        throw new AppError("This artwork is no longer available", 409);
+      }
+    } else if (
+      acceptedOffer &&
+      acceptedOffer.buyer.toString() !== buyerId
+    ) {
+      throw new AppError(
+        "This artwork is reserved for a buyer whose offer was accepted",
+        409
+      );
+    }
+
+    return {
+      salePrice: offerId ? acceptedOffer.amount : artwork.price,
+      checkoutMinutes: 30,
+    };
+  }
+
+  // Resale royalty owed to the original artist out of a sale price
+  getRoyaltyTerms(artwork, sellerId, salePrice) {
+    const artistId = (artwork.artist._id || artwork.artist).toString();
+    const isResale = artistId !== sellerId.toString();
+
+    if (!isResale) {
+      return { isResale, artistId, royaltyPercentage: 0, royaltyAmount: 0 };
+    }
+
+    const royaltyPercentage = artwork.getRoyaltyPercentage();
+
+    return {
+      isResale,
+      artistId,
+      royaltyPercentage,
+      // Rounded to the cent
+      royaltyAmount: Math.round(salePrice * royaltyPercentage) / 100,
+    };
+  }
+
+  getRoyaltyMetadata(royalty) {
+    if (!royalty.isResale) {
+      return {};
+    }
+
+    return {
+      original_artist: royalty.artistId,
+      royalty_percentage: royalty.royaltyPercentage,
+      royalty_amount: royalty.royaltyAmount,
+    };
+  }
+
+  // Line shown to the buyer for an edition unit
+  getEditionLabel(artwork, unit) {
+    return `Edition ${unit.number} of ${artwork.edition.total}`;
+  }
+
+  // Expire abandoned checkouts of an artwork and refuse if one is still active.
+  // Runs inside the caller's Mongo transaction so the check and the new
+  // pending transaction are atomic.
+  async assertArtworkNotInCheckout(artworkId, mongoSession) {
+    // Check for non-expired pending transactions within atomic operation
+    const now = new Date();
+    const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
+
+    // Clean up expired transactions first
+    await Transaction.updateMany(
+      {
+        artwork: artworkId,
+        status: "pending",
+        $or: [
+          { expiresAt: { $lt: now } },
+          {
+            createdAt: { $lt: fiveMinutesAgo },
+            expiresAt: { $exists: false },
+          },
+        ],
+      },
+      {
+        status: "failed",
+        metadata: {
+          failureReason: "Session expired or abandoned",
+          cleanedUpAt: now,
+        },
+      }
+    ).session(mongoSession);
+
+    // Check for active pending transactions
+    const activePendingTransaction = await Transaction.findOne({
+      artwork: artworkId,
+      status: "pending",
+      $or: [
+        { expiresAt: { $gt: now } },
+        {
+          createdAt: { $gt: fiveMinutesAgo },
+          expiresAt: { $exists: false },
+        },
+      ],
+    }).session(mongoSession);
+
+    if (activePendingTransaction) {
+      const timeLeft = activePendingTransaction.expiresAt
+        ? Math.max(
+            0,
+            Math.ceil((activePendingTransaction.expiresAt - now) / 1000 / 60)
+          )
+        : 30;
+
+      throw new AppError(
+        `This artwork is currently being purchased by another user. Please try again in ${timeLeft} minutes.`,
+        409
+      );
+    }
+  }
+
   // Create purchase payment session
-  async createPurchasePaymentSession(artworkId, buyerId) {
+  // Pass options.offerId to pay an accepted offer at the agreed amount
+  async createPurchasePaymentSession(artworkId, buyerId, options = {}) {
+    const { offerId } = options;
     // Use atomic transaction to prevent race conditions
     const mongoSession = await mongoose.startSession();
 
@@ -199,57 +373,29 @@ class PaymentService {
         throw new AppError("You cannot purchase artwork you already own", 400);
       }
 
-      // Check for non-expired pending transactions within atomic operation
-      const now = new Date();
-      const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
-
-      // Clean up expired transactions first
-      await Transaction.updateMany(
-        {
-          artwork: artworkId,
-          status: "pending",
-          $or: [
-            { expiresAt: { $lt: now } },
-            {
-              createdAt: { $lt: fiveMinutesAgo },
-              expiresAt: { $exists: false },
-            },
-          ],
-        },
-        {
-          status: "failed",
-          metadata: {
-            failureReason: "Session expired or abandoned",
-            cleanedUpAt: now,
-          },
-        }
-      ).session(mongoSession);
-
-      // Check for active pending transactions
-      const activePendingTransaction = await Transaction.findOne({
-        artwork: artworkId,
-        status: "pending",
-        $or: [
-          { expiresAt: { $gt: now } },
-          {
-            createdAt: { $gt: fiveMinutesAgo },
-            expiresAt: { $exists: false },
-          },
-        ],
-      }).session(mongoSession);
+      const { salePrice, checkoutMinutes } = await this.resolveSaleTerms(
+        artwork,
+        buyerId,
+        offerId,
+        mongoSession
+      );
 
-      if (activePendingTransaction) {
-        const timeLeft = activePendingTransaction.expiresAt
-          ? Math.max(
-              0,
-              Math.ceil((activePendingTransaction.expiresAt - now) / 1000 / 60)
-            )
-          : 30;
+      const transactionExpiry = new Date(
+        Date.now() + checkoutMinutes * 60 * 1000
+      );
 
-        throw new AppError(
-          `This artwork is currently being purchased by another user. Please try again in ${timeLeft} minutes.`,
-          409
+      // Editions sell their next unit, a single work is locked with the
+      // pending-transaction check
+      let unit = null;
+      if (artwork.isEdition) {
+        unit = await editionService.reserveUnit(
+          artwork,
+          buyerId,
+          transactionExpiry,
+          mongoSession
         );
+      } else {
+        await this.assertArtworkNotInCheckout(artworkId, mongoSession);
       }
 
       // Get buyer and ensure Stripe Customer
@@ -257,20 +403,26 @@ class PaymentService {
       const customerId = await this.ensureStripeCustomer(buyer);
 
       // Use currentOwner as seller, not original artist
-      const currentOwner = artwork.currentOwner;
-      const sellerId = currentOwner._id.toString();
+      const sellerId = (
+        unit ? unit.currentOwner : artwork.currentOwner._id
+      ).toString();
 
       // Calculate platform commission (5% for example)
-      // const platformCommission = Math.round(artwork.price * 0.05);
+      // const platformCommission = Math.round(salePrice * 0.05);
       const platformCommission = 0; // Temporarily no commission for sales
-      const artistAmount = artwork.price - platformCommission;
+      const royalty = this.getRoyaltyTerms(artwork, sellerId, salePrice);
+      const artistAmount =
+        salePrice - platformCommission - royalty.royaltyAmount;
+      const amountInCents = Math.round(salePrice * 100);
 
       // Create payment intent
       const paymentIntent = await stripe.paymentIntents.create({
-        amount: artwork.price * 100, // Convert to cents
+        amount: amountInCents, // Convert to cents
         currency: "eur",
         customer: customerId,
-        description: `Purchase: ${artwork.title} by ${artwork.artist.username}`,
+        description: `Purchase: ${artwork.title}${
+          unit ? ` (${this.getEditionLabel(artwork, unit)})` : ""
+        } by ${artwork.artist.username}`,
         metadata: {
           type: "sale",
           artworkId: artworkId.toString(),
@@ -278,14 +430,21 @@ class PaymentService {
           sellerId: sellerId,
           platformCommission: platformCommission.toString(),
           artistAmount: artistAmount.toString(),
-          isResale:
-            artwork.artist._id.toString() !== sellerId ? "true" : "false",
+          isResale: royalty.isResale ? "true" : "false",
           original_artist: artwork.artist._id.toString(),
+          royaltyAmount: royalty.royaltyAmount.toString(),
+          ...(offerId && { offerId }),
+          ...(artwork.saleType === "auction" && { auction: "true" }),
+          ...(unit && {
+            editionUnitId: unit._id.toString(),
+            editionNumber: unit.number.toString(),
+          }),
         },
       });
 
       // Create checkout session with expiry
-      const sessionExpiryTime = Math.floor(Date.now() / 1000) + 30 * 60; // 30 minutes (minimumum Stripe session expiry)
+      const sessionExpiryTime =
+        Math.floor(Date.now() / 1000) + checkoutMinutes * 60; // 30 minutes (minimumum Stripe session expiry), longer for auction winners
       const session = await stripe.checkout.sessions.create({
         ...getSessionOptions(customerId, {
           type: "sale",
@@ -299,29 +458,35 @@ class PaymentService {
               currency: "eur",
               product_data: {
                 name: artwork.title,
-                description: `Original artwork by ${artwork.artist.username}`,
+                description: unit
+                  ? `${this.getEditionLabel(artwork, unit)} by ${
+                      artwork.artist.username
+                    }`
+                  : `Original artwork by ${artwork.artist.username}`,
                 images: artwork.images.slice(0, 1),
               },
-              unit_amount: artwork.price * 100,
+              unit_amount: amountInCents,
             },
             quantity: 1,
           },
         ],
         expires_at: sessionExpiryTime,
         payment_intent_data: {
+          // Links the charge to the seller payout transfer
+          transfer_group: `sale_${unit ? unit._id : artworkId}_${sessionExpiryTime}`,
           metadata: paymentIntent.metadata,
         },
       });
 
       // Create transaction with expiry within atomic operation
-      const transactionExpiry = new Date(Date.now() + 30 * 60 * 1000);
       await Transaction.create(
         [
           {
             buyer: buyerId,
             seller: sellerId,
             artwork: artworkId,
-            amount: artwork.price * 100,
+            editionUnit: unit?._id,
+            amount: amountInCents,
             paymentIntent: paymentIntent.id,
             status: "pending",
             transactionType: "sale",
@@ -331,6 +496,9 @@ class PaymentService {
               stripe_expires_at: sessionExpiryTime,
               platform_commission: platformCommission,
               artist_amount: artistAmount,
+              ...this.getRoyaltyMetadata(royalty),
+              offer_id: offerId,
+              edition_number: unit?.number,
             },
           },
         ],
@@ -358,6 +526,204 @@ class PaymentService {
     }
   }
 
+  // Create one checkout session for several artworks (cart checkout).
+  // Every artwork gets its own pending transaction, which locks it exactly like
+  // a single purchase and keeps the amount owed to each seller separate.
+  async createCartPaymentSession(buyerId, artworkIds) {
+    const mongoSession = await mongoose.startSession();
+
+    try {
+      mongoSession.startTransaction();
+
+      const artworks = await Artwork.find({ _id: { $in: artworkIds } })
+        .populate("artist")
+        .populate("currentOwner")
+        .session(mongoSession);
+
+      if (artworks.length !== artworkIds.length) {
+        throw new AppError("Some artworks in your cart were not found", 404);
+      }
+
+      const transactionExpiry = new Date(Date.now() + 30 * 60 * 1000);
+
+      const lines = [];
+      for (const artwork of artworks) {
+        if (artwork.status !== "approved") {
+          throw new AppError(
+            `"${artwork.title}" is not available for purchase`,
+            400
+          );
+        }
+
+        if (artwork.saleType === "auction") {
+          throw new AppError(
+            `"${artwork.title}" is sold by auction and cannot be checked out from the cart`,
+            400
+          );
+        }
+
+        if (artwork.currentOwner._id.toString() === buyerId) {
+          throw new AppError(
+            "You cannot purchase artwork you already own",
+            400
+          );
+        }
+
+        const { salePrice } = await this.resolveSaleTerms(
+          artwork,
+          buyerId,
+          null,
+          mongoSession
+        );
+
+        // Reserve the next unit of an edition, otherwise lock the artwork
+        // with the pending-transaction check
+        let unit = null;
+        if (artwork.isEdition) {
+          unit = await editionService.reserveUnit(
+            artwork,
+            buyerId,
+            transactionExpiry,
+            mongoSession
+          );
+        } else {
+          await this.assertArtworkNotInCheckout(artwork._id, mongoSession);
+        }
+
+        // const platformCommission = Math.round(salePrice * 0.05);
+        const platformCommission = 0; // Temporarily no commission for sales
+
+        const sellerId = (
+          unit ? unit.currentOwner : artwork.currentOwner._id
+        ).toString();
+        const royalty = this.getRoyaltyTerms(artwork, sellerId, salePrice);
+
+        lines.push({
+          artwork,
+          unit,
+          sellerId,
+          amountInCents: Math.round(salePrice * 100),
+          platformCommission,
+          royalty,
+          artistAmount: salePrice - platformCommission - royalty.royaltyAmount,
+        });
+      }
+
+      // Get buyer and ensure Stripe Customer
+      const buyer = await User.findById(buyerId);
+      const customerId = await this.ensureStripeCustomer(buyer);
+
+      // Groups the pending transactions of this checkout
+      const checkoutId = new mongoose.Types.ObjectId().toString();
+      const metadata = {
+        type: "cart_sale",
+        buyerId,
+        checkoutId,
+        itemCount: lines.length.toString(),
+      };
+
+      const sessionExpiryTime = Math.floor(Date.now() / 1000) + 30 * 60; // 30 minutes (minimumum Stripe session expiry)
+      const session = await stripe.checkout.sessions.create({
+        ...getSessionOptions(customerId, metadata),
+        line_items: lines.map(({ artwork, unit, amountInCents }) => ({
+          price_data: {
+            currency: "eur",
+            product_data: {
+              name: artwork.title,
+              description: unit
+                ? `${this.getEditionLabel(artwork, unit)} by ${
+                    artwork.artist.username
+                  }`
+                : `Original artwork by ${artwork.artist.username}`,
+              images: artwork.images.slice(0, 1),
+            },
+            unit_amount: amountInCents,
+          },
+          quantity: 1,
+        })),
+        expires_at: sessionExpiryTime,
+        payment_intent_data: {
+          description: `Purchase of ${lines.length} artworks`,
+          transfer_group: `checkout_${checkoutId}`,
+          metadata,
+        },
+      });
+
+      // Create one pending transaction per artwork within atomic operation
+      await Transaction.create(
+        lines.map((line) => ({
+          buyer: buyerId,
+          seller: line.sellerId,
+          artwork: line.artwork._id,
+          editionUnit: line.unit?._id,
+          amount: line.amountInCents,
+          // Replaced with the payment intent id once Stripe reports the payment
+          paymentIntent: session.id,
+          status: "pending",
+          transactionType: "sale",
+          expiresAt: transactionExpiry,
+          metadata: {
+            stripe_session_id: session.id,
+            artwork_title: line.artwork.title,
+            platform_commission: line.platformCommission,
+            artist_amount: line.artistAmount,
+            ...this.getRoyaltyMetadata(line.royalty),
+            checkout_id: checkoutId,
+            edition_number: line.unit?.number,
+          },
+        })),
+        { session: mongoSession, ordered: true }
+      );
+
+      // Commit the atomic transaction
+      await mongoSession.commitTransaction();
+
+      // Amounts owed to each seller in this checkout
+      const sellers = {};
+      lines.forEach((line) => {
+        if (!sellers[line.sellerId]) {
+          sellers[line.sellerId] = {
+            sellerId: line.sellerId,
+            itemCount: 0,
+            amount: 0,
+            artistAmount: 0,
+          };
+        }
+        sellers[line.sellerId].itemCount += 1;
+        sellers[line.sellerId].amount += line.amountInCents / 100;
+        sellers[line.sellerId].artistAmount += line.artistAmount;
+      });
+
+      logger.info(
+        `Cart payment session created for ${lines.length} artworks by buyer ${buyerId}`
+      );
+
+      return {
+        sessionId: session.id,
+        sessionUrl: session.url,
+        checkoutId,
+        expiresAt: transactionExpiry,
+        total: lines.reduce((sum, line) => sum + line.amountInCents, 0) / 100,
+        items: lines.map((line) => ({
+          artworkId: line.artwork._id,
+          title: line.artwork.title,
+          editionNumber: line.unit?.number,
+          sellerId: line.sellerId,
+          amount: line.amountInCents / 100,
+        })),
+        sellers: Object.values(sellers),
+      };
+    } catch (error) {
+      if (mongoSession.inTransaction()) {
+        await mongoSession.abortTransaction();
+      }
+      logger.error("Error creating cart payment session,", error);
+      throw error;
+    } finally {
+      mongoSession.endSession();
+    }
+  }
+
   // Handle successful payment webhook
   async handlePaymentSuccess(paymentIntent) {
     try {
@@ -367,7 +733,7 @@ class PaymentService {
       if (type === "listing_fee") {
         // TEMPORARILY DISABLED: Listing fee requirement
         // await this.handleListingFeeSuccess(paymentIntent, artworkId, userId);
-      } else if (type === "sale") {
+      } else if (type === "sale" || type === "cart_sale") {
         await this.handleSaleSuccess(
           paymentIntent,
           artworkId,
@@ -434,13 +800,11 @@ class PaymentService {
       );
 
       // Create traceability record now that payment is confirmed
-      const transactionHash = TraceabilityRecord.generateTransactionHash();
-      await TraceabilityRecord.create({
+      await TraceabilityRecord.appendRecord({
         artworkId,
         fromUserId: userId,
         toUserId: userId,
         transactionType: "created",
-        transactionHash,
         additionalData: {
           price: (await Artwork.findById(artworkId)).price,
           condition: "new",
@@ -510,107 +874,153 @@ class PaymentService {
   }
   */
 
-  // Handle sale payment success
+  // Pending sale transactions paid by a payment intent: every line of a cart
+  // checkout, or the single artwork (or edition unit) of a direct purchase
+  getSaleTransactionFilter(paymentIntent, artworkId, sellerId) {
+    const { checkoutId, editionUnitId } = paymentIntent.metadata;
+
+    if (checkoutId) {
+      return { "metadata.checkout_id": checkoutId };
+    }
+
+    return editionUnitId
+      ? { seller: sellerId, editionUnit: editionUnitId }
+      : { seller: sellerId, artwork: artworkId };
+  }
+
+  // Handle sale payment success (single artwork or every artwork of a cart)
   async handleSaleSuccess(paymentIntent, artworkId, buyerId, sellerId) {
     const session = await mongoose.startSession();
+    const transactionFilter = this.getSaleTransactionFilter(
+      paymentIntent,
+      artworkId,
+      sellerId
+    );
 
     try {
       session.startTransaction();
 
-      // Update transaction status (within transaction)
-      await Transaction.updateOne(
-        {
-          seller: sellerId,
-          artwork: artworkId,
-          status: "pending",
-        },
-        {
-          status: "completed",
-          metadata: {
-            ...paymentIntent.metadata,
-            stripe_payment_method: paymentIntent.payment_method,
-            stripe_receipt_url:
-              paymentIntent.charges?.data?.[0]?.receipt_url || null,
-          },
-        },
-        { session }
-      );
-
-      // Update artwork as sold (within transaction)
-      const artwork = await Artwork.findByIdAndUpdate(
-        artworkId,
-        {
-          currentOwner: buyerId,
-          lastSaleDate: new Date(),
-          $inc: { totalSales: 1 },
-          // ownership history for tracking
-          $push: {
-            ownershipHistory: {
-              owner: buyerId,
-              purchaseDate: new Date(),
-              price: parseInt(paymentIntent.amount) / 100, // Convert from cents
-              transactionId: paymentIntent.id,
-              fromOwner: sellerId,
+      const pendingTransactions = await Transaction.find({
+        ...transactionFilter,
+        status: "pending",
+      }).session(session);
+
+      // A direct purchase carries its artwork and seller in the metadata
+      const items = paymentIntent.metadata.checkoutId
+        ? pendingTransactions.map((transaction) => ({
+            transaction,
+            artworkId: transaction.artwork,
+            editionUnitId: transaction.editionUnit,
+            sellerId: transaction.seller,
+            amount: transaction.amount,
+          }))
+        : [
+            {
+              transaction: pendingTransactions[0],
+              artworkId,
+              editionUnitId: paymentIntent.metadata.editionUnitId,
+              sellerId,
+              amount: parseInt(paymentIntent.amount),
             },
-          },
-        },
-        {
-          new: true,
-          session,
-        }
-      );
+          ];
 
-      // Create traceability record for ownership transfer
-      const transactionHash = TraceabilityRecord.generateTransactionHash();
-      await TraceabilityRecord.create(
-        [
-          {
-            artworkId,
-            fromUserId: sellerId,
-            toUserId: buyerId,
-            transactionType: "sold",
-            transactionHash,
-            additionalData: {
-              price: parseInt(paymentIntent.amount) / 100,
-              paymentIntent: paymentIntent.id,
-              saleDate: new Date(),
-              // Additional context for resales
-              isResale: paymentIntent.metadata.isResale === "true",
-              originalArtist:
-                paymentIntent.metadata.original_artist || artwork.artist,
-              transferNumber: artwork.ownershipHistory
-                ? artwork.ownershipHistory.length
-                : 1,
-            },
-          },
-        ],
-        { session }
-      );
+      if (items.length === 0) {
+        logger.warn(
+          `No pending transactions found for payment ${paymentIntent.id}`
+        );
+        await session.abortTransaction();
+        return;
+      }
+
+      const payouts = [];
+      for (const item of items) {
+        const itemPayouts = await this.completeSaleItem(
+          paymentIntent,
+          buyerId,
+          item,
+          session
+        );
+        payouts.push(...itemPayouts);
+      }
 
       // If we reach here, all operations succeeded
       await session.commitTransaction();
 
-      // Add payment confirmation job
-      const transaction = await Transaction.findOne({
-        paymentIntent: paymentIntent.id,
-      });
+      const soldArtworkIds = items.map((item) => item.artworkId.toString());
 
-      if (transaction) {
-        await addPaymentConfirmationJob(transaction._id, "sale");
+      // Close the paid offer and any other negotiations on these artworks
+      // (editions take no offers)
+      const uniqueArtworkIds = items
+        .filter((item) => !item.editionUnitId)
+        .map((item) => item.artworkId.toString());
+      for (const soldArtworkId of uniqueArtworkIds) {
+        try {
+          const offerService = require("./offerService");
+          await offerService.handleArtworkSold(
+            soldArtworkId,
+            paymentIntent.metadata.offerId,
+            paymentIntent.id
+          );
+        } catch (offerError) {
+          logger.error(
+            `Failed to close offers for artwork ${soldArtworkId}: ${offerError.message}`
+          );
+        }
+      }
+
+      // Sold artworks can no longer be bought from the buyer's cart
+      await Cart.updateOne(
+        { user: buyerId },
+        { $pull: { items: { artwork: { $in: soldArtworkIds } } } }
+      );
+
+      // Add payment confirmation job (buyer and seller emails for each piece)
+      for (const item of items) {
+        if (item.transaction) {
+          await addPaymentConfirmationJob(item.transaction._id, "sale");
+        }
+      }
+
+      // Transfer each seller's share to their connected account
+      for (const payout of payouts) {
+        await addSellerPayoutJob(payout._id);
+      }
+
+      // Show the sales in the feeds of the artists' followers and count them
+      // towards trending
+      for (const item of items) {
+        await trendingService.recordActivity(item.artworkId, { sales: 1 });
+
+        try {
+          await addFeedFanOutJob("sale", item.artworkId, {
+            price: item.amount / 100,
+            editionNumber: item.transaction?.metadata?.edition_number,
+          });
+        } catch (feedError) {
+          logger.error(
+            `Failed to queue feed fan-out for artwork ${item.artworkId}: ${feedError.message}`
+          );
+        }
       }
 
       logger.info(
-        `Sale completed for artwork ${artworkId}, transferred from ${sellerId} to ${buyerId}`
+        `Sale completed for ${items.length} artwork(s) (${soldArtworkIds.join(
+          ", "
+        )}), transferred to ${buyerId}`
       );
     } catch (error) {
       // Rollback all changes if anything fails
-      await session.abortTransaction();
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
       logger.error("Error handling purchase payment success:", error);
 
       // Add failed payment job
-      const transaction = await Transaction.findOne({
-        paymentIntent: paymentIntent.id,
-      });
+      const transaction = await Transaction.findOne(
+        paymentIntent.metadata.checkoutId
+          ? transactionFilter
+          : { paymentIntent: paymentIntent.id }
+      );
 
       if (transaction) {
         await addFailedPaymentJob(
@@ -625,6 +1035,165 @@ class PaymentService {
     }
   }
 
+  // Transfer one sold artwork to the buyer (within the caller's transaction)
+  async completeSaleItem(paymentIntent, buyerId, item, session) {
+    const { transaction, artworkId, editionUnitId, sellerId, amount } = item;
+    const price = amount / 100; // Convert from cents
+
+    // Update transaction status (within transaction)
+    if (transaction) {
+      const { metadata = {} } = transaction.toObject();
+
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        {
+          status: "completed",
+          paymentIntent: paymentIntent.id,
+          metadata: {
+            ...metadata,
+            stripe_payment_method: paymentIntent.payment_method,
+            stripe_receipt_url:
+              paymentIntent.charges?.data?.[0]?.receipt_url || null,
+            offer_id: paymentIntent.metadata.offerId,
+          },
+        },
+        { session }
+      );
+    }
+
+    // Record the amounts owed to the seller (and the artist on resales)
+    const payouts = [];
+    if (transaction) {
+      payouts.push(
+        await payoutService.recordSale(transaction, paymentIntent, session)
+      );
+
+      const royaltyTransaction = await this.recordRoyalty(
+        transaction,
+        paymentIntent,
+        session
+      );
+      if (royaltyTransaction) {
+        payouts.push(
+          await payoutService.recordSale(
+            royaltyTransaction,
+            paymentIntent,
+            session
+          )
+        );
+      }
+    }
+
+    // An edition unit changes hands, the edition itself stays with the artist
+    if (editionUnitId) {
+      await editionService.completeUnitSale(
+        {
+          artworkId,
+          editionUnitId,
+          buyerId,
+          sellerId,
+          price,
+          paymentIntentId: paymentIntent.id,
+        },
+        session
+      );
+
+      return payouts;
+    }
+
+    // Update artwork as sold (within transaction)
+    const artwork = await Artwork.findByIdAndUpdate(
+      artworkId,
+      {
+        currentOwner: buyerId,
+        lastSaleDate: new Date(),
+        ...(paymentIntent.metadata.auction === "true" && {
+          "auction.status": "sold",
+        }),
+        $inc: { totalSales: 1 },
+        // ownership history for tracking
+        $push: {
+          ownershipHistory: {
+            owner: buyerId,
+            purchaseDate: new Date(),
+            price,
+            transactionId: paymentIntent.id,
+            fromOwner: sellerId,
+          },
+        },
+      },
+      {
+        new: true,
+        session,
+      }
+    );
+
+    if (!artwork) {
+      throw new AppError(`Artwork ${artworkId} not found`, 404);
+    }
+
+    // Create traceability record for ownership transfer
+    await TraceabilityRecord.appendRecord(
+      {
+        artworkId,
+        fromUserId: sellerId,
+        toUserId: buyerId,
+        transactionType: "sold",
+        additionalData: {
+          price,
+          paymentIntent: paymentIntent.id,
+          saleDate: new Date(),
+          // Additional context for resales
+          isResale: artwork.artist.toString() !== sellerId.toString(),
+          originalArtist: artwork.artist,
+          transferNumber: artwork.ownershipHistory
+            ? artwork.ownershipHistory.length
+            : 1,
+        },
+      },
+      session
+    );
+
+    return payouts;
+  }
+
+  // Split the resale royalty out to the original artist (within the sale transaction)
+  async recordRoyalty(transaction, paymentIntent, session) {
+    const { metadata = {} } = transaction.toObject();
+
+    if (!metadata.royalty_amount || metadata.royalty_amount <= 0) {
+      return null;
+    }
+
+    const [royaltyTransaction] = await Transaction.create(
+      [
+        {
+          // The reseller pays the royalty out of the sale proceeds
+          buyer: transaction.seller,
+          seller: metadata.original_artist,
+          artwork: transaction.artwork,
+          amount: Math.round(metadata.royalty_amount * 100),
+          paymentIntent: paymentIntent.id,
+          status: "completed",
+          transactionType: "royalty",
+          metadata: {
+            royalty_percentage: metadata.royalty_percentage,
+            royalty_amount: metadata.royalty_amount,
+            original_artist: metadata.original_artist,
+            sale_transaction: transaction._id.toString(),
+          },
+        },
+      ],
+      { session }
+    );
+
+    logger.info(
+      `Resale royalty of ${metadata.royalty_amount} EUR recorded for artist ${metadata.original_artist}`
+    );
+
+    return royaltyTransaction;
+  }
+
   // Get payment history for user
   async getPaymentHistory(userId, query = {}) {
     try {
@@ -725,7 +1294,12 @@ class PaymentService {
             totalSpent: {
               $sum: {
                 $cond: [
-                  { $eq: ["$buyer", new mongoose.Types.ObjectId(userId)] },
+                  {
+                    $and: [
+                      { $eq: ["$buyer", new mongoose.Types.ObjectId(userId)] },
+                      { $ne: ["$transactionType", "royalty"] },
+                    ],
+                  },
                   "$amount",
                   0,
                 ],
@@ -773,6 +1347,34 @@ class PaymentService {
                 $cond: [{ $eq: ["$transactionType", "listing_fee"] }, 1, 0],
               },
             },
+            royaltiesEarned: {
+              $sum: {
+                $cond: [
+                  {
+                    $and: [
+                      { $eq: ["$seller", new mongoose.Types.ObjectId(userId)] },
+                      { $eq: ["$transactionType", "royalty"] },
+                    ],
+                  },
+                  "$amount",
+                  0,
+                ],
+              },
+            },
+            royaltiesPaid: {
+              $sum: {
+                $cond: [
+                  {
+                    $and: [
+                      { $eq: ["$buyer", new mongoose.Types.ObjectId(userId)] },
+                      { $eq: ["$transactionType", "royalty"] },
+                    ],
+                  },
+                  "$amount",
+                  0,
+                ],
+              },
+            },
           },
         },
       ]);
@@ -785,6 +1387,8 @@ class PaymentService {
           salesCount: 0,
           purchasesCount: 0,
           listingFeesCount: 0,
+          royaltiesEarned: 0,
+          royaltiesPaid: 0,
         }
       );
     } catch (error) {
@@ -0,0 +1,469 @@
+const mongoose = require("mongoose");
+const { stripe, paymentConfig } = require("../config/stripe");
+const User = require("../models/User");
+const Payout = require("../models/Payout");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const SELLER_ROLES = ["artist", "buyer"];
+
+class PayoutService {
+  // Map a Stripe account to our onboarding status
+  getAccountStatus(account) {
+    if (account.payouts_enabled && account.charges_enabled) {
+      return "active";
+    }
+    if (account.details_submitted) {
+      return "restricted";
+    }
+    return "pending";
+  }
+
+  // Start (or resume) Stripe Connect onboarding and return the hosted link
+  async createOnboardingLink(userId) {
+    try {
+      const user = await User.findById(userId).select(
+        "+stripeConnect.accountId"
+      );
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      if (!SELLER_ROLES.includes(user.role)) {
+        throw new AppError("Only sellers can set up payouts", 403);
+      }
+
+      let accountId = user.stripeConnect?.accountId;
+
+      if (!accountId) {
+        const account = await stripe.accounts.create({
+          type: "express",
+          email: user.email,
+          capabilities: {
+            transfers: { requested: true },
+          },
+          metadata: {
+            userId: user._id.toString(),
+          },
+        });
+
+        accountId = account.id;
+        user.stripeConnect = {
+          accountId,
+          status: "pending",
+          updatedAt: new Date(),
+        };
+        await user.save();
+
+        logger.info(`Stripe Connect account ${accountId} created for ${userId}`);
+      }
+
+      const accountLink = await stripe.accountLinks.create({
+        account: accountId,
+        refresh_url: paymentConfig.connectRefreshUrl,
+        return_url: paymentConfig.connectReturnUrl,
+        type: "account_onboarding",
+      });
+
+      return {
+        url: accountLink.url,
+        expiresAt: new Date(accountLink.expires_at * 1000),
+      };
+    } catch (error) {
+      logger.error(`Error creating onboarding link: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Get payout account status, refreshed from Stripe
+  async getConnectStatus(userId) {
+    try {
+      const user = await User.findById(userId).select(
+        "stripeConnect +stripeConnect.accountId"
+      );
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      if (user.stripeConnect?.accountId) {
+        const account = await stripe.accounts.retrieve(
+          user.stripeConnect.accountId
+        );
+        await this.syncAccount(account);
+        return this.formatConnectStatus(
+          await User.findById(userId).select("stripeConnect")
+        );
+      }
+
+      return this.formatConnectStatus(user);
+    } catch (error) {
+      logger.error(`Error getting connect status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  formatConnectStatus(user) {
+    const connect = user.stripeConnect || {};
+
+    return {
+      status: connect.status || "not_started",
+      chargesEnabled: connect.chargesEnabled || false,
+      payoutsEnabled: connect.payoutsEnabled || false,
+      detailsSubmitted: connect.detailsSubmitted || false,
+      requirementsDue: connect.requirementsDue || [],
+      updatedAt: connect.updatedAt,
+    };
+  }
+
+  // Login link to the Stripe Express dashboard
+  async createDashboardLink(userId) {
+    try {
+      const user = await User.findById(userId).select(
+        "+stripeConnect.accountId"
+      );
+
+      if (!user?.stripeConnect?.accountId) {
+        throw new AppError("Please set up payouts first", 400);
+      }
+
+      const loginLink = await stripe.accounts.createLoginLink(
+        user.stripeConnect.accountId
+      );
+
+      return { url: loginLink.url };
+    } catch (error) {
+      logger.error(`Error creating dashboard link: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Sync account state from Stripe (account.updated webhook)
+  async syncAccount(account) {
+    try {
+      const user = await User.findOne({
+        "stripeConnect.accountId": account.id,
+      }).select("stripeConnect +stripeConnect.accountId");
+
+      if (!user) {
+        logger.warn(`No user found for Stripe Connect account ${account.id}`);
+        return null;
+      }
+
+      const wasPayoutsEnabled = user.stripeConnect.payoutsEnabled;
+
+      user.stripeConnect.status = this.getAccountStatus(account);
+      user.stripeConnect.chargesEnabled = !!account.charges_enabled;
+      user.stripeConnect.payoutsEnabled = !!account.payouts_enabled;
+      user.stripeConnect.detailsSubmitted = !!account.details_submitted;
+      user.stripeConnect.requirementsDue =
+        account.requirements?.currently_due || [];
+      user.stripeConnect.updatedAt = new Date();
+      await user.save();
+
+      // Pay out everything that was waiting for onboarding to finish
+      if (!wasPayoutsEnabled && user.stripeConnect.payoutsEnabled) {
+        await this.queuePendingPayouts(user._id);
+      }
+
+      logger.info(
+        `Stripe Connect account ${account.id} synced: ${user.stripeConnect.status}`
+      );
+
+      return user.stripeConnect;
+    } catch (error) {
+      logger.error(`Error syncing Stripe Connect account: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Record a seller's share of a completed sale (within the sale transaction)
+  async recordSale(transaction, paymentIntent, session) {
+    const artistAmount = transaction.metadata?.artist_amount;
+    const amount =
+      artistAmount !== undefined
+        ? Math.round(artistAmount * 100)
+        : transaction.amount;
+
+    const [payout] = await Payout.create(
+      [
+        {
+          seller: transaction.seller,
+          transaction: transaction._id,
+          artwork: transaction.artwork,
+          amount,
+          transferGroup: paymentIntent.transfer_group,
+          sourceCharge:
+            paymentIntent.latest_charge ||
+            paymentIntent.charges?.data?.[0]?.id,
+        },
+      ],
+      { session }
+    );
+
+    return payout;
+  }
+
+  async queuePendingPayouts(sellerId) {
+    const { addSellerPayoutJob } = require("../jobs/paymentJobs");
+
+    const payouts = await Payout.find({
+      seller: sellerId,
+      status: { $in: ["pending", "failed"] },
+    }).select("_id");
+
+    for (const payout of payouts) {
+      await addSellerPayoutJob(payout._id);
+    }
+
+    return payouts.length;
+  }
+
+  // Transfer a pending payout to the seller's connected account
+  async processPayout(payoutId) {
+    try {
+      const payout = await Payout.findById(payoutId);
+
+      // Held, cancelled or already paid payouts are left alone
+      if (!payout || !["pending", "failed"].includes(payout.status)) {
+        return { transferred: false, reason: "Nothing to pay out" };
+      }
+
+      const seller = await User.findById(payout.seller).select(
+        "stripeConnect +stripeConnect.accountId"
+      );
+
+      // Stays pending until the seller finishes onboarding
+      if (
+        !seller?.stripeConnect?.accountId ||
+        !seller.stripeConnect.payoutsEnabled
+      ) {
+        return { transferred: false, reason: "Seller payouts not enabled" };
+      }
+
+      payout.attempts += 1;
+
+      try {
+        const transfer = await stripe.transfers.create(
+          {
+            amount: payout.amount,
+            currency: payout.currency,
+            destination: seller.stripeConnect.accountId,
+            ...(payout.transferGroup && {
+              transfer_group: payout.transferGroup,
+            }),
+            ...(payout.sourceCharge && {
+              source_transaction: payout.sourceCharge,
+            }),
+            metadata: {
+              payoutId: payout._id.toString(),
+              transactionId: payout.transaction.toString(),
+              artworkId: payout.artwork.toString(),
+            },
+          },
+          { idempotencyKey: `payout_${payout._id}` }
+        );
+
+        payout.status = "settled";
+        payout.stripeTransferId = transfer.id;
+        payout.settledAt = new Date();
+        payout.failureReason = undefined;
+        await payout.save();
+
+        logger.info(
+          `Payout ${payout._id} of ${payout.amount} cents transferred to seller ${payout.seller}`
+        );
+
+        return { transferred: true, transferId: transfer.id };
+      } catch (stripeError) {
+        payout.status = "failed";
+        payout.failureReason = stripeError.message;
+        await payout.save();
+        throw stripeError;
+      }
+    } catch (error) {
+      logger.error(`Error processing payout ${payoutId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Mark a payout as reversed (transfer.reversed webhook)
+  async handleTransferReversed(transfer) {
+    try {
+      const payout = await Payout.findOneAndUpdate(
+        { stripeTransferId: transfer.id },
+        { status: "reversed", reversedAt: new Date() },
+        { new: true }
+      );
+
+      if (payout) {
+        logger.warn(`Payout ${payout._id} reversed (transfer ${transfer.id})`);
+      }
+
+      return payout;
+    } catch (error) {
+      logger.error(`Error handling transfer reversal: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Freeze unpaid payouts of disputed sales
+  async holdPayouts(transactionIds) {
+    try {
+      const result = await Payout.updateMany(
+        {
+          transaction: { $in: transactionIds },
+          status: { $in: ["pending", "failed"] },
+        },
+        { status: "held" }
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error(`Error holding payouts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Release held payouts once a dispute is won
+  async releasePayouts(transactionIds) {
+    try {
+      const payouts = await Payout.find({
+        transaction: { $in: transactionIds },
+        status: "held",
+      });
+
+      const { addSellerPayoutJob } = require("../jobs/paymentJobs");
+
+      for (const payout of payouts) {
+        payout.status = "pending";
+        await payout.save();
+        await addSellerPayoutJob(payout._id);
+      }
+
+      return payouts.length;
+    } catch (error) {
+      logger.error(`Error releasing payouts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Claw back payouts of refunded sales: cancel unpaid ones, reverse transfers
+  async cancelPayouts(transactionIds, reason) {
+    try {
+      const payouts = await Payout.find({
+        transaction: { $in: transactionIds },
+        status: { $in: ["pending", "failed", "held", "settled"] },
+      });
+
+      for (const payout of payouts) {
+        if (payout.status === "settled" && payout.stripeTransferId) {
+          await stripe.transfers.createReversal(
+            payout.stripeTransferId,
+            { metadata: { payoutId: payout._id.toString(), reason } },
+            { idempotencyKey: `payout_reversal_${payout._id}` }
+          );
+          payout.status = "reversed";
+          payout.reversedAt = new Date();
+        } else {
+          payout.status = "cancelled";
+        }
+        payout.failureReason = reason;
+        await payout.save();
+      }
+
+      return payouts.length;
+    } catch (error) {
+      logger.error(`Error cancelling payouts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Pending and settled balance of a seller
+  async getBalance(sellerId) {
+    try {
+      const totals = await Payout.aggregate([
+        { $match: { seller: new mongoose.Types.ObjectId(sellerId) } },
+        {
+          $group: {
+            _id: "$status",
+            amount: { $sum: "$amount" },
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+
+      const byStatus = totals.reduce((acc, item) => {
+        acc[item._id] = item;
+        return acc;
+      }, {});
+
+      // Failed transfers are retried, so they are still owed to the seller
+      const pending =
+        (byStatus.pending?.amount || 0) + (byStatus.failed?.amount || 0);
+
+      return {
+        currency: "eur",
+        pending: pending / 100,
+        settled: (byStatus.settled?.amount || 0) / 100,
+        held: (byStatus.held?.amount || 0) / 100,
+        reversed: (byStatus.reversed?.amount || 0) / 100,
+        pendingCount:
+          (byStatus.pending?.count || 0) + (byStatus.failed?.count || 0),
+        settledCount: byStatus.settled?.count || 0,
+      };
+    } catch (error) {
+      logger.error(`Error getting payout balance: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Payout ledger of a seller
+  async getPayouts(sellerId, query = {}) {
+    try {
+      const page = parseInt(query.page) || 1;
+      const limit = parseInt(query.limit) || 10;
+      const { status } = query;
+
+      const filter = { seller: sellerId };
+      if (status) {
+        filter.status = status;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [payouts, total, balance] = await Promise.all([
+        Payout.find(filter)
+          .populate("artwork", "title images")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Payout.countDocuments(filter),
+        this.getBalance(sellerId),
+      ]);
+
+      return {
+        payouts: payouts.map((payout) => ({
+          ...payout,
+          amount: payout.amount / 100,
+        })),
+        balance,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting payouts: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,409 @@
+const User = require("../models/User");
+const Artwork = require("../models/Artwork");
+const Transaction = require("../models/Transaction");
+const ArtworkView = require("../models/ArtworkView");
+const ArtworkActivity = require("../models/ArtworkActivity");
+const Session = require("../models/Session");
+const cacheService = require("./cacheService");
+const logger = require("../utils/logger");
+
+// Precomputed lists outlive two job runs, so a slow run never empties a feed
+const CACHE_TTL_SECONDS = 12 * 60 * 60;
+const MAX_RECOMMENDATIONS = 100;
+// Users who liked the most of the same artworks, used as neighbours
+const MAX_NEIGHBOURS = 50;
+const MAX_CANDIDATES = 500;
+// Users who signed in or refreshed a session in this window get their lists
+// precomputed
+const ACTIVE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+// Most recent views that count towards the user's taste
+const MAX_VIEWED_ARTWORKS = 100;
+// A view counts for this much of a like or purchase in the content signals
+const VIEW_SIGNAL_WEIGHT = 0.25;
+// Price bands, the same as the search price facet
+const PRICE_BAND_BOUNDARIES = [0, 100, 500, 1000, 5000, 10000];
+
+// Share of each signal in the final score (all signals are 0..1)
+const WEIGHTS = {
+  collaborative: 0.45,
+  tags: 0.2,
+  followedArtist: 0.15,
+  medium: 0.1,
+  priceBand: 0.1,
+};
+
+// Approved artworks that can still be bought: editions with units left, or
+// works still held by their artist
+const AVAILABLE_FILTER = {
+  status: "approved",
+  $expr: {
+    $cond: [
+      { $eq: ["$isEdition", true] },
+      { $gt: ["$edition.remaining", 0] },
+      { $eq: ["$artist", "$currentOwner"] },
+    ],
+  },
+};
+
+const cacheKey = (userId) => `recommendations:${userId}`;
+
+const getPriceBand = (price) =>
+  PRICE_BAND_BOUNDARIES.filter((boundary) => price >= boundary).length;
+
+// Add up the weight of each value and divide by the total, so shares sum
+// to 1. Takes [value, weight] pairs.
+const toShares = (weightedValues) => {
+  const totals = new Map();
+  let sum = 0;
+  weightedValues.forEach(([value, weight]) => {
+    totals.set(value, (totals.get(value) || 0) + weight);
+    sum += weight;
+  });
+
+  const shares = new Map();
+  totals.forEach((total, value) => shares.set(value, total / sum));
+  return shares;
+};
+
+class RecommendationService {
+  // The user's taste: artworks they liked or bought, artists they follow
+  // and, as a weaker signal, artworks they recently viewed. Returns null for
+  // users with no signal yet (cold start).
+  async buildProfile(userId) {
+    const [user, purchasedIds, views] = await Promise.all([
+      User.findById(userId).select("likedArtworks followedArtists").lean(),
+      Transaction.distinct("artwork", {
+        buyer: userId,
+        transactionType: "sale",
+        status: "completed",
+      }),
+      ArtworkView.find({ viewer: userId })
+        .select("artwork")
+        .sort({ viewedAt: -1 })
+        .limit(MAX_VIEWED_ARTWORKS)
+        .lean(),
+    ]);
+
+    if (!user) {
+      return null;
+    }
+
+    const profileIds = [
+      ...new Set(
+        [...(user.likedArtworks || []), ...purchasedIds].map(String)
+      ),
+    ];
+    const viewedIds = [
+      ...new Set(views.map((view) => view.artwork.toString())),
+    ].filter((id) => !profileIds.includes(id));
+    const followedArtists = (user.followedArtists || []).map(String);
+
+    if (
+      profileIds.length === 0 &&
+      viewedIds.length === 0 &&
+      followedArtists.length === 0
+    ) {
+      return null;
+    }
+
+    const profileIdSet = new Set(profileIds);
+    const found = await Artwork.find({
+      _id: { $in: [...profileIds, ...viewedIds] },
+    })
+      .select("tags medium price likedBy")
+      .lean();
+
+    // Only likes and purchases pick neighbours; views just shape the
+    // content signals
+    const artworks = found.filter((artwork) =>
+      profileIdSet.has(artwork._id.toString())
+    );
+    const weightOf = (artwork) =>
+      profileIdSet.has(artwork._id.toString()) ? 1 : VIEW_SIGNAL_WEIGHT;
+
+    return {
+      userId: userId.toString(),
+      seenIds: profileIdSet,
+      artworks,
+      followedArtists: new Set(followedArtists),
+      tags: toShares(
+        found.flatMap((artwork) =>
+          (artwork.tags || []).map((tag) => [tag, weightOf(artwork)])
+        )
+      ),
+      media: toShares(
+        found
+          .filter((artwork) => artwork.medium)
+          .map((artwork) => [artwork.medium, weightOf(artwork)])
+      ),
+      priceBands: toShares(
+        found.map((artwork) => [getPriceBand(artwork.price), weightOf(artwork)])
+      ),
+    };
+  }
+
+  // Neighbours are users who liked the same artworks, weighted by how many
+  // they share with this user
+  getNeighbours(profile) {
+    const overlap = new Map();
+
+    profile.artworks.forEach((artwork) => {
+      (artwork.likedBy || []).forEach((id) => {
+        const neighbourId = id.toString();
+        if (neighbourId !== profile.userId) {
+          overlap.set(neighbourId, (overlap.get(neighbourId) || 0) + 1);
+        }
+      });
+    });
+
+    return new Map(
+      [...overlap.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_NEIGHBOURS)
+    );
+  }
+
+  // Available artworks liked by neighbours or close to the user's taste
+  async findCandidates(profile, neighbours) {
+    const similarTo = [];
+
+    if (neighbours.size > 0) {
+      similarTo.push({ likedBy: { $in: [...neighbours.keys()] } });
+    }
+    if (profile.tags.size > 0) {
+      similarTo.push({ tags: { $in: [...profile.tags.keys()] } });
+    }
+    if (profile.media.size > 0) {
+      similarTo.push({ medium: { $in: [...profile.media.keys()] } });
+    }
+    if (profile.followedArtists.size > 0) {
+      similarTo.push({ artist: { $in: [...profile.followedArtists] } });
+    }
+
+    if (similarTo.length === 0) {
+      return [];
+    }
+
+    return Artwork.find({
+      ...AVAILABLE_FILTER,
+      _id: { $nin: [...profile.seenIds] },
+      // Not the user's own work
+      artist: { $ne: profile.userId },
+      $or: similarTo,
+    })
+      .select("artist tags medium price likedBy")
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean();
+  }
+
+  // How strongly the neighbours liked an artwork
+  getNeighbourScore(artwork, neighbours) {
+    return (artwork.likedBy || []).reduce(
+      (sum, id) => sum + (neighbours.get(id.toString()) || 0),
+      0
+    );
+  }
+
+  // Weighted sum of the collaborative and content signals for one artwork
+  scoreCandidate(artwork, profile, collaborative) {
+    const tagScore = [...new Set(artwork.tags || [])].reduce(
+      (sum, tag) => sum + (profile.tags.get(tag) || 0),
+      0
+    );
+
+    const signals = {
+      collaborative,
+      tags: Math.min(1, tagScore),
+      followedArtist: profile.followedArtists.has(artwork.artist.toString())
+        ? 1
+        : 0,
+      medium: profile.media.get(artwork.medium) || 0,
+      priceBand: profile.priceBands.get(getPriceBand(artwork.price)) || 0,
+    };
+
+    return Object.entries(WEIGHTS).reduce(
+      (score, [signal, weight]) => score + signals[signal] * weight,
+      0
+    );
+  }
+
+  // Rank artworks for one user and store the list in Redis. Returns the
+  // ranked list, or null for cold-start users.
+  async computeUserRecommendations(userId) {
+    try {
+      const profile = await this.buildProfile(userId);
+
+      if (!profile) {
+        await cacheService.del(cacheKey(userId));
+        return null;
+      }
+
+      const neighbours = this.getNeighbours(profile);
+      const candidates = await this.findCandidates(profile, neighbours);
+
+      // Collaborative scores are scaled to the best candidate
+      const neighbourScores = candidates.map((artwork) =>
+        this.getNeighbourScore(artwork, neighbours)
+      );
+      const maxNeighbourScore = Math.max(1, ...neighbourScores);
+
+      const ranked = candidates
+        .map((artwork, index) => ({
+          artworkId: artwork._id.toString(),
+          score: this.scoreCandidate(
+            artwork,
+            profile,
+            neighbourScores[index] / maxNeighbourScore
+          ),
+        }))
+        .filter((entry) => entry.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_RECOMMENDATIONS)
+        .map((entry) => ({
+          artworkId: entry.artworkId,
+          score: Math.round(entry.score * 1000) / 1000,
+        }));
+
+      await cacheService.set(
+        cacheKey(userId),
+        { computedAt: new Date(), recommendations: ranked },
+        CACHE_TTL_SECONDS
+      );
+
+      return ranked;
+    } catch (error) {
+      logger.error(
+        `Error computing recommendations for user ${userId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  // Precompute the lists of users who used a session recently (scheduled
+  // job). Sessions are touched on login and on every token refresh, unlike
+  // User.lastActive which only changes on login.
+  async computeAllRecommendations() {
+    try {
+      const activeUserIds = await Session.distinct("user", {
+        lastUsedAt: { $gte: new Date(Date.now() - ACTIVE_WINDOW_MS) },
+      });
+
+      let computed = 0;
+      let failed = 0;
+
+      // Cold-start users are skipped inside computeUserRecommendations
+      for (const userId of activeUserIds) {
+        try {
+          await this.computeUserRecommendations(userId);
+          computed++;
+        } catch (error) {
+          failed++;
+        }
+      }
+
+      logger.info(
+        `Recommendations computed for ${computed} users (${failed} failed)`
+      );
+
+      return { computed, failed };
+    } catch (error) {
+      logger.error(`Error computing recommendations: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Popular artworks for cold-start users, in the order of the popular list
+  // but only those that can still be bought, like the personalized list
+  async getPopularAvailable(page, limit) {
+    const skip = (page - 1) * limit;
+    const { field } = ArtworkActivity.WINDOWS[ArtworkActivity.DEFAULT_WINDOW];
+
+    const [artworks, total] = await Promise.all([
+      Artwork.find(AVAILABLE_FILTER)
+        .sort({
+          [`engagementStats.trending.${field}`]: -1,
+          "engagementStats.popularityScore": -1,
+          "engagementStats.totalLikes": -1,
+        })
+        .skip(skip)
+        .limit(limit)
+        .populate("artist", "username profile")
+        .lean(),
+      Artwork.countDocuments(AVAILABLE_FILTER),
+    ]);
+
+    return {
+      artworks,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + limit < total,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  // The user's recommendation feed. Lists come from the scheduled job, are
+  // computed on demand when missing, and users without likes, purchases,
+  // views or follows get popular artworks instead.
+  async getRecommendations(userId, query = {}) {
+    try {
+      let { page = 1, limit = 10 } = query;
+      page = parseInt(page);
+      limit = parseInt(limit);
+      const skip = (page - 1) * limit;
+
+      const cached = await cacheService.get(cacheKey(userId));
+      const ranked = cached
+        ? cached.recommendations
+        : await this.computeUserRecommendations(userId);
+
+      if (!ranked || ranked.length === 0) {
+        return {
+          source: "popular",
+          ...(await this.getPopularAvailable(page, limit)),
+        };
+      }
+
+      const pageEntries = ranked.slice(skip, skip + limit);
+      const scores = new Map(
+        pageEntries.map((entry) => [entry.artworkId, entry.score])
+      );
+
+      // Artworks sold or withdrawn since the list was computed are dropped
+      const artworks = await Artwork.find({
+        ...AVAILABLE_FILTER,
+        _id: { $in: [...scores.keys()] },
+      })
+        .populate("artist", "username profile")
+        .lean();
+
+      artworks.forEach((artwork) => {
+        artwork.recommendationScore = scores.get(artwork._id.toString());
+      });
+      artworks.sort((a, b) => b.recommendationScore - a.recommendationScore);
+
+      return {
+        source: "personalized",
+        computedAt: cached ? cached.computedAt : new Date(),
+        artworks,
+        pagination: {
+          page,
+          limit,
+          total: ranked.length,
+          totalPages: Math.ceil(ranked.length / limit),
+          hasNextPage: skip + limit < ranked.length,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting recommendations: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RecommendationService();
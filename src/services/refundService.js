@@ -0,0 +1,552 @@
+const mongoose = require("mongoose");
+const { stripe } = require("../config/stripe");
+const config = require("../config/config");
+const Transaction = require("../models/Transaction");
+const Artwork = require("../models/Artwork");
+const TraceabilityRecord = require("../models/TraceabilityRecord");
+const EditionUnit = require("../models/EditionUnit");
+const RefundRequest = require("../models/RefundRequest");
+const payoutService = require("./payoutService");
+const editionService = require("./editionService");
+const reviewService = require("./reviewService");
+const artworkCacheService = require("./artworkCacheService");
+const emailService = require("./emailService");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+class RefundService {
+  // Load a completed sale that can still be refunded
+  async getRefundableSale(transactionId) {
+    const transaction = await Transaction.findById(transactionId);
+
+    if (!transaction) {
+      throw new AppError("Transaction not found", 404);
+    }
+
+    if (transaction.transactionType !== "sale") {
+      throw new AppError("Only artwork purchases can be refunded", 400);
+    }
+
+    if (transaction.status !== "completed") {
+      throw new AppError("Only completed purchases can be refunded", 400);
+    }
+
+    if (transaction.refund?.stripeRefundId) {
+      throw new AppError(
+        "A refund is already in progress for this purchase",
+        400
+      );
+    }
+
+    // Ownership can only be rolled back while the buyer still owns the
+    // artwork (or the edition unit they bought)
+    const artwork = await Artwork.findById(transaction.artwork).select(
+      "title currentOwner"
+    );
+    const owned = transaction.editionUnit
+      ? await EditionUnit.findById(transaction.editionUnit).select(
+          "currentOwner"
+        )
+      : artwork;
+
+    if (
+      !artwork ||
+      !owned ||
+      owned.currentOwner.toString() !== transaction.buyer.toString()
+    ) {
+      throw new AppError(
+        "This artwork has changed hands since the purchase and cannot be refunded",
+        400
+      );
+    }
+
+    return { transaction, artwork };
+  }
+
+  // Buyer asks for a refund of one of their purchases
+  async requestRefund(transactionId, buyerId, reason) {
+    try {
+      const { transaction } = await this.getRefundableSale(transactionId);
+
+      if (transaction.buyer.toString() !== buyerId) {
+        throw new AppError("Transaction not found", 404);
+      }
+
+      const windowEnd = new Date(
+        transaction.createdAt.getTime() +
+          config.refunds.requestWindowDays * 24 * 60 * 60 * 1000
+      );
+      if (new Date() > windowEnd) {
+        throw new AppError(
+          `Refunds can only be requested within ${config.refunds.requestWindowDays} days of purchase`,
+          400
+        );
+      }
+
+      const openRequest = await RefundRequest.exists({
+        transaction: transaction._id,
+        status: { $in: ["pending", "approved"] },
+      });
+      if (openRequest) {
+        throw new AppError(
+          "A refund request for this purchase is already open",
+          400
+        );
+      }
+
+      const refundRequest = await RefundRequest.create({
+        transaction: transaction._id,
+        artwork: transaction.artwork,
+        buyer: transaction.buyer,
+        seller: transaction.seller,
+        amount: transaction.amount,
+        reason,
+      });
+
+      logger.info(
+        `Refund requested for transaction ${transactionId} by buyer ${buyerId}`
+      );
+
+      return refundRequest;
+    } catch (error) {
+      logger.error(`Error requesting refund: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Refund requests of a buyer
+  async getMyRefundRequests(buyerId, query = {}) {
+    try {
+      const { page = 1, limit = 10, status } = query;
+
+      const filter = { buyer: buyerId };
+      if (status) {
+        filter.status = status;
+      }
+
+      return await this.paginateRequests(filter, page, limit);
+    } catch (error) {
+      logger.error(`Error getting refund requests: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // All refund requests (admin)
+  async getRefundRequests(query = {}) {
+    try {
+      const { page = 1, limit = 20, status } = query;
+
+      const filter = {};
+      if (status) {
+        filter.status = status;
+      }
+
+      return await this.paginateRequests(filter, page, limit);
+    } catch (error) {
+      logger.error(`Error getting refund requests: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async paginateRequests(filter, page, limit) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+    const skip = (page - 1) * limit;
+
+    const [refundRequests, total] = await Promise.all([
+      RefundRequest.find(filter)
+        .populate("artwork", "title images")
+        .populate("buyer", "username email")
+        .populate("seller", "username email")
+        .populate("reviewedBy", "username")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      RefundRequest.countDocuments(filter),
+    ]);
+
+    return {
+      refundRequests,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + limit < total,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  async findPendingRequest(requestId) {
+    const refundRequest = await RefundRequest.findById(requestId);
+
+    if (!refundRequest) {
+      throw new AppError("Refund request not found", 404);
+    }
+
+    if (refundRequest.status !== "pending") {
+      throw new AppError(
+        `Refund request has already been ${refundRequest.status}`,
+        400
+      );
+    }
+
+    return refundRequest;
+  }
+
+  // Approve a buyer's request and send the refund to Stripe
+  async approveRefundRequest(requestId, adminId, adminNote) {
+    try {
+      const refundRequest = await this.findPendingRequest(requestId);
+
+      const transaction = await this.refundTransaction(
+        refundRequest.transaction,
+        adminId,
+        refundRequest.reason
+      );
+
+      refundRequest.status = "approved";
+      refundRequest.reviewedBy = adminId;
+      refundRequest.reviewedAt = new Date();
+      refundRequest.adminNote = adminNote;
+      await refundRequest.save();
+
+      return { refundRequest, transaction };
+    } catch (error) {
+      logger.error(`Error approving refund request: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Reject a buyer's request
+  async rejectRefundRequest(requestId, adminId, adminNote) {
+    try {
+      const refundRequest = await this.findPendingRequest(requestId);
+
+      refundRequest.status = "rejected";
+      refundRequest.reviewedBy = adminId;
+      refundRequest.reviewedAt = new Date();
+      refundRequest.adminNote = adminNote;
+      await refundRequest.save();
+
+      logger.info(`Refund request ${requestId} rejected by admin ${adminId}`);
+
+      return refundRequest;
+    } catch (error) {
+      logger.error(`Error rejecting refund request: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Refund a sale through Stripe. Ownership is rolled back by the
+  // charge.refunded webhook once Stripe confirms the refund.
+  async refundTransaction(transactionId, adminId, reason) {
+    try {
+      const { transaction } = await this.getRefundableSale(transactionId);
+
+      // Cart checkouts share one payment intent, so only this sale's amount is refunded
+      const refund = await stripe.refunds.create(
+        {
+          payment_intent: transaction.paymentIntent,
+          amount: transaction.amount,
+          reason: "requested_by_customer",
+          metadata: {
+            transactionId: transaction._id.toString(),
+            artworkId: transaction.artwork.toString(),
+          },
+        },
+        { idempotencyKey: `refund_${transaction._id}` }
+      );
+
+      transaction.set({
+        "refund.stripeRefundId": refund.id,
+        "refund.amount": transaction.amount,
+        "refund.reason": reason,
+        "refund.initiatedBy": adminId,
+        "refund.initiatedAt": new Date(),
+      });
+      await transaction.save();
+
+      logger.info(
+        `Refund ${refund.id} created for transaction ${transaction._id} by admin ${adminId}`
+      );
+
+      return transaction;
+    } catch (error) {
+      logger.error(`Error refunding transaction: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // charge.refunded webhook
+  async handleChargeRefunded(charge) {
+    try {
+      const transactions = await Transaction.find({
+        paymentIntent: charge.payment_intent,
+        transactionType: "sale",
+        status: "completed",
+      });
+
+      // A full refund (e.g. from the Stripe dashboard) covers every sale of the
+      // charge; a partial one only the sales we refunded ourselves
+      const refunded = charge.refunded
+        ? transactions
+        : transactions.filter((t) => t.refund?.stripeRefundId);
+
+      for (const transaction of refunded) {
+        await this.rollbackSale(transaction._id, "refund");
+      }
+
+      return refunded.length;
+    } catch (error) {
+      logger.error(`Error handling charge refund: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getDisputedTransactions(dispute) {
+    const paymentIntentId =
+      dispute.payment_intent ||
+      (await stripe.charges.retrieve(dispute.charge)).payment_intent;
+
+    return await Transaction.find({
+      paymentIntent: paymentIntentId,
+      transactionType: "sale",
+      status: "completed",
+    });
+  }
+
+  // charge.dispute.created webhook: record the dispute and freeze payouts
+  async handleDisputeCreated(dispute) {
+    try {
+      const transactions = await this.getDisputedTransactions(dispute);
+
+      for (const transaction of transactions) {
+        transaction.set({
+          "dispute.stripeDisputeId": dispute.id,
+          "dispute.status": dispute.status,
+          "dispute.reason": dispute.reason,
+          "dispute.amount": dispute.amount,
+          "dispute.openedAt": new Date(),
+        });
+        await transaction.save();
+      }
+
+      // Royalties of the disputed sales are frozen too
+      const transactionIds = await this.withRoyaltyTransactions(
+        transactions.map((t) => t._id)
+      );
+      await payoutService.holdPayouts(transactionIds);
+
+      logger.warn(
+        `Dispute ${dispute.id} opened on ${transactions.length} sale(s): ${dispute.reason}`
+      );
+
+      return transactions.length;
+    } catch (error) {
+      logger.error(`Error handling dispute creation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // charge.dispute.closed webhook: a lost dispute returns the artwork to the seller
+  async handleDisputeClosed(dispute) {
+    try {
+      const transactions = await Transaction.find({
+        "dispute.stripeDisputeId": dispute.id,
+      });
+
+      for (const transaction of transactions) {
+        transaction.set({
+          "dispute.status": dispute.status,
+          "dispute.closedAt": new Date(),
+        });
+        await transaction.save();
+      }
+
+      const completed = transactions.filter((t) => t.status === "completed");
+
+      if (dispute.status === "lost") {
+        for (const transaction of completed) {
+          await this.rollbackSale(transaction._id, "dispute_lost");
+        }
+      } else {
+        const transactionIds = await this.withRoyaltyTransactions(
+          completed.map((t) => t._id)
+        );
+        await payoutService.releasePayouts(transactionIds);
+      }
+
+      logger.info(`Dispute ${dispute.id} closed: ${dispute.status}`);
+
+      return transactions.length;
+    } catch (error) {
+      logger.error(`Error handling dispute closure: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Sale transactions plus the royalty transactions paid out of them
+  async withRoyaltyTransactions(saleTransactionIds) {
+    const royalties = await Transaction.find({
+      transactionType: "royalty",
+      "metadata.sale_transaction": {
+        $in: saleTransactionIds.map((id) => id.toString()),
+      },
+    }).select("_id");
+
+    return [...saleTransactionIds, ...royalties.map((r) => r._id)];
+  }
+
+  // Undo a sale: give the artwork back to the seller, keep provenance consistent
+  async rollbackSale(transactionId, reason) {
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const transaction = await Transaction.findById(transactionId).session(
+        session
+      );
+
+      // Already rolled back (webhooks can be delivered more than once)
+      if (!transaction || transaction.status !== "completed") {
+        await session.abortTransaction();
+        return null;
+      }
+
+      // An edition sale returns the unit, any other sale the artwork itself
+      const restored = transaction.editionUnit
+        ? await editionService.restoreUnit(transaction, session)
+        : await Artwork.findOneAndUpdate(
+            { _id: transaction.artwork, currentOwner: transaction.buyer },
+            {
+              currentOwner: transaction.seller,
+              $inc: { totalSales: -1 },
+              $pull: {
+                ownershipHistory: {
+                  owner: transaction.buyer,
+                  transactionId: transaction.paymentIntent,
+                },
+              },
+            },
+            { new: true, session }
+          );
+
+      if (restored) {
+        // Compensating record: the sale stays in the chain, followed by the return
+        const saleRecord = await TraceabilityRecord.findOne({
+          ...TraceabilityRecord.chainFilter(
+            transaction.artwork,
+            transaction.editionUnit || null
+          ),
+          transactionType: "sold",
+          "additionalData.paymentIntent": transaction.paymentIntent,
+        }).session(session);
+
+        await TraceabilityRecord.appendRecord(
+          {
+            artworkId: transaction.artwork,
+            editionUnit: transaction.editionUnit,
+            fromUserId: transaction.buyer,
+            toUserId: transaction.seller,
+            transactionType: "transferred",
+            additionalData: {
+              price: transaction.amount / 100,
+              paymentIntent: transaction.paymentIntent,
+              reason,
+              reversedTransaction: saleRecord?.transactionHash,
+              notes:
+                reason === "refund"
+                  ? "Ownership returned to the seller after a refund"
+                  : "Ownership returned to the seller after a lost payment dispute",
+            },
+          },
+          session
+        );
+      } else {
+        logger.warn(
+          `${
+            transaction.editionUnit
+              ? `Edition unit ${transaction.editionUnit}`
+              : `Artwork ${transaction.artwork}`
+          } changed hands after transaction ${transaction._id}; ownership not rolled back`
+        );
+      }
+
+      transaction.status = "refunded";
+      transaction.set({
+        "refund.amount": transaction.refund?.amount || transaction.amount,
+        "refund.reason": transaction.refund?.reason || reason,
+        "refund.refundedAt": new Date(),
+        "refund.ownershipRestored": !!restored,
+      });
+      await transaction.save({ session });
+
+      // The artist's royalty came out of this sale
+      await Transaction.updateMany(
+        {
+          transactionType: "royalty",
+          "metadata.sale_transaction": transaction._id.toString(),
+        },
+        { status: "refunded" },
+        { session }
+      );
+
+      await RefundRequest.updateMany(
+        {
+          transaction: transaction._id,
+          status: { $in: ["pending", "approved"] },
+        },
+        { status: "refunded", refundedAt: new Date() },
+        { session }
+      );
+
+      // The buyer's review no longer counts towards the artist's rating
+      await reviewService.withdrawReview(transaction._id, session);
+
+      await session.commitTransaction();
+
+      const transactionIds = await this.withRoyaltyTransactions([
+        transaction._id,
+      ]);
+      await payoutService.cancelPayouts(transactionIds, reason);
+
+      await artworkCacheService.invalidateArtworkCache(
+        transaction.artwork.toString()
+      );
+
+      try {
+        const populated = await Transaction.findById(transaction._id)
+          .populate("buyer", "email username")
+          .populate("artwork", "title");
+        await emailService.sendRefundNotification(
+          populated.buyer.email,
+          populated.buyer.username,
+          populated.artwork.title,
+          transaction.amount / 100
+        );
+      } catch (emailError) {
+        logger.error(`Failed to send refund email: ${emailError.message}`);
+      }
+
+      logger.info(
+        `Sale ${transaction._id} rolled back (${reason}), artwork ${transaction.artwork} returned to ${transaction.seller}`
+      );
+
+      return transaction;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      logger.error(`Error rolling back sale: ${error.message}`);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = new RefundService();
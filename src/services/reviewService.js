@@ -0,0 +1,399 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const Artwork = require("../models/Artwork");
+const Transaction = require("../models/Transaction");
+const ArtistProfile = require("../models/ArtistProfile");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+class ReviewService {
+  // Add or remove ratings from the artist's aggregate in a single atomic
+  // update (within the caller's transaction)
+  async updateArtistRating(artistId, countDelta, totalDelta, session) {
+    await ArtistProfile.updateOne(
+      { userId: artistId },
+      [
+        {
+          $set: {
+            "rating.count": {
+              $add: [{ $ifNull: ["$rating.count", 0] }, countDelta],
+            },
+            "rating.total": {
+              $add: [{ $ifNull: ["$rating.total", 0] }, totalDelta],
+            },
+          },
+        },
+        {
+          $set: {
+            "rating.average": {
+              $cond: [
+                { $gt: ["$rating.count", 0] },
+                {
+                  $round: [{ $divide: ["$rating.total", "$rating.count"] }, 2],
+                },
+                0,
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, session }
+    );
+  }
+
+  // Run fn in a transaction and commit it
+  async withTransaction(fn) {
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+      const result = await fn(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Buyer reviews one of their completed purchases
+  async createReview(userId, data) {
+    try {
+      const { transactionId, rating, title, comment } = data;
+
+      const transaction = await Transaction.findOne({
+        _id: transactionId,
+        buyer: userId,
+        transactionType: "sale",
+      });
+
+      if (!transaction) {
+        throw new AppError("Purchase not found", 404);
+      }
+
+      if (transaction.status !== "completed") {
+        throw new AppError("Only completed purchases can be reviewed", 400);
+      }
+
+      const artwork = await Artwork.findById(transaction.artwork).select(
+        "artist"
+      );
+
+      if (!artwork) {
+        throw new AppError("Artwork not found", 404);
+      }
+
+      const review = await this.withTransaction(async (session) => {
+        const [created] = await Review.create(
+          [
+            {
+              transaction: transaction._id,
+              artwork: artwork._id,
+              editionUnit: transaction.editionUnit,
+              reviewer: userId,
+              artist: artwork.artist,
+              rating,
+              title,
+              comment,
+            },
+          ],
+          { session }
+        );
+
+        await this.updateArtistRating(artwork.artist, 1, rating, session);
+
+        return created;
+      });
+
+      logger.info(
+        `Review ${review._id} of transaction ${transactionId} created by user ${userId}`
+      );
+
+      return review;
+    } catch (error) {
+      if (error.code === 11000) {
+        error = new AppError("You have already reviewed this purchase", 409);
+      }
+      logger.error(`Error creating review: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Reviewer changes their rating or text
+  async updateReview(userId, reviewId, data) {
+    try {
+      const review = await this.withTransaction(async (session) => {
+        const existing = await Review.findOne({
+          _id: reviewId,
+          reviewer: userId,
+        }).session(session);
+
+        if (!existing) {
+          throw new AppError("Review not found", 404);
+        }
+
+        if (existing.status === "withdrawn") {
+          throw new AppError(
+            "Reviews of refunded purchases cannot be edited",
+            400
+          );
+        }
+
+        const previousRating = existing.rating;
+        ["rating", "title", "comment"].forEach((field) => {
+          if (data[field] !== undefined) {
+            existing[field] = data[field];
+          }
+        });
+        existing.editedAt = new Date();
+        await existing.save({ session });
+
+        if (
+          existing.status === "published" &&
+          existing.rating !== previousRating
+        ) {
+          await this.updateArtistRating(
+            existing.artist,
+            0,
+            existing.rating - previousRating,
+            session
+          );
+        }
+
+        return existing;
+      });
+
+      return review;
+    } catch (error) {
+      logger.error(`Error updating review: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Artist answers a review of their work (replaces an earlier reply)
+  async replyToReview(userId, reviewId, text) {
+    try {
+      const review = await Review.findOneAndUpdate(
+        { _id: reviewId, artist: userId, status: "published" },
+        { reply: { text, repliedAt: new Date() } },
+        { new: true, runValidators: true }
+      );
+
+      if (!review) {
+        throw new AppError("Review not found", 404);
+      }
+
+      return review;
+    } catch (error) {
+      logger.error(`Error replying to review: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Published reviews of an artist with their rating summary
+  async getArtistReviews(artistId, query = {}) {
+    try {
+      const filter = {
+        artist: new mongoose.Types.ObjectId(artistId),
+        status: "published",
+      };
+
+      const [result, profile, distribution] = await Promise.all([
+        this.paginateReviews(filter, query),
+        ArtistProfile.findOne({ userId: artistId }).select("rating").lean(),
+        Review.aggregate([
+          { $match: filter },
+          { $group: { _id: "$rating", count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const counts = new Map(
+        distribution.map((entry) => [entry._id, entry.count])
+      );
+
+      return {
+        ...result,
+        rating: {
+          average: profile?.rating?.average || 0,
+          count: profile?.rating?.count || 0,
+          distribution: [5, 4, 3, 2, 1].map((stars) => ({
+            rating: stars,
+            count: counts.get(stars) || 0,
+          })),
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting artist reviews: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Published reviews of an artwork
+  async getArtworkReviews(artworkId, query = {}) {
+    try {
+      return await this.paginateReviews(
+        { artwork: artworkId, status: "published" },
+        query
+      );
+    } catch (error) {
+      logger.error(`Error getting artwork reviews: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // The reviews the user has written
+  async getMyReviews(userId, query = {}) {
+    try {
+      return await this.paginateReviews({ reviewer: userId }, query);
+    } catch (error) {
+      logger.error(`Error getting user reviews: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // All reviews for moderation (admin)
+  async getReviews(query = {}) {
+    try {
+      const { status, rating } = query;
+
+      const filter = {};
+      if (status) {
+        filter.status = status;
+      }
+      if (rating) {
+        filter.rating = parseInt(rating);
+      }
+
+      return await this.paginateReviews(filter, query, true);
+    } catch (error) {
+      logger.error(`Error getting reviews: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async paginateReviews(filter, query = {}, includeModeration = false) {
+    let { page = 1, limit = 10 } = query;
+    page = parseInt(page);
+    limit = parseInt(limit);
+    const skip = (page - 1) * limit;
+
+    const reviewsQuery = Review.find(filter)
+      .select(includeModeration ? "" : "-moderation")
+      .populate("reviewer", "username profile")
+      .populate("artwork", "title images")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    if (includeModeration) {
+      reviewsQuery
+        .populate("artist", "username")
+        .populate("moderation.moderatedBy", "username");
+    }
+
+    const [reviews, total] = await Promise.all([
+      reviewsQuery.lean(),
+      Review.countDocuments(filter),
+    ]);
+
+    return {
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + limit < total,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  // Move a review between published and hidden, keeping the artist's rating
+  // in step (admin)
+  async moderateReview(reviewId, adminId, { from, to, reason }) {
+    return this.withTransaction(async (session) => {
+      const review = await Review.findOneAndUpdate(
+        { _id: reviewId, status: from },
+        {
+          status: to,
+          moderation: {
+            moderatedBy: adminId,
+            reason,
+            moderatedAt: new Date(),
+          },
+        },
+        { new: true, session }
+      );
+
+      if (!review) {
+        throw new AppError(`Review not found or not ${from}`, 404);
+      }
+
+      const sign = to === "published" ? 1 : -1;
+      await this.updateArtistRating(
+        review.artist,
+        sign,
+        sign * review.rating,
+        session
+      );
+
+      logger.info(`Review ${reviewId} ${to} by admin ${adminId}`);
+
+      return review;
+    });
+  }
+
+  // Hide a review and take it out of the artist's rating (admin)
+  async hideReview(reviewId, adminId, reason) {
+    try {
+      return await this.moderateReview(reviewId, adminId, {
+        from: "published",
+        to: "hidden",
+        reason,
+      });
+    } catch (error) {
+      logger.error(`Error hiding review: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Publish a hidden review again (admin)
+  async restoreReview(reviewId, adminId, reason) {
+    try {
+      return await this.moderateReview(reviewId, adminId, {
+        from: "hidden",
+        to: "published",
+        reason,
+      });
+    } catch (error) {
+      logger.error(`Error restoring review: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // A refunded purchase no longer counts as a verified purchase (within the
+  // refund transaction)
+  async withdrawReview(transactionId, session) {
+    // The review as it was, so we know whether it counted
+    const review = await Review.findOneAndUpdate(
+      { transaction: transactionId, status: { $ne: "withdrawn" } },
+      { status: "withdrawn" }
+    ).session(session);
+
+    if (review?.status === "published") {
+      await this.updateArtistRating(
+        review.artist,
+        -1,
+        -review.rating,
+        session
+      );
+    }
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,367 @@
+const SavedSearch = require("../models/SavedSearch");
+const Artwork = require("../models/Artwork");
+const User = require("../models/User");
+const { getIO } = require("../config/socket");
+const onlineHandler = require("../sockets/onlineHandler");
+const artworkService = require("./artworkService");
+const emailService = require("./emailService");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum time between two alerts, per frequency
+const DIGEST_INTERVALS = {
+  instant: 0,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+class SavedSearchService {
+  // Load one of the user's saved searches
+  async findOwnSearch(userId, searchId) {
+    const search = await SavedSearch.findOne({ _id: searchId, user: userId });
+
+    if (!search) {
+      throw new AppError("Saved search not found", 404);
+    }
+
+    return search;
+  }
+
+  // Save a search for the user
+  async createSavedSearch(userId, data) {
+    try {
+      const { name, query, filters = {}, alertsEnabled } = data;
+
+      const count = await SavedSearch.countDocuments({ user: userId });
+      if (count >= SavedSearch.MAX_PER_USER) {
+        throw new AppError(
+          `You can save up to ${SavedSearch.MAX_PER_USER} searches`,
+          400
+        );
+      }
+
+      const search = await SavedSearch.create({
+        user: userId,
+        name,
+        query,
+        filters,
+        alertsEnabled,
+      });
+
+      logger.info(`Saved search ${search._id} created by user ${userId}`);
+
+      return search;
+    } catch (error) {
+      logger.error(`Error creating saved search: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // The user's saved searches and alert frequency
+  async getMySavedSearches(userId) {
+    try {
+      const [searches, user] = await Promise.all([
+        SavedSearch.find({ user: userId })
+          .select("-pendingMatches")
+          .sort({ createdAt: -1 })
+          .lean(),
+        User.findById(userId).select("savedSearchAlerts").lean(),
+      ]);
+
+      return {
+        searches,
+        alerts: {
+          frequency: user?.savedSearchAlerts?.frequency || "instant",
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting saved searches: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Rename a saved search, change its query or filters, or toggle its alerts
+  async updateSavedSearch(userId, searchId, data) {
+    try {
+      const search = await this.findOwnSearch(userId, searchId);
+
+      ["name", "query", "filters", "alertsEnabled"].forEach((field) => {
+        if (data[field] !== undefined) {
+          search[field] = data[field];
+        }
+      });
+
+      // Pending matches were found with the old criteria
+      if (data.query !== undefined || data.filters !== undefined) {
+        search.pendingMatches = [];
+      }
+
+      await search.save();
+
+      return search;
+    } catch (error) {
+      logger.error(`Error updating saved search: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Delete a saved search
+  async deleteSavedSearch(userId, searchId) {
+    try {
+      const search = await this.findOwnSearch(userId, searchId);
+      await search.deleteOne();
+
+      logger.info(`Saved search ${searchId} deleted by user ${userId}`);
+    } catch (error) {
+      logger.error(`Error deleting saved search: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Run a saved search now (same results as the artwork search endpoint)
+  async runSavedSearch(userId, searchId, query = {}) {
+    try {
+      const search = await this.findOwnSearch(userId, searchId);
+      const { page, limit, sort } = query;
+
+      const filter = { status: "approved" };
+      if (search.query) {
+        filter.$text = { $search: search.query };
+      }
+
+      const result = await artworkService.runFacetedSearch(filter, {
+        ...search.filters.toObject(),
+        page,
+        limit,
+        sort,
+      });
+
+      return { search, ...result };
+    } catch (error) {
+      logger.error(`Error running saved search: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Choose between instant alerts and a daily or weekly digest
+  async setAlertFrequency(userId, frequency) {
+    try {
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { "savedSearchAlerts.frequency": frequency },
+        { new: true }
+      ).select("savedSearchAlerts");
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      return { frequency: user.savedSearchAlerts.frequency };
+    } catch (error) {
+      logger.error(`Error setting saved search alerts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Check a newly approved artwork against every saved search with alerts on.
+  // Matches are queued per search and sent by sendDueAlerts.
+  async matchNewArtwork(artworkId) {
+    try {
+      const artwork = await Artwork.findById(artworkId)
+        .select("title artist status")
+        .lean();
+
+      if (!artwork || artwork.status !== "approved") {
+        return { matched: 0 };
+      }
+
+      const matchedIds = [];
+      const matchedUserIds = new Set();
+      const searches = SavedSearch.find({
+        alertsEnabled: true,
+        // Artists are not alerted about their own work
+        user: { $ne: artwork.artist },
+      })
+        .select("user query filters")
+        .cursor();
+
+      for await (const search of searches) {
+        const matches = await artworkService.matchesSearch(
+          artworkId,
+          search.query,
+          search.filters.toObject()
+        );
+
+        if (matches) {
+          matchedIds.push(search._id);
+          matchedUserIds.add(search.user.toString());
+        }
+      }
+
+      if (matchedIds.length === 0) {
+        return { matched: 0 };
+      }
+
+      await SavedSearch.updateMany(
+        { _id: { $in: matchedIds } },
+        {
+          $addToSet: { pendingMatches: artwork._id },
+          $inc: { matchCount: 1 },
+          lastMatchedAt: new Date(),
+        }
+      );
+
+      // Instant alerts go out now, digests on their schedule
+      await this.sendDueAlerts([...matchedUserIds]);
+
+      logger.info(
+        `Artwork ${artworkId} matched ${matchedIds.length} saved searches`
+      );
+
+      return { matched: matchedIds.length };
+    } catch (error) {
+      logger.error(`Error matching saved searches: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Send every user whose alert is due the matches queued for them. With
+  // userIds (a new match) only instant alerts go out; without, all users with
+  // queued matches are checked (digest job).
+  async sendDueAlerts(userIds = null) {
+    try {
+      const pendingFilter = { "pendingMatches.0": { $exists: true } };
+      if (userIds) {
+        pendingFilter.user = { $in: userIds };
+      }
+
+      const pendingUserIds = await SavedSearch.distinct("user", pendingFilter);
+      const users = await User.find({ _id: { $in: pendingUserIds } })
+        .select("email username savedSearchAlerts notificationPreferences")
+        .lean();
+
+      const now = Date.now();
+      let sent = 0;
+
+      for (const user of users) {
+        const frequency = user.savedSearchAlerts?.frequency || "instant";
+        const lastDigestAt = user.savedSearchAlerts?.lastDigestAt;
+
+        if (userIds && frequency !== "instant") {
+          continue;
+        }
+
+        if (
+          lastDigestAt &&
+          now - new Date(lastDigestAt).getTime() < DIGEST_INTERVALS[frequency]
+        ) {
+          continue;
+        }
+
+        try {
+          if (await this.sendUserAlert(user, frequency)) {
+            sent++;
+          }
+        } catch (error) {
+          logger.error(
+            `Failed to send saved search alert to user ${user._id}: ${error.message}`
+          );
+        }
+      }
+
+      return { sent };
+    } catch (error) {
+      logger.error(`Error sending saved search alerts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Email and push one user's queued matches, then clear them
+  async sendUserAlert(user, frequency) {
+    const searches = await SavedSearch.find({
+      user: user._id,
+      "pendingMatches.0": { $exists: true },
+    })
+      .select("name pendingMatches")
+      .lean();
+
+    const artworkIds = [
+      ...new Set(
+        searches.flatMap((search) =>
+          search.pendingMatches.map((id) => id.toString())
+        )
+      ),
+    ];
+
+    // Skip artworks withdrawn or rejected since they matched
+    const artworks = await Artwork.find({
+      _id: { $in: artworkIds },
+      status: "approved",
+    })
+      .select("title price images")
+      .lean();
+    const artworksById = new Map(
+      artworks.map((artwork) => [artwork._id.toString(), artwork])
+    );
+
+    const matches = searches
+      .map((search) => ({
+        searchId: search._id,
+        name: search.name,
+        artworks: search.pendingMatches
+          .map((id) => artworksById.get(id.toString()))
+          .filter(Boolean),
+      }))
+      .filter((match) => match.artworks.length > 0);
+
+    if (matches.length > 0) {
+      if (user.notificationPreferences?.email?.savedSearches !== false) {
+        await emailService.sendSavedSearchAlert(
+          user.email,
+          user.username,
+          matches,
+          frequency
+        );
+      }
+
+      const io = getIO();
+      if (io) {
+        onlineHandler.sendToUser(
+          user._id.toString(),
+          "saved_search_match",
+          {
+            frequency,
+            searches: matches.map((match) => ({
+              searchId: match.searchId.toString(),
+              name: match.name,
+              artworkIds: match.artworks.map((artwork) =>
+                artwork._id.toString()
+              ),
+            })),
+          },
+          io
+        );
+      }
+    }
+
+    // Only what was sent, matches queued meanwhile wait for the next alert
+    await Promise.all(
+      searches.map((search) =>
+        SavedSearch.updateOne(
+          { _id: search._id },
+          { $pullAll: { pendingMatches: search.pendingMatches } }
+        )
+      )
+    );
+    await User.updateOne(
+      { _id: user._id },
+      { "savedSearchAlerts.lastDigestAt": new Date() }
+    );
+
+    return matches.length > 0;
+  }
+}
+
+module.exports = new SavedSearchService();
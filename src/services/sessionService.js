@@ -0,0 +1,186 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+} = require("../utils/helpers");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+class SessionService {
+  // Sign an access/refresh token pair bound to a session
+  issueTokens(userId, sessionId, twoFactorVerified = false) {
+    const payload = {
+      id: userId.toString(),
+      sid: sessionId.toString(),
+      ...(twoFactorVerified && { mfa: true }),
+    };
+
+    const token = generateToken(payload);
+    const refreshToken = generateRefreshToken(payload);
+    const { exp } = jwt.decode(refreshToken);
+
+    return { token, refreshToken, expiresAt: new Date(exp * 1000) };
+  }
+
+  // Create a new session for a login on a device
+  async createSession(userId, meta = {}, { twoFactorVerified = false } = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { token, refreshToken, expiresAt } = this.issueTokens(
+      userId,
+      sessionId,
+      twoFactorVerified
+    );
+
+    await Session.create({
+      _id: sessionId,
+      user: userId,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: meta.userAgent,
+      ipAddress: meta.ipAddress,
+      twoFactorVerified,
+      expiresAt,
+    });
+
+    logger.info(`Session ${sessionId} created for user ${userId}`);
+
+    return { token, refreshToken, sessionId };
+  }
+
+  // Exchange a refresh token for a new token pair (rotation with reuse detection)
+  async rotateRefreshToken(refreshToken, meta = {}) {
+    const decoded = verifyRefreshToken(refreshToken);
+    if (!decoded || !decoded.sid) {
+      throw new AppError("Invalid refresh token, Please log in again", 401);
+    }
+
+    const session = await Session.findOne({
+      _id: decoded.sid,
+      user: decoded.id,
+    });
+
+    if (!session || !session.isActive()) {
+      throw new AppError("Your session has ended, Please log in again", 401);
+    }
+
+    const user = await User.findById(decoded.id).select("isVerified");
+    if (!user || !user.isVerified) {
+      throw new AppError(
+        "The user belonging to this token no longer exists",
+        401
+      );
+    }
+
+    const { token, refreshToken: newRefreshToken, expiresAt } =
+      this.issueTokens(decoded.id, session._id, session.twoFactorVerified);
+
+    // Only the latest refresh token of a session may be exchanged. The hash
+    // condition makes the swap atomic, so a replayed (already rotated) token
+    // never matches and is treated as stolen.
+    const rotated = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        refreshTokenHash: hashToken(refreshToken),
+        revokedAt: null,
+      },
+      {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        expiresAt,
+        ...(meta.userAgent && { userAgent: meta.userAgent }),
+        ...(meta.ipAddress && { ipAddress: meta.ipAddress }),
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await this.revokeSession(session._id, decoded.id, "reuse_detected");
+      logger.warn(
+        `Refresh token reuse detected for session ${session._id} of user ${decoded.id}`
+      );
+      throw new AppError(
+        "Refresh token has already been used, Please log in again",
+        401
+      );
+    }
+
+    return { token, refreshToken: newRefreshToken, sessionId: session._id };
+  }
+
+  // Check that an access token still belongs to a live session
+  async isSessionActive(sessionId, userId) {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return false;
+    }
+
+    const session = await Session.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    return !!session;
+  }
+
+  // Revoke a single session
+  async revokeSession(sessionId, userId, reason = "logout") {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(`Session ${sessionId} of user ${userId} revoked (${reason})`);
+    }
+
+    return result.modifiedCount > 0;
+  }
+
+  // Revoke every active session of a user, optionally keeping one
+  async revokeAllSessions(userId, reason = "logout_all", exceptSessionId) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: reason,
+    });
+
+    logger.info(
+      `Revoked ${result.modifiedCount} sessions of user ${userId} (${reason})`
+    );
+
+    return result.modifiedCount;
+  }
+
+  // List a user's active sessions (devices)
+  async getActiveSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      twoFactorVerified: session.twoFactorVerified,
+      expiresAt: session.expiresAt,
+      isCurrent: session._id.toString() === currentSessionId?.toString(),
+    }));
+  }
+}
+
+module.exports = new SessionService();
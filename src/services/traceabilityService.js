@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const TraceabilityRecord = require("../models/TraceabilityRecord");
+const ConditionReport = require("../models/ConditionReport");
 const Artwork = require("../models/Artwork");
+const EditionUnit = require("../models/EditionUnit");
 const User = require("../models/User");
 const AppError = require("../utils/appError");
 const logger = require("../utils/logger");
@@ -18,15 +20,27 @@ class TraceabilityService {
         throw new AppError("Artwork not found", 404);
       }
 
-      // Get all traceability records for this artwork
-      const traceabilityRecords = await TraceabilityRecord.find({
-        artworkId,
-      })
+      // Get the artwork's own chain (edition units keep separate chains)
+      const traceabilityRecords = await TraceabilityRecord.find(
+        TraceabilityRecord.chainFilter(artworkId)
+      )
         .populate("fromUserId", "username email profile")
         .populate("toUserId", "username email profile")
-        .sort({ timestamp: 1 }) // Chronological order
+        .sort({ sequence: 1, timestamp: 1 }) // Chain order
         .lean();
 
+      const conditionReports = await ConditionReport.find({
+        artwork: artworkId,
+      })
+        .populate("reportedBy", "username profile")
+        .sort({ inspectionDate: -1, createdAt: -1 })
+        .lean();
+
+      // Condition reports are in the chain but do not change hands
+      const transfers = traceabilityRecords.filter(
+        (record) => record.transactionType !== "condition_report"
+      );
+
       // Build comprehensive history
       const history = {
         artwork: {
@@ -37,6 +51,12 @@ class TraceabilityService {
           status: artwork.status,
           createdAt: artwork.createdAt,
           totalSales: artwork.totalSales,
+          edition: artwork.isEdition
+            ? {
+                total: artwork.edition.total,
+                remaining: artwork.edition.remaining,
+              }
+            : null,
         },
         artist: artwork.artist,
         currentOwner: artwork.currentOwner,
@@ -47,6 +67,9 @@ class TraceabilityService {
           toUser: record.toUserId,
           timestamp: record.timestamp,
           transactionHash: record.transactionHash,
+          sequence: record.sequence,
+          previousHash: record.previousHash,
+          recordHash: record.recordHash,
           details: {
             price: record.additionalData?.price,
             condition: record.additionalData?.condition,
@@ -55,22 +78,32 @@ class TraceabilityService {
             paymentIntent: record.additionalData?.paymentIntent,
             isResale: record.additionalData?.isResale,
             transferNumber: record.additionalData?.transferNumber,
+            conditionReport: record.additionalData?.conditionReport,
           },
         })),
+        conditionReports: conditionReports.map((report) => ({
+          id: report._id,
+          grade: report.grade,
+          inspectionDate: report.inspectionDate,
+          reportedBy: report.reportedBy,
+          reporterRole: report.reporterRole,
+          notes: report.notes,
+          location: report.location,
+          photos: report.photos,
+          traceabilityRecord: report.traceabilityRecord,
+        })),
         statistics: {
-          totalTransfers: traceabilityRecords.length,
-          firstTransfer: traceabilityRecords[0]?.timestamp,
-          lastTransfer:
-            traceabilityRecords[traceabilityRecords.length - 1]?.timestamp,
-          totalRevenue: traceabilityRecords.reduce(
+          totalTransfers: transfers.length,
+          firstTransfer: transfers[0]?.timestamp,
+          lastTransfer: transfers[transfers.length - 1]?.timestamp,
+          totalRevenue: transfers.reduce(
             (sum, record) => sum + (record.additionalData?.price || 0),
             0
           ),
           uniqueOwners: [
-            ...new Set(
-              traceabilityRecords.map((r) => r.toUserId?._id?.toString())
-            ),
+            ...new Set(transfers.map((r) => r.toUserId?._id?.toString())),
           ].length,
+          latestCondition: conditionReports[0]?.grade || null,
         },
       };
 
@@ -81,8 +114,9 @@ class TraceabilityService {
     }
   }
 
-  // Generate ownership certificate
-  async generateOwnershipCertificate(artworkId, userId) {
+  // Generate ownership certificate. Editions are certified per print, so
+  // unitNumber picks the print and its own chain.
+  async generateOwnershipCertificate(artworkId, userId, unitNumber = null) {
     try {
       const artwork = await Artwork.findById(artworkId)
         .populate("artist", "username email profile")
@@ -93,8 +127,37 @@ class TraceabilityService {
         throw new AppError("Artwork not found", 404);
       }
 
+      let unit = null;
+      if (artwork.isEdition) {
+        if (!unitNumber) {
+          throw new AppError(
+            "Certificates for editions are issued per print, please choose a unit",
+            400
+          );
+        }
+
+        unit = await EditionUnit.findOne({
+          artwork: artworkId,
+          number: unitNumber,
+        })
+          .populate("currentOwner", "username email profile")
+          .lean();
+
+        if (!unit) {
+          throw new AppError("Edition unit not found", 404);
+        }
+      } else if (unitNumber) {
+        throw new AppError("This artwork is not an edition", 400);
+      }
+
+      const holder = unit ? unit.currentOwner : artwork.currentOwner;
+      const chainFilter = TraceabilityRecord.chainFilter(
+        artworkId,
+        unit?._id || null
+      );
+
       // Verify current ownership
-      if (artwork.currentOwner._id.toString() !== userId) {
+      if (holder._id.toString() !== userId) {
         throw new AppError(
           "You can only generate certificates for artworks you own",
           403
@@ -103,20 +166,32 @@ class TraceabilityService {
 
       // Get latest ownership record
       const latestRecord = await TraceabilityRecord.findOne({
-        artworkId,
+        ...chainFilter,
         toUserId: userId,
+        transactionType: { $ne: "condition_report" },
       })
         .populate("fromUserId", "username email")
         .sort({ timestamp: -1 })
         .lean();
 
       // Get all previous records for verification
-      const allRecords = await TraceabilityRecord.find({ artworkId })
-        .sort({ timestamp: 1 })
+      const allRecords = await TraceabilityRecord.find(chainFilter)
+        .sort({ sequence: 1, timestamp: 1 })
         .lean();
 
+      const integrity = this.checkChain(unit || artwork, allRecords);
+
+      // Required lazily, certificateService depends on this service
+      const certificateService = require("./certificateService");
+      const signed = await certificateService.issueCertificate(
+        artwork,
+        allRecords,
+        integrity,
+        unit
+      );
+
       const certificate = {
-        certificateId: `CERT-${artworkId}-${Date.now()}`,
+        certificateId: signed.certificateId,
         generatedAt: new Date(),
         artwork: {
           id: artwork._id,
@@ -128,7 +203,10 @@ class TraceabilityService {
           description: artwork.description,
           images: artwork.images,
         },
-        currentOwner: artwork.currentOwner,
+        editionUnit: unit
+          ? { id: unit._id, number: unit.number, total: artwork.edition.total }
+          : null,
+        currentOwner: holder,
         ownership: {
           acquiredOn: latestRecord?.timestamp,
           acquiredFrom: latestRecord?.fromUserId,
@@ -137,7 +215,9 @@ class TraceabilityService {
           purchasePrice: latestRecord?.additionalData?.price,
         },
         provenance: {
-          totalTransfers: allRecords.length,
+          totalTransfers: allRecords.filter(
+            (record) => record.transactionType !== "condition_report"
+          ).length,
           verificationHash: this.generateVerificationHash(
             artworkId,
             allRecords
@@ -146,16 +226,27 @@ class TraceabilityService {
             timestamp: record.timestamp,
             type: record.transactionType,
             hash: record.transactionHash,
+            recordHash: record.recordHash,
           })),
+          chainIntact: integrity.valid,
         },
         authenticity: {
-          platformVerified: true,
+          platformVerified: integrity.valid,
           blockchainHash: this.generateBlockchainLikeHash(
             artworkId,
             allRecords
           ),
           verificationLevel: "PLATFORM_CERTIFIED",
         },
+        signature: {
+          algorithm: signed.algorithm,
+          keyId: signed.keyId,
+          value: signed.signature,
+          issuedAt: signed.issuedAt,
+          chainHeadHash: signed.chainHeadHash,
+          signedPayload: signed.payload,
+          verifyUrl: certificateService.getVerifyUrl(signed.certificateId),
+        },
         legalDisclaimer:
           "This certificate confirms ownership on the 3rd Hand Art Marketplace platform. It does not constitute legal proof of ownership outside this platform.",
       };
@@ -182,8 +273,9 @@ class TraceabilityService {
 
       // Get verification details
       const latestRecord = await TraceabilityRecord.findOne({
-        artworkId,
+        ...TraceabilityRecord.chainFilter(artworkId),
         toUserId: claimedOwnerId,
+        transactionType: { $ne: "condition_report" },
       })
         .sort({ timestamp: -1 })
         .lean();
@@ -284,8 +376,8 @@ class TraceabilityService {
       const { page = 1, limit = 10, type = "all" } = query;
       const skip = (page - 1) * limit;
 
-      // Build filter based on type
-      let filter = {};
+      // Build filter based on type (condition reports are not ownership changes)
+      let filter = { transactionType: { $ne: "condition_report" } };
       if (type === "acquired") {
         filter.toUserId = userId;
       } else if (type === "sold") {
@@ -329,24 +421,116 @@ class TraceabilityService {
     return crypto.createHash("sha256").update(data).digest("hex");
   }
 
-  // Helper method to generate blockchain-like hash
+  // Helper method to generate blockchain-like hash.
+  // Deterministic, so a certificate can be re-verified against the chain later.
   generateBlockchainLikeHash(artworkId, records) {
     const crypto = require("crypto");
     const chainData = records.map((r) => ({
       hash: r.transactionHash,
-      timestamp: r.timestamp,
+      recordHash: r.recordHash,
       type: r.transactionType,
     }));
 
     const blockData = JSON.stringify({
-      artworkId,
+      artworkId: artworkId.toString(),
       chain: chainData,
-      timestamp: Date.now(),
     });
 
     return crypto.createHash("sha256").update(blockData).digest("hex");
   }
 
+  // Walk an artwork's (or edition unit's) chain and report the first broken link
+  checkChain(artwork, records) {
+    const result = {
+      valid: true,
+      totalRecords: records.length,
+      verifiedRecords: 0,
+      headHash: null,
+      firstInvalidRecord: null,
+    };
+
+    const fail = (record, sequence, reason) => {
+      result.valid = false;
+      result.firstInvalidRecord = {
+        recordId: record?._id || null,
+        sequence,
+        transactionHash: record?.transactionHash || null,
+        reason,
+      };
+      return result;
+    };
+
+    let previous = null;
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+
+      if (!record.recordHash || record.sequence === undefined) {
+        return fail(record, i, "unhashed");
+      }
+      if (record.sequence !== i) {
+        // A gap means at least one record was removed
+        return fail(record, i, record.sequence > i ? "missing" : "duplicate");
+      }
+      if (record.previousHash !== (previous ? previous.recordHash : null)) {
+        return fail(record, i, "broken_link");
+      }
+      if (TraceabilityRecord.computeRecordHash(record) !== record.recordHash) {
+        return fail(record, i, "tampered");
+      }
+
+      result.verifiedRecords += 1;
+      result.headHash = record.recordHash;
+      previous = record;
+    }
+
+    // The last link must hand the artwork to its current owner
+    const ownerId = (
+      artwork.currentOwner?._id || artwork.currentOwner
+    ).toString();
+    if (previous && previous.toUserId.toString() !== ownerId) {
+      return fail(null, records.length, "owner_mismatch");
+    }
+
+    return result;
+  }
+
+  // Verify the provenance chain of an artwork
+  async verifyChainIntegrity(artworkId) {
+    try {
+      const artwork = await Artwork.findById(artworkId)
+        .select("title currentOwner")
+        .lean();
+
+      if (!artwork) {
+        throw new AppError("Artwork not found", 404);
+      }
+
+      const records = await TraceabilityRecord.find(
+        TraceabilityRecord.chainFilter(artworkId)
+      )
+        .sort({ sequence: 1, timestamp: 1 })
+        .lean();
+
+      const integrity = this.checkChain(artwork, records);
+
+      if (!integrity.valid) {
+        logger.warn(
+          `Provenance chain of artwork ${artworkId} failed verification: ${integrity.firstInvalidRecord.reason}`
+        );
+      }
+
+      return {
+        artworkId,
+        title: artwork.title,
+        ...integrity,
+        checkedAt: new Date(),
+      };
+    } catch (error) {
+      logger.error(`Error verifying chain integrity: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Public method to search traceability records
   async searchTraceabilityRecords(query = {}) {
     try {
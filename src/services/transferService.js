@@ -0,0 +1,634 @@
+const mongoose = require("mongoose");
+const OwnershipTransfer = require("../models/OwnershipTransfer");
+const Artwork = require("../models/Artwork");
+const User = require("../models/User");
+const Offer = require("../models/Offer");
+const Cart = require("../models/Cart");
+const TraceabilityRecord = require("../models/TraceabilityRecord");
+const config = require("../config/config");
+const { getIO } = require("../config/socket");
+const onlineHandler = require("../sockets/onlineHandler");
+const artworkCacheService = require("./artworkCacheService");
+const emailService = require("./emailService");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TransferService {
+  // Push a transfer update to both parties if they are online
+  notifyParties(transfer, action) {
+    const io = getIO();
+    if (!io) {
+      return;
+    }
+
+    const payload = {
+      transferId: transfer._id.toString(),
+      artworkId: (transfer.artwork._id || transfer.artwork).toString(),
+      action,
+      status: transfer.status,
+      transferType: transfer.transferType,
+      expiresAt: transfer.expiresAt,
+    };
+
+    [transfer.fromUser, transfer.toUser].forEach((user) => {
+      onlineHandler.sendToUser(
+        (user._id || user).toString(),
+        "transfer_update",
+        payload,
+        io
+      );
+    });
+  }
+
+  // Load a transfer of an artwork, expiring it if the recipient ran out of time
+  async findTransfer(artworkId, transferId) {
+    const transfer = await OwnershipTransfer.findOne({
+      _id: transferId,
+      artwork: artworkId,
+    });
+
+    if (!transfer) {
+      throw new AppError("Transfer not found", 404);
+    }
+
+    if (transfer.isExpired()) {
+      await this.markExpired(transfer);
+      throw new AppError("This transfer has expired", 400);
+    }
+
+    return transfer;
+  }
+
+  // Move a transfer out of one of the expected statuses in a single update,
+  // so a double-submitted or concurrent accept, approval or cancel acts on
+  // it only once. Returns the updated transfer.
+  async claimTransfer(transferId, fromStatuses, update) {
+    const transfer = await OwnershipTransfer.findOneAndUpdate(
+      { _id: transferId, status: { $in: fromStatuses } },
+      update,
+      { new: true }
+    );
+
+    if (!transfer) {
+      throw new AppError(
+        "This transfer was already handled, please refresh",
+        409
+      );
+    }
+
+    return transfer;
+  }
+
+  // Refuse while the artwork is being sold another way
+  async assertArtworkTransferable(artwork) {
+    // The artist keeps the edition, buyers own its units
+    if (artwork.isEdition) {
+      throw new AppError("Editions cannot be transferred", 400);
+    }
+
+    if (
+      artwork.saleType === "auction" &&
+      ["open", "closing", "awaiting_payment"].includes(
+        artwork.auction?.status
+      )
+    ) {
+      throw new AppError(
+        "Artworks cannot be transferred while their auction is running",
+        400
+      );
+    }
+
+    const reservedOffer = await Offer.exists({
+      artwork: artwork._id,
+      status: "accepted",
+      expiresAt: { $gt: new Date() },
+    });
+    if (reservedOffer) {
+      throw new AppError(
+        "This artwork is reserved for a buyer whose offer was accepted",
+        409
+      );
+    }
+  }
+
+  // Owner starts a transfer to another user
+  async createTransfer(artworkId, ownerId, data) {
+    try {
+      const {
+        recipientId,
+        transferType,
+        declaredValue = 0,
+        message,
+        condition,
+        location,
+        notes,
+      } = data;
+
+      const artwork = await Artwork.findById(artworkId).select(
+        "title currentOwner saleType auction.status isEdition"
+      );
+
+      if (!artwork) {
+        throw new AppError("Artwork not found", 404);
+      }
+
+      if (artwork.currentOwner.toString() !== ownerId) {
+        throw new AppError("You can only transfer artworks you own", 403);
+      }
+
+      if (recipientId === ownerId) {
+        throw new AppError("You cannot transfer an artwork to yourself", 400);
+      }
+
+      const recipient = await User.findById(recipientId).select(
+        "username email notificationPreferences"
+      );
+      if (!recipient) {
+        throw new AppError("Recipient not found", 404);
+      }
+
+      await this.assertArtworkTransferable(artwork);
+
+      const openTransfer = await OwnershipTransfer.findOne({
+        artwork: artworkId,
+        status: { $in: OwnershipTransfer.OPEN_STATUSES },
+      });
+      if (openTransfer && !openTransfer.isExpired()) {
+        throw new AppError(
+          "This artwork already has a transfer in progress",
+          409
+        );
+      }
+      if (openTransfer) {
+        await this.markExpired(openTransfer);
+      }
+
+      const transfer = await OwnershipTransfer.create({
+        artwork: artworkId,
+        fromUser: ownerId,
+        toUser: recipientId,
+        transferType,
+        declaredValue,
+        message,
+        condition,
+        location,
+        notes,
+        requiresReview: declaredValue >= config.transfers.reviewThreshold,
+        expiresAt: new Date(
+          Date.now() + config.transfers.acceptWindowDays * DAY_MS
+        ),
+        history: [{ action: "created", by: ownerId, note: message }],
+      });
+
+      this.notifyParties(transfer, "created");
+
+      try {
+        if (recipient.notificationPreferences?.email?.transfers !== false) {
+          const owner = await User.findById(ownerId).select("username");
+          await emailService.sendTransferRequestNotification(
+            recipient.email,
+            recipient.username,
+            owner.username,
+            artwork.title,
+            transferType,
+            transfer.expiresAt
+          );
+        }
+      } catch (emailError) {
+        logger.error(`Failed to send transfer email: ${emailError.message}`);
+      }
+
+      logger.info(
+        `Transfer ${transfer._id} of artwork ${artworkId} started by ${ownerId} to ${recipientId}`
+      );
+
+      return transfer;
+    } catch (error) {
+      logger.error(`Error creating transfer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Recipient accepts. Completes the transfer unless it needs admin review.
+  async acceptTransfer(artworkId, transferId, userId) {
+    try {
+      const transfer = await this.findTransfer(artworkId, transferId);
+
+      if (transfer.toUser.toString() !== userId) {
+        throw new AppError("Only the recipient can accept this transfer", 403);
+      }
+
+      if (transfer.status !== "pending") {
+        throw new AppError(`This transfer is already ${transfer.status}`, 400);
+      }
+
+      const accepted = await this.claimTransfer(transfer._id, ["pending"], {
+        status: transfer.requiresReview ? "under_review" : "completing",
+        acceptedAt: new Date(),
+        $push: { history: { action: "accepted", by: userId } },
+      });
+
+      if (accepted.requiresReview) {
+        this.notifyParties(accepted, "accepted");
+
+        logger.info(
+          `Transfer ${transferId} accepted, waiting for admin review`
+        );
+        return accepted;
+      }
+
+      return await this.completeTransfer(accepted, null, "pending");
+    } catch (error) {
+      logger.error(`Error accepting transfer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Recipient declines
+  async declineTransfer(artworkId, transferId, userId, note) {
+    try {
+      const transfer = await this.findTransfer(artworkId, transferId);
+
+      if (transfer.toUser.toString() !== userId) {
+        throw new AppError("Only the recipient can decline this transfer", 403);
+      }
+
+      if (transfer.status !== "pending") {
+        throw new AppError(`This transfer is already ${transfer.status}`, 400);
+      }
+
+      const declined = await this.claimTransfer(transfer._id, ["pending"], {
+        status: "declined",
+        $push: { history: { action: "declined", by: userId, note } },
+      });
+
+      this.notifyParties(declined, "declined");
+
+      logger.info(`Transfer ${transferId} declined by ${userId}`);
+
+      return declined;
+    } catch (error) {
+      logger.error(`Error declining transfer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Owner cancels a transfer that has not completed yet
+  async cancelTransfer(artworkId, transferId, userId) {
+    try {
+      const transfer = await this.findTransfer(artworkId, transferId);
+
+      if (transfer.fromUser.toString() !== userId) {
+        throw new AppError("Only the owner can cancel this transfer", 403);
+      }
+
+      // A transfer that is already completing can no longer be cancelled
+      const cancellable = ["pending", "under_review"];
+      if (!cancellable.includes(transfer.status)) {
+        throw new AppError(`This transfer is already ${transfer.status}`, 400);
+      }
+
+      const cancelled = await this.claimTransfer(transfer._id, cancellable, {
+        status: "cancelled",
+        $push: { history: { action: "cancelled", by: userId } },
+      });
+
+      this.notifyParties(cancelled, "cancelled");
+
+      logger.info(`Transfer ${transferId} cancelled by ${userId}`);
+
+      return cancelled;
+    } catch (error) {
+      logger.error(`Error cancelling transfer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Move the artwork to the recipient, with the same ownership history and
+  // traceability updates a completed sale makes. The transfer must already be
+  // claimed ("completing"); it goes back to previousStatus if this fails.
+  async completeTransfer(transfer, adminId = null, previousStatus) {
+    const session = await mongoose.startSession();
+    let settled = false;
+
+    try {
+      session.startTransaction();
+
+      // A buyer paying right now would otherwise receive the artwork from
+      // someone who no longer owns it. Required lazily: paymentService
+      // pulls in the job queues.
+      const paymentService = require("./paymentService");
+      await paymentService.assertArtworkNotInCheckout(
+        transfer.artwork,
+        session
+      );
+
+      const artwork = await Artwork.findOneAndUpdate(
+        { _id: transfer.artwork, currentOwner: transfer.fromUser },
+        {
+          currentOwner: transfer.toUser,
+          $push: {
+            ownershipHistory: {
+              owner: transfer.toUser,
+              purchaseDate: new Date(),
+              price: transfer.declaredValue,
+              transactionId: `transfer_${transfer._id}`,
+              fromOwner: transfer.fromUser,
+            },
+          },
+        },
+        { new: true, session }
+      );
+
+      if (!artwork) {
+        await session.abortTransaction();
+
+        const cancelled = await OwnershipTransfer.findOneAndUpdate(
+          { _id: transfer._id, status: "completing" },
+          {
+            status: "cancelled",
+            $push: {
+              history: {
+                action: "cancelled",
+                note: "Artwork changed hands before the transfer completed",
+              },
+            },
+          },
+          { new: true }
+        );
+        settled = true;
+        if (cancelled) {
+          this.notifyParties(cancelled, "cancelled");
+        }
+
+        throw new AppError(
+          "The artwork changed hands before the transfer completed",
+          409
+        );
+      }
+
+      await TraceabilityRecord.appendRecord(
+        {
+          artworkId: artwork._id,
+          fromUserId: transfer.fromUser,
+          toUserId: transfer.toUser,
+          transactionType: "transferred",
+          additionalData: {
+            price: transfer.declaredValue,
+            condition: transfer.condition,
+            location: transfer.location,
+            notes: transfer.notes,
+            transferType: transfer.transferType,
+            ownershipTransfer: transfer._id,
+            isResale: false,
+            originalArtist: artwork.artist,
+            transferNumber: artwork.ownershipHistory.length,
+          },
+        },
+        session
+      );
+
+      const completed = await OwnershipTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: "completing" },
+        {
+          status: "completed",
+          completedAt: new Date(),
+          $push: {
+            history: { action: "completed", by: adminId || undefined },
+          },
+        },
+        { new: true, session }
+      );
+
+      if (!completed) {
+        throw new AppError(
+          "This transfer was already handled, please refresh",
+          409
+        );
+      }
+
+      await session.commitTransaction();
+      settled = true;
+
+      // Close negotiations on the artwork and drop it from carts
+      try {
+        const offerService = require("./offerService");
+        await offerService.handleArtworkSold(
+          artwork._id.toString(),
+          null,
+          null,
+          "Artwork was transferred to another owner"
+        );
+      } catch (offerError) {
+        logger.error(
+          `Failed to close offers for transferred artwork ${artwork._id}: ${offerError.message}`
+        );
+      }
+
+      await Cart.updateMany(
+        { "items.artwork": artwork._id },
+        { $pull: { items: { artwork: artwork._id } } }
+      );
+
+      await artworkCacheService.invalidateArtworkCache(artwork._id.toString());
+
+      this.notifyParties(completed, "completed");
+
+      logger.info(
+        `Transfer ${transfer._id} completed, artwork ${artwork._id} now owned by ${transfer.toUser}`
+      );
+
+      return completed;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      // Release the claim so the transfer can be accepted or approved again,
+      // e.g. once a checkout on the artwork has ended
+      if (!settled && previousStatus) {
+        await OwnershipTransfer.updateOne(
+          { _id: transfer._id, status: "completing" },
+          { status: previousStatus }
+        ).catch(() => {});
+      }
+      logger.error(`Error completing transfer: ${error.message}`);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Admin approves a transfer under review and completes it
+  async approveTransfer(transferId, adminId, adminNote) {
+    try {
+      const transfer = await OwnershipTransfer.findById(transferId);
+
+      if (!transfer) {
+        throw new AppError("Transfer not found", 404);
+      }
+
+      if (transfer.status !== "under_review") {
+        throw new AppError(
+          `Only transfers under review can be approved (this one is ${transfer.status})`,
+          400
+        );
+      }
+
+      const approved = await this.claimTransfer(
+        transfer._id,
+        ["under_review"],
+        {
+          status: "completing",
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          adminNote,
+          $push: {
+            history: { action: "approved", by: adminId, note: adminNote },
+          },
+        }
+      );
+
+      return await this.completeTransfer(approved, adminId, "under_review");
+    } catch (error) {
+      logger.error(`Error approving transfer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Admin rejects a transfer under review
+  async rejectTransfer(transferId, adminId, adminNote) {
+    try {
+      const transfer = await OwnershipTransfer.findById(transferId);
+
+      if (!transfer) {
+        throw new AppError("Transfer not found", 404);
+      }
+
+      if (transfer.status !== "under_review") {
+        throw new AppError(
+          `Only transfers under review can be rejected (this one is ${transfer.status})`,
+          400
+        );
+      }
+
+      const rejected = await this.claimTransfer(
+        transfer._id,
+        ["under_review"],
+        {
+          status: "rejected",
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          adminNote,
+          $push: {
+            history: { action: "rejected", by: adminId, note: adminNote },
+          },
+        }
+      );
+
+      this.notifyParties(rejected, "rejected");
+
+      logger.info(`Transfer ${transferId} rejected by admin ${adminId}`);
+
+      return rejected;
+    } catch (error) {
+      logger.error(`Error rejecting transfer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Transfers the user started (role=sender) or received (role=recipient)
+  async getMyTransfers(userId, query = {}) {
+    try {
+      const { page = 1, limit = 10, status, role = "recipient" } = query;
+
+      const filter =
+        role === "sender" ? { fromUser: userId } : { toUser: userId };
+      if (status) {
+        filter.status = status;
+      }
+
+      return await this.paginateTransfers(filter, page, limit);
+    } catch (error) {
+      logger.error(`Error getting user transfers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Transfers of one artwork the user is a party to
+  async getArtworkTransfers(artworkId, userId, query = {}) {
+    try {
+      const { page = 1, limit = 10, status } = query;
+
+      const filter = {
+        artwork: artworkId,
+        $or: [{ fromUser: userId }, { toUser: userId }],
+      };
+      if (status) {
+        filter.status = status;
+      }
+
+      return await this.paginateTransfers(filter, page, limit);
+    } catch (error) {
+      logger.error(`Error getting artwork transfers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Admin list, defaults to transfers waiting for review
+  async getTransfers(query = {}) {
+    try {
+      const { page = 1, limit = 20, status = "under_review" } = query;
+
+      return await this.paginateTransfers({ status }, page, limit);
+    } catch (error) {
+      logger.error(`Error getting transfers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async paginateTransfers(filter, page, limit) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+    const skip = (page - 1) * limit;
+
+    const [transfers, total] = await Promise.all([
+      OwnershipTransfer.find(filter)
+        .populate("artwork", "title images price")
+        .populate("fromUser", "username profile")
+        .populate("toUser", "username profile")
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      OwnershipTransfer.countDocuments(filter),
+    ]);
+
+    return {
+      transfers,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + limit < total,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  async markExpired(transfer) {
+    const expired = await OwnershipTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: "pending" },
+      { status: "expired", $push: { history: { action: "expired" } } },
+      { new: true }
+    );
+
+    if (expired) {
+      this.notifyParties(expired, "expired");
+    }
+  }
+}
+
+module.exports = new TransferService();
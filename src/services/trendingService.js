@@ -0,0 +1,189 @@
+const Artwork = require("../models/Artwork");
+const User = require("../models/User");
+const ArtworkActivity = require("../models/ArtworkActivity");
+const logger = require("../utils/logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Weight of one event in the raw score
+const EVENT_WEIGHTS = {
+  views: 1,
+  likes: 3,
+  sales: 10,
+};
+
+// Lower bound of a medium's top raw score when normalizing, so a medium with
+// a single view does not produce a top score
+const MIN_NORMALIZER = 10;
+
+class TrendingService {
+  // Count a view, like (or unlike, -1) or sale in the current hour
+  async recordActivity(artworkId, counts) {
+    try {
+      await ArtworkActivity.record(artworkId, counts);
+    } catch (error) {
+      logger.error(`Error recording artwork activity: ${error.message}`);
+      // Don't throw error for activity tracking failures
+    }
+  }
+
+  // Raw scores of the artworks with activity in a window: weighted events,
+  // each decayed exponentially by its age
+  async getWindowScores(window, now) {
+    const { hours, halfLifeHours } = ArtworkActivity.WINDOWS[window];
+
+    const results = await ArtworkActivity.aggregate([
+      { $match: { bucket: { $gte: new Date(now - hours * HOUR_MS) } } },
+      {
+        $project: {
+          artwork: 1,
+          weighted: {
+            $add: [
+              { $multiply: ["$views", EVENT_WEIGHTS.views] },
+              { $multiply: ["$likes", EVENT_WEIGHTS.likes] },
+              { $multiply: ["$sales", EVENT_WEIGHTS.sales] },
+            ],
+          },
+          decay: {
+            $exp: {
+              $multiply: [
+                -Math.LN2 / halfLifeHours,
+                { $divide: [{ $subtract: [now, "$bucket"] }, HOUR_MS] },
+              ],
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$artwork",
+          score: { $sum: { $multiply: ["$weighted", "$decay"] } },
+        },
+      },
+      // Unlikes can outweigh the rest
+      { $match: { score: { $gt: 0 } } },
+    ]);
+
+    return new Map(
+      results.map((result) => [result._id.toString(), result.score])
+    );
+  }
+
+  // Recalculate the trending scores of artworks and artists for every window
+  // (scheduled job). Scores are normalized per medium, so the top artwork of
+  // each medium scores 100.
+  async computeTrendingScores() {
+    try {
+      const now = new Date();
+      const windows = Object.keys(ArtworkActivity.WINDOWS);
+
+      const rawScores = {};
+      for (const window of windows) {
+        rawScores[window] = await this.getWindowScores(window, now);
+      }
+
+      // Every window is within the 30 day one
+      const activeIds = [
+        ...new Set(windows.flatMap((window) => [...rawScores[window].keys()])),
+      ];
+      const artworks = await Artwork.find({
+        _id: { $in: activeIds },
+        status: "approved",
+      })
+        .select("artist medium")
+        .lean();
+
+      const artworkScores = new Map(
+        artworks.map((artwork) => [artwork._id.toString(), {}])
+      );
+      const artistScores = new Map();
+
+      for (const window of windows) {
+        const { field } = ArtworkActivity.WINDOWS[window];
+
+        const topByMedium = new Map();
+        artworks.forEach((artwork) => {
+          const medium = artwork.medium || "other";
+          const score = rawScores[window].get(artwork._id.toString()) || 0;
+          topByMedium.set(
+            medium,
+            Math.max(topByMedium.get(medium) || MIN_NORMALIZER, score)
+          );
+        });
+
+        artworks.forEach((artwork) => {
+          const id = artwork._id.toString();
+          const artistId = artwork.artist.toString();
+          const score =
+            ((rawScores[window].get(id) || 0) /
+              topByMedium.get(artwork.medium || "other")) *
+            100;
+
+          artworkScores.get(id)[field] = score;
+
+          if (!artistScores.has(artistId)) {
+            artistScores.set(artistId, {});
+          }
+          const artistScore = artistScores.get(artistId);
+          artistScore[field] = (artistScore[field] || 0) + score;
+        });
+      }
+
+      await this.saveScores(Artwork, artworkScores, now);
+      await this.saveScores(User, artistScores, now);
+
+      logger.info(
+        `Trending scores updated for ${artworkScores.size} artworks and ${artistScores.size} artists`
+      );
+
+      return { artworks: artworkScores.size, artists: artistScores.size };
+    } catch (error) {
+      logger.error(`Error computing trending scores: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Store the new scores and reset those of documents that are no longer
+  // trending
+  async saveScores(Model, scores, now) {
+    const fields = Object.values(ArtworkActivity.WINDOWS).map(
+      (window) => window.field
+    );
+    const scoreUpdate = (values = {}) =>
+      fields.reduce(
+        (update, field) => ({
+          ...update,
+          [`engagementStats.trending.${field}`]:
+            Math.round((values[field] || 0) * 100) / 100,
+        }),
+        { "engagementStats.trending.updatedAt": now }
+      );
+
+    if (scores.size > 0) {
+      await Model.bulkWrite(
+        [...scores.entries()].map(([id, values]) => ({
+          updateOne: {
+            filter: { _id: id },
+            update: { $set: scoreUpdate(values) },
+            // Scores are not an edit of the document
+            timestamps: false,
+          },
+        })),
+        { ordered: false }
+      );
+    }
+
+    await Model.updateMany(
+      {
+        "engagementStats.trending.updatedAt": { $lt: now },
+        $or: fields.map((field) => ({
+          [`engagementStats.trending.${field}`]: { $gt: 0 },
+        })),
+      },
+      { $set: scoreUpdate() },
+      { timestamps: false }
+    );
+  }
+}
+
+module.exports = new TrendingService();
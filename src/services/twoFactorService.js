@@ -0,0 +1,242 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const sessionService = require("./sessionService");
+const config = require("../config/config");
+const { encrypt, decrypt } = require("../utils/encryption");
+const { hashToken } = require("../utils/helpers");
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpAuthUrl,
+} = require("../utils/totp");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const TWO_FACTOR_ROLES = ["artist", "admin"];
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+
+class TwoFactorService {
+  constructor() {
+    // Clock used for code verification; replaceable for tests
+    this.now = () => Date.now();
+  }
+
+  // Generate plain backup codes and their hashes for storage
+  generateBackupCodes() {
+    const codes = Array.from({ length: config.twoFactor.backupCodeCount }, () => {
+      const raw = crypto.randomBytes(4).toString("hex");
+      return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+
+    return { codes, hashedCodes: codes.map((code) => hashToken(code)) };
+  }
+
+  // Start enrollment: create a pending secret and provisioning URI
+  async setup(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      throw new AppError(
+        "Two-factor authentication is available for artists and admins only",
+        403
+      );
+    }
+
+    if (user.twoFactor?.enabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+
+    return {
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl: buildOtpAuthUrl(secret, user.email, config.twoFactor.issuer),
+    };
+  }
+
+  // Confirm enrollment with a first code and issue backup codes
+  async enable(userId, code, meta = {}) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    if (user.twoFactor?.enabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      throw new AppError("Please start two-factor setup first", 400);
+    }
+
+    const secret = decrypt(user.twoFactor.pendingSecret);
+    const step = verifyTOTP(secret, code, { timestamp: this.now() });
+
+    if (step === null) {
+      throw new AppError("Invalid authentication code", 400);
+    }
+
+    const { codes, hashedCodes } = this.generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashedCodes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    // Sessions started before enrollment were not verified with a second factor
+    await sessionService.revokeAllSessions(user._id, "two_factor_change");
+    const { token, refreshToken } = await sessionService.createSession(
+      user._id,
+      meta,
+      { twoFactorVerified: true }
+    );
+
+    logger.info(`Two-factor authentication enabled for user ${userId}`);
+
+    return {
+      message: "Two-factor authentication enabled successfully!",
+      backupCodes: codes,
+      token,
+      refreshToken,
+    };
+  }
+
+  // Disable two-factor authentication (requires password and a valid code)
+  async disable(userId, password, code) {
+    const user = await User.findById(userId).select(
+      `+password ${TWO_FACTOR_FIELDS}`
+    );
+
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    if (!user.twoFactor?.enabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400);
+    }
+
+    if (user.role === "admin") {
+      throw new AppError(
+        "Two-factor authentication is mandatory for admin accounts",
+        403
+      );
+    }
+
+    if (!(await user.comparePassword(password))) {
+      throw new AppError("Your current password is incorrect", 401);
+    }
+
+    await this.verifyUserCode(user, code);
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await sessionService.revokeAllSessions(user._id, "two_factor_change");
+
+    logger.info(`Two-factor authentication disabled for user ${userId}`);
+
+    return {
+      message:
+        "Two-factor authentication disabled. Please log in again on your devices.",
+    };
+  }
+
+  // Replace all backup codes (requires a valid authenticator code)
+  async regenerateBackupCodes(userId, code) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    if (!user.twoFactor?.enabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400);
+    }
+
+    await this.verifyUserCode(user, code, { allowBackupCode: false });
+
+    const { codes, hashedCodes } = this.generateBackupCodes();
+    user.twoFactor.backupCodes = hashedCodes;
+    await user.save();
+
+    return {
+      message: "Backup codes regenerated successfully!",
+      backupCodes: codes,
+    };
+  }
+
+  // Get two-factor status for the current user
+  async getStatus(userId) {
+    const user = await User.findById(userId).select(
+      "role twoFactor.enabled twoFactor.enabledAt +twoFactor.backupCodes"
+    );
+
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    return {
+      enabled: user.twoFactor?.enabled || false,
+      enabledAt: user.twoFactor?.enabledAt,
+      backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0,
+      required: user.role === "admin",
+      available: TWO_FACTOR_ROLES.includes(user.role),
+    };
+  }
+
+  // Verify an authenticator code or backup code for a loaded user document.
+  // Accepted codes are consumed so they cannot be replayed.
+  async verifyUserCode(user, code, { allowBackupCode = true } = {}) {
+    const normalized = (code || "").toString().trim();
+
+    const secret = decrypt(user.twoFactor.secret);
+    const step = verifyTOTP(secret, normalized, { timestamp: this.now() });
+
+    if (step !== null) {
+      if (
+        user.twoFactor.lastUsedStep !== undefined &&
+        step <= user.twoFactor.lastUsedStep
+      ) {
+        throw new AppError("This authentication code was already used", 401);
+      }
+
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+      return { method: "totp" };
+    }
+
+    if (allowBackupCode) {
+      const hashedCode = hashToken(normalized.toLowerCase());
+      const index = (user.twoFactor.backupCodes || []).indexOf(hashedCode);
+
+      if (index > -1) {
+        user.twoFactor.backupCodes.splice(index, 1);
+        await user.save();
+
+        logger.warn(`Backup code used for user ${user._id}`);
+        return {
+          method: "backup_code",
+          backupCodesRemaining: user.twoFactor.backupCodes.length,
+        };
+      }
+    }
+
+    throw new AppError("Invalid authentication code", 401);
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,424 @@
+const User = require("../models/User");
+const Artwork = require("../models/Artwork");
+const Transaction = require("../models/Transaction");
+const Bid = require("../models/Bid");
+const Offer = require("../models/Offer");
+const OwnershipTransfer = require("../models/OwnershipTransfer");
+const Payout = require("../models/Payout");
+const emailService = require("./emailService");
+const sessionService = require("./sessionService");
+const { addUserCleanupJob } = require("../jobs/cleanupJobs");
+const { deleteCloudinaryImage } = require("../middleware/upload");
+const { generateOTP, hashToken } = require("../utils/helpers");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+// How long the code sent to a new email address is valid
+const EMAIL_CHANGE_TTL_MS = 10 * 60 * 1000;
+
+// Auction states in which the seller, bidders or winner still have to act
+const LIVE_AUCTION_STATUSES = ["open", "closing", "awaiting_payment"];
+
+class UserService {
+  // Public profile of a collector: their profile and, unless hidden, the
+  // artworks they collected
+  async getPublicProfile(userId, viewerId, query = {}) {
+    try {
+      const user = await User.findOne({
+        _id: userId,
+        isVerified: true,
+        role: { $ne: "admin" },
+      })
+        .select(
+          "username role profile privacy engagementStats isOnline lastSeen createdAt"
+        )
+        .lean();
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      const isSelf = viewerId === userId;
+      const collectionHidden = !isSelf && !!user.privacy?.hideCollection;
+
+      return {
+        user: {
+          id: user._id,
+          username: user.username,
+          role: user.role,
+          profile: user.profile,
+          memberSince: user.createdAt,
+          following: user.engagementStats?.totalFollowing || 0,
+          ...(isSelf
+            ? { isOnline: user.isOnline, lastSeen: user.lastSeen }
+            : User.getVisiblePresence(user)),
+        },
+        collectionHidden,
+        collection: collectionHidden
+          ? null
+          : await this.getCollection(userId, query),
+      };
+    } catch (error) {
+      logger.error(`Error getting public profile: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Approved artworks the user owns but did not create
+  async getCollection(userId, query = {}) {
+    let { page = 1, limit = 12 } = query;
+    page = parseInt(page);
+    limit = parseInt(limit);
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      currentOwner: userId,
+      artist: { $ne: userId },
+      status: "approved",
+    };
+
+    const [artworks, total] = await Promise.all([
+      Artwork.find(filter)
+        .select("title images medium tags engagementStats artist createdAt")
+        .populate("artist", "username profile")
+        .sort({ lastSaleDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Artwork.countDocuments(filter),
+    ]);
+
+    return {
+      artworks,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + limit < total,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  // Account settings of the current user
+  async getSettings(userId) {
+    try {
+      const user = await User.findById(userId)
+        .select(
+          "email username profile notificationPreferences savedSearchAlerts privacy +emailChange.email +emailChange.expiresAt"
+        )
+        .lean();
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      const emailChangePending =
+        user.emailChange?.expiresAt && user.emailChange.expiresAt > new Date();
+
+      return {
+        email: user.email,
+        pendingEmail: emailChangePending ? user.emailChange.email : null,
+        profile: user.profile,
+        notificationPreferences: user.notificationPreferences,
+        savedSearchFrequency: user.savedSearchAlerts?.frequency || "instant",
+        privacy: user.privacy,
+      };
+    } catch (error) {
+      logger.error(`Error getting user settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Turn optional emails on or off and set the saved search alert frequency
+  async updateNotificationPreferences(userId, data) {
+    try {
+      const update = {};
+      Object.entries(data.email || {}).forEach(([type, enabled]) => {
+        update[`notificationPreferences.email.${type}`] = enabled;
+      });
+      if (data.savedSearchFrequency) {
+        update["savedSearchAlerts.frequency"] = data.savedSearchFrequency;
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: update },
+        { new: true, runValidators: true }
+      ).select("notificationPreferences savedSearchAlerts");
+
+      return {
+        notificationPreferences: user.notificationPreferences,
+        savedSearchFrequency: user.savedSearchAlerts.frequency,
+      };
+    } catch (error) {
+      logger.error(`Error updating notification settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Hide the collection or online status from other users
+  async updatePrivacy(userId, data) {
+    try {
+      const update = {};
+      ["hideCollection", "hideOnlineStatus"].forEach((field) => {
+        if (data[field] !== undefined) {
+          update[`privacy.${field}`] = data[field];
+        }
+      });
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: update },
+        { new: true }
+      ).select("privacy");
+
+      return user.privacy;
+    } catch (error) {
+      logger.error(`Error updating privacy settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Start an email change: the new address gets a code that confirms it
+  async requestEmailChange(userId, newEmail, password) {
+    try {
+      const user = await User.findById(userId).select("+password");
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      if (!(await user.comparePassword(password))) {
+        throw new AppError("Your password is incorrect", 401);
+      }
+
+      const email = newEmail.toLowerCase();
+      if (email === user.email) {
+        throw new AppError("This is already your email address", 400);
+      }
+
+      if (await User.exists({ email })) {
+        throw new AppError("This email address is already in use", 409);
+      }
+
+      const otp = generateOTP();
+      await User.updateOne(
+        { _id: userId },
+        {
+          emailChange: {
+            email,
+            otpHash: hashToken(otp),
+            expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL_MS),
+          },
+        }
+      );
+
+      await emailService.sendEmailChangeVerification(email, user.username, otp);
+
+      return {
+        message: `A confirmation code was sent to ${email}`,
+        pendingEmail: email,
+      };
+    } catch (error) {
+      logger.error(`Error requesting email change: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Finish an email change with the code; other devices are signed out
+  async confirmEmailChange(userId, otp, currentSessionId) {
+    try {
+      const user = await User.findOne({
+        _id: userId,
+        "emailChange.otpHash": hashToken(otp),
+        "emailChange.expiresAt": { $gt: new Date() },
+      }).select("email username +emailChange.email");
+
+      if (!user) {
+        throw new AppError("Invalid or expired code", 400);
+      }
+
+      const previousEmail = user.email;
+      const email = user.emailChange.email;
+
+      await User.updateOne(
+        { _id: userId },
+        { $set: { email }, $unset: { emailChange: 1 } }
+      );
+
+      await sessionService.revokeAllSessions(
+        userId,
+        "email_change",
+        currentSessionId
+      );
+
+      try {
+        await emailService.sendEmailChangedNotice(
+          previousEmail,
+          user.username,
+          email
+        );
+      } catch (emailError) {
+        logger.error(
+          `Failed to send email change notice: ${emailError.message}`
+        );
+      }
+
+      logger.info(`User ${userId} changed their email address`);
+
+      return { email };
+    } catch (error) {
+      if (error.code === 11000) {
+        error = new AppError("This email address is already in use", 409);
+      }
+      logger.error(`Error confirming email change: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Replace the profile picture
+  async updateAvatar(userId, avatar) {
+    try {
+      const previous = await User.findByIdAndUpdate(userId, {
+        "profile.avatar": avatar,
+      }).select("profile.avatar");
+
+      if (previous?.profile?.avatar) {
+        await deleteCloudinaryImage(previous.profile.avatar, "avatars");
+      }
+
+      return avatar;
+    } catch (error) {
+      logger.error(`Error updating avatar: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Remove the profile picture
+  async removeAvatar(userId) {
+    try {
+      const previous = await User.findByIdAndUpdate(userId, {
+        $unset: { "profile.avatar": 1 },
+      }).select("profile.avatar");
+
+      if (!previous?.profile?.avatar) {
+        throw new AppError("You have no profile picture", 404);
+      }
+
+      await deleteCloudinaryImage(previous.profile.avatar, "avatars");
+    } catch (error) {
+      logger.error(`Error removing avatar: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Why the user cannot leave yet, or null. An account with a sale, auction,
+  // offer, transfer or payout still in progress cannot be deleted, or the
+  // other party would be left waiting on a user that no longer exists.
+  async getOpenObligation(userId) {
+    const asParty = [{ buyer: userId }, { seller: userId }];
+
+    if (await Transaction.exists({ status: "pending", $or: asParty })) {
+      return "You have a checkout in progress";
+    }
+
+    if (
+      await Artwork.exists({
+        "auction.status": { $in: LIVE_AUCTION_STATUSES },
+        $or: [
+          { currentOwner: userId },
+          { "auction.currentBidder": userId },
+          { "auction.winner": userId },
+        ],
+      })
+    ) {
+      return "You have an auction in progress";
+    }
+
+    const biddedArtworks = await Bid.distinct("artwork", { bidder: userId });
+    if (
+      biddedArtworks.length > 0 &&
+      (await Artwork.exists({
+        _id: { $in: biddedArtworks },
+        "auction.status": { $in: LIVE_AUCTION_STATUSES },
+      }))
+    ) {
+      return "You have bids on an auction in progress";
+    }
+
+    if (
+      await Offer.exists({
+        status: { $in: ["pending", "countered", "accepted"] },
+        $or: asParty,
+      })
+    ) {
+      return "You have open offers";
+    }
+
+    if (
+      await OwnershipTransfer.exists({
+        status: { $in: OwnershipTransfer.OPEN_STATUSES },
+        $or: [{ fromUser: userId }, { toUser: userId }],
+      })
+    ) {
+      return "You have a pending ownership transfer";
+    }
+
+    if (
+      await Payout.exists({
+        seller: userId,
+        status: { $in: ["pending", "held", "failed"] },
+      })
+    ) {
+      return "You have payouts that have not been paid yet";
+    }
+
+    return null;
+  }
+
+  // Delete the user's own account. The account is removed and signed out
+  // straight away; related data is cleaned up by the cleanup-user job.
+  async deleteAccount(userId, password) {
+    try {
+      const user = await User.findById(userId).select("+password");
+
+      if (!user) {
+        throw new AppError("User not found", 404);
+      }
+
+      if (!(await user.comparePassword(password))) {
+        throw new AppError("Your password is incorrect", 401);
+      }
+
+      if (user.role === "admin") {
+        throw new AppError("Admin accounts cannot be deleted this way", 403);
+      }
+
+      const obligation = await this.getOpenObligation(userId);
+      if (obligation) {
+        throw new AppError(
+          `${obligation}. Please finish it before deleting your account`,
+          409
+        );
+      }
+
+      await sessionService.revokeAllSessions(userId, "account_deleted");
+      await User.deleteOne({ _id: userId });
+
+      if (user.profile?.avatar) {
+        await deleteCloudinaryImage(user.profile.avatar, "avatars");
+      }
+
+      await addUserCleanupJob(userId, user.role);
+
+      logger.info(`User ${userId} deleted their account`);
+    } catch (error) {
+      logger.error(`Error deleting account: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,207 @@
+const WebhookEvent = require("../models/WebhookEvent");
+const Transaction = require("../models/Transaction");
+const paymentService = require("./paymentService");
+const payoutService = require("./payoutService");
+const refundService = require("./refundService");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+// An event stuck in "processing" this long is assumed to have crashed mid-way
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+class WebhookService {
+  // Persist a delivery. Returns null when the event was already received.
+  async recordEvent(event) {
+    try {
+      return await WebhookEvent.create({
+        eventId: event.id,
+        type: event.type,
+        payload: event,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        await WebhookEvent.updateOne(
+          { eventId: event.id },
+          { $inc: { duplicateDeliveries: 1 } }
+        );
+        logger.info(`Duplicate webhook delivery ignored: ${event.id}`);
+        return null;
+      }
+      logger.error(`Error recording webhook event: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Route a Stripe event to the service handling it
+  async dispatchEvent(event) {
+    switch (event.type) {
+      case "payment_intent.succeeded":
+        await paymentService.handlePaymentSuccess(event.data.object);
+        break;
+      case "payment_intent.payment_failed":
+        logger.warn(`Payment failed: ${event.data.object.id}`);
+        // Update transaction status to failed
+        await Transaction.updateOne(
+          { paymentIntent: event.data.object.id },
+          { status: "failed" }
+        );
+        break;
+      case "account.updated":
+        await payoutService.syncAccount(event.data.object);
+        break;
+      case "transfer.reversed":
+        await payoutService.handleTransferReversed(event.data.object);
+        break;
+      case "charge.refunded":
+        await refundService.handleChargeRefunded(event.data.object);
+        break;
+      case "charge.dispute.created":
+        await refundService.handleDisputeCreated(event.data.object);
+        break;
+      case "charge.dispute.closed":
+        await refundService.handleDisputeClosed(event.data.object);
+        break;
+      default:
+        logger.info(`Unhandled webhook event: ${event.type}`);
+    }
+  }
+
+  // Process a stored event once. Concurrent deliveries and retries race on
+  // the status claim, so only one of them runs the handlers.
+  async processEvent(eventId) {
+    const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+
+    const webhookEvent = await WebhookEvent.findOneAndUpdate(
+      {
+        eventId,
+        $or: [
+          { status: { $in: ["received", "failed"] } },
+          { status: "processing", updatedAt: { $lt: staleBefore } },
+        ],
+      },
+      { status: "processing", $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!webhookEvent) {
+      return {
+        processed: false,
+        reason: "Event already processed or in progress",
+      };
+    }
+
+    try {
+      await this.dispatchEvent(webhookEvent.payload);
+
+      webhookEvent.status = "processed";
+      webhookEvent.processedAt = new Date();
+      webhookEvent.lastError = undefined;
+      await webhookEvent.save();
+
+      return { processed: true, eventId, type: webhookEvent.type };
+    } catch (error) {
+      webhookEvent.status = "failed";
+      webhookEvent.lastError = error.message;
+      await webhookEvent.save();
+
+      logger.error(
+        `Webhook event ${eventId} (${webhookEvent.type}) failed on attempt ${webhookEvent.attempts}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  // Events never picked up or left in "processing" by a crash
+  async findStaleEvents() {
+    const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+
+    return await WebhookEvent.find({
+      status: { $in: ["received", "processing"] },
+      updatedAt: { $lt: staleBefore },
+    })
+      .select("eventId")
+      .limit(100)
+      .lean();
+  }
+
+  // Webhook event log (admin)
+  async getEvents(query = {}) {
+    try {
+      const page = parseInt(query.page) || 1;
+      const limit = parseInt(query.limit) || 20;
+      const { status, type } = query;
+
+      const filter = {};
+      if (status) {
+        filter.status = status;
+      }
+      if (type) {
+        filter.type = type;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [events, total] = await Promise.all([
+        WebhookEvent.find(filter)
+          .select("-payload")
+          .populate("replayedBy", "username")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        WebhookEvent.countDocuments(filter),
+      ]);
+
+      return {
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting webhook events: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Run a failed event again (admin)
+  async replayEvent(id, adminId) {
+    try {
+      const webhookEvent = await WebhookEvent.findById(id);
+
+      if (!webhookEvent) {
+        throw new AppError("Webhook event not found", 404);
+      }
+
+      if (webhookEvent.status !== "failed") {
+        throw new AppError("Only failed webhook events can be replayed", 400);
+      }
+
+      webhookEvent.replayedBy = adminId;
+      webhookEvent.replayedAt = new Date();
+      await webhookEvent.save();
+
+      logger.info(
+        `Webhook event ${webhookEvent.eventId} replayed by admin ${adminId}`
+      );
+
+      try {
+        await this.processEvent(webhookEvent.eventId);
+      } catch (error) {
+        // The failure is recorded on the event and returned to the admin
+      }
+
+      return await WebhookEvent.findById(id).select("-payload");
+    } catch (error) {
+      logger.error(`Error replaying webhook event: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WebhookService();
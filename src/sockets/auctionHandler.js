@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const logger = require("../utils/logger");
+
+class AuctionHandler {
+  getAuctionRoom(artworkId) {
+    return `auction_${artworkId}`;
+  }
+
+  // Handle user watching an auction for live bids
+  joinAuction(socket, data) {
+    try {
+      const { artworkId } = data || {};
+
+      if (!artworkId || !mongoose.Types.ObjectId.isValid(artworkId)) {
+        socket.emit("error", { message: "Invalid auction data" });
+        return;
+      }
+
+      socket.join(this.getAuctionRoom(artworkId));
+
+      socket.emit("auction_joined", { artworkId });
+
+      logger.debug(`User ${socket.user.id} joined auction ${artworkId}`);
+    } catch (error) {
+      logger.error(`Error joining auction: ${error.message}`);
+      socket.emit("error", { message: "Failed to join auction" });
+    }
+  }
+
+  // Handle user leaving an auction room
+  leaveAuction(socket, data) {
+    try {
+      const { artworkId } = data || {};
+
+      if (!artworkId) {
+        return;
+      }
+
+      socket.leave(this.getAuctionRoom(artworkId));
+
+      logger.debug(`User ${socket.user.id} left auction ${artworkId}`);
+    } catch (error) {
+      logger.error(`Error leaving auction: ${error.message}`);
+    }
+  }
+
+  // Broadcast an auction event to everyone watching it
+  broadcast(artworkId, event, data, io) {
+    try {
+      io.to(this.getAuctionRoom(artworkId)).emit(event, data);
+    } catch (error) {
+      logger.error(
+        `Error broadcasting ${event} for auction ${artworkId}: ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = new AuctionHandler();
@@ -1,10 +1,16 @@
 const logger = require("../utils/logger");
+const { setIO } = require("../config/socket");
 const { verifyToken } = require("../utils/helpers");
 const User = require("../models/User");
+const sessionService = require("../services/sessionService");
 const chatHandler = require("./chatHandler");
 const onlineHandler = require("./onlineHandler");
+const auctionHandler = require("./auctionHandler");
 
 module.exports = (io) => {
+  // Make the server instance available to services outside socket handlers
+  setIO(io);
+
   // Authentication middleware for Socket.io
   io.use(async (socket, next) => {
     try {
@@ -24,6 +30,12 @@ module.exports = (io) => {
         return next(new Error("Authentication error: Invalid token"));
       }
 
+      // Reject tokens whose session was revoked (logout, logout everywhere)
+      if (!(await sessionService.isSessionActive(decoded.sid, decoded.id))) {
+        logger.error("Socket authentication failed: Session ended");
+        return next(new Error("Authentication error: Session ended"));
+      }
+
       // Get user from the database
       const user = await User.findById(decoded.id).select("+password");
       if (!user) {
@@ -34,12 +46,22 @@ module.exports = (io) => {
         return next(new Error("Authentication error: User not verified"));
       }
 
+      // Suspended or banned by an admin
+      const restriction = user.getAccessRestriction();
+      if (restriction) {
+        logger.error(
+          `Socket authentication failed: ${restriction} (${user._id})`
+        );
+        return next(new Error(`Authentication error: ${restriction}`));
+      }
+
       // Attach user to socket
       socket.user = {
         id: user._id.toString(),
         username: user.username,
         role: user.role,
         email: user.email,
+        sessionId: decoded.sid,
       };
 
       next();
@@ -73,6 +95,15 @@ module.exports = (io) => {
       chatHandler.leaveConversation(socket, data);
     });
 
+    // Handle users watching live auctions
+    socket.on("join_auction", (data) => {
+      auctionHandler.joinAuction(socket, data);
+    });
+
+    socket.on("leave_auction", (data) => {
+      auctionHandler.leaveAuction(socket, data);
+    });
+
     // Handle typing indicators
     socket.on("typing_start", (data) => {
       chatHandler.handleTypingStart(socket, io, data);
@@ -102,8 +102,8 @@ class OnlineHandler {
   async broadcastUserStatus(userId, isOnline, io) {
     try {
       // Get user info
-      const user = await User.findById(userId).select("username role");
-      if (!user) return;
+      const user = await User.findById(userId).select("username role privacy");
+      if (!user || user.privacy?.hideOnlineStatus) return;
 
       // Find users who have conversations with this user
       const Message = require("../models/Message");
@@ -279,6 +279,7 @@ class OnlineHandler {
           reason,
           timestamp: new Date(),
         });
+        io.in(userRoom).disconnectSockets(true);
 
         // Remove from tracking
         this.onlineUsers.delete(userId);
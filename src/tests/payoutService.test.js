@@ -0,0 +1,213 @@
+jest.mock("../config/stripe", () => ({
+  stripe: {
+    accounts: { create: jest.fn() },
+    accountLinks: { create: jest.fn() },
+    transfers: { create: jest.fn() },
+  },
+  paymentConfig: {
+    connectRefreshUrl: "https://app.test/payouts?onboarding=refresh",
+    connectReturnUrl: "https://app.test/payouts?onboarding=complete",
+  },
+}));
+jest.mock("../models/User", () => ({ findById: jest.fn() }));
+jest.mock("../models/Payout", () => ({ findById: jest.fn(), find: jest.fn() }));
+jest.mock("../jobs/paymentJobs", () => ({ addSellerPayoutJob: jest.fn() }));
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { stripe } = require("../config/stripe");
+const User = require("../models/User");
+const Payout = require("../models/Payout");
+const { addSellerPayoutJob } = require("../jobs/paymentJobs");
+const payoutService = require("../services/payoutService");
+
+// Resolve `Model.findById(id).select(...)` to the given document
+const mockFindByIdSelect = (model, document) => {
+  model.findById.mockReturnValue({
+    select: jest.fn().mockResolvedValue(document),
+  });
+};
+
+const buildPayout = (overrides = {}) => ({
+  _id: "payout-1",
+  seller: "seller-1",
+  transaction: "transaction-1",
+  artwork: "artwork-1",
+  amount: 9000,
+  currency: "eur",
+  status: "pending",
+  attempts: 0,
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+const connectedSeller = {
+  _id: "seller-1",
+  stripeConnect: { accountId: "acct_123", payoutsEnabled: true },
+};
+
+describe("payoutService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("createOnboardingLink", () => {
+    test("creates a connected account and returns its onboarding link", async () => {
+      const user = {
+        _id: "seller-1",
+        email: "artist@example.com",
+        role: "artist",
+        save: jest.fn().mockResolvedValue(),
+      };
+      mockFindByIdSelect(User, user);
+      stripe.accounts.create.mockResolvedValue({ id: "acct_new" });
+      stripe.accountLinks.create.mockResolvedValue({
+        url: "https://connect.stripe.test/setup",
+        expires_at: 1700000000,
+      });
+
+      const link = await payoutService.createOnboardingLink("seller-1");
+
+      expect(stripe.accounts.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "express",
+          email: "artist@example.com",
+          metadata: { userId: "seller-1" },
+        })
+      );
+      expect(user.stripeConnect).toMatchObject({
+        accountId: "acct_new",
+        status: "pending",
+      });
+      expect(user.save).toHaveBeenCalled();
+      expect(stripe.accountLinks.create).toHaveBeenCalledWith({
+        account: "acct_new",
+        refresh_url: "https://app.test/payouts?onboarding=refresh",
+        return_url: "https://app.test/payouts?onboarding=complete",
+        type: "account_onboarding",
+      });
+      expect(link).toEqual({
+        url: "https://connect.stripe.test/setup",
+        expiresAt: new Date(1700000000 * 1000),
+      });
+    });
+
+    test("resumes onboarding of an existing account", async () => {
+      const user = {
+        _id: "seller-1",
+        role: "artist",
+        stripeConnect: { accountId: "acct_123" },
+        save: jest.fn(),
+      };
+      mockFindByIdSelect(User, user);
+      stripe.accountLinks.create.mockResolvedValue({
+        url: "https://connect.stripe.test/resume",
+        expires_at: 1700000000,
+      });
+
+      const link = await payoutService.createOnboardingLink("seller-1");
+
+      expect(stripe.accounts.create).not.toHaveBeenCalled();
+      expect(user.save).not.toHaveBeenCalled();
+      expect(stripe.accountLinks.create).toHaveBeenCalledWith(
+        expect.objectContaining({ account: "acct_123" })
+      );
+      expect(link.url).toBe("https://connect.stripe.test/resume");
+    });
+
+    test("refuses users who cannot sell", async () => {
+      mockFindByIdSelect(User, { _id: "admin-1", role: "admin" });
+
+      await expect(
+        payoutService.createOnboardingLink("admin-1")
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(stripe.accounts.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("held payouts", () => {
+    test("are released and then settled with a transfer", async () => {
+      const payout = buildPayout({ status: "held" });
+      Payout.find.mockResolvedValue([payout]);
+
+      const released = await payoutService.releasePayouts(["transaction-1"]);
+
+      expect(released).toBe(1);
+      expect(payout.status).toBe("pending");
+      expect(addSellerPayoutJob).toHaveBeenCalledWith("payout-1");
+
+      Payout.findById.mockResolvedValue(payout);
+      mockFindByIdSelect(User, connectedSeller);
+      stripe.transfers.create.mockResolvedValue({ id: "tr_123" });
+
+      const result = await payoutService.processPayout("payout-1");
+
+      expect(stripe.transfers.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amount: 9000,
+          currency: "eur",
+          destination: "acct_123",
+        }),
+        { idempotencyKey: "payout_payout-1" }
+      );
+      expect(result).toEqual({ transferred: true, transferId: "tr_123" });
+      expect(payout).toMatchObject({
+        status: "settled",
+        stripeTransferId: "tr_123",
+        attempts: 1,
+      });
+      expect(payout.settledAt).toBeInstanceOf(Date);
+    });
+
+    test("are not transferred while still held", async () => {
+      Payout.findById.mockResolvedValue(buildPayout({ status: "held" }));
+
+      const result = await payoutService.processPayout("payout-1");
+
+      expect(result.transferred).toBe(false);
+      expect(stripe.transfers.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("failed transfers", () => {
+    test("leave the payout failed and retryable", async () => {
+      const payout = buildPayout();
+      Payout.findById.mockResolvedValue(payout);
+      mockFindByIdSelect(User, connectedSeller);
+      stripe.transfers.create.mockRejectedValueOnce(
+        new Error("Insufficient platform balance")
+      );
+
+      await expect(payoutService.processPayout("payout-1")).rejects.toThrow(
+        "Insufficient platform balance"
+      );
+
+      expect(payout).toMatchObject({
+        status: "failed",
+        failureReason: "Insufficient platform balance",
+        attempts: 1,
+      });
+      expect(payout.stripeTransferId).toBeUndefined();
+      expect(payout.save).toHaveBeenCalled();
+
+      // The retry goes through with the same idempotency key
+      stripe.transfers.create.mockResolvedValueOnce({ id: "tr_retry" });
+
+      const result = await payoutService.processPayout("payout-1");
+
+      expect(result).toEqual({ transferred: true, transferId: "tr_retry" });
+      expect(stripe.transfers.create).toHaveBeenCalledTimes(2);
+      expect(stripe.transfers.create.mock.calls[1][1]).toEqual({
+        idempotencyKey: "payout_payout-1",
+      });
+      expect(payout).toMatchObject({
+        status: "settled",
+        attempts: 2,
+        failureReason: undefined,
+      });
+    });
+  });
+});
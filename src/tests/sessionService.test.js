@@ -0,0 +1,171 @@
+jest.mock("../models/Session", () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../models/User", () => ({ findById: jest.fn() }));
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { generateRefreshToken, hashToken } = require("../utils/helpers");
+const sessionService = require("../services/sessionService");
+
+const userId = new mongoose.Types.ObjectId();
+
+// Keep a single stored session that the Session model mock reads and writes,
+// with the same matching rules as the real queries
+const mockSessionStore = (stored) => {
+  const matches = (filter) =>
+    filter._id.toString() === stored._id.toString() &&
+    (filter.user === undefined ||
+      filter.user.toString() === stored.user.toString()) &&
+    (filter.refreshTokenHash === undefined ||
+      filter.refreshTokenHash === stored.refreshTokenHash) &&
+    (filter.revokedAt !== null || stored.revokedAt === null);
+
+  Session.create.mockImplementation(async (document) =>
+    Object.assign(stored, document, { revokedAt: null })
+  );
+  Session.findOne.mockImplementation(async (filter) =>
+    matches(filter)
+      ? {
+          ...stored,
+          isActive: () =>
+            stored.revokedAt === null && stored.expiresAt > new Date(),
+        }
+      : null
+  );
+  Session.findOneAndUpdate.mockImplementation(async (filter, update) =>
+    matches(filter) ? Object.assign(stored, update) : null
+  );
+  Session.updateOne.mockImplementation(async (filter, update) => {
+    if (!matches(filter)) {
+      return { modifiedCount: 0 };
+    }
+    Object.assign(stored, update);
+    return { modifiedCount: 1 };
+  });
+
+  return stored;
+};
+
+const mockUser = (user) => {
+  User.findById.mockReturnValue({
+    select: jest.fn().mockResolvedValue(user),
+  });
+};
+
+describe("sessionService", () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = mockSessionStore({});
+    mockUser({ _id: userId, isVerified: true });
+  });
+
+  describe("createSession", () => {
+    test("stores only the hash of the refresh token", async () => {
+      const { refreshToken, sessionId } = await sessionService.createSession(
+        userId,
+        { userAgent: "jest" }
+      );
+
+      expect(stored._id).toEqual(sessionId);
+      expect(stored.refreshTokenHash).toBe(hashToken(refreshToken));
+      expect(stored.refreshTokenHash).not.toBe(refreshToken);
+    });
+  });
+
+  describe("rotateRefreshToken", () => {
+    test("issues a new token pair and replaces the stored hash", async () => {
+      const { refreshToken } = await sessionService.createSession(userId);
+
+      const rotated = await sessionService.rotateRefreshToken(refreshToken, {
+        ipAddress: "127.0.0.1",
+      });
+
+      expect(rotated.token).toEqual(expect.any(String));
+      expect(rotated.refreshToken).not.toBe(refreshToken);
+      expect(rotated.sessionId).toEqual(stored._id);
+      expect(stored.refreshTokenHash).toBe(hashToken(rotated.refreshToken));
+      expect(stored.ipAddress).toBe("127.0.0.1");
+      expect(stored.revokedAt).toBeNull();
+    });
+
+    test("lets the latest token be rotated again", async () => {
+      const { refreshToken } = await sessionService.createSession(userId);
+      const first = await sessionService.rotateRefreshToken(refreshToken);
+
+      const second = await sessionService.rotateRefreshToken(
+        first.refreshToken
+      );
+
+      expect(stored.refreshTokenHash).toBe(hashToken(second.refreshToken));
+    });
+
+    test("revokes the session when a rotated token is replayed", async () => {
+      const { refreshToken } = await sessionService.createSession(userId);
+      const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+      await expect(
+        sessionService.rotateRefreshToken(refreshToken)
+      ).rejects.toMatchObject({
+        statusCode: 401,
+        message: "Refresh token has already been used, Please log in again",
+      });
+
+      expect(stored.revokedAt).toEqual(expect.any(Date));
+      expect(stored.revokedReason).toBe("reuse_detected");
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining("reuse detected")
+      );
+
+      // The legitimate holder's token dies with the session
+      await expect(
+        sessionService.rotateRefreshToken(rotated.refreshToken)
+      ).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test("rejects tokens that do not verify", async () => {
+      await expect(
+        sessionService.rotateRefreshToken("not-a-token")
+      ).rejects.toMatchObject({
+        statusCode: 401,
+        message: "Invalid refresh token, Please log in again",
+      });
+
+      expect(Session.findOne).not.toHaveBeenCalled();
+    });
+
+    test("rejects tokens without a session", async () => {
+      const refreshToken = generateRefreshToken({ id: userId.toString() });
+
+      await expect(
+        sessionService.rotateRefreshToken(refreshToken)
+      ).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test("rejects tokens of an ended session", async () => {
+      const { refreshToken } = await sessionService.createSession(userId);
+      stored.expiresAt = new Date(Date.now() - 1000);
+
+      await expect(
+        sessionService.rotateRefreshToken(refreshToken)
+      ).rejects.toMatchObject({
+        statusCode: 401,
+        message: "Your session has ended, Please log in again",
+      });
+
+      expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
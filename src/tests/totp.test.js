@@ -0,0 +1,133 @@
+const {
+  base32Encode,
+  generateHOTP,
+  generateTOTP,
+  getTimeStep,
+  verifyTOTP,
+} = require("../utils/totp");
+
+// Shared secret of the RFC 6238 SHA-1 test vectors
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890", "ascii"));
+
+// RFC 6238 appendix B, SHA-1 (time in seconds, 8 digit code)
+const RFC_VECTORS = [
+  [59, "94287082"],
+  [1111111109, "07081804"],
+  [1111111111, "14050471"],
+  [1234567890, "89005924"],
+  [2000000000, "69279037"],
+  [20000000000, "65353130"],
+];
+
+// 1234567890 is the first second of time step 41152263
+const STEP_START = 1234567890 * 1000;
+const STEP = getTimeStep(STEP_START);
+
+describe("totp", () => {
+  describe("RFC 6238 test vectors", () => {
+    test.each(RFC_VECTORS)("generates the code at %is", (seconds, code) => {
+      expect(
+        generateTOTP(RFC_SECRET, { timestamp: seconds * 1000, digits: 8 })
+      ).toBe(code);
+    });
+
+    test.each(RFC_VECTORS)("verifies the code at %is", (seconds, code) => {
+      const timestamp = seconds * 1000;
+
+      expect(verifyTOTP(RFC_SECRET, code, { timestamp, digits: 8 })).toBe(
+        getTimeStep(timestamp)
+      );
+    });
+
+    test.each(RFC_VECTORS)(
+      "verifies the 6 digit code at %is",
+      (seconds, code) => {
+        const timestamp = seconds * 1000;
+
+        expect(verifyTOTP(RFC_SECRET, code.slice(-6), { timestamp })).toBe(
+          getTimeStep(timestamp)
+        );
+      }
+    );
+  });
+
+  describe("verifyTOTP window", () => {
+    const codeAt = (step) => generateHOTP(RFC_SECRET, step);
+
+    test("accepts the code of the current step", () => {
+      expect(
+        verifyTOTP(RFC_SECRET, codeAt(STEP), { timestamp: STEP_START })
+      ).toBe(STEP);
+    });
+
+    test("accepts codes one step either side by default", () => {
+      expect(
+        verifyTOTP(RFC_SECRET, codeAt(STEP - 1), { timestamp: STEP_START })
+      ).toBe(STEP - 1);
+      expect(
+        verifyTOTP(RFC_SECRET, codeAt(STEP + 1), { timestamp: STEP_START })
+      ).toBe(STEP + 1);
+    });
+
+    test("rejects codes outside the window", () => {
+      expect(
+        verifyTOTP(RFC_SECRET, codeAt(STEP - 2), { timestamp: STEP_START })
+      ).toBeNull();
+      expect(
+        verifyTOTP(RFC_SECRET, codeAt(STEP + 2), { timestamp: STEP_START })
+      ).toBeNull();
+    });
+
+    test("only accepts the current step with a zero window", () => {
+      const options = { timestamp: STEP_START, window: 0 };
+
+      expect(verifyTOTP(RFC_SECRET, codeAt(STEP), options)).toBe(STEP);
+      expect(verifyTOTP(RFC_SECRET, codeAt(STEP - 1), options)).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, codeAt(STEP + 1), options)).toBeNull();
+    });
+
+    test("widens with a larger window", () => {
+      const options = { timestamp: STEP_START, window: 2 };
+
+      expect(verifyTOTP(RFC_SECRET, codeAt(STEP - 2), options)).toBe(
+        STEP - 2
+      );
+      expect(verifyTOTP(RFC_SECRET, codeAt(STEP + 3), options)).toBeNull();
+    });
+
+    test("moves the window at the step boundary", () => {
+      const lastMsOfPreviousStep = STEP_START - 1;
+      const options = { timestamp: lastMsOfPreviousStep, window: 0 };
+
+      expect(getTimeStep(lastMsOfPreviousStep)).toBe(STEP - 1);
+      expect(verifyTOTP(RFC_SECRET, codeAt(STEP - 1), options)).toBe(
+        STEP - 1
+      );
+      expect(verifyTOTP(RFC_SECRET, codeAt(STEP), options)).toBeNull();
+
+      // With the default window the next step is still one step away
+      expect(
+        verifyTOTP(RFC_SECRET, codeAt(STEP + 1), {
+          timestamp: lastMsOfPreviousStep,
+        })
+      ).toBeNull();
+    });
+  });
+
+  describe("verifyTOTP input", () => {
+    const options = { timestamp: STEP_START };
+
+    test("rejects codes of the wrong length", () => {
+      const code = generateHOTP(RFC_SECRET, STEP);
+
+      expect(verifyTOTP(RFC_SECRET, code.slice(1), options)).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, `${code}0`, options)).toBeNull();
+    });
+
+    test("rejects non-numeric and non-string codes", () => {
+      expect(verifyTOTP(RFC_SECRET, "12a456", options)).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, 123456, options)).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, undefined, options)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,289 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const TraceabilityRecord = require("../models/TraceabilityRecord");
+const traceabilityService = require("../services/traceabilityService");
+
+const { ObjectId } = mongoose.Types;
+
+const artworkId = new ObjectId();
+const artist = new ObjectId();
+const collector = new ObjectId();
+const secondCollector = new ObjectId();
+
+// Resolve the "last record of the chain" lookup in appendRecord
+const mockLastRecord = (record) => {
+  TraceabilityRecord.findOne.mockReturnValue({
+    sort: () => ({
+      select: () => ({
+        session: () => ({ lean: async () => record }),
+      }),
+    }),
+  });
+};
+
+// Append records the way the services do and return them as stored
+const buildChain = async () => {
+  const entries = [
+    {
+      fromUserId: artist,
+      toUserId: artist,
+      transactionType: "created",
+      timestamp: new Date("2024-01-01T10:00:00Z"),
+    },
+    {
+      fromUserId: artist,
+      toUserId: collector,
+      transactionType: "sold",
+      timestamp: new Date("2024-02-01T10:00:00Z"),
+      additionalData: { price: 1200, isResale: false },
+    },
+    {
+      fromUserId: collector,
+      toUserId: secondCollector,
+      transactionType: "transferred",
+      timestamp: new Date("2024-03-01T10:00:00Z"),
+      additionalData: { price: 0, transferType: "gift", notes: "Birthday" },
+    },
+  ];
+
+  const records = [];
+  for (const entry of entries) {
+    mockLastRecord(records[records.length - 1] || null);
+    const record = await TraceabilityRecord.appendRecord({
+      artworkId,
+      ...entry,
+    });
+    records.push(record.toObject());
+  }
+
+  return records;
+};
+
+const ownedBy = (owner) => ({ currentOwner: owner });
+
+describe("traceability chain", () => {
+  beforeEach(() => {
+    jest.spyOn(TraceabilityRecord, "findOne");
+    jest
+      .spyOn(TraceabilityRecord.prototype, "save")
+      .mockImplementation(async function () {
+        return this;
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("computeRecordHash", () => {
+    const record = {
+      artworkId,
+      sequence: 1,
+      fromUserId: artist,
+      toUserId: collector,
+      transactionType: "sold",
+      timestamp: new Date("2024-02-01T10:00:00Z"),
+      transactionHash: "tr-1",
+      additionalData: { price: 1200, isResale: false },
+      previousHash: "abc",
+    };
+
+    test("does not depend on key order", () => {
+      const reordered = {
+        previousHash: "abc",
+        additionalData: { isResale: false, price: 1200 },
+        transactionHash: "tr-1",
+        timestamp: new Date("2024-02-01T10:00:00Z"),
+        transactionType: "sold",
+        toUserId: collector,
+        fromUserId: artist,
+        sequence: 1,
+        artworkId,
+      };
+
+      expect(TraceabilityRecord.computeRecordHash(reordered)).toBe(
+        TraceabilityRecord.computeRecordHash(record)
+      );
+    });
+
+    test("treats ids and dates the same as their string forms", () => {
+      const asStrings = {
+        ...record,
+        artworkId: artworkId.toString(),
+        fromUserId: artist.toString(),
+        toUserId: collector.toString(),
+        timestamp: "2024-02-01T10:00:00.000Z",
+      };
+
+      expect(TraceabilityRecord.computeRecordHash(asStrings)).toBe(
+        TraceabilityRecord.computeRecordHash(record)
+      );
+    });
+
+    test("ignores empty values, so a database round trip keeps the hash", () => {
+      const withEmptyValues = {
+        ...record,
+        editionUnit: null,
+        additionalData: { ...record.additionalData, notes: undefined },
+      };
+
+      expect(TraceabilityRecord.computeRecordHash(withEmptyValues)).toBe(
+        TraceabilityRecord.computeRecordHash(record)
+      );
+    });
+
+    test("changes when any part of the record changes", () => {
+      const hash = TraceabilityRecord.computeRecordHash(record);
+
+      [
+        { sequence: 2 },
+        { toUserId: secondCollector },
+        { previousHash: "abd" },
+        { additionalData: { price: 1201, isResale: false } },
+        { editionUnit: new ObjectId() },
+      ].forEach((change) => {
+        expect(
+          TraceabilityRecord.computeRecordHash({ ...record, ...change })
+        ).not.toBe(hash);
+      });
+    });
+  });
+
+  describe("appendRecord", () => {
+    test("links each record to the one before it", async () => {
+      const records = await buildChain();
+
+      expect(records.map((record) => record.sequence)).toEqual([0, 1, 2]);
+      expect(records[0].previousHash).toBeNull();
+      expect(records[1].previousHash).toBe(records[0].recordHash);
+      expect(records[2].previousHash).toBe(records[1].recordHash);
+    });
+
+    test("hashes the record as stored", async () => {
+      const records = await buildChain();
+
+      records.forEach((record) => {
+        expect(record.recordHash).toBe(
+          TraceabilityRecord.computeRecordHash(record)
+        );
+      });
+    });
+  });
+
+  describe("checkChain", () => {
+    test("accepts an intact chain ending with the current owner", async () => {
+      const records = await buildChain();
+
+      const result = traceabilityService.checkChain(
+        ownedBy(secondCollector),
+        records
+      );
+
+      expect(result).toMatchObject({
+        valid: true,
+        totalRecords: 3,
+        verifiedRecords: 3,
+        headHash: records[2].recordHash,
+        firstInvalidRecord: null,
+      });
+    });
+
+    test("detects edited additionalData", async () => {
+      const records = await buildChain();
+      records[1].additionalData.price = 50;
+
+      const result = traceabilityService.checkChain(
+        ownedBy(secondCollector),
+        records
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.firstInvalidRecord).toMatchObject({
+        sequence: 1,
+        reason: "tampered",
+      });
+    });
+
+    test("detects a broken previousHash link", async () => {
+      const records = await buildChain();
+      records[2].previousHash = "0".repeat(64);
+
+      const result = traceabilityService.checkChain(
+        ownedBy(secondCollector),
+        records
+      );
+
+      expect(result.firstInvalidRecord).toMatchObject({
+        sequence: 2,
+        reason: "broken_link",
+      });
+    });
+
+    test("detects a removed record as a sequence gap", async () => {
+      const records = await buildChain();
+      records.splice(1, 1);
+
+      const result = traceabilityService.checkChain(
+        ownedBy(secondCollector),
+        records
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.verifiedRecords).toBe(1);
+      expect(result.firstInvalidRecord).toMatchObject({
+        sequence: 1,
+        reason: "missing",
+      });
+    });
+
+    test("detects a duplicated chain position", async () => {
+      const records = await buildChain();
+      records.splice(2, 0, { ...records[1] });
+
+      const result = traceabilityService.checkChain(
+        ownedBy(secondCollector),
+        records
+      );
+
+      expect(result.firstInvalidRecord).toMatchObject({
+        sequence: 2,
+        reason: "duplicate",
+      });
+    });
+
+    test("detects records without a hash", async () => {
+      const records = await buildChain();
+      delete records[0].recordHash;
+
+      const result = traceabilityService.checkChain(
+        ownedBy(secondCollector),
+        records
+      );
+
+      expect(result.firstInvalidRecord).toMatchObject({
+        sequence: 0,
+        reason: "unhashed",
+      });
+    });
+
+    test("detects a chain that does not end with the current owner", async () => {
+      const records = await buildChain();
+
+      const result = traceabilityService.checkChain(
+        ownedBy(collector),
+        records
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.firstInvalidRecord).toMatchObject({
+        sequence: 3,
+        reason: "owner_mismatch",
+      });
+    });
+  });
+});
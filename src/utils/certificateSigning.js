@@ -0,0 +1,91 @@
+// Ed25519 signatures for ownership certificates
+const crypto = require("crypto");
+const config = require("../config/config");
+const logger = require("./logger");
+
+const ALGORITHM = "Ed25519";
+
+let signingKey = null;
+
+// Load the platform signing key. Outside production an ephemeral key is
+// generated when none is configured (certificates then only verify until restart).
+const getSigningKey = () => {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  if (config.certificates.signingKey) {
+    // Env files usually carry the PEM with escaped newlines
+    signingKey = crypto.createPrivateKey(
+      config.certificates.signingKey.replace(/\\n/g, "\n")
+    );
+  } else if (config.nodeEnv === "production") {
+    throw new Error("CERTIFICATE_SIGNING_KEY is not configured");
+  } else {
+    logger.warn(
+      "CERTIFICATE_SIGNING_KEY not set, using an ephemeral certificate signing key"
+    );
+    signingKey = crypto.generateKeyPairSync("ed25519").privateKey;
+  }
+
+  if (signingKey.asymmetricKeyType !== "ed25519") {
+    throw new Error("Certificate signing key must be an Ed25519 private key");
+  }
+
+  return signingKey;
+};
+
+// JSON with sorted keys, so the signed bytes do not depend on property order
+const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Sign a payload. Returns a base64 signature
+const signPayload = (payload) => {
+  return crypto
+    .sign(null, Buffer.from(canonicalStringify(payload)), getSigningKey())
+    .toString("base64");
+};
+
+// Check a base64 signature against a payload
+const verifyPayload = (payload, signature) => {
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(canonicalStringify(payload)),
+      crypto.createPublicKey(getSigningKey()),
+      Buffer.from(signature, "base64")
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+// Public half of the signing key, for verifying certificates offline
+const getPublicKey = () => {
+  return {
+    keyId: config.certificates.keyId,
+    algorithm: ALGORITHM,
+    publicKey: crypto
+      .createPublicKey(getSigningKey())
+      .export({ type: "spki", format: "pem" }),
+  };
+};
+
+module.exports = {
+  ALGORITHM,
+  canonicalStringify,
+  signPayload,
+  verifyPayload,
+  getPublicKey,
+};
@@ -1 +1,48 @@
-// Encryption utilities
\ No newline at end of file
+// Encryption utilities (AES-256-GCM for secrets stored in the database)
+const crypto = require("crypto");
+const config = require("../config/config");
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+
+// Derive a 32 byte key from the configured encryption key
+const getKey = () => {
+  return crypto
+    .createHash("sha256")
+    .update(config.security.encryptionKey)
+    .digest();
+};
+
+// Encrypt a string. Output format: iv:authTag:ciphertext (hex)
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+
+  const encrypted = Buffer.concat([
+    cipher.update(plainText, "utf8"),
+    cipher.final(),
+  ]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, encrypted].map((part) => part.toString("hex")).join(":");
+};
+
+// Decrypt a string produced by encrypt()
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
@@ -9,11 +9,15 @@ const generateToken = (payload) => {
   });
 };
 
-// Generate refresh token
+// Generate refresh token (jti makes every rotated token unique)
 const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, config.jwt.refreshSecret, {
-    expiresIn: "60d",
-  });
+  return jwt.sign(
+    { ...payload, jti: crypto.randomBytes(16).toString("hex") },
+    config.jwt.refreshSecret,
+    {
+      expiresIn: config.jwt.refreshExpiresIn,
+    }
+  );
 };
 
 // Verify JWT token
@@ -34,6 +38,30 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Generate short-lived challenge token for the second login step (jti lets
+// failed codes be counted per challenge)
+const generateTwoFactorChallengeToken = (userId) => {
+  return jwt.sign(
+    {
+      id: userId.toString(),
+      purpose: "2fa_challenge",
+      jti: crypto.randomBytes(16).toString("hex"),
+    },
+    config.jwt.secret,
+    { expiresIn: config.twoFactor.challengeExpiresIn }
+  );
+};
+
+// Verify two-factor challenge token
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, config.jwt.secret);
+    return decoded.purpose === "2fa_challenge" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Generate 6 digit OTP
 const generateOTP = () => {
   const otp = Math.floor(100000 + Math.random() * 900000).toString();
@@ -56,12 +84,20 @@ const hashPasswordResetToken = (token) => {
   return crypto.createHash("sha256").update(token).digest("hex");
 };
 
+// Hash a token before storing it in the database
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
 module.exports = {
   generateToken,
   generateRefreshToken,
   verifyToken,
   verifyRefreshToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
   generateOTP,
   generatePasswordResetToken,
   hashPasswordResetToken,
+  hashToken,
 };
@@ -0,0 +1,150 @@
+// Time-based one-time passwords (RFC 6238) for two-factor authentication
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const DEFAULT_OPTIONS = {
+  step: 30, // seconds per code
+  digits: 6,
+  window: 1, // accept one step of clock drift either side
+};
+
+// Encode a buffer as base32 (authenticator apps expect base32 secrets)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode a base32 string into a buffer
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in secret");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (160 bits as recommended by RFC 4226)
+const generateSecret = (size = 20) => {
+  return base32Encode(crypto.randomBytes(size));
+};
+
+// Get the time step counter for a timestamp (milliseconds)
+const getTimeStep = (timestamp = Date.now(), step = DEFAULT_OPTIONS.step) => {
+  return Math.floor(timestamp / 1000 / step);
+};
+
+// Generate the HOTP code for a counter
+const generateHOTP = (secret, counter, digits = DEFAULT_OPTIONS.digits) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return (binary % 10 ** digits).toString().padStart(digits, "0");
+};
+
+// Generate the TOTP code for a timestamp
+const generateTOTP = (secret, options = {}) => {
+  const { timestamp = Date.now(), step, digits } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+
+  return generateHOTP(secret, getTimeStep(timestamp, step), digits);
+};
+
+// Verify a TOTP code. Returns the matching time step, or null if invalid.
+const verifyTOTP = (secret, code, options = {}) => {
+  const { timestamp = Date.now(), step, digits, window } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+
+  if (typeof code !== "string" || !new RegExp(`^\\d{${digits}}$`).test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHOTP(secret, currentStep + offset, digits);
+
+    if (
+      crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))
+    ) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// provisioning URI rendered as a QR code by clients
+const buildOtpAuthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: DEFAULT_OPTIONS.digits.toString(),
+    period: DEFAULT_OPTIONS.step.toString(),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUrl,
+};
@@ -94,6 +94,16 @@ const validateUsersQuery = [
     .isBoolean()
     .withMessage("isVerified must be a boolean value"),
 
+  query("isInspector")
+    .optional()
+    .isBoolean()
+    .withMessage("isInspector must be a boolean value"),
+
+  query("status")
+    .optional()
+    .isIn(["active", "suspended", "banned"])
+    .withMessage("Status must be active, suspended, or banned"),
+
   query("search")
     .optional()
     .trim()
@@ -177,8 +187,8 @@ const validateTransactionsQuery = [
 
   query("type")
     .optional()
-    .isIn(["listing_fee", "sale"])
-    .withMessage("Type must be listing_fee or sale"),
+    .isIn(["listing_fee", "sale", "royalty"])
+    .withMessage("Type must be listing_fee, sale, or royalty"),
 
   query("status")
     .optional()
@@ -193,6 +203,340 @@ const validateTransactionsQuery = [
   handleValidationErrors,
 ];
 
+// Admin query validation for refund requests
+const validateRefundRequestsQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected", "refunded"])
+    .withMessage("Status must be pending, approved, rejected, or refunded"),
+
+  handleValidationErrors,
+];
+
+// Approve / reject refund request validation
+const validateRefundReview = [
+  param("id").isMongoId().withMessage("Invalid refund request id"),
+
+  body("adminNote")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Admin note cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Direct refund validation
+const validateRefundTransaction = [
+  param("id").isMongoId().withMessage("Invalid transaction id"),
+
+  body("reason")
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage("Refund reason must be between 10 and 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Designate / revoke condition report inspector validation
+const validateInspectorUpdate = [
+  param("id").isMongoId().withMessage("Invalid user id"),
+
+  body("isInspector")
+    .isBoolean()
+    .withMessage("isInspector must be a boolean value")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+// User ID validation
+const validateUserId = [
+  param("id").isMongoId().withMessage("Invalid user id"),
+
+  handleValidationErrors,
+];
+
+// Suspend a user until a date within the next year
+const validateUserSuspension = [
+  param("id").isMongoId().withMessage("Invalid user id"),
+
+  body("until")
+    .isISO8601()
+    .withMessage("Until must be a valid date")
+    .toDate()
+    .custom((value) => {
+      const maxDate = new Date();
+      maxDate.setFullYear(maxDate.getFullYear() + 1);
+
+      if (value <= new Date()) {
+        throw new Error("Suspension must end in the future");
+      }
+      if (value > maxDate) {
+        throw new Error("Suspensions cannot last longer than a year");
+      }
+      return true;
+    }),
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Reason is required")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Ban a user
+const validateUserBan = [
+  param("id").isMongoId().withMessage("Invalid user id"),
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Reason is required")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Lift a suspension or ban
+const validateUserReinstatement = [
+  param("id").isMongoId().withMessage("Invalid user id"),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Admin query validation for the audit log
+const validateAuditLogQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("admin").optional().isMongoId().withMessage("Invalid admin id"),
+
+  query("action")
+    .optional()
+    .matches(/^[a-z_]+(\.[a-z_]+)?$/)
+    .withMessage("Action must look like user or user.ban"),
+
+  query("targetType")
+    .optional()
+    .isAlpha()
+    .withMessage("Invalid target type"),
+
+  query("targetId").optional().isMongoId().withMessage("Invalid target id"),
+
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+
+  handleValidationErrors,
+];
+
+// Admin query validation for ownership transfers
+const validateTransfersQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn([
+      "pending",
+      "under_review",
+      "completed",
+      "declined",
+      "cancelled",
+      "rejected",
+      "expired",
+    ])
+    .withMessage("Invalid transfer status"),
+
+  handleValidationErrors,
+];
+
+// Approve / reject ownership transfer validation
+const validateTransferReview = [
+  param("id").isMongoId().withMessage("Invalid transfer id"),
+
+  body("adminNote")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Admin note cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Admin query validation for reviews
+const validateReviewsQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn(["published", "hidden", "withdrawn"])
+    .withMessage("Invalid review status"),
+
+  query("rating")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating must be between 1 and 5")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+// Hide or restore a review
+const validateReviewModeration = [
+  param("id").isMongoId().withMessage("Invalid review id"),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Admin query validation for the artist verification queue
+const validateArtistVerificationsQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "info_requested", "approved", "rejected"])
+    .withMessage("Invalid verification status"),
+
+  handleValidationErrors,
+];
+
+// Verification application ID validation
+const validateArtistVerificationId = [
+  param("id").isMongoId().withMessage("Invalid verification application id"),
+
+  handleValidationErrors,
+];
+
+// Approve a verification application (the note is optional)
+const validateArtistVerificationApproval = [
+  param("id").isMongoId().withMessage("Invalid verification application id"),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Note cannot exceed 1000 characters"),
+
+  handleValidationErrors,
+];
+
+// Reject an application or ask for more information (the artist is told why)
+const validateArtistVerificationDecision = [
+  param("id").isMongoId().withMessage("Invalid verification application id"),
+
+  body("note")
+    .trim()
+    .notEmpty()
+    .withMessage("A note for the artist is required")
+    .isLength({ max: 1000 })
+    .withMessage("Note cannot exceed 1000 characters"),
+
+  handleValidationErrors,
+];
+
+// Admin query validation for webhook events
+const validateWebhookEventsQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn(["received", "processing", "processed", "failed"])
+    .withMessage("Status must be received, processing, processed, or failed"),
+
+  query("type")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Type must be between 1 and 100 characters"),
+
+  handleValidationErrors,
+];
+
+// Webhook event ID validation
+const validateWebhookEventId = [
+  param("id").isMongoId().withMessage("Invalid webhook event id"),
+
+  handleValidationErrors,
+];
+
 module.exports = {
   validateArtworkId,
   validateRejectArtwork,
@@ -200,4 +544,23 @@ module.exports = {
   validateUsersQuery,
   validateArtworksQuery,
   validateTransactionsQuery,
+  validateRefundRequestsQuery,
+  validateRefundReview,
+  validateRefundTransaction,
+  validateInspectorUpdate,
+  validateUserId,
+  validateUserSuspension,
+  validateUserBan,
+  validateUserReinstatement,
+  validateAuditLogQuery,
+  validateTransfersQuery,
+  validateTransferReview,
+  validateWebhookEventsQuery,
+  validateWebhookEventId,
+  validateReviewsQuery,
+  validateReviewModeration,
+  validateArtistVerificationsQuery,
+  validateArtistVerificationId,
+  validateArtistVerificationApproval,
+  validateArtistVerificationDecision,
 };
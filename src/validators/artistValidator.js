@@ -1,7 +1,15 @@
-const { param, validationResult } = require("express-validator");
+const { body, param, validationResult } = require("express-validator");
 const User = require("../models/User");
+const Artwork = require("../models/Artwork");
+const artistProfileService = require("../services/artistProfileService");
 
 // Validation middleware
+// Slugs must not be mistaken for user IDs
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Networks stored in ArtistProfile.socialLinks
+const SOCIAL_NETWORKS = ["facebook", "twitter", "instagram", "pinterest"];
+
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -14,8 +22,28 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Artist ID validation
+// Replace a vanity slug in the :id param with the artist's user ID
+const resolveArtistSlug = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID_PATTERN.test(id)) {
+      const userId = await artistProfileService.resolveSlug(id);
+      if (userId) {
+        req.params.id = userId;
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Artist ID (or vanity slug) validation
 const validateArtistId = [
+  resolveArtistSlug,
+
   param("id")
     .isMongoId()
     .withMessage("Valid user ID is required")
@@ -55,6 +83,149 @@ const validateArtistId = [
   handleValidationErrors,
 ];
 
+// Multipart forms send a single link as a string
+const portfolioLinksRules = [
+  body("portfolioLinks")
+    .optional()
+    .customSanitizer((value) => (Array.isArray(value) ? value : [value]))
+    .isArray({ max: 10 })
+    .withMessage("You can add up to 10 portfolio links"),
+
+  body("portfolioLinks.*")
+    .trim()
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("Portfolio links must be valid URLs"),
+];
+
+// Verification application
+const validateVerificationApplication = [
+  body("statement")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Statement cannot exceed 2000 characters"),
+
+  ...portfolioLinksRules,
+
+  handleValidationErrors,
+];
+
+// Reply to an info request
+const validateVerificationInfo = [
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Note cannot exceed 2000 characters"),
+
+  ...portfolioLinksRules,
+
+  handleValidationErrors,
+];
+
+// Create or update the artist profile
+const validateArtistProfile = [
+  body("bio")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Bio must be less than 2000 characters"),
+
+  body("website")
+    .optional({ values: "falsy" })
+    .trim()
+    .isURL()
+    .withMessage("Please provide a valid URL for the website"),
+
+  body("socialLinks")
+    .optional()
+    .isObject()
+    .withMessage("Social links must be an object")
+    .bail()
+    .custom((value) => {
+      const unknown = Object.keys(value).filter(
+        (network) => !SOCIAL_NETWORKS.includes(network)
+      );
+      if (unknown.length > 0) {
+        throw new Error(`Unsupported social links: ${unknown.join(", ")}`);
+      }
+      return true;
+    }),
+
+  ...SOCIAL_NETWORKS.map((network) =>
+    body(`socialLinks.${network}`)
+      .optional({ values: "falsy" })
+      .trim()
+      .isURL()
+      .withMessage(`Please provide a valid URL for ${network}`)
+  ),
+
+  body("specialties")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("You can list up to 10 specialties"),
+
+  body("specialties.*")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Each specialty must be between 1 and 50 characters"),
+
+  handleValidationErrors,
+];
+
+// New portfolio order
+const validatePortfolioOrder = [
+  body("images")
+    .isArray({ min: 1 })
+    .withMessage("Images must be a non-empty array"),
+
+  body("images.*").isString().withMessage("Each image must be a URL"),
+
+  handleValidationErrors,
+];
+
+// Portfolio image to remove
+const validatePortfolioImage = [
+  body("image").isString().notEmpty().withMessage("Image URL is required"),
+
+  handleValidationErrors,
+];
+
+// Featured artwork (null clears it)
+const validateFeaturedArtwork = [
+  body("artworkId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid artwork id"),
+
+  handleValidationErrors,
+];
+
+// Vanity slug
+const validateSlug = [
+  body("slug")
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 3, max: 40 })
+    .withMessage("Slug must be between 3 and 40 characters")
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage(
+      "Slug can only contain lowercase letters, numbers and single hyphens"
+    )
+    .not()
+    .matches(OBJECT_ID_PATTERN)
+    .withMessage("Slug cannot look like a user ID"),
+
+  handleValidationErrors,
+];
+
 module.exports = {
   validateArtistId,
+  validateArtistProfile,
+  validatePortfolioOrder,
+  validatePortfolioImage,
+  validateFeaturedArtwork,
+  validateSlug,
+  validateVerificationApplication,
+  validateVerificationInfo,
 };
@@ -1,4 +1,6 @@
 const { body, query, param, validationResult } = require("express-validator");
+const config = require("../config/config");
+const EditionUnit = require("../models/EditionUnit");
 
 // Validation middleware to check an error
 const handleValidationErrors = (req, res, next) => {
@@ -99,6 +101,72 @@ const validateCreateArtwork = [
       return true;
     }),
 
+  body("isEdition")
+    .optional()
+    .isBoolean()
+    .withMessage("isEdition must be a boolean value")
+    .toBoolean()
+    .custom((value, { req }) => {
+      if (!value) {
+        return true;
+      }
+      const total = Number(req.body.edition?.total);
+      if (
+        !Number.isInteger(total) ||
+        total < 2 ||
+        total > EditionUnit.MAX_UNITS
+      ) {
+        throw new Error(
+          `An edition must have between 2 and ${EditionUnit.MAX_UNITS} units`
+        );
+      }
+      if (req.body.edition.number !== undefined) {
+        throw new Error("Edition number is assigned per unit for editions");
+      }
+      if (req.body.saleType === "auction") {
+        throw new Error("Editions can only be sold at a fixed price");
+      }
+      return true;
+    }),
+
+  body("saleType")
+    .optional()
+    .isIn(["fixed_price", "auction"])
+    .withMessage("Sale type must be either 'fixed_price' or 'auction'"),
+
+  body("auction.startTime")
+    .optional()
+    .isISO8601()
+    .withMessage("Auction start time must be a valid date"),
+
+  body("auction.endTime")
+    .if(body("saleType").equals("auction"))
+    .isISO8601()
+    .withMessage("Auction end time must be a valid date"),
+
+  body("auction.reservePrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Reserve price must be a positive number"),
+
+  body("auction.minimumIncrement")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("Minimum increment must be at least 1"),
+
+  body("auction.antiSnipingMinutes")
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage("Anti-sniping extension must be between 0 and 60 minutes"),
+
+  body("royaltyPercentage")
+    .optional()
+    .isFloat({ min: 0, max: config.royalties.maxPercentage })
+    .withMessage(
+      `Royalty percentage must be between 0 and ${config.royalties.maxPercentage}`
+    )
+    .toFloat(),
+
   handleValidationErrors,
 ];
 
@@ -191,6 +259,44 @@ const validateUpdateArtwork = [
       return true;
     }),
 
+  body("saleType")
+    .optional()
+    .isIn(["fixed_price", "auction"])
+    .withMessage("Sale type must be either 'fixed_price' or 'auction'"),
+
+  body("auction.startTime")
+    .optional()
+    .isISO8601()
+    .withMessage("Auction start time must be a valid date"),
+
+  body("auction.endTime")
+    .optional()
+    .isISO8601()
+    .withMessage("Auction end time must be a valid date"),
+
+  body("auction.reservePrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Reserve price must be a positive number"),
+
+  body("auction.minimumIncrement")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("Minimum increment must be at least 1"),
+
+  body("auction.antiSnipingMinutes")
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage("Anti-sniping extension must be between 0 and 60 minutes"),
+
+  body("royaltyPercentage")
+    .optional()
+    .isFloat({ min: 0, max: config.royalties.maxPercentage })
+    .withMessage(
+      `Royalty percentage must be between 0 and ${config.royalties.maxPercentage}`
+    )
+    .toFloat(),
+
   handleValidationErrors,
 ];
 
@@ -248,6 +354,46 @@ const validateArtworkQuery = [
     .isLength({ min: 1, max: 100 })
     .withMessage("Search term must be between 1 and 100 characters"),
 
+  query("artist").optional().isMongoId().withMessage("Invalid artist ID"),
+
+  query("medium")
+    .optional()
+    .custom((value) => {
+      const media = Array.isArray(value) ? value : [value];
+      if (
+        media.length > 20 ||
+        !media.every(
+          (medium) => typeof medium === "string" && medium.length <= 100
+        )
+      ) {
+        throw new Error("Medium must be a string or an array of strings");
+      }
+      return true;
+    }),
+
+  query(["minYear", "maxYear"])
+    .optional()
+    .isInt({ min: 1000, max: new Date().getFullYear() })
+    .withMessage("Year must be a valid year between 1000 and the current year")
+    .toInt(),
+
+  query(["minWidth", "maxWidth", "minHeight", "maxHeight"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Dimensions must be positive numbers")
+    .toFloat(),
+
+  query("dimensionUnit")
+    .optional()
+    .isIn(["cm", "in"])
+    .withMessage("Dimension unit must be cm or in"),
+
+  query(["isOriginal", "isEdition", "available", "artistVerified"])
+    .optional()
+    .isBoolean()
+    .withMessage("Facet flags must be boolean values")
+    .toBoolean(),
+
   query("view")
     .optional()
     .isIn(["created", "owned", "sold"])
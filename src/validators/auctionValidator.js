@@ -0,0 +1,48 @@
+const { body, param, query, validationResult } = require("express-validator");
+
+// Validation middleware to check for errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Place bid validation
+const validatePlaceBid = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+
+  body("amount")
+    .isFloat({ min: 1 })
+    .withMessage("Bid amount must be at least €1")
+    .toFloat(),
+
+  handleValidationErrors,
+];
+
+// Bid list query validation
+const validateBidQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  validatePlaceBid,
+  validateBidQuery,
+};
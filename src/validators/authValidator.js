@@ -200,6 +200,65 @@ const validateUpdatePassword = [
   handleValidationErrors,
 ];
 
+// Refresh token validation rules
+const validateRefreshToken = [
+  body("refreshToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+
+  handleValidationErrors,
+];
+
+// Session ID validation rules
+const validateSessionId = [
+  param("sessionId").isMongoId().withMessage("Invalid session ID"),
+
+  handleValidationErrors,
+];
+
+// Two-factor login validation rules
+const validateTwoFactorLogin = [
+  body("challengeToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+
+  body("code")
+    .isString()
+    .trim()
+    .isLength({ min: 6, max: 9 })
+    .withMessage("Please provide an authentication code or backup code"),
+
+  handleValidationErrors,
+];
+
+// Two-factor code validation rules (authenticator app code only)
+const validateTwoFactorCode = [
+  body("code")
+    .isString()
+    .trim()
+    .isLength({ min: 6, max: 6 })
+    .withMessage("Authentication code must be exactly 6 digits")
+    .isNumeric()
+    .withMessage("Authentication code must be numeric"),
+
+  handleValidationErrors,
+];
+
+// Disable two-factor validation rules
+const validateDisableTwoFactor = [
+  body("password").notEmpty().withMessage("Password is required"),
+
+  body("code")
+    .isString()
+    .trim()
+    .isLength({ min: 6, max: 9 })
+    .withMessage("Please provide an authentication code or backup code"),
+
+  handleValidationErrors,
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
@@ -208,4 +267,9 @@ module.exports = {
   validateResetPassword,
   validateUpdateProfile,
   validateUpdatePassword,
+  validateRefreshToken,
+  validateSessionId,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
 };
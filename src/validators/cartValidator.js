@@ -0,0 +1,33 @@
+const { body, param, validationResult } = require("express-validator");
+
+// Validation middleware to check for errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Add to cart validation
+const validateAddCartItem = [
+  body("artworkId").isMongoId().withMessage("Valid artwork ID is required"),
+
+  handleValidationErrors,
+];
+
+// Cart item (artwork ID param) validation
+const validateCartItemId = [
+  param("artworkId").isMongoId().withMessage("Invalid artwork ID"),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateAddCartItem,
+  validateCartItemId,
+};
@@ -0,0 +1,77 @@
+const { body, param, query, validationResult } = require("express-validator");
+
+// Validation middleware to check for errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// File condition report validation (multipart form, photos handled by upload)
+const validateCreateConditionReport = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+
+  body("inspectionDate")
+    .isISO8601()
+    .withMessage("Inspection date must be a valid ISO date")
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage("Inspection date cannot be in the future"),
+
+  body("grade")
+    .isIn(["mint", "excellent", "very_good", "good", "fair", "poor"])
+    .withMessage(
+      "Grade must be mint, excellent, very_good, good, fair, or poor"
+    ),
+
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Notes must be less than 2000 characters"),
+
+  body("location")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Location must be less than 200 characters"),
+
+  handleValidationErrors,
+];
+
+// Condition report ID validation
+const validateConditionReportId = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+  param("reportId").isMongoId().withMessage("Invalid condition report ID"),
+  handleValidationErrors,
+];
+
+// Condition report list query validation
+const validateConditionReportQuery = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateCreateConditionReport,
+  validateConditionReportId,
+  validateConditionReportQuery,
+};
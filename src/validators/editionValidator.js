@@ -0,0 +1,53 @@
+const { param, query, validationResult } = require("express-validator");
+
+// Validation middleware to check for errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Edition unit list query validation
+const validateEditionUnitsQuery = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn(["available", "reserved", "sold"])
+    .withMessage("Status must be available, reserved, or sold"),
+
+  handleValidationErrors,
+];
+
+// Edition unit number validation
+const validateEditionUnitNumber = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+  param("number")
+    .isInt({ min: 1 })
+    .withMessage("Edition number must be a positive integer")
+    .toInt(),
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateEditionUnitsQuery,
+  validateEditionUnitNumber,
+};
@@ -1,6 +1,12 @@
-const { param, query, validationResult } = require("express-validator");
+const {
+  body,
+  param,
+  query,
+  validationResult,
+} = require("express-validator");
 const User = require("../models/User");
 const Artwork = require("../models/Artwork");
+const ArtworkActivity = require("../models/ArtworkActivity");
 
 // Validation middleware to check for errors
 const handleValidationErrors = (req, res, next) => {
@@ -31,6 +37,29 @@ const validateArtworkId = [
   handleValidationErrors,
 ];
 
+// Artwork view validation (optional referrer sent by the client)
+const validateArtworkView = [
+  body("referrer")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Referrer cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Artwork analytics query validation (view events and hourly activity are
+// kept for at least 30 days)
+const validateArtworkAnalyticsQuery = [
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage("Days must be between 1 and 30")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
 // User ID validation (for artist following)
 const validateUserId = [
   param("artistId")
@@ -70,6 +99,32 @@ const validateEngagementQuery = [
     .withMessage("Limit must be between 1 and 50")
     .toInt(),
 
+  query("window")
+    .optional()
+    .isIn(Object.keys(ArtworkActivity.WINDOWS))
+    .withMessage(
+      `Window must be one of: ${Object.keys(ArtworkActivity.WINDOWS).join(
+        ", "
+      )}`
+    ),
+
+  handleValidationErrors,
+];
+
+// Query parameters validation for the following feed (cursor pagination)
+const validateFeedQuery = [
+  query("cursor")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Invalid cursor"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50")
+    .toInt(),
+
   handleValidationErrors,
 ];
 
@@ -77,4 +132,7 @@ module.exports = {
   validateArtworkId,
   validateUserId,
   validateEngagementQuery,
+  validateFeedQuery,
+  validateArtworkView,
+  validateArtworkAnalyticsQuery,
 };
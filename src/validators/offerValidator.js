@@ -0,0 +1,87 @@
+const { body, param, query, validationResult } = require("express-validator");
+
+// Validation middleware to check for errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Make / counter offer validation
+const validateOfferAmount = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+
+  body("amount")
+    .isFloat({ min: 1 })
+    .withMessage("Offer amount must be at least €1")
+    .toFloat(),
+
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Message must be less than 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Offer action validation (accept, decline, withdraw, checkout)
+const validateOfferAction = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+  param("offerId").isMongoId().withMessage("Invalid offer ID"),
+
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Message must be less than 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Offer list query validation
+const validateOfferQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50")
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn([
+      "pending",
+      "countered",
+      "accepted",
+      "declined",
+      "withdrawn",
+      "expired",
+      "completed",
+    ])
+    .withMessage("Invalid offer status"),
+
+  query("role")
+    .optional()
+    .isIn(["buyer", "seller"])
+    .withMessage("Role must be either buyer or seller"),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateOfferAmount,
+  validateOfferAction,
+  validateOfferQuery,
+};
@@ -44,8 +44,8 @@ const validatePaymentHistoryQuery = [
 
   query("type")
     .optional()
-    .isIn(["listing_fee", "sale", "all"])
-    .withMessage("Type must be listing_fee, sale, or all"),
+    .isIn(["listing_fee", "sale", "royalty", "all"])
+    .withMessage("Type must be listing_fee, sale, royalty, or all"),
 
   query("status")
     .optional()
@@ -62,9 +62,66 @@ const validateTransactionId = [
   handleValidationErrors,
 ];
 
+// Payout ledger query validation
+const validatePayoutQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "settled", "failed", "held", "reversed", "cancelled"])
+    .withMessage(
+      "Status must be pending, settled, failed, held, reversed, or cancelled"
+    ),
+
+  handleValidationErrors,
+];
+
+// Refund request validation
+const validateRefundRequest = [
+  param("id").isMongoId().withMessage("Invalid transaction ID"),
+
+  body("reason")
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage("Refund reason must be between 10 and 1000 characters"),
+
+  handleValidationErrors,
+];
+
+// Refund requests query validation
+const validateRefundRequestQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected", "refunded"])
+    .withMessage("Status must be pending, approved, rejected, or refunded"),
+
+  handleValidationErrors,
+];
+
 module.exports = {
   // validateCreateListingSession,
   validateCreatePurchaseSession,
   validatePaymentHistoryQuery,
   validateTransactionId,
+  validatePayoutQuery,
+  validateRefundRequest,
+  validateRefundRequestQuery,
 };
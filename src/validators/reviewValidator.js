@@ -0,0 +1,119 @@
+const { body, param, query, validationResult } = require("express-validator");
+
+// Validation middleware to check for errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+const paginationRules = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50")
+    .toInt(),
+];
+
+// Title and comment, shared by create and update
+const textRules = [
+  body("title")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 120 })
+    .withMessage("Title cannot exceed 120 characters"),
+
+  body("comment")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Comment cannot exceed 2000 characters"),
+];
+
+// Review a purchase
+const validateCreateReview = [
+  body("transactionId")
+    .isMongoId()
+    .withMessage("Valid transaction ID is required"),
+
+  body("rating")
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating must be a whole number between 1 and 5")
+    .toInt(),
+
+  ...textRules,
+
+  handleValidationErrors,
+];
+
+// Edit a review
+const validateUpdateReview = [
+  param("id").isMongoId().withMessage("Invalid review id"),
+
+  body("rating")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating must be a whole number between 1 and 5")
+    .toInt(),
+
+  ...textRules,
+
+  handleValidationErrors,
+];
+
+// Artist reply
+const validateReviewReply = [
+  param("id").isMongoId().withMessage("Invalid review id"),
+
+  body("text")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Reply must be between 1 and 2000 characters"),
+
+  handleValidationErrors,
+];
+
+// Reviews of an artist
+const validateArtistReviewsQuery = [
+  param("artistId").isMongoId().withMessage("Invalid artist id"),
+
+  ...paginationRules,
+
+  handleValidationErrors,
+];
+
+// Reviews of an artwork
+const validateArtworkReviewsQuery = [
+  param("artworkId").isMongoId().withMessage("Invalid artwork id"),
+
+  ...paginationRules,
+
+  handleValidationErrors,
+];
+
+// The user's own reviews
+const validateReviewsQuery = [...paginationRules, handleValidationErrors];
+
+module.exports = {
+  validateCreateReview,
+  validateUpdateReview,
+  validateReviewReply,
+  validateArtistReviewsQuery,
+  validateArtworkReviewsQuery,
+  validateReviewsQuery,
+};
@@ -0,0 +1,173 @@
+const { body, param, query, validationResult } = require("express-validator");
+
+// Validation middleware to check for errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Lists of short strings (tags, media)
+const isStringList = (value) => {
+  if (
+    !Array.isArray(value) ||
+    value.length > 20 ||
+    !value.every((item) => typeof item === "string" && item.length <= 100)
+  ) {
+    throw new Error("Must be an array of up to 20 strings");
+  }
+  return true;
+};
+
+// Query and filters, same as the artwork search endpoint
+const searchRules = [
+  body("query")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Query must be between 1 and 100 characters"),
+
+  body("filters")
+    .optional()
+    .isObject()
+    .withMessage("Filters must be an object"),
+
+  body(["filters.minPrice", "filters.maxPrice"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Prices must be positive numbers")
+    .toFloat(),
+
+  body(["filters.tags", "filters.medium"]).optional().custom(isStringList),
+
+  body("filters.artist")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid artist ID"),
+
+  body(["filters.minYear", "filters.maxYear"])
+    .optional()
+    .isInt({ min: 1000, max: new Date().getFullYear() })
+    .withMessage("Year must be a valid year between 1000 and the current year")
+    .toInt(),
+
+  body([
+    "filters.minWidth",
+    "filters.maxWidth",
+    "filters.minHeight",
+    "filters.maxHeight",
+  ])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Dimensions must be positive numbers")
+    .toFloat(),
+
+  body("filters.dimensionUnit")
+    .optional()
+    .isIn(["cm", "in"])
+    .withMessage("Dimension unit must be cm or in"),
+
+  body([
+    "filters.isOriginal",
+    "filters.isEdition",
+    "filters.available",
+    "filters.artistVerified",
+  ])
+    .optional()
+    .isBoolean()
+    .withMessage("Facet flags must be boolean values")
+    .toBoolean(),
+
+  body("alertsEnabled")
+    .optional()
+    .isBoolean()
+    .withMessage("alertsEnabled must be a boolean value")
+    .toBoolean(),
+];
+
+// Save search validation
+const validateCreateSavedSearch = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+
+  ...searchRules,
+
+  body().custom((value) => {
+    if (!value.query && Object.keys(value.filters || {}).length === 0) {
+      throw new Error("A saved search needs a query or at least one filter");
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+// Update saved search validation
+const validateUpdateSavedSearch = [
+  param("id").isMongoId().withMessage("Invalid saved search ID"),
+
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+
+  ...searchRules,
+
+  handleValidationErrors,
+];
+
+// Saved search ID validation
+const validateSavedSearchId = [
+  param("id").isMongoId().withMessage("Invalid saved search ID"),
+  handleValidationErrors,
+];
+
+// Run saved search validation
+const validateRunSavedSearch = [
+  param("id").isMongoId().withMessage("Invalid saved search ID"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50")
+    .toInt(),
+
+  query("sort")
+    .optional()
+    .isIn(["createdAt", "-createdAt", "price", "-price", "title", "-title"])
+    .withMessage("Invalid sort parameter"),
+
+  handleValidationErrors,
+];
+
+// Alert frequency validation
+const validateAlertFrequency = [
+  body("frequency")
+    .isIn(["instant", "daily", "weekly"])
+    .withMessage("Frequency must be instant, daily, or weekly"),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateCreateSavedSearch,
+  validateUpdateSavedSearch,
+  validateSavedSearchId,
+  validateRunSavedSearch,
+  validateAlertFrequency,
+};
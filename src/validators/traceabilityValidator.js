@@ -19,6 +19,19 @@ const validateArtworkId = [
   handleValidationErrors,
 ];
 
+// Certificate request validation; unit is the print number for editions
+const validateCertificateRequest = [
+  param("artworkId").isMongoId().withMessage("Invalid artwork ID"),
+
+  query("unit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Unit must be a positive print number")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
 // User ownership history query validation
 const validateOwnershipHistoryQuery = [
   query("page")
@@ -61,8 +74,10 @@ const validateSearchQuery = [
 
   query("transactionType")
     .optional()
-    .isIn(["created", "sold", "transferred"])
-    .withMessage("Transaction type must be created, sold, or transferred"),
+    .isIn(["created", "sold", "transferred", "condition_report"])
+    .withMessage(
+      "Transaction type must be created, sold, transferred, or condition_report"
+    ),
 
   query("startDate")
     .optional()
@@ -86,8 +101,18 @@ const validateVerifyOwnershipQuery = [
   handleValidationErrors,
 ];
 
+// Certificate ID validation
+const validateCertificateId = [
+  param("certificateId")
+    .matches(/^CERT-[A-F0-9]{24}$/)
+    .withMessage("Invalid certificate ID"),
+  handleValidationErrors,
+];
+
 module.exports = {
   validateArtworkId,
+  validateCertificateId,
+  validateCertificateRequest,
   validateOwnershipHistoryQuery,
   validateSearchQuery,
   validateVerifyOwnershipQuery,
@@ -0,0 +1,116 @@
+const { body, param, query, validationResult } = require("express-validator");
+
+// Validation middleware to check for errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+const TRANSFER_STATUSES = [
+  "pending",
+  "under_review",
+  "completed",
+  "declined",
+  "cancelled",
+  "rejected",
+  "expired",
+];
+
+// Start transfer validation
+const validateCreateTransfer = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+
+  body("recipientId").isMongoId().withMessage("Invalid recipient ID"),
+
+  body("transferType")
+    .isIn(["gift", "inheritance", "private_sale", "other"])
+    .withMessage(
+      "Transfer type must be gift, inheritance, private_sale, or other"
+    ),
+
+  body("declaredValue")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Declared value must be a positive number")
+    .toFloat(),
+
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Message must be less than 500 characters"),
+
+  body("condition")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Condition notes must be less than 500 characters"),
+
+  body("location")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Location must be less than 200 characters"),
+
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes must be less than 1000 characters"),
+
+  handleValidationErrors,
+];
+
+// Transfer action validation (accept, decline, cancel)
+const validateTransferAction = [
+  param("id").isMongoId().withMessage("Invalid artwork ID"),
+  param("transferId").isMongoId().withMessage("Invalid transfer ID"),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must be less than 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Transfer list query validation
+const validateTransferQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50")
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn(TRANSFER_STATUSES)
+    .withMessage("Invalid transfer status"),
+
+  query("role")
+    .optional()
+    .isIn(["sender", "recipient"])
+    .withMessage("Role must be either sender or recipient"),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateCreateTransfer,
+  validateTransferAction,
+  validateTransferQuery,
+};
@@ -0,0 +1,142 @@
+const { body, query, param, validationResult } = require("express-validator");
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Optional emails users can turn off
+const EMAIL_NOTIFICATION_TYPES = ["sales", "transfers", "savedSearches"];
+
+// Public profile
+const validateUserProfile = [
+  param("id").isMongoId().withMessage("Invalid user id"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+// Notification preferences
+const validateNotificationPreferences = [
+  body("email")
+    .optional()
+    .isObject()
+    .withMessage("Email preferences must be an object")
+    .bail()
+    .custom((value) => {
+      const unknown = Object.keys(value).filter(
+        (type) => !EMAIL_NOTIFICATION_TYPES.includes(type)
+      );
+      if (unknown.length > 0) {
+        throw new Error(`Unknown email notifications: ${unknown.join(", ")}`);
+      }
+      return true;
+    }),
+
+  ...EMAIL_NOTIFICATION_TYPES.map((type) =>
+    body(`email.${type}`)
+      .optional()
+      .isBoolean()
+      .withMessage(`email.${type} must be true or false`)
+      .toBoolean()
+  ),
+
+  body("savedSearchFrequency")
+    .optional()
+    .isIn(["instant", "daily", "weekly"])
+    .withMessage("Frequency must be instant, daily or weekly"),
+
+  body().custom((value) => {
+    if (value.email === undefined && value.savedSearchFrequency === undefined) {
+      throw new Error("No notification preferences to update");
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+// Privacy settings
+const validatePrivacySettings = [
+  body("hideCollection")
+    .optional()
+    .isBoolean()
+    .withMessage("hideCollection must be true or false")
+    .toBoolean(),
+
+  body("hideOnlineStatus")
+    .optional()
+    .isBoolean()
+    .withMessage("hideOnlineStatus must be true or false")
+    .toBoolean(),
+
+  body().custom((value) => {
+    if (
+      value.hideCollection === undefined &&
+      value.hideOnlineStatus === undefined
+    ) {
+      throw new Error("No privacy settings to update");
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+// Email change request
+const validateEmailChange = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email")
+    .normalizeEmail(),
+
+  body("password").notEmpty().withMessage("Password is required"),
+
+  handleValidationErrors,
+];
+
+// Email change confirmation
+const validateEmailChangeConfirmation = [
+  body("otp")
+    .isLength({ min: 6, max: 6 })
+    .withMessage("Code must be 6 digits")
+    .isNumeric()
+    .withMessage("Code must contain only numbers"),
+
+  handleValidationErrors,
+];
+
+// Account deletion
+const validateAccountDeletion = [
+  body("password").notEmpty().withMessage("Password is required"),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateUserProfile,
+  validateNotificationPreferences,
+  validatePrivacySettings,
+  validateEmailChange,
+  validateEmailChangeConfirmation,
+  validateAccountDeletion,
+};